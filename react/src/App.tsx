@@ -2,14 +2,17 @@
  * Main AgentWP admin application.
  * Refactored from ~3,353 lines to a slim orchestration layer.
  */
-import { useLayoutEffect, useEffect, useState, useCallback, useRef } from 'react';
+import { useLayoutEffect, useEffect, useState, useRef } from 'react';
 import { createPortal } from 'react-dom';
 import { LandingPage } from './features/landing';
+import { SettingsView } from './features/settings';
 import { CommandDeck } from './features/command-deck';
+import PendingRequestsIndicator from './components/PendingRequestsIndicator';
 import { useModalStore } from './stores/useModalStore';
 import { useThemeStore } from './stores/useThemeStore';
 import { useKeyboardShortcuts } from './hooks/useKeyboardShortcuts';
 import { usePrefersDark } from './hooks/usePrefersDark';
+import { useSettingsData } from './hooks/useSettings';
 import { applyTheme } from './theme';
 import agentwpClient from './api/AgentWPClient';
 import { THEME_TRANSITION_MS } from './utils/constants';
@@ -29,14 +32,22 @@ export default function App({
   const isOpen = useModalStore((s) => s.isOpen);
   const { resolved: theme, preference: themePreference, setSystemPrefersDark } = useThemeStore();
 
-  // Track demo mode and budget limit from settings
-  const [demoMode, setDemoMode] = useState(false);
-  const [budgetLimit, setBudgetLimit] = useState(0);
+  const [view, setView] = useState<'dashboard' | 'settings'>('dashboard');
+
+  // Demo mode and budget limit come from settings; the localized flag covers the first paint
+  const { settings } = useSettingsData();
+  const demoMode =
+    settings?.demoMode ??
+    (typeof window !== 'undefined' && Boolean(window.agentwpSettings?.demoMode));
+  const budgetLimit = settings?.budgetLimit ?? 0;
+  const hotkey =
+    settings?.hotkey ??
+    (typeof window !== 'undefined' ? window.agentwpSettings?.hotkey : undefined);
   const hasAppliedThemeRef = useRef(false);
   const themeTransitionRef = useRef<number | null>(null);
 
-  // Global keyboard shortcuts (Cmd+K, Escape)
-  useKeyboardShortcuts({ shadowRoot });
+  // Global keyboard shortcuts (configured hotkey, Escape)
+  useKeyboardShortcuts({ shadowRoot, hotkey });
 
   // System theme preference detection
   const prefersDark = usePrefersDark();
@@ -92,45 +103,34 @@ export default function App({
     });
   }, [themePreference]);
 
-  // Fetch settings (demo mode, budget limit) on mount
-  const fetchSettings = useCallback(async () => {
-    try {
-      const payload = await agentwpClient.getSettings();
-      if (payload.success === false) {
-        return;
-      }
-      const settings = payload.data.settings;
-      if (settings) {
-        const limit = Number.parseFloat(String(settings.budget_limit ?? 0));
-        setBudgetLimit(Number.isFinite(limit) && limit >= 0 ? limit : 0);
-        setDemoMode(Boolean(settings.demo_mode));
-      }
-    } catch {
-      // Ignore settings fetch failures
-    }
-  }, []);
-
-  useEffect(() => {
-    fetchSettings();
-  }, [fetchSettings]);
-
-  // Get initial demo mode from window settings
-  useEffect(() => {
-    if (typeof window !== 'undefined') {
-      const initialDemoMode = Boolean(window.agentwpSettings?.demoMode);
-      if (initialDemoMode) {
-        setDemoMode(initialDemoMode);
-      }
-    }
-  }, []);
-
   return (
     <div className="agentwp-app min-h-screen text-slate-100">
-      <LandingPage demoMode={demoMode} shadowRoot={shadowRoot} budgetLimit={budgetLimit} />
+      {view === 'settings' ? (
+        <SettingsView onBack={() => setView('dashboard')} />
+      ) : (
+        <LandingPage
+          demoMode={demoMode}
+          shadowRoot={shadowRoot}
+          budgetLimit={budgetLimit}
+          hotkey={hotkey}
+          onOpenSettings={() => setView('settings')}
+        />
+      )}
+
+      {/* The deck shows its own indicator in its header */}
+      {!isOpen && (
+        <PendingRequestsIndicator className="fixed bottom-4 end-4 z-40 rounded-full bg-slate-900/90 px-3 py-1.5 shadow-lg" />
+      )}
 
       {isOpen &&
         portalRoot &&
-        createPortal(<CommandDeck onClose={() => useModalStore.getState().close()} />, portalRoot)}
+        createPortal(
+          <CommandDeck
+            onClose={() => useModalStore.getState().close()}
+            onOpenSettings={() => setView('settings')}
+          />,
+          portalRoot,
+        )}
     </div>
   );
 }
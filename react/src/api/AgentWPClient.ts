@@ -4,13 +4,24 @@
  * Provides a unified interface for all AgentWP REST API calls with:
  * - Consistent error handling
  * - Request/response transformation
- * - Automatic nonce injection
+ * - Automatic nonce injection, refreshed and replayed once when it expires
  * - Error categorization
+ * - Retries with backoff for idempotent requests
+ * - In-flight tracking, keyed cancellation and shared concurrent reads
  *
  * @package AgentWP
  */
 
 import type { components } from '../types/api';
+import type { UsagePeriod, UsageQuery } from '../types';
+import {
+  DEFAULT_RETRY_POLICY,
+  getRetryDelay,
+  waitForRetry,
+  type RetryInfo,
+  type RetryPolicy,
+} from './retry-policy';
+import { __ } from '../utils/i18n';
 
 // Extract schema types for request/response payloads
 type IntentRequest = components['schemas']['IntentRequest'];
@@ -18,17 +29,20 @@ type IntentResponseData = components['schemas']['IntentResponseData'];
 type SettingsResponseData = components['schemas']['SettingsResponseData'];
 type SettingsUpdateRequest = components['schemas']['SettingsUpdateRequest'];
 type ApiKeyResponseData = components['schemas']['ApiKeyResponseData'];
+type ApiKeyTestResponseData = components['schemas']['ApiKeyTestResponseData'];
 type UsageResponseData = components['schemas']['UsageResponseData'];
 type HealthResponseData = components['schemas']['HealthResponseData'];
+type DiagnosticsResponseData = components['schemas']['DiagnosticsResponseData'];
 type SearchResponseData = components['schemas']['SearchResponseData'];
 type HistoryResponseData = components['schemas']['HistoryResponseData'];
 type HistoryEntry = components['schemas']['HistoryEntry'];
 type ThemeResponseData = components['schemas']['ThemeResponseData'];
+type VoiceResponseData = components['schemas']['VoiceResponseData'];
+type VoiceUpdateRequest = components['schemas']['VoiceUpdateRequest'];
+type DraftConfirmResponseData = components['schemas']['DraftConfirmResponseData'];
+type DraftCancelResponseData = components['schemas']['DraftCancelResponseData'];
 type ErrorPayload = components['schemas']['ErrorObject'];
 
-// Period type from usage query parameter
-type UsagePeriod = 'day' | 'week' | 'month';
-
 // Theme type from theme update request
 type ThemeValue = 'light' | 'dark';
 
@@ -86,12 +100,12 @@ const ERROR_TYPE_MAP: Record<string, ErrorType> = {
  * Default error messages.
  */
 const DEFAULT_ERROR_MESSAGES: Record<ErrorType, string> = {
-  [ERROR_TYPES.RATE_LIMIT]: 'Too many requests. Please wait and retry.',
-  [ERROR_TYPES.AUTH_ERROR]: 'Authentication failed. Please check your API key.',
-  [ERROR_TYPES.VALIDATION_ERROR]: 'Please check your request and try again.',
-  [ERROR_TYPES.NETWORK_ERROR]: 'Network error. Please check your connection.',
-  [ERROR_TYPES.API_ERROR]: 'API server error. Please retry.',
-  [ERROR_TYPES.UNKNOWN]: 'An unexpected error occurred.',
+  [ERROR_TYPES.RATE_LIMIT]: __('Too many requests. Please wait and retry.'),
+  [ERROR_TYPES.AUTH_ERROR]: __('Authentication failed. Please check your API key.'),
+  [ERROR_TYPES.VALIDATION_ERROR]: __('Please check your request and try again.'),
+  [ERROR_TYPES.NETWORK_ERROR]: __('Network error. Please check your connection.'),
+  [ERROR_TYPES.API_ERROR]: __('API server error. Please retry.'),
+  [ERROR_TYPES.UNKNOWN]: __('An unexpected error occurred.'),
 };
 
 export interface ApiError {
@@ -110,11 +124,109 @@ export type ApiResponse<T> =
 type RequestOptions = Omit<RequestInit, 'headers'> & {
   headers?: Record<string, string>;
   signal?: AbortSignal;
+  /**
+   * Overrides for this request's retry policy, or false to never retry.
+   * Methods outside the policy's idempotentMethods only retry when this is set.
+   */
+  retry?: Partial<RetryPolicy> | false;
+  /** Called before each retry wait, e.g. to show a countdown. */
+  onRetry?: (info: RetryInfo) => void;
+  /**
+   * Requests with the same key replace each other: starting one cancels the
+   * one still running. Keyed requests are never shared with other callers.
+   */
+  key?: string;
 };
 
+interface InFlightRequest {
+  key: string | null;
+  controller: AbortController;
+}
+
+/**
+ * A GET that identical concurrent calls wait on together.
+ */
+interface SharedRead {
+  promise: Promise<ApiResponse<unknown>>;
+  /** Callers still waiting; when the last one cancels, the request is aborted. */
+  waiting: number;
+  abort: () => void;
+}
+
+/**
+ * Codes for a missing or expired REST nonce. The nonce is checked before the
+ * request does anything, so it is safe to replay with a fresh one.
+ */
+const NONCE_ERROR_CODES = new Set([
+  'agentwp_missing_nonce',
+  'agentwp_invalid_nonce',
+  'rest_cookie_invalid_nonce',
+]);
+
+const isNonceError = (response: ApiResponse<unknown>): boolean =>
+  !response.success && NONCE_ERROR_CODES.has(response.error.code);
+
+const createAbortError = (): DOMException =>
+  new DOMException('The request was cancelled.', 'AbortError');
+
+export interface IntentStreamProgress {
+  tool: string;
+  label: string;
+}
+
+export interface IntentStreamHandlers {
+  onDelta?: (text: string) => void;
+  onProgress?: (progress: IntentStreamProgress) => void;
+}
+
+interface StreamEvent {
+  event: string;
+  data: Record<string, unknown>;
+}
+
+/**
+ * Parse a single Server-Sent Events frame into its event name and JSON payload.
+ */
+const parseStreamFrame = (frame: string): StreamEvent | null => {
+  let event = 'message';
+  const dataLines: string[] = [];
+
+  for (const line of frame.split(/\r?\n/)) {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trimStart());
+    }
+  }
+
+  if (dataLines.length === 0) {
+    return null;
+  }
+
+  try {
+    const data: unknown = JSON.parse(dataLines.join('\n'));
+    return { event, data: isRecord(data) ? data : {} };
+  } catch {
+    return null;
+  }
+};
+
+const isEventStream = (
+  response: Response,
+): response is Response & { body: ReadableStream<Uint8Array> } =>
+  !!response.body && (response.headers.get('Content-Type') || '').includes('text/event-stream');
+
 const isRecord = (value: unknown): value is Record<string, unknown> =>
   typeof value === 'object' && value !== null && !Array.isArray(value);
 
+/**
+ * Check for cancellation errors (DOMException is not an Error in every environment).
+ */
+export const isAbortError = (error: unknown): boolean =>
+  typeof error === 'object' &&
+  error !== null &&
+  (error as { name?: unknown }).name === 'AbortError';
+
 const isErrorType = (value: string): value is ErrorType =>
   Object.values(ERROR_TYPES).includes(value as ErrorType);
 
@@ -122,6 +234,101 @@ const isErrorType = (value: string): value is ErrorType =>
  * AgentWP API Client class.
  */
 export class AgentWPClient {
+  retryPolicy: RetryPolicy = { ...DEFAULT_RETRY_POLICY };
+
+  inFlight = new Map<number, InFlightRequest>();
+
+  sharedReads = new Map<string, SharedRead>();
+
+  pendingListeners = new Set<() => void>();
+
+  nextRequestId = 0;
+
+  nonceRefresh: Promise<boolean> | null = null;
+
+  /**
+   * Change the retry policy for all later requests.
+   */
+  setRetryPolicy(policy: Partial<RetryPolicy>): void {
+    this.retryPolicy = { ...this.retryPolicy, ...policy };
+  }
+
+  /**
+   * Number of requests currently running, for loading indicators.
+   */
+  getPendingCount(): number {
+    return this.inFlight.size;
+  }
+
+  /**
+   * Listen for changes to the pending request count. Returns an unsubscribe function.
+   */
+  subscribePending(listener: () => void): () => void {
+    this.pendingListeners.add(listener);
+    return () => {
+      this.pendingListeners.delete(listener);
+    };
+  }
+
+  /**
+   * Abort every running request started with `key`.
+   */
+  cancel(key: string): void {
+    this.inFlight.forEach((request) => {
+      if (request.key === key) {
+        request.controller.abort();
+      }
+    });
+  }
+
+  /**
+   * Abort every running request.
+   */
+  cancelAll(): void {
+    this.inFlight.forEach((request) => request.controller.abort());
+  }
+
+  /**
+   * Register a running request, cancelling any earlier one with the same key.
+   * The returned signal aborts with the caller's signal or a later keyed request;
+   * call `done` once the request settles.
+   */
+  track(
+    key: string | null,
+    signal?: AbortSignal,
+  ): { signal: AbortSignal; abort: () => void; done: () => void } {
+    if (key) {
+      this.cancel(key);
+    }
+
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    if (signal?.aborted) {
+      abort();
+    } else {
+      signal?.addEventListener('abort', abort, { once: true });
+    }
+
+    const id = ++this.nextRequestId;
+    this.inFlight.set(id, { key, controller });
+    this.notifyPending();
+
+    return {
+      signal: controller.signal,
+      abort,
+      done: () => {
+        signal?.removeEventListener('abort', abort);
+        if (this.inFlight.delete(id)) {
+          this.notifyPending();
+        }
+      },
+    };
+  }
+
+  notifyPending(): void {
+    this.pendingListeners.forEach((listener) => listener());
+  }
+
   /**
    * Get the REST API base URL.
    */
@@ -152,6 +359,40 @@ export class AgentWPClient {
     return window.agentwpSettings.nonce || '';
   }
 
+  /**
+   * Fetch a fresh REST nonce and use it for every later request. Concurrent
+   * callers share one refresh. Resolves false when WordPress has no nonce to
+   * give, which means the login session itself has expired.
+   */
+  refreshNonce(): Promise<boolean> {
+    if (!this.nonceRefresh) {
+      this.nonceRefresh = this.fetchNonce().finally(() => {
+        this.nonceRefresh = null;
+      });
+    }
+    return this.nonceRefresh;
+  }
+
+  async fetchNonce(): Promise<boolean> {
+    const url = typeof window !== 'undefined' ? window.agentwpSettings?.nonceUrl : undefined;
+    if (!url) {
+      return false;
+    }
+
+    try {
+      const response = await fetch(url, { credentials: 'same-origin' });
+      const nonce = response.ok ? (await response.text()).trim() : '';
+      // admin-ajax answers "0" or "-1" instead of a nonce once logged out
+      if (!/^[a-f0-9]{10}$/i.test(nonce)) {
+        return false;
+      }
+      window.agentwpSettings = { ...window.agentwpSettings, nonce };
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
   /**
    * Build headers for API requests.
    */
@@ -312,48 +553,166 @@ export class AgentWPClient {
    * Make a generic API request.
    * Returns error response objects for API errors and network failures.
    * Only throws for abort signals to allow proper cancellation handling.
+   * Retryable failures of idempotent requests are retried per the retry policy,
+   * and identical unkeyed GETs already running are shared rather than repeated.
+   * A request refused for its nonce is replayed once with a fresh one.
    */
   async request<T = unknown>(
     endpoint: string,
     options: RequestOptions = {},
   ): Promise<ApiResponse<T>> {
-    const { signal, ...restOptions } = options;
+    const { signal, retry, onRetry, key, ...restOptions } = options;
     const url = `${this.getBaseUrl()}${endpoint}`;
+    const method = (restOptions.method || 'GET').toUpperCase();
 
     const config: RequestInit = {
       credentials: 'same-origin',
-      signal,
       ...restOptions,
-      headers: this.buildHeaders(restOptions.headers || {}),
     };
 
+    const policy: RetryPolicy = { ...this.retryPolicy, ...(retry || {}) };
+    const canRetry =
+      retry !== false && (retry !== undefined || policy.idempotentMethods.includes(method));
+
+    const send = async (requestSignal: AbortSignal): Promise<ApiResponse<T>> => {
+      let nonceRefreshed = false;
+      for (let attempt = 1; ; attempt++) {
+        // Headers are rebuilt each time so a replay carries the refreshed nonce
+        const result = await this.fetchOnce<T>(url, {
+          ...config,
+          headers: this.buildHeaders(restOptions.headers || {}),
+          signal: requestSignal,
+        });
+        if (!nonceRefreshed && isNonceError(result)) {
+          nonceRefreshed = true;
+          if (await this.refreshNonce()) {
+            attempt -= 1;
+            continue;
+          }
+        }
+        if (result.success || !canRetry) {
+          return result;
+        }
+
+        const delayMs = getRetryDelay(attempt, result.error, policy);
+        if (delayMs === null) {
+          return result;
+        }
+
+        onRetry?.({ attempt, maxRetries: policy.maxRetries, delayMs, error: result.error });
+        await waitForRetry(delayMs, requestSignal);
+      }
+    };
+
+    if (method === 'GET' && !key) {
+      return this.shareRead(url, send, signal);
+    }
+
+    const tracked = this.track(key ?? null, signal);
+    try {
+      return await send(tracked.signal);
+    } finally {
+      tracked.done();
+    }
+  }
+
+  /**
+   * Join the identical GET already running, or start it. Each caller can cancel
+   * its own wait; the request itself is aborted once nobody is waiting for it.
+   * Only the caller that started the request receives its retry callbacks.
+   */
+  shareRead<T>(
+    url: string,
+    send: (signal: AbortSignal) => Promise<ApiResponse<T>>,
+    signal?: AbortSignal,
+  ): Promise<ApiResponse<T>> {
+    if (signal?.aborted) {
+      return Promise.reject(createAbortError());
+    }
+
+    let read = this.sharedReads.get(url);
+    if (!read) {
+      const tracked = this.track(null);
+      const started: SharedRead = {
+        promise: send(tracked.signal).finally(() => {
+          tracked.done();
+          if (this.sharedReads.get(url) === started) {
+            this.sharedReads.delete(url);
+          }
+        }),
+        waiting: 0,
+        abort: () => {
+          // Later callers start afresh instead of joining a cancelled request
+          this.sharedReads.delete(url);
+          tracked.abort();
+        },
+      };
+      read = started;
+      this.sharedReads.set(url, read);
+    }
+
+    const shared = read;
+    shared.waiting += 1;
+
+    return new Promise<ApiResponse<T>>((resolve, reject) => {
+      const onAbort = () => {
+        shared.waiting -= 1;
+        if (shared.waiting === 0) {
+          shared.abort();
+        }
+        reject(createAbortError());
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      shared.promise.then(
+        (result) => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve(result as ApiResponse<T>);
+        },
+        (error: unknown) => {
+          signal?.removeEventListener('abort', onAbort);
+          reject(error);
+        },
+      );
+    });
+  }
+
+  /**
+   * Send one request and normalize the outcome.
+   */
+  async fetchOnce<T = unknown>(url: string, config: RequestInit): Promise<ApiResponse<T>> {
     try {
       const response = await fetch(url, config);
       return await this.handleResponse<T>(response);
     } catch (error: unknown) {
       // Re-throw abort errors to allow proper cancellation handling.
-      if (error instanceof Error && error.name === 'AbortError') {
+      if (isAbortError(error)) {
         throw error;
       }
 
-      const message = error instanceof Error ? error.message : '';
-
       // Return error object for network failures (consistent with API errors).
-      return {
-        success: false,
-        data: [] as [],
-        error: {
-          code: ERROR_CODES.NETWORK_ERROR,
-          message: message || DEFAULT_ERROR_MESSAGES[ERROR_TYPES.NETWORK_ERROR],
-          type: ERROR_TYPES.NETWORK_ERROR,
-          status: 0,
-          meta: {},
-          retryAfter: 0,
-        },
-      };
+      return this.buildNetworkError(error instanceof Error ? error.message : '');
     }
   }
 
+  /**
+   * Build error object for requests that never produced a usable response.
+   */
+  buildNetworkError(message = ''): ApiResponse<never> {
+    return {
+      success: false,
+      data: [] as [],
+      error: {
+        code: ERROR_CODES.NETWORK_ERROR,
+        message: message || DEFAULT_ERROR_MESSAGES[ERROR_TYPES.NETWORK_ERROR],
+        type: ERROR_TYPES.NETWORK_ERROR,
+        status: 0,
+        meta: {},
+        retryAfter: 0,
+      },
+    };
+  }
+
   /**
    * Process an intent request.
    */
@@ -370,6 +729,168 @@ export class AgentWPClient {
     });
   }
 
+  /**
+   * Process an intent request over Server-Sent Events.
+   * Text deltas and tool progress are delivered through the handlers while the
+   * request runs; the promise resolves with the same payload as processIntent.
+   * Falls back to a regular JSON response when the server does not stream.
+   */
+  async processIntentStream(
+    prompt: string,
+    context: Record<string, unknown> = {},
+    handlers: IntentStreamHandlers = {},
+    options: RequestOptions = {},
+  ): Promise<ApiResponse<IntentResponseData>> {
+    // A half-delivered stream cannot be replayed, so retry options do not apply here.
+    const { signal: callerSignal, retry: _retry, onRetry: _onRetry, key, ...restOptions } = options;
+    const payload: IntentRequest = { prompt, context };
+    const tracked = this.track(key ?? null, callerSignal);
+    const { signal } = tracked;
+
+    const open = () =>
+      fetch(`${this.getBaseUrl()}/intent/stream`, {
+        credentials: 'same-origin',
+        method: 'POST',
+        body: JSON.stringify(payload),
+        signal,
+        ...restOptions,
+        headers: this.buildHeaders({ Accept: 'text/event-stream', ...restOptions.headers }),
+      });
+
+    try {
+      let response = await open();
+      if (!isEventStream(response)) {
+        const result = await this.handleResponse<IntentResponseData>(response);
+        // Nonce errors come back before anything streams, so the request can be replayed
+        if (!isNonceError(result) || !(await this.refreshNonce())) {
+          return result;
+        }
+        response = await open();
+        if (!isEventStream(response)) {
+          return await this.handleResponse<IntentResponseData>(response);
+        }
+      }
+
+      const reader = response.body.getReader();
+      // Not every fetch implementation errors an open body on abort.
+      const cancelReader = () => void reader.cancel();
+      signal?.addEventListener('abort', cancelReader, { once: true });
+
+      try {
+        return await this.readIntentStream(response, reader, handlers, signal);
+      } finally {
+        signal?.removeEventListener('abort', cancelReader);
+      }
+    } catch (error: unknown) {
+      // Re-throw abort errors to allow proper cancellation handling.
+      if (isAbortError(error)) {
+        throw error;
+      }
+      return this.buildNetworkError(error instanceof Error ? error.message : '');
+    } finally {
+      tracked.done();
+    }
+  }
+
+  /**
+   * Read SSE frames from an intent stream until the `done` or `error` event.
+   */
+  async readIntentStream(
+    response: Response,
+    reader: ReadableStreamDefaultReader<Uint8Array>,
+    handlers: IntentStreamHandlers,
+    signal?: AbortSignal,
+  ): Promise<ApiResponse<IntentResponseData>> {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      signal?.throwIfAborted();
+      buffer += decoder.decode(value, { stream: !done });
+
+      const frames = buffer.split(/\r?\n\r?\n/);
+      buffer = done ? '' : (frames.pop() ?? '');
+
+      for (const frame of frames) {
+        const parsed = parseStreamFrame(frame);
+        if (!parsed) {
+          continue;
+        }
+        const { event, data } = parsed;
+
+        if (event === 'delta' && typeof data.text === 'string') {
+          handlers.onDelta?.(data.text);
+        } else if (event === 'progress') {
+          handlers.onProgress?.({
+            tool: typeof data.tool === 'string' ? data.tool : '',
+            label: typeof data.label === 'string' ? data.label : '',
+          });
+        } else if (event === 'done') {
+          void reader.cancel();
+          return { success: true, data: data as IntentResponseData };
+        } else if (event === 'error') {
+          void reader.cancel();
+          const result = this.buildErrorResponse(response, data);
+          if (!result.success && typeof data.status === 'number') {
+            result.error.status = data.status;
+          }
+          return result;
+        }
+      }
+
+      if (done) {
+        return this.buildNetworkError(__('The response stream ended unexpectedly.'));
+      }
+    }
+  }
+
+  /**
+   * Confirm and execute a pending draft.
+   */
+  async confirmDraft(
+    draftId: string,
+    options: RequestOptions = {},
+  ): Promise<ApiResponse<DraftConfirmResponseData>> {
+    return await this.request<DraftConfirmResponseData>(
+      `/drafts/${encodeURIComponent(draftId)}/confirm`,
+      {
+        method: 'POST',
+        ...options,
+      },
+    );
+  }
+
+  /**
+   * Cancel a pending draft.
+   */
+  async cancelDraft(
+    draftId: string,
+    options: RequestOptions = {},
+  ): Promise<ApiResponse<DraftCancelResponseData>> {
+    return await this.request<DraftCancelResponseData>(`/drafts/${encodeURIComponent(draftId)}`, {
+      method: 'DELETE',
+      ...options,
+    });
+  }
+
+  /**
+   * Discard a pending draft and ask for a revised one.
+   * The prompt should describe the draft and the requested changes.
+   */
+  async redraft(
+    draftId: string,
+    prompt: string,
+    context: Record<string, unknown> = {},
+    options: RequestOptions = {},
+  ): Promise<ApiResponse<IntentResponseData>> {
+    const cancelled = await this.cancelDraft(draftId, options);
+    if (!cancelled.success) {
+      return cancelled;
+    }
+    return await this.processIntent(prompt, { ...context, redraft_of: draftId }, options);
+  }
+
   /**
    * Search orders, products, or customers.
    */
@@ -389,13 +910,24 @@ export class AgentWPClient {
   }
 
   /**
-   * Get usage statistics.
+   * Get usage statistics for a period preset or a custom from/to range.
    */
   async getUsage(
-    period: UsagePeriod = 'month',
+    query: UsagePeriod | UsageQuery = 'month',
     options: RequestOptions = {},
   ): Promise<ApiResponse<UsageResponseData>> {
-    return await this.request<UsageResponseData>(`/usage?period=${encodeURIComponent(period)}`, {
+    const params = new URLSearchParams();
+    const { period, from, to, granularity } = typeof query === 'string' ? { period: query } : query;
+    if (from && to) {
+      params.append('from', from);
+      params.append('to', to);
+      if (granularity) {
+        params.append('granularity', granularity);
+      }
+    } else {
+      params.append('period', period ?? 'month');
+    }
+    return await this.request<UsageResponseData>(`/usage?${params.toString()}`, {
       method: 'GET',
       ...options,
     });
@@ -439,6 +971,16 @@ export class AgentWPClient {
     });
   }
 
+  /**
+   * Test the stored API key against OpenAI.
+   */
+  async testApiKey(options: RequestOptions = {}): Promise<ApiResponse<ApiKeyTestResponseData>> {
+    return await this.request<ApiKeyTestResponseData>('/settings/api-key/test', {
+      method: 'POST',
+      ...options,
+    });
+  }
+
   /**
    * Get theme preference.
    */
@@ -463,6 +1005,30 @@ export class AgentWPClient {
     });
   }
 
+  /**
+   * Get voice preferences.
+   */
+  async getVoicePreferences(options: RequestOptions = {}): Promise<ApiResponse<VoiceResponseData>> {
+    return await this.request<VoiceResponseData>('/voice', {
+      method: 'GET',
+      ...options,
+    });
+  }
+
+  /**
+   * Update voice preferences. Fields left out keep their stored value.
+   */
+  async updateVoicePreferences(
+    preferences: VoiceUpdateRequest,
+    options: RequestOptions = {},
+  ): Promise<ApiResponse<VoiceResponseData>> {
+    return await this.request<VoiceResponseData>('/voice', {
+      method: 'POST',
+      body: JSON.stringify(preferences),
+      ...options,
+    });
+  }
+
   /**
    * Get command history.
    */
@@ -498,6 +1064,19 @@ export class AgentWPClient {
     });
   }
 
+  /**
+   * Get the diagnostics snapshot: environment, key and encryption checks,
+   * rate limiter and cache state, and recent REST calls.
+   */
+  async getDiagnostics(
+    options: RequestOptions = {},
+  ): Promise<ApiResponse<DiagnosticsResponseData>> {
+    return await this.request<DiagnosticsResponseData>('/diagnostics', {
+      method: 'GET',
+      ...options,
+    });
+  }
+
   /**
    * Get analytics data.
    * Note: Analytics endpoint is not yet defined in the OpenAPI spec.
@@ -0,0 +1,104 @@
+/**
+ * Retry policy for AgentWPClient requests.
+ *
+ * Same shape as the server's ExponentialBackoffPolicy: jittered exponential
+ * backoff, except that a server-sent `retryAfter` is always honored in full
+ * rather than capped, since retrying sooner would only be refused again.
+ *
+ * @package AgentWP
+ */
+
+import type { ApiError } from './AgentWPClient';
+
+export interface RetryPolicy {
+  /** Retries after the first attempt; 0 turns retrying off. */
+  maxRetries: number;
+  /** Delay before the first retry, doubled for each later one. */
+  baseDelayMs: number;
+  maxDelayMs: number;
+  /** Longest server-requested wait to sit out; anything longer is left to the user. */
+  maxRetryAfterMs: number;
+  /** Random spread around each delay, as a share of it (0.25 = ±25%). */
+  jitterFactor: number;
+  /** HTTP methods that are safe to repeat without asking. */
+  idempotentMethods: string[];
+  retryableStatusCodes: number[];
+}
+
+export const DEFAULT_RETRY_POLICY: RetryPolicy = {
+  maxRetries: 2,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  maxRetryAfterMs: 120000,
+  jitterFactor: 0.25,
+  idempotentMethods: ['GET', 'HEAD'],
+  retryableStatusCodes: [408, 429, 500, 502, 503, 504],
+};
+
+/**
+ * A retry about to happen, reported so the UI can show a countdown.
+ */
+export interface RetryInfo {
+  /** 1 for the first retry. */
+  attempt: number;
+  maxRetries: number;
+  delayMs: number;
+  error: ApiError;
+}
+
+/** The parts of an error that decide whether and when to retry it. */
+type RetryableErrorFields = Pick<ApiError, 'type' | 'status' | 'retryAfter'>;
+
+export const isRetryableError = (
+  error: RetryableErrorFields,
+  policy: RetryPolicy = DEFAULT_RETRY_POLICY,
+): boolean =>
+  error.type === 'network_error' ||
+  error.type === 'rate_limit' ||
+  policy.retryableStatusCodes.includes(error.status);
+
+/**
+ * Milliseconds to wait before retry number `attempt` (1-based), or null when
+ * the error should not be retried at all.
+ */
+export const getRetryDelay = (
+  attempt: number,
+  error: RetryableErrorFields,
+  policy: RetryPolicy = DEFAULT_RETRY_POLICY,
+  random: () => number = Math.random,
+): number | null => {
+  if (attempt > policy.maxRetries || !isRetryableError(error, policy)) {
+    return null;
+  }
+
+  if (error.retryAfter > 0) {
+    const retryAfterMs = error.retryAfter * 1000;
+    return retryAfterMs <= policy.maxRetryAfterMs ? retryAfterMs : null;
+  }
+
+  const exponent = Math.min(Math.max(0, attempt - 1), 30);
+  const delay = Math.min(policy.baseDelayMs * 2 ** exponent, policy.maxDelayMs);
+  const jitter = delay * policy.jitterFactor * (random() * 2 - 1);
+
+  return Math.round(Math.min(Math.max(0, delay + jitter), policy.maxDelayMs));
+};
+
+/**
+ * Resolve after `ms`, or reject with an AbortError as soon as the signal aborts.
+ */
+export const waitForRetry = (ms: number, signal?: AbortSignal): Promise<void> =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('The retry was cancelled.', 'AbortError'));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new DOMException('The retry was cancelled.', 'AbortError'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
@@ -1,5 +1,6 @@
 import * as React from 'react';
 import { ErrorCard } from './cards';
+import { __ } from '../utils/i18n';
 
 const IS_DEV = import.meta.env?.DEV ?? false;
 
@@ -48,9 +49,9 @@ export default class ErrorBoundary extends React.Component<ErrorBoundaryProps, E
       return (
         <div className="p-6">
           <ErrorCard
-            title="AgentWP ran into a problem"
-            message="Please refresh the page to try again."
-            retryLabel="Reload"
+            title={__('AgentWP ran into a problem')}
+            message={__('Please refresh the page to try again.')}
+            retryLabel={__('Reload')}
             onRetry={this.handleReload}
           />
         </div>
@@ -1,4 +1,6 @@
 import { useMemo, useRef, type TouchEvent } from 'react';
+import { formatDate, formatTime } from '../utils/formatters';
+import { __, isRTL, sprintf } from '../utils/i18n';
 
 interface StarIconProps {
   filled: boolean;
@@ -45,33 +47,22 @@ export interface MostUsedEntry {
 const buildCommandKey = (entry: Partial<CommandHistoryEntry>): string =>
   `${entry?.raw_input || ''}::${entry?.parsed_intent || ''}`;
 
-const formatTime = (timestamp: number): string => {
-  const date = new Date(timestamp);
-  if (Number.isNaN(date.getTime())) {
-    return '';
-  }
-  return date.toLocaleTimeString(undefined, {
-    hour: 'numeric',
-    minute: '2-digit',
-  });
-};
-
 const formatDayLabel = (timestamp: number, now: Date): string => {
   const date = new Date(timestamp);
   if (Number.isNaN(date.getTime())) {
-    return 'Unknown date';
+    return __('Unknown date');
   }
   const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
   const startOfDate = new Date(date.getFullYear(), date.getMonth(), date.getDate());
   const diffDays = Math.round((startOfToday.getTime() - startOfDate.getTime()) / 86400000);
 
   if (diffDays === 0) {
-    return 'Today';
+    return __('Today');
   }
   if (diffDays === 1) {
-    return 'Yesterday';
+    return __('Yesterday');
   }
-  return date.toLocaleDateString(undefined, {
+  return formatDate(date, {
     month: 'short',
     day: 'numeric',
     year: 'numeric',
@@ -157,7 +148,9 @@ export default function HistoryPanel({
     }
     const deltaX = touch.clientX - start.x;
     const deltaY = touch.clientY - start.y;
-    if (deltaX < -60 && Math.abs(deltaY) < 40) {
+    // Swipe toward the start edge: left, or right in RTL layouts
+    const towardStart = isRTL() ? deltaX > 60 : deltaX < -60;
+    if (towardStart && Math.abs(deltaY) < 40) {
       onDelete?.(entry);
     }
   };
@@ -169,7 +162,7 @@ export default function HistoryPanel({
     const isStarred = isFavorited ? isFavorited(entry) : favoriteKeys.has(buildCommandKey(entry));
     const canFavorite = entry.was_successful || isStarred;
     const timeLabel = formatTime(entry.timestamp);
-    const statusLabel = entry.was_successful ? 'Successful' : 'Failed';
+    const statusLabel = entry.was_successful ? __('Successful') : __('Failed');
     const statusColor = entry.was_successful ? 'bg-emerald-400/70' : 'bg-rose-400/70';
 
     return (
@@ -182,7 +175,7 @@ export default function HistoryPanel({
         <button
           type="button"
           onClick={() => onRun?.(entry.raw_input)}
-          className="flex-1 text-left focus:outline-none focus-visible:ring-2 focus-visible:ring-sky-400"
+          className="flex-1 text-start focus:outline-none focus-visible:ring-2 focus-visible:ring-sky-400"
         >
           <span className="block text-sm font-semibold text-slate-100">{entry.raw_input}</span>
           <span className="mt-1 flex flex-wrap items-center gap-2 text-[11px] text-slate-500">
@@ -206,7 +199,7 @@ export default function HistoryPanel({
                 ? 'border-slate-700/70 text-slate-400 hover:border-slate-500/80 hover:text-slate-200'
                 : 'cursor-not-allowed border-slate-800/60 text-slate-600'
           }`}
-          aria-label={isStarred ? 'Remove favorite' : 'Add favorite'}
+          aria-label={isStarred ? __('Remove favorite') : __('Add favorite')}
         >
           <StarIcon filled={isStarred} />
         </button>
@@ -215,7 +208,7 @@ export default function HistoryPanel({
             type="button"
             onClick={() => onDelete?.(entry)}
             className="inline-flex h-8 w-8 items-center justify-center rounded-full border border-slate-700/70 text-slate-400 transition hover:border-slate-500/80 hover:text-slate-200 focus:outline-none focus-visible:ring-2 focus-visible:ring-rose-300"
-            aria-label="Remove from history"
+            aria-label={__('Remove from history')}
           >
             <TrashIcon />
           </button>
@@ -229,9 +222,9 @@ export default function HistoryPanel({
       <div className="flex flex-wrap items-center justify-between gap-3">
         <div>
           <p className="text-xs font-semibold uppercase tracking-[0.3em] text-slate-500">
-            Command history
+            {__('Command history')}
           </p>
-          <p className="text-sm text-slate-300">Re-run recent commands or pin favorites.</p>
+          <p className="text-sm text-slate-300">{__('Re-run recent commands or pin favorites.')}</p>
         </div>
         <button
           type="button"
@@ -243,13 +236,13 @@ export default function HistoryPanel({
               : 'cursor-not-allowed border-slate-700/60 bg-slate-900/50 text-slate-500'
           }`}
         >
-          Clear history
+          {__('Clear history')}
         </button>
       </div>
 
       <div className="space-y-2">
         <p className="text-[11px] font-semibold uppercase tracking-[0.3em] text-slate-500">
-          Favorites
+          {__('Favorites')}
         </p>
         {favorites.length ? (
           <div className="space-y-2">
@@ -257,7 +250,7 @@ export default function HistoryPanel({
           </div>
         ) : (
           <p className="text-xs text-slate-500">
-            No favorites yet. Star a successful command to keep it here.
+            {__('No favorites yet. Star a successful command to keep it here.')}
           </p>
         )}
       </div>
@@ -265,7 +258,7 @@ export default function HistoryPanel({
       {mostUsed.length ? (
         <div className="space-y-2">
           <p className="text-[11px] font-semibold uppercase tracking-[0.3em] text-slate-500">
-            Most used
+            {__('Most used')}
           </p>
           <div className="flex flex-wrap gap-2">
             {mostUsed.map((entry) => (
@@ -276,7 +269,12 @@ export default function HistoryPanel({
                 className="inline-flex max-w-full items-center gap-2 rounded-full border border-slate-700/70 bg-slate-950/40 px-3 py-1 text-xs text-slate-200 transition hover:border-slate-500/80 hover:text-white focus:outline-none focus-visible:ring-2 focus-visible:ring-sky-400"
               >
                 <span className="max-w-[200px] truncate">{entry.raw_input}</span>
-                <span className="text-[10px] text-slate-500">{entry.count}x</span>
+                <span className="text-[10px] text-slate-500">
+                  {
+                    /* translators: %d: how many times the command was run */
+                    sprintf(__('%dx'), entry.count)
+                  }
+                </span>
               </button>
             ))}
           </div>
@@ -285,7 +283,7 @@ export default function HistoryPanel({
 
       <div className="space-y-2">
         <p className="text-[11px] font-semibold uppercase tracking-[0.3em] text-slate-500">
-          Recent commands
+          {__('Recent commands')}
         </p>
         {history.length ? (
           <div className="space-y-3">
@@ -301,8 +299,8 @@ export default function HistoryPanel({
         ) : (
           <p className="text-xs text-slate-500">
             {totalHistory
-              ? 'All recent commands are already favorited.'
-              : 'No commands yet. Ask AgentWP to get started.'}
+              ? __('All recent commands are already favorited.')
+              : __('No commands yet. Ask AgentWP to get started.')}
           </p>
         )}
       </div>
@@ -0,0 +1,37 @@
+import { usePendingRequests } from '../hooks/usePendingRequests';
+import { _n, sprintf } from '../utils/i18n';
+
+interface PendingRequestsIndicatorProps {
+  className?: string;
+}
+
+/**
+ * Pulsing badge while any AgentWP request is running; renders nothing when idle.
+ */
+export default function PendingRequestsIndicator({
+  className = '',
+}: PendingRequestsIndicatorProps) {
+  const pending = usePendingRequests();
+
+  if (pending === 0) {
+    return null;
+  }
+
+  const label = sprintf(
+    /* translators: %d: number of running requests */
+    _n('%d request in progress', '%d requests in progress', pending),
+    pending,
+  );
+
+  return (
+    <span
+      className={`flex items-center gap-1.5 text-xs text-slate-400 ${className}`}
+      aria-live="polite"
+      title={label}
+    >
+      <span className="h-1.5 w-1.5 animate-pulse rounded-full bg-indigo-400" aria-hidden="true" />
+      <span aria-hidden="true">{pending}</span>
+      <span className="sr-only">{label}</span>
+    </span>
+  );
+}
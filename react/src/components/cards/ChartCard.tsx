@@ -21,6 +21,10 @@ import {
 } from 'chart.js';
 import { Bar, Doughnut, Line } from 'react-chartjs-2';
 import BaseCard, { type CardTheme } from './BaseCard';
+import ExportActions from './ExportActions';
+import { currencyFormatter } from '../../utils/formatters';
+import { __, isRTL, sprintf } from '../../utils/i18n';
+import type { ExportReport, ExportValue } from '../../utils/export';
 
 ChartJS.register(
   CategoryScale,
@@ -51,12 +55,6 @@ const CHART_COMPONENTS = {
 
 type ChartKind = keyof typeof CHART_COMPONENTS;
 
-const currencyFormatter = new Intl.NumberFormat('en-US', {
-  style: 'currency',
-  currency: 'USD',
-  maximumFractionDigits: 0,
-});
-
 const formatCurrency = (value: unknown): string => {
   if (typeof value !== 'number' || Number.isNaN(value)) {
     return value?.toString() ?? '';
@@ -153,8 +151,49 @@ const buildChartPalette = (
   };
 };
 
+interface ChartDataset {
+  label?: unknown;
+  data?: unknown;
+}
+
+/**
+ * Turn chart labels and datasets into one row per label, one column per series.
+ */
+const buildChartExportTable = (
+  title: string,
+  data: Record<string, unknown>,
+  formatter: Intl.NumberFormat | undefined,
+) => {
+  const labels = Array.isArray(data.labels) ? (data.labels as unknown[]) : [];
+  const datasets = Array.isArray(data.datasets) ? (data.datasets as ChartDataset[]) : [];
+  return {
+    title,
+    columns: [
+      { label: __('Label') },
+      ...datasets.map((dataset, index) => ({
+        label:
+          typeof dataset.label === 'string'
+            ? dataset.label
+            : sprintf(
+                /* translators: %d: series number */
+                __('Series %d'),
+                index + 1,
+              ),
+        formatter,
+      })),
+    ],
+    rows: labels.map((label, labelIndex): ExportValue[] => [
+      String(label),
+      ...datasets.map((dataset) => {
+        const value = Array.isArray(dataset.data) ? (dataset.data[labelIndex] as unknown) : null;
+        return typeof value === 'number' || typeof value === 'string' ? value : null;
+      }),
+    ]),
+  };
+};
+
 /**
- * Chart card for analytics visualizations with export support.
+ * Chart card for analytics visualizations with image and data export.
  *
  * @returns {JSX.Element}
  */
@@ -185,7 +224,11 @@ export interface ChartCardProps {
   exportFilename?: string;
   exportLabel?: string;
   valueFormatter?: (value: unknown) => string;
+  /** Number format for CSV/XLSX/PDF exports; defaults to whole-dollar currency. */
+  exportFormatter?: Intl.NumberFormat;
   yAxisFormatter?: ((value: unknown) => string) | undefined;
+  /** Called with the label index when a point, bar or slice is clicked. */
+  onSelect?: (index: number) => void;
   className?: string;
 }
 
@@ -209,7 +252,7 @@ type ChartOptionsInput = Record<string, unknown> & {
 };
 
 export default function ChartCard({
-  title = 'Performance snapshot',
+  title = __('Performance snapshot'),
   subtitle,
   metric,
   trend,
@@ -222,9 +265,11 @@ export default function ChartCard({
   table,
   height = 220,
   exportFilename = 'agentwp-chart.png',
-  exportLabel = 'Export PNG',
+  exportLabel = __('Export PNG'),
   valueFormatter = formatCurrency,
+  exportFormatter = currencyFormatter,
   yAxisFormatter,
+  onSelect,
   className = '',
 }: ChartCardProps) {
   const prefersDark = usePrefersDark();
@@ -286,7 +331,26 @@ export default function ChartCard({
 
   const mergedOptions = useMemo(() => {
     const hasScales = type !== 'doughnut';
+    const selectOptions = onSelect
+      ? {
+          onClick: (_event: unknown, elements: Array<{ index: number }>) => {
+            const first = elements[0];
+            if (first) {
+              onSelect(first.index);
+            }
+          },
+          onHover: (event: { native?: Event | null }, elements: unknown[]) => {
+            const target = event.native?.target;
+            if (target instanceof HTMLElement) {
+              target.style.cursor = elements.length > 0 ? 'pointer' : 'default';
+            }
+          },
+        }
+      : {};
+    // Canvas charts don't follow CSS direction, so mirror them for RTL admins
+    const rtl = isRTL();
     const baseOptions: ChartOptionsInput = {
+      ...selectOptions,
       responsive: true,
       maintainAspectRatio: false,
       devicePixelRatio: 2,
@@ -300,6 +364,7 @@ export default function ChartCard({
       },
       plugins: {
         legend: {
+          rtl,
           labels: {
             color: palette.text,
             font: {
@@ -312,6 +377,7 @@ export default function ChartCard({
           },
         },
         tooltip: {
+          rtl,
           backgroundColor: palette.tooltipBg,
           borderColor: palette.tooltipBorder,
           borderWidth: 1,
@@ -323,6 +389,7 @@ export default function ChartCard({
       scales: hasScales
         ? {
             x: {
+              reverse: rtl,
               ticks: {
                 color: palette.muted,
               },
@@ -331,6 +398,7 @@ export default function ChartCard({
               },
             },
             y: {
+              position: rtl ? 'right' : 'left',
               ticks: {
                 color: palette.muted,
                 callback: yAxisFormatter || valueFormatter,
@@ -385,7 +453,7 @@ export default function ChartCard({
           }
         : options.scales,
     };
-  }, [options, palette, tooltipCallbacks, type, valueFormatter, yAxisFormatter]);
+  }, [onSelect, options, palette, tooltipCallbacks, type, valueFormatter, yAxisFormatter]);
 
   const handleExport = () => {
     if (!chartRef.current || exportStatus === 'exporting') {
@@ -412,11 +480,17 @@ export default function ChartCard({
     }
   };
 
+  const buildReport = (): ExportReport => ({
+    title,
+    subtitle: typeof subtitle === 'string' ? subtitle : undefined,
+    tables: [buildChartExportTable(title, data, exportFormatter)],
+  });
+
   const resolvedExportLabel =
     exportStatus === 'exporting'
-      ? 'Exporting...'
+      ? __('Exporting...')
       : exportStatus === 'exported'
-        ? 'Exported'
+        ? __('Exported')
         : exportLabel;
 
   return (
@@ -429,14 +503,17 @@ export default function ChartCard({
       theme={resolvedTheme}
       className={className}
       actions={
-        <button
-          type="button"
-          onClick={handleExport}
-          disabled={exportStatus === 'exporting'}
-          className={`agentwp-card__button ${exportStatus === 'exported' ? 'agentwp-card__button--muted' : ''}`}
-        >
-          {resolvedExportLabel}
-        </button>
+        <>
+          <button
+            type="button"
+            onClick={handleExport}
+            disabled={exportStatus === 'exporting'}
+            className={`agentwp-card__button ${exportStatus === 'exported' ? 'agentwp-card__button--muted' : ''}`}
+          >
+            {resolvedExportLabel}
+          </button>
+          <ExportActions getReport={buildReport} label={title} />
+        </>
       }
     >
       {(metric || trend) && (
@@ -1,4 +1,6 @@
+import type { ReactNode } from 'react';
 import BaseCard, { type CardTheme } from './BaseCard';
+import { __ } from '../../utils/i18n';
 
 const WarningIcon = () => (
   <svg viewBox="0 0 24 24" width="20" height="20" aria-hidden="true" focusable="false">
@@ -16,26 +18,35 @@ const WarningIcon = () => (
  */
 export interface DangerousActionCardProps {
   title?: string;
+  subtitle?: ReactNode;
   details?: string;
+  children?: ReactNode;
   executeLabel?: string;
   cancelLabel?: string;
   onExecute?: (() => void) | undefined;
   onCancel?: (() => void) | undefined;
+  extraActions?: ReactNode;
+  disabled?: boolean;
   theme?: CardTheme;
 }
 
 export default function DangerousActionCard({
-  title = 'Confirm action',
+  title = __('Confirm action'),
+  subtitle,
   details,
-  executeLabel = 'Execute',
-  cancelLabel = 'Cancel',
+  children,
+  executeLabel = __('Execute'),
+  cancelLabel = __('Cancel'),
   onExecute,
   onCancel,
+  extraActions,
+  disabled = false,
   theme = 'auto',
 }: DangerousActionCardProps) {
   return (
     <BaseCard
       title={title}
+      subtitle={subtitle}
       icon={<WarningIcon />}
       variant="danger"
       accent
@@ -46,6 +57,7 @@ export default function DangerousActionCard({
             type="button"
             className="agentwp-card__button agentwp-card__button--danger"
             onClick={onExecute}
+            disabled={disabled}
           >
             {executeLabel}
           </button>
@@ -53,13 +65,20 @@ export default function DangerousActionCard({
             type="button"
             className="agentwp-card__button agentwp-card__button--muted"
             onClick={onCancel}
+            disabled={disabled}
           >
             {cancelLabel}
           </button>
+          {extraActions}
         </>
       }
     >
-      {details && <p className="agentwp-card__text">{details}</p>}
+      {details || children ? (
+        <>
+          {details && <p className="agentwp-card__text">{details}</p>}
+          {children}
+        </>
+      ) : null}
     </BaseCard>
   );
 }
@@ -1,5 +1,8 @@
 import { isValidElement, useEffect, useMemo, useState, type ReactNode } from 'react';
 import BaseCard, { type CardTheme } from './BaseCard';
+import ExportActions from './ExportActions';
+import type { ExportReport, ExportValue } from '../../utils/export';
+import { __, sprintf } from '../../utils/i18n';
 
 export interface DataTableColumn<RowType> {
   key: string;
@@ -9,8 +12,13 @@ export interface DataTableColumn<RowType> {
   sortable?: boolean;
   render?: (row: RowType) => ReactNode;
   sortValue?: (row: RowType) => unknown;
+  /** Exports keep the raw number and format it with this, instead of the rendered text. */
+  formatter?: Intl.NumberFormat;
 }
 
+// Left and right mean the reading direction's start and end, so RTL tables mirror
+const TEXT_ALIGN = { left: 'start', center: 'center', right: 'end' } as const;
+
 const getSortValue = <RowType extends Record<string, unknown>>(
   row: RowType,
   column: DataTableColumn<RowType>,
@@ -39,8 +47,26 @@ const compareValues = (aValue: unknown, bValue: unknown): number => {
   return aString.localeCompare(bString);
 };
 
+const getExportValue = <RowType extends Record<string, unknown>>(
+  row: RowType,
+  column: DataTableColumn<RowType>,
+): ExportValue => {
+  const raw = row[column.key];
+  if (column.formatter && typeof raw === 'number') {
+    return raw;
+  }
+  const value = column.render ? column.render(row) : raw;
+  if (value == null || typeof value === 'string' || typeof value === 'number') {
+    return value;
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'true' : 'false';
+  }
+  return typeof raw === 'object' && raw !== null ? JSON.stringify(raw) : String(raw ?? '');
+};
+
 /**
- * Data table card with sorting and pagination.
+ * Data table card with sorting, pagination and CSV/XLSX/PDF export.
  *
  * @returns {JSX.Element}
  */
@@ -53,17 +79,19 @@ export interface DataTableCardProps<RowType extends Record<string, unknown>> {
   getRowId?: (row: RowType, rowIndex: number) => string | number;
   emptyMessage?: string;
   theme?: CardTheme;
+  exportable?: boolean;
 }
 
 export default function DataTableCard<RowType extends Record<string, unknown>>({
-  title = 'Data table',
+  title = __('Data table'),
   subtitle,
   columns,
   rows,
   pageSize = 10,
   getRowId,
-  emptyMessage = 'No data available.',
+  emptyMessage = __('No data available.'),
   theme = 'auto',
+  exportable = true,
 }: DataTableCardProps<RowType>) {
   const [sortConfig, setSortConfig] = useState<{ key: string | null; direction: 'asc' | 'desc' }>({
     key: null,
@@ -125,6 +153,24 @@ export default function DataTableCard<RowType extends Record<string, unknown>>({
 
   const paginationVisible = sortedRows.length > pageSize;
 
+  // Exports every row in the current sort order, not just the visible page
+  const buildReport = (): ExportReport => ({
+    title,
+    subtitle: typeof subtitle === 'string' ? subtitle : undefined,
+    tables: [
+      {
+        title,
+        columns: normalizedColumns.map((column) => ({
+          label: column.label || column.key || __('Column'),
+          formatter: column.formatter,
+        })),
+        rows: sortedRows.map((row) =>
+          normalizedColumns.map((column) => getExportValue(row, column)),
+        ),
+      },
+    ],
+  });
+
   const renderCellValue = (value: unknown): ReactNode => {
     if (value == null) {
       return '--';
@@ -152,7 +198,17 @@ export default function DataTableCard<RowType extends Record<string, unknown>>({
   };
 
   return (
-    <BaseCard title={title} subtitle={subtitle} variant="info" theme={theme}>
+    <BaseCard
+      title={title}
+      subtitle={subtitle}
+      variant="info"
+      theme={theme}
+      actions={
+        exportable && sortedRows.length > 0 ? (
+          <ExportActions getReport={buildReport} label={title} />
+        ) : undefined
+      }
+    >
       <div className="agentwp-card__table-wrapper">
         <table className="agentwp-card__table">
           <thead>
@@ -166,21 +222,24 @@ export default function DataTableCard<RowType extends Record<string, unknown>>({
                   : 'none';
                 const align = column.align || 'left';
                 const isSortable = column.sortable !== false;
-                const label = column.label || column.key || 'Column';
+                const label = column.label || column.key || __('Column');
 
                 return (
                   <th
                     key={column.key || column.label || label}
                     scope="col"
                     aria-sort={isSortable ? ariaSort : undefined}
-                    style={{ textAlign: align, width: column.width }}
+                    style={{ textAlign: TEXT_ALIGN[align], width: column.width }}
                   >
                     {isSortable ? (
                       <button
                         type="button"
                         className="agentwp-card__sort-button"
                         onClick={() => handleSort(column)}
-                        aria-label={`Sort by ${label}`}
+                        aria-label={
+                          /* translators: %s: column name */
+                          sprintf(__('Sort by %s'), label)
+                        }
                       >
                         <span>{label}</span>
                         <span className="agentwp-card__sort-indicator">
@@ -216,12 +275,12 @@ export default function DataTableCard<RowType extends Record<string, unknown>>({
                 return (
                   <tr key={rowKey}>
                     {normalizedColumns.map((column) => {
-                      const label = column.label || column.key || 'Column';
+                      const label = column.label || column.key || __('Column');
                       const value = column.render ? column.render(row) : row[column.key];
                       return (
                         <td
                           key={column.key || column.label || label}
-                          style={{ textAlign: column.align || 'left' }}
+                          style={{ textAlign: TEXT_ALIGN[column.align || 'left'] }}
                         >
                           {renderCellValue(value)}
                         </td>
@@ -238,7 +297,13 @@ export default function DataTableCard<RowType extends Record<string, unknown>>({
       {paginationVisible && (
         <div className="agentwp-card__pagination">
           <span>
-            Showing {sortedRows.length === 0 ? 0 : startIndex + 1}-{endIndex} of {sortedRows.length}
+            {sprintf(
+              /* translators: 1: first row shown, 2: last row shown, 3: total rows */
+              __('Showing %1$d-%2$d of %3$d'),
+              sortedRows.length === 0 ? 0 : startIndex + 1,
+              endIndex,
+              sortedRows.length,
+            )}
           </span>
           <div className="agentwp-card__pagination-controls">
             <button
@@ -247,7 +312,7 @@ export default function DataTableCard<RowType extends Record<string, unknown>>({
               onClick={() => setPage((prev) => Math.max(prev - 1, 1))}
               disabled={safePage === 1}
             >
-              Previous
+              {__('Previous')}
             </button>
             <button
               type="button"
@@ -255,7 +320,7 @@ export default function DataTableCard<RowType extends Record<string, unknown>>({
               onClick={() => setPage((prev) => Math.min(prev + 1, pageCount))}
               disabled={safePage === pageCount}
             >
-              Next
+              {__('Next')}
             </button>
           </div>
         </div>
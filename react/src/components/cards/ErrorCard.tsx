@@ -1,5 +1,6 @@
 import type { ReactNode } from 'react';
 import BaseCard, { type CardTheme } from './BaseCard';
+import { __ } from '../../utils/i18n';
 
 const ErrorIcon = () => (
   <svg viewBox="0 0 24 24" width="20" height="20" aria-hidden="true" focusable="false">
@@ -27,10 +28,10 @@ export interface ErrorCardProps {
 }
 
 export default function ErrorCard({
-  title = 'Something went wrong',
+  title = __('Something went wrong'),
   message,
-  retryLabel = 'Retry',
-  reportLabel = 'Report Issue',
+  retryLabel = __('Retry'),
+  reportLabel = __('Report Issue'),
   onRetry,
   onReport,
   reportHref,
@@ -0,0 +1,51 @@
+import {
+  EXPORT_FORMAT_LABELS,
+  exportReport,
+  type ExportFormat,
+  type ExportReport,
+} from '../../utils/export';
+import { __, sprintf } from '../../utils/i18n';
+
+const DEFAULT_FORMATS: ExportFormat[] = ['csv', 'xlsx', 'pdf'];
+
+/**
+ * Buttons that export a report as CSV, XLSX or a printable PDF.
+ *
+ * @returns {JSX.Element}
+ */
+export interface ExportActionsProps {
+  /** Built on click so large tables aren't serialized on every render. */
+  getReport: () => ExportReport;
+  /** Used in accessible names, e.g. "Export Orders as CSV". */
+  label: string;
+  formats?: ExportFormat[];
+  buttonClassName?: string;
+}
+
+export default function ExportActions({
+  getReport,
+  label,
+  formats = DEFAULT_FORMATS,
+  buttonClassName = 'agentwp-card__button',
+}: ExportActionsProps) {
+  return (
+    <>
+      {formats.map((format) => (
+        <button
+          key={format}
+          type="button"
+          onClick={() => exportReport(getReport(), format)}
+          aria-label={sprintf(
+            /* translators: 1: what is exported, e.g. "Orders", 2: file format, e.g. "CSV" */
+            __('Export %1$s as %2$s'),
+            label,
+            EXPORT_FORMAT_LABELS[format],
+          )}
+          className={buttonClassName}
+        >
+          {EXPORT_FORMAT_LABELS[format]}
+        </button>
+      ))}
+    </>
+  );
+}
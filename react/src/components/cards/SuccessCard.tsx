@@ -1,4 +1,5 @@
 import BaseCard, { type CardTheme } from './BaseCard';
+import { __ } from '../../utils/i18n';
 
 const CheckIcon = () => (
   <svg viewBox="0 0 24 24" width="20" height="20" aria-hidden="true" focusable="false">
@@ -27,15 +28,15 @@ export interface SuccessCardProps {
 }
 
 export default function SuccessCard({
-  title = 'Action completed',
+  title = __('Action completed'),
   summary,
-  undoLabel = 'Undo',
+  undoLabel = __('Undo'),
   onUndo,
   undoHref,
   theme = 'auto',
   onStar,
   isStarred = false,
-  starLabel = 'Star',
+  starLabel = __('Star'),
 }: SuccessCardProps) {
   const undoAction = onUndo ? (
     <button type="button" className="agentwp-card__link" onClick={onUndo}>
@@ -49,7 +50,7 @@ export default function SuccessCard({
 
   const starAction = onStar ? (
     <button type="button" className="agentwp-card__link" onClick={onStar} aria-pressed={isStarred}>
-      {isStarred ? 'Starred' : starLabel}
+      {isStarred ? __('Starred') : starLabel}
     </button>
   ) : null;
 
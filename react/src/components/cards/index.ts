@@ -7,3 +7,4 @@ export { default as ErrorCard } from './ErrorCard';
 export { default as InfoCard } from './InfoCard';
 export const ChartCard = lazy(() => import('./ChartCard'));
 export { default as DataTableCard } from './DataTableCard';
+export { default as ExportActions } from './ExportActions';
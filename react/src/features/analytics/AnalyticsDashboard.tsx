@@ -0,0 +1,158 @@
+import { useCallback, useMemo } from 'react';
+import { ChartCard, ExportActions } from '../../components/cards';
+import type { CardTheme } from '../../components/cards/BaseCard';
+import type { AnalyticsData } from '../../types';
+import { getChartColor } from '../../utils/analytics-data';
+import { formatCurrencyValue } from '../../utils/formatters';
+import { __, sprintf } from '../../utils/i18n';
+import {
+  buildAnalyticsReport,
+  buildCategoryChartData,
+  buildMetricTiles,
+  buildTrendChartData,
+  buildTrendTable,
+  formatDelta,
+  getCategoryDrillDownPrompt,
+  getComparisonLabel,
+  getComparisonSubtitle,
+  getDayDrillDownPrompt,
+} from './dashboard-data';
+
+const EXPORT_BUTTON_CLASS =
+  'rounded-lg border border-slate-700/60 px-2.5 py-1 text-xs font-medium text-slate-300 transition-colors hover:border-indigo-500 hover:text-white';
+
+interface AnalyticsDashboardProps {
+  data: AnalyticsData;
+  theme?: CardTheme;
+  /** Receives a prefilled prompt when a day or category is clicked. */
+  onDrillDown?: (prompt: string) => void;
+}
+
+/**
+ * KPI tiles, a current-vs-previous revenue trend and a category breakdown.
+ * ChartCard loads lazily, so render this inside AnalyticsSection's Suspense.
+ */
+export function AnalyticsDashboard({ data, theme = 'auto', onDrillDown }: AnalyticsDashboardProps) {
+  const tiles = useMemo(() => buildMetricTiles(data), [data]);
+  const trendData = useMemo(() => buildTrendChartData(data), [data]);
+  const trendTable = useMemo(() => buildTrendTable(data), [data]);
+  const categoryData = useMemo(() => buildCategoryChartData(data), [data]);
+  const revenueTile = tiles[0];
+
+  // Stable handlers so ChartCard doesn't rebuild its options on every render
+  const handleSelectDay = useCallback(
+    (index: number) => {
+      const prompt = getDayDrillDownPrompt(data, index);
+      if (prompt) onDrillDown?.(prompt);
+    },
+    [data, onDrillDown],
+  );
+  const handleSelectCategory = useCallback(
+    (index: number) => {
+      const prompt = getCategoryDrillDownPrompt(data, index);
+      if (prompt) onDrillDown?.(prompt);
+    },
+    [data, onDrillDown],
+  );
+
+  return (
+    <div className="space-y-4">
+      <div
+        className="flex flex-wrap items-center justify-end gap-2"
+        role="group"
+        aria-label={__('Export analytics')}
+      >
+        <span className="text-xs text-slate-500">{__('Export report:')}</span>
+        <ExportActions
+          getReport={() => buildAnalyticsReport(data)}
+          label={__('analytics report')}
+          buttonClassName={EXPORT_BUTTON_CLASS}
+        />
+      </div>
+
+      <dl className="grid gap-3 sm:grid-cols-4" aria-label={__('Key metrics')}>
+        {tiles.map((tile) => (
+          <div
+            key={tile.label}
+            className="rounded-xl border border-slate-800/80 bg-slate-950/40 px-3 py-2"
+          >
+            <dt className="text-xs text-slate-400">{tile.label}</dt>
+            <dd className="text-lg font-semibold text-white">{tile.value}</dd>
+            <dd
+              className={`text-xs ${
+                tile.delta === null
+                  ? 'text-slate-500'
+                  : tile.positive
+                    ? 'text-emerald-400'
+                    : 'text-rose-400'
+              }`}
+              title={sprintf(
+                /* translators: 1: period compared against, 2: its value */
+                __('%1$s: %2$s'),
+                getComparisonLabel(data),
+                tile.previous,
+              )}
+            >
+              {formatDelta(tile.delta)}
+            </dd>
+          </div>
+        ))}
+      </dl>
+
+      <ChartCard
+        title={__('Revenue trend')}
+        subtitle={getComparisonSubtitle(data)}
+        metric={revenueTile?.value}
+        trend={revenueTile ? formatDelta(revenueTile.delta) : undefined}
+        theme={theme}
+        type="line"
+        data={trendData}
+        table={trendTable}
+        exportFilename="agentwp-revenue-trend.png"
+        onSelect={onDrillDown ? handleSelectDay : undefined}
+        footer={onDrillDown ? __('Click a point to ask about it in the Command Deck.') : undefined}
+      />
+
+      {data.categories.labels.length > 0 && (
+        <ChartCard
+          title={__('Sales by category')}
+          subtitle={data.label}
+          theme={theme}
+          type="doughnut"
+          data={categoryData}
+          exportFilename="agentwp-category-sales.png"
+          onSelect={onDrillDown ? handleSelectCategory : undefined}
+          table={{
+            headers: [__('Category'), __('Sales')],
+            rows: data.categories.labels.map((label, index) => ({
+              id: label,
+              cells: [label, formatCurrencyValue(data.categories.values[index] ?? 0)],
+            })),
+          }}
+          footer={
+            onDrillDown && (
+              <ul className="flex flex-wrap gap-2" aria-label={__('Drill into a category')}>
+                {data.categories.labels.map((label, index) => (
+                  <li key={label}>
+                    <button
+                      type="button"
+                      onClick={() => handleSelectCategory(index)}
+                      className="agentwp-card__button"
+                    >
+                      <span
+                        aria-hidden="true"
+                        className="me-1.5 inline-block h-2 w-2 rounded-full"
+                        style={{ backgroundColor: getChartColor(index) }}
+                      />
+                      {label}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )
+          }
+        />
+      )}
+    </div>
+  );
+}
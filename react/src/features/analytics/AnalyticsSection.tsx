@@ -1,11 +1,13 @@
 import { Suspense } from 'react';
-import type { Period, AnalyticsData } from '../../types';
+import type { AnalyticsData, AnalyticsRange } from '../../types';
 import { PeriodSelector } from './PeriodSelector';
+import { DateRangePicker } from './DateRangePicker';
+import { __ } from '../../utils/i18n';
 
 interface AnalyticsSectionProps {
   data: AnalyticsData | null;
-  period: Period;
-  onPeriodChange: (period: Period) => void;
+  range: AnalyticsRange;
+  onRangeChange: (range: AnalyticsRange) => void;
   isLoading: boolean;
   error?: string | null;
   children?: React.ReactNode;
@@ -13,19 +15,20 @@ interface AnalyticsSectionProps {
 
 export function AnalyticsSection({
   data,
-  period,
-  onPeriodChange,
+  range,
+  onRangeChange,
   isLoading,
   error,
   children,
 }: AnalyticsSectionProps) {
   return (
     <section className="space-y-4" aria-labelledby="analytics-heading">
-      <div className="flex items-center justify-between">
+      <div className="flex flex-wrap items-center justify-between gap-3">
         <h3 id="analytics-heading" className="text-sm font-semibold text-white">
-          Analytics
+          {__('Analytics')}
         </h3>
-        <PeriodSelector value={period} onChange={onPeriodChange} disabled={isLoading} />
+        {/* Stays enabled while loading so typing a date doesn't drop focus */}
+        <DateRangePicker value={range} onChange={onRangeChange} />
       </div>
 
       {error && (
@@ -43,6 +46,12 @@ export function AnalyticsSection({
         </div>
       )}
 
+      {!isLoading && !data && !error && (
+        <p className="py-8 text-center text-sm text-slate-400">
+          {__('No analytics data available')}
+        </p>
+      )}
+
       {data && (
         <Suspense fallback={<ChartPlaceholder />}>
           <div className="space-y-4">{children}</div>
@@ -76,7 +85,7 @@ function LoadingSpinner() {
           d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z"
         />
       </svg>
-      <span>Loading analytics...</span>
+      <span>{__('Loading analytics...')}</span>
     </div>
   );
 }
@@ -85,4 +94,4 @@ function ChartPlaceholder() {
   return <div className="h-40 animate-pulse rounded-lg bg-slate-800/50" />;
 }
 
-export { PeriodSelector };
+export { PeriodSelector, DateRangePicker };
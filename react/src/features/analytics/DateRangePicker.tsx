@@ -0,0 +1,173 @@
+import { useId, useState } from 'react';
+import type { AnalyticsComparison, AnalyticsRange, Granularity, RangePreset } from '../../types';
+import {
+  RANGE_PRESETS,
+  resolvePresetRange,
+  toIsoDate,
+  validateDateRange,
+} from '../../utils/date-range';
+import { __ } from '../../utils/i18n';
+
+const GRANULARITY_OPTIONS: { value: Granularity; label: string }[] = [
+  { value: 'day', label: __('Day') },
+  { value: 'week', label: __('Week') },
+  { value: 'month', label: __('Month') },
+];
+
+const COMPARISON_OPTIONS: { value: AnalyticsComparison; label: string }[] = [
+  { value: 'previous', label: __('vs previous period') },
+  { value: 'year', label: __('vs same period last year') },
+];
+
+const selectClassName =
+  'rounded-lg border border-slate-700/60 bg-slate-900/60 px-2 py-1.5 text-xs text-slate-200 focus:outline-none focus-visible:ring-2 focus-visible:ring-indigo-500 disabled:cursor-not-allowed disabled:opacity-50';
+
+interface DateRangePickerProps {
+  value: AnalyticsRange;
+  onChange: (range: AnalyticsRange) => void;
+  disabled?: boolean;
+  /** Offer the comparison series select. */
+  showCompare?: boolean;
+}
+
+/**
+ * Range presets, custom from/to dates, bucket size and comparison series.
+ */
+export function DateRangePicker({
+  value,
+  onChange,
+  disabled = false,
+  showCompare = true,
+}: DateRangePickerProps) {
+  const id = useId();
+  // Custom dates are edited here and only applied once they form a valid range
+  const [draft, setDraft] = useState({ from: value.from, to: value.to });
+  const draftError = value.preset === 'custom' ? validateDateRange(draft) : null;
+  const today = toIsoDate(new Date());
+
+  const handlePresetChange = (preset: RangePreset) => {
+    // Custom starts from the dates currently shown
+    const dates =
+      preset === 'custom' ? { from: value.from, to: value.to } : resolvePresetRange(preset);
+    setDraft(dates);
+    onChange({ ...value, ...dates, preset });
+  };
+
+  const handleDateChange = (field: 'from' | 'to', date: string) => {
+    const next = { ...draft, [field]: date };
+    setDraft(next);
+    if (!validateDateRange(next)) {
+      onChange({ ...value, ...next });
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2" role="group" aria-label={__('Date range')}>
+      <label className="sr-only" htmlFor={`${id}-preset`}>
+        {__('Range')}
+      </label>
+      <select
+        id={`${id}-preset`}
+        value={value.preset}
+        onChange={(event) => handlePresetChange(event.target.value as RangePreset)}
+        disabled={disabled}
+        className={selectClassName}
+      >
+        {RANGE_PRESETS.map((preset) => (
+          <option key={preset.value} value={preset.value}>
+            {preset.label}
+          </option>
+        ))}
+      </select>
+
+      {value.preset === 'custom' && (
+        <>
+          <label className="sr-only" htmlFor={`${id}-from`}>
+            {__('From')}
+          </label>
+          <input
+            id={`${id}-from`}
+            type="date"
+            value={draft.from}
+            max={draft.to || today}
+            onChange={(event) => handleDateChange('from', event.target.value)}
+            disabled={disabled}
+            aria-invalid={Boolean(draftError)}
+            aria-describedby={draftError ? `${id}-error` : undefined}
+            className={selectClassName}
+          />
+          <span className="text-xs text-slate-500" aria-hidden="true">
+            –
+          </span>
+          <label className="sr-only" htmlFor={`${id}-to`}>
+            {__('To')}
+          </label>
+          <input
+            id={`${id}-to`}
+            type="date"
+            value={draft.to}
+            min={draft.from}
+            max={today}
+            onChange={(event) => handleDateChange('to', event.target.value)}
+            disabled={disabled}
+            aria-invalid={Boolean(draftError)}
+            aria-describedby={draftError ? `${id}-error` : undefined}
+            className={selectClassName}
+          />
+        </>
+      )}
+
+      <div
+        className="flex items-center gap-1 rounded-lg border border-slate-700/60 bg-slate-900/60 p-1"
+        role="group"
+        aria-label={__('Group by')}
+      >
+        {GRANULARITY_OPTIONS.map((option) => (
+          <button
+            key={option.value}
+            type="button"
+            onClick={() => onChange({ ...value, granularity: option.value })}
+            disabled={disabled}
+            aria-pressed={value.granularity === option.value}
+            className={`rounded-md px-2.5 py-1 text-xs font-medium transition-colors ${
+              value.granularity === option.value
+                ? 'bg-indigo-500 text-white'
+                : 'text-slate-400 hover:bg-slate-800 hover:text-slate-200'
+            } disabled:cursor-not-allowed disabled:opacity-50`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {showCompare && (
+        <>
+          <label className="sr-only" htmlFor={`${id}-compare`}>
+            {__('Compare with')}
+          </label>
+          <select
+            id={`${id}-compare`}
+            value={value.compare}
+            onChange={(event) =>
+              onChange({ ...value, compare: event.target.value as AnalyticsComparison })
+            }
+            disabled={disabled}
+            className={selectClassName}
+          >
+            {COMPARISON_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </>
+      )}
+
+      {draftError && (
+        <p id={`${id}-error`} role="alert" className="w-full text-xs text-rose-300">
+          {draftError}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,214 @@
+/**
+ * Builders that turn an analytics payload into dashboard tiles, chart data
+ * and drill-down prompts.
+ */
+
+import type { AnalyticsData } from '../../types';
+import { getChartColor, hexToRgba } from '../../utils/analytics-data';
+import type { ExportReport } from '../../utils/export';
+import { currencyFormatter, formatCurrencyValue, numberFormatter } from '../../utils/formatters';
+import { __, sprintf } from '../../utils/i18n';
+
+/** Metrics counted rather than summed in currency. */
+const COUNT_METRICS = new Set(['orders']);
+
+/** Metrics where a drop is good news. */
+const INVERTED_METRICS = new Set(['refunds', 'returns', 'discounts']);
+
+export interface MetricTile {
+  label: string;
+  value: string;
+  previous: string;
+  /** Change against the previous period as a fraction, or null without a baseline. */
+  delta: number | null;
+  /** True when the change is an improvement. */
+  positive: boolean;
+}
+
+const BUCKET_HEADERS = { day: __('Day'), week: __('Week of'), month: __('Month') };
+
+// The lowercase phrase is for use mid-sentence, which not every language lowercases
+const COMPARISONS = {
+  previous: { label: __('Previous period'), phrase: __('previous period') },
+  year: { label: __('Same period last year'), phrase: __('same period last year') },
+};
+
+/**
+ * Name the range in a sentence: "the last 7 days" for presets, the
+ * server's date label as-is for custom ranges.
+ */
+const describeRange = (data: AnalyticsData): string =>
+  data.label.startsWith('Last ') ? `the ${data.label.toLowerCase()}` : data.label;
+
+const getComparison = (data: AnalyticsData) =>
+  COMPARISONS[data.range?.compare === 'year' ? 'year' : 'previous'];
+
+export const getComparisonLabel = (data: AnalyticsData): string => getComparison(data).label;
+
+/**
+ * Subtitle naming the range and its baseline, e.g. "Last 7 days vs previous period".
+ */
+export const getComparisonSubtitle = (data: AnalyticsData): string =>
+  /* translators: 1: date range, 2: period compared against */
+  sprintf(__('%1$s vs %2$s'), data.label, getComparison(data).phrase);
+
+const formatMetric = (label: string, value: number): string =>
+  COUNT_METRICS.has(label.toLowerCase())
+    ? numberFormatter.format(value)
+    : formatCurrencyValue(value);
+
+export const getDelta = (current: number, previous: number): number | null =>
+  previous === 0 ? null : (current - previous) / Math.abs(previous);
+
+export const formatDelta = (delta: number | null): string => {
+  if (delta === null) {
+    return __('No prior data');
+  }
+  const percent = Math.round(delta * 1000) / 10;
+  return `${percent > 0 ? '+' : ''}${percent}%`;
+};
+
+export const buildMetricTiles = (data: AnalyticsData): MetricTile[] =>
+  data.metrics.labels.map((label, index) => {
+    const current = data.metrics.current[index] ?? 0;
+    const previous = data.metrics.previous[index] ?? 0;
+    const delta = getDelta(current, previous);
+    const inverted = INVERTED_METRICS.has(label.toLowerCase());
+    return {
+      label,
+      value: formatMetric(label, current),
+      previous: formatMetric(label, previous),
+      delta,
+      positive: delta === null || delta === 0 || delta > 0 !== inverted,
+    };
+  });
+
+export const buildTrendChartData = (data: AnalyticsData): Record<string, unknown> => {
+  const currentColor = getChartColor(0);
+  const previousColor = getChartColor(1);
+  return {
+    labels: data.labels,
+    datasets: [
+      {
+        label: __('This period'),
+        data: data.current,
+        borderColor: currentColor,
+        backgroundColor: hexToRgba(currentColor, 0.15),
+        fill: true,
+        tension: 0.35,
+      },
+      {
+        label: getComparisonLabel(data),
+        data: data.previous,
+        borderColor: previousColor,
+        backgroundColor: hexToRgba(previousColor, 0.1),
+        borderDash: [6, 4],
+        fill: false,
+        tension: 0.35,
+      },
+    ],
+  };
+};
+
+export const buildCategoryChartData = (data: AnalyticsData): Record<string, unknown> => ({
+  labels: data.categories.labels,
+  datasets: [
+    {
+      label: __('Sales'),
+      data: data.categories.values,
+      backgroundColor: data.categories.labels.map((_, index) => getChartColor(index)),
+      borderWidth: 0,
+    },
+  ],
+});
+
+export const buildTrendTable = (data: AnalyticsData) => ({
+  caption: sprintf(
+    /* translators: 1: date range, 2: period compared against */
+    __('Revenue for %1$s against the %2$s'),
+    describeRange(data),
+    getComparison(data).phrase,
+  ),
+  headers: [
+    BUCKET_HEADERS[data.range?.granularity ?? 'day'],
+    __('This period'),
+    getComparisonLabel(data),
+  ],
+  rows: data.labels.map((label, index) => ({
+    id: `${label}-${index}`,
+    cells: [
+      label,
+      formatCurrencyValue(data.current[index] ?? 0),
+      formatCurrencyValue(data.previous[index] ?? 0),
+    ],
+  })),
+});
+
+/**
+ * Prompt for the Command Deck when a point on the trend chart is clicked.
+ */
+export const getDayDrillDownPrompt = (data: AnalyticsData, index: number): string | null => {
+  const label = data.labels[index];
+  if (label === undefined) {
+    return null;
+  }
+  const revenue = formatCurrencyValue(data.current[index] ?? 0);
+  const when = {
+    day: `on ${label}`,
+    week: `in the week of ${label}`,
+    month: `in ${label}`,
+  }[data.range?.granularity ?? 'day'];
+  return `Break down the ${revenue} in revenue ${when} (${describeRange(data)}) by order and product.`;
+};
+
+/**
+ * Prompt for the Command Deck when a category slice or legend item is clicked.
+ */
+export const getCategoryDrillDownPrompt = (data: AnalyticsData, index: number): string | null => {
+  const label = data.categories.labels[index];
+  if (label === undefined) {
+    return null;
+  }
+  const sales = formatCurrencyValue(data.categories.values[index] ?? 0);
+  return `Show the top products in the ${label} category, which sold ${sales} in ${describeRange(data)}.`;
+};
+
+/**
+ * The whole dashboard as an export report: metrics, the trend and categories.
+ */
+export const buildAnalyticsReport = (data: AnalyticsData): ExportReport => {
+  const comparison = getComparisonLabel(data);
+  return {
+    title: __('Analytics report'),
+    subtitle: getComparisonSubtitle(data),
+    tables: [
+      {
+        title: __('Key metrics'),
+        columns: [{ label: __('Metric') }, { label: __('This period') }, { label: comparison }],
+        // Metrics mix counts and currency, so format per row rather than per column
+        rows: buildMetricTiles(data).map((tile) => [tile.label, tile.value, tile.previous]),
+      },
+      {
+        title: __('Revenue trend'),
+        columns: [
+          { label: BUCKET_HEADERS[data.range?.granularity ?? 'day'] },
+          { label: __('This period'), formatter: currencyFormatter },
+          { label: comparison, formatter: currencyFormatter },
+        ],
+        rows: data.labels.map((label, index) => [
+          label,
+          data.current[index] ?? 0,
+          data.previous[index] ?? 0,
+        ]),
+      },
+      {
+        title: __('Sales by category'),
+        columns: [{ label: __('Category') }, { label: __('Sales'), formatter: currencyFormatter }],
+        rows: data.categories.labels.map((label, index) => [
+          label,
+          data.categories.values[index] ?? 0,
+        ]),
+      },
+    ],
+  };
+};
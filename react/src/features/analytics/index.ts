@@ -1 +1,2 @@
-export { AnalyticsSection, PeriodSelector } from './AnalyticsSection';
+export { AnalyticsSection, DateRangePicker, PeriodSelector } from './AnalyticsSection';
+export { AnalyticsDashboard } from './AnalyticsDashboard';
@@ -0,0 +1,78 @@
+import { useEffect, useRef } from 'react';
+import type { BudgetStatus } from '../../utils/budget';
+import { formatUsageCost } from '../../utils/formatters';
+import { __, sprintf } from '../../utils/i18n';
+
+interface BudgetConfirmDialogProps {
+  status: BudgetStatus;
+  prompt: string;
+  onConfirm: () => void;
+  onCancel: () => void;
+}
+
+/**
+ * Blocks a prompt from running while the account is over its budget. Escape
+ * closes the whole deck, which also leaves the prompt unsent.
+ */
+export function BudgetConfirmDialog({
+  status,
+  prompt,
+  onConfirm,
+  onCancel,
+}: BudgetConfirmDialogProps) {
+  const cancelRef = useRef<HTMLButtonElement>(null);
+
+  // Cancel is the safe default
+  useEffect(() => {
+    cancelRef.current?.focus();
+  }, []);
+
+  return (
+    <div
+      className="absolute inset-0 z-10 flex items-center justify-center rounded-2xl bg-slate-950/80 p-6"
+      role="presentation"
+    >
+      <div
+        role="alertdialog"
+        aria-modal="true"
+        aria-labelledby="budget-confirm-title"
+        aria-describedby="budget-confirm-description"
+        className="w-full max-w-md rounded-xl border border-red-500/40 bg-slate-900 p-5 shadow-xl"
+      >
+        <h3 id="budget-confirm-title" className="text-sm font-semibold text-white">
+          {__('Budget limit reached')}
+        </h3>
+        <p id="budget-confirm-description" className="mt-2 text-sm text-slate-300">
+          {sprintf(
+            /* translators: 1: amount spent this month, 2: monthly budget limit */
+            __(
+              "This month's spend is %1$s against a %2$s budget. Running this prompt will add to the overage.",
+            ),
+            formatUsageCost(status.spent),
+            formatUsageCost(status.limit),
+          )}
+        </p>
+        <p className="mt-3 truncate rounded-md bg-slate-800/80 px-3 py-2 text-xs text-slate-400">
+          {prompt}
+        </p>
+        <div className="mt-4 flex justify-end gap-2">
+          <button
+            ref={cancelRef}
+            type="button"
+            onClick={onCancel}
+            className="rounded-lg border border-slate-700 px-3 py-1.5 text-sm text-slate-300 transition-colors hover:bg-slate-800 focus:outline-none focus-visible:ring-2 focus-visible:ring-indigo-500"
+          >
+            {__('Cancel')}
+          </button>
+          <button
+            type="button"
+            onClick={onConfirm}
+            className="rounded-lg bg-red-600 px-3 py-1.5 text-sm font-medium text-white transition-colors hover:bg-red-700 focus:outline-none focus-visible:ring-2 focus-visible:ring-red-400"
+          >
+            {__('Run anyway')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,29 +1,104 @@
-import { useRef, useCallback, useState, useEffect, useLayoutEffect } from 'react';
+import { useRef, useCallback, useState, useEffect, useLayoutEffect, useMemo } from 'react';
 import { CommandDeckHeader } from './CommandDeckHeader';
 import { PromptInput } from './PromptInput';
 import { ResponseArea } from './ResponseArea';
+import { ThreadView } from './ThreadView';
+import { HistorySidebar } from './HistorySidebar';
 import { TypeaheadDropdown } from './TypeaheadDropdown';
 import { OfflineBanner } from './OfflineBanner';
-import { VoiceControls } from '../voice';
+import { OfflineQueue } from './OfflineQueue';
+import { EntityChips } from './EntityChips';
+import { BudgetConfirmDialog } from './BudgetConfirmDialog';
+import {
+  findSlashCommand,
+  formatSlashUsage,
+  isSlashInput,
+  parseSlashInput,
+} from './slash-commands';
+import { useSlashSuggestions, type SlashSuggestion } from './useSlashSuggestions';
+import { HandsFreeStatus, TranscriptDisplay, VoiceControls } from '../voice';
+import { useHandsFree } from './useHandsFree';
+import { BudgetAlert } from '../usage';
 import { useModalStore } from '../../stores/useModalStore';
+import { useThreadStore } from '../../stores/useThreadStore';
+import { useCommandStore } from '../../stores/useCommandStore';
 import { useThemeStore } from '../../stores/useThemeStore';
+import { useSearchStore } from '../../stores/useSearchStore';
+import { useOfflineQueueStore, type QueuedPrompt } from '../../stores/useOfflineQueueStore';
+import { useVoiceStore } from '../../stores/useVoiceStore';
 import { useFocusTrap } from '../../hooks/useFocusTrap';
-import { useIsOnline } from '../../hooks/useHealthCheck';
+import { useHealthCheck, useIsOnline } from '../../hooks/useHealthCheck';
 import { useDebouncedSearch } from '../../hooks/useSearch';
 import { useVoice } from '../../hooks/useVoice';
-import { buildErrorState } from '../../utils/error';
-import agentwpClient from '../../api/AgentWPClient';
-import type { SearchResult } from '../../types';
+import { useVoicePreferences } from '../../hooks/useVoicePreferences';
+import { useHistorySync } from '../../hooks/useHistorySync';
+import { useBudgetStatus } from '../../hooks/useUsage';
+import { useSettingsData } from '../../hooks/useSettings';
+import {
+  buildErrorState,
+  OFFLINE_QUEUE_FULL_MESSAGE,
+  OFFLINE_QUEUE_TEXT,
+  SESSION_EXPIRED_MESSAGE,
+} from '../../utils/error';
+import { buildResponseMetrics, formatSessionMetrics } from '../../utils/metrics';
+import { stripMarkdownToPlainText } from '../../utils/text';
+import { getMutatingAction, getOfflineBlockedMessage } from '../../utils/offline';
+import { __, sprintf } from '../../utils/i18n';
+import { AUTO_RETRY_STATUSES, FALLBACK_MODEL, INTENT_REQUEST_KEY } from '../../utils/constants';
+import {
+  addPromptEntity,
+  entityKey,
+  getAskAboutPrompt,
+  toContextEntities,
+  toPromptEntity,
+} from '../../utils/entities';
+import {
+  cycleSearchFilter,
+  filterSearchResults,
+  flattenSearchResults,
+  groupSearchResults,
+  parseSearchScope,
+  type SearchFilter,
+} from '../../utils/search-scope';
+import agentwpClient, { isAbortError, type ApiResponse } from '../../api/AgentWPClient';
+import { getRetryDelay } from '../../api/retry-policy';
+import type {
+  ErrorState,
+  IntentResult,
+  PromptEntity,
+  RecoveryAction,
+  SearchResult,
+} from '../../types';
+import type { components } from '../../types/api';
+
+type IntentResponseData = components['schemas']['IntentResponseData'];
 
 interface CommandDeckProps {
   onClose?: () => void;
+  /** Shows the settings screen; without it, errors do not offer "Update API key". */
+  onOpenSettings?: () => void;
 }
 
-export function CommandDeck({ onClose }: CommandDeckProps) {
+export function CommandDeck({ onClose, onOpenSettings }: CommandDeckProps) {
   const inputRef = useRef<HTMLTextAreaElement>(null);
   const blurTimeoutRef = useRef<ReturnType<typeof setTimeout> | null>(null);
+  const abortRef = useRef<AbortController | null>(null);
+  // Id of the queued prompt being replayed, so the replay effect runs it once
+  const replayingRef = useRef<string | null>(null);
   const [showTypeahead, setShowTypeahead] = useState(false);
-  const [activeIndex, setActiveIndex] = useState(0);
+  const [slashIndex, setSlashIndex] = useState(0);
+  const [searchFilter, setSearchFilter] = useState<SearchFilter>('all');
+  const [pendingPrompt, setPendingPrompt] = useState<string | null>(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [entities, setEntities] = useState<PromptEntity[]>([]);
+  const [budgetHold, setBudgetHold] = useState<{
+    text: string;
+    run: () => void;
+    cancel?: () => void;
+  } | null>(null);
+  const [replayPaused, setReplayPaused] = useState(false);
+  // When the failed prompt is sent again automatically (epoch ms)
+  const [retryAt, setRetryAt] = useState<number | null>(null);
 
   // Focus trap for accessibility
   const { containerRef: modalRef } = useFocusTrap<HTMLDivElement>({
@@ -37,23 +112,62 @@ export function CommandDeck({ onClose }: CommandDeckProps) {
     loading,
     prompt,
     response,
+    progress,
     errorState,
     setPrompt,
     setLoading,
     setResponse,
+    appendResponse,
+    setProgress,
+    setIntentResult,
     setError,
+    recordMetrics,
+    session,
+    incrementRetry,
+    resetRetry,
     close,
   } = useModalStore();
 
   const { resolved: theme, preference: themePreference, toggle: toggleTheme } = useThemeStore();
 
-  // Voice recognition and synthesis
+  // Conversation threads
+  const { threads, activeThreadId, ensureActiveThread, setActiveThread, startThread, addTurn } =
+    useThreadStore();
+  const turns = threads.find((thread) => thread.id === activeThreadId)?.turns ?? [];
+
+  // Command history, synced with the server while the deck is open
+  const addToHistory = useCommandStore((state) => state.addToHistory);
+  const incrementUsage = useCommandStore((state) => state.incrementUsage);
+  useHistorySync();
+
+  // Voice recognition and synthesis. Hands-free mode waits for the wake word,
+  // except while a draft waits for a spoken "confirm" or "cancel".
+  const { handsFree, setHandsFree } = useVoiceStore();
+  const awaitingDecision = useVoiceStore(
+    (state) => !!state.draftDecision && !state.draftDecision.action,
+  );
+  const { preferences: voicePreferences, lang: voiceLang } = useVoicePreferences();
+  const voice = useVoice({
+    recognition: {
+      lang: voiceLang,
+      wakeWordEnabled: handsFree && !awaitingDecision,
+      autoRestart: handsFree,
+    },
+    synthesis: {
+      lang: voiceLang,
+      voiceName: voicePreferences.voice,
+      rate: voicePreferences.rate,
+      pitch: voicePreferences.pitch,
+    },
+  });
   const {
     sttSupported: voiceSupported,
     ttsSupported,
     isListening,
     isSpeaking,
     finalTranscript,
+    interimTranscript,
+    wakeWordDetected,
     error: voiceError,
     startListening,
     stopListening,
@@ -61,19 +175,51 @@ export function CommandDeck({ onClose }: CommandDeckProps) {
     stopSpeaking,
     resetTranscripts,
     resetAll: resetVoice,
-  } = useVoice();
+  } = voice;
 
   // Hooks
   const isOnline = useIsOnline();
+  const { refetch: recheckHealth } = useHealthCheck();
+  const { queue, enqueue, remove: removeQueued, clear: clearQueue } = useOfflineQueueStore();
+  const { status: budgetStatus, forecast } = useBudgetStatus();
+  const { settings } = useSettingsData();
+  const slash = useSlashSuggestions(prompt);
+  const scope = parseSearchScope(prompt, searchFilter);
   const {
     setQuery: setSearchQuery,
     results: searchResults,
     isLoading: searchLoading,
-    hasResults: hasSearchResults,
-  } = useDebouncedSearch();
+  } = useDebouncedSearch('', scope.type ? [scope.type] : []);
+
+  // The search store holds what the dropdown shows, so keyboard movement runs
+  // across groups; an empty query shows recent picks instead of results.
+  const {
+    results: visibleResults,
+    activeIndex: searchIndex,
+    recent,
+    setResults: setVisibleResults,
+    setActiveIndex: setSearchIndex,
+    incrementActiveIndex,
+    decrementActiveIndex,
+    getActiveResult,
+    addRecent,
+  } = useSearchStore();
+  const showRecent = !slash.active && scope.query === '';
+  const recentResults = useMemo(() => groupSearchResults(recent), [recent]);
+  const scopedResults = useMemo(
+    () => filterSearchResults(showRecent ? recentResults : searchResults, scope.type),
+    [showRecent, recentResults, searchResults, scope.type],
+  );
+  const hasVisibleResults = flattenSearchResults(visibleResults).length > 0;
+
+  useEffect(() => {
+    setVisibleResults(scopedResults);
+    setSearchIndex(-1);
+  }, [scopedResults, setVisibleResults, setSearchIndex]);
 
   const handleClose = useCallback(() => {
-    // Stop any ongoing voice activity and clear error
+    // Cancel any in-flight intent and stop voice activity
+    abortRef.current?.abort();
     resetVoice();
     close();
     onClose?.();
@@ -81,88 +227,581 @@ export function CommandDeck({ onClose }: CommandDeckProps) {
 
   const handlePromptChange = useCallback(
     (value: string) => {
+      const slashMode = isSlashInput(value);
+      const { query, prefixed } = parseSearchScope(value, searchFilter);
       setPrompt(value);
-      setSearchQuery(value);
-      setShowTypeahead(value.length >= 2);
-      setActiveIndex(0);
+      // Slash commands autocomplete from the registry, not the general search
+      setSearchQuery(slashMode ? '' : query);
+      // A bare "#", "@" or "$" lists recent picks of that type
+      setShowTypeahead(slashMode || query.length >= 2 || (prefixed && query === ''));
+      setSlashIndex(0);
     },
-    [setPrompt, setSearchQuery],
+    [setPrompt, setSearchQuery, searchFilter],
   );
 
-  const handleSubmit = useCallback(async () => {
-    if (!prompt.trim() || loading) return;
+  // A failed prompt may still have run on the server, so it is only resent
+  // unasked when the server refused it and said when to come back, up to the
+  // policy's retry limit. Anything else waits for "Try Again".
+  const scheduleRetry = useCallback(
+    (error: ErrorState) => {
+      const attempt = useModalStore.getState().retryAttempt + 1;
+      const refused = AUTO_RETRY_STATUSES.includes(error.status) && error.retryAfter > 0;
+      const delay =
+        error.retryable && refused
+          ? getRetryDelay(attempt, error, agentwpClient.retryPolicy)
+          : null;
+      if (delay === null) return;
+      incrementRetry();
+      setRetryAt(Date.now() + delay);
+    },
+    [incrementRetry],
+  );
 
-    setShowTypeahead(false);
-    setLoading(true);
-    setError(null);
-    setResponse('');
+  const streamIntent = useCallback(
+    (text: string, context: Record<string, unknown>, signal: AbortSignal) =>
+      agentwpClient.processIntentStream(
+        text,
+        context,
+        {
+          onDelta: appendResponse,
+          onProgress: ({ label }) => setProgress(label || null),
+        },
+        { signal, key: INTENT_REQUEST_KEY },
+      ),
+    [appendResponse, setProgress],
+  );
 
-    try {
-      const result = await agentwpClient.processIntent(prompt);
+  const submitPrompt = useCallback(
+    async (
+      text: string,
+      send: (
+        text: string,
+        context: Record<string, unknown>,
+        signal: AbortSignal,
+      ) => Promise<ApiResponse<IntentResponseData>> = streamIntent,
+      // A replayed offline prompt brings its own chips and leaves the input alone
+      queued?: QueuedPrompt,
+    ): Promise<boolean> => {
+      if (!text.trim()) return false;
 
-      if (result.success) {
-        // IntentResponseData has 'message' field from the generated types
-        const responseText = result.data.message || '';
-        setResponse(responseText);
-        return;
+      // A new prompt supersedes one still running; the client cancels the old request
+      const controller = new AbortController();
+      abortRef.current = controller;
+      const isCurrent = () => abortRef.current === controller;
+      // Attempts count per prompt; sending something else starts over
+      if (text !== pendingPrompt) {
+        resetRetry();
+      }
+      setRetryAt(null);
+      const promptEntities = queued ? queued.entities : entities;
+      const context: Record<string, unknown> = { conversation_id: ensureActiveThread() };
+      if (promptEntities.length > 0) {
+        context.entities = toContextEntities(promptEntities);
       }
 
-      setError(
-        buildErrorState({
+      setShowTypeahead(false);
+      setPendingPrompt(text);
+      setLoading(true);
+      setError(null);
+      setResponse('');
+      setProgress(null);
+      setIntentResult({});
+
+      const startedAt = performance.now();
+      try {
+        const result = await send(text, context, controller.signal);
+        if (!isCurrent()) return false;
+
+        if (result.success) {
+          const metrics = buildResponseMetrics(performance.now() - startedAt, result.data.meta);
+          // The final message supersedes any text streamed along the way
+          const responseText = result.data.message || useModalStore.getState().response;
+          const intentResult: IntentResult = {
+            cards: Array.isArray(result.data.cards) ? result.data.cards : [],
+            draft: result.data.draft ?? null,
+            emailContext: result.data.email_context ?? null,
+            functionSuggestions: result.data.function_suggestions ?? [],
+          };
+          setResponse(responseText);
+          setIntentResult(intentResult);
+          recordMetrics(metrics);
+          addTurn({ prompt: text, response: responseText, result: intentResult, metrics });
+          addToHistory({
+            prompt: text,
+            response: responseText,
+            intent: result.data.intent,
+            successful: true,
+            metrics,
+          });
+          incrementUsage(text);
+          setPendingPrompt(null);
+          resetRetry();
+          if (!queued) {
+            setPrompt('');
+            setEntities([]);
+          }
+          return true;
+        }
+
+        addToHistory({ prompt: text, response: '', successful: false });
+        incrementUsage(text);
+        const error = buildErrorState({
           message: result.error.message,
           code: result.error.code,
           status: result.error.status,
           meta: result.error.meta,
-        }),
-      );
-    } catch (err) {
-      setError(
-        buildErrorState({
+          retryAfter: result.error.retryAfter,
+        });
+        setError(error);
+        // Replayed offline prompts pause the queue instead
+        if (!queued) {
+          scheduleRetry(error);
+        }
+        return false;
+      } catch (err) {
+        // Cancelled requests end quietly
+        if (isAbortError(err)) {
+          if (isCurrent()) setPendingPrompt(null);
+          return false;
+        }
+        addToHistory({ prompt: text, response: '', successful: false });
+        incrementUsage(text);
+        const error = buildErrorState({
           message: err instanceof Error ? err.message : undefined,
           status: 0, // Network error
-        }),
+        });
+        setError(error);
+        if (!queued) {
+          scheduleRetry(error);
+        }
+        return false;
+      } finally {
+        // A superseded request leaves the loading state to its replacement
+        if (isCurrent()) {
+          abortRef.current = null;
+          setLoading(false);
+          setProgress(null);
+        }
+      }
+    },
+    [
+      pendingPrompt,
+      entities,
+      ensureActiveThread,
+      addTurn,
+      addToHistory,
+      incrementUsage,
+      setPrompt,
+      setLoading,
+      setError,
+      setResponse,
+      streamIntent,
+      setProgress,
+      setIntentResult,
+      recordMetrics,
+      resetRetry,
+      scheduleRetry,
+    ],
+  );
+
+  const handleNewThread = useCallback(() => {
+    startThread();
+    setPendingPrompt(null);
+    setRetryAt(null);
+    setEntities([]);
+    setPrompt('');
+    setResponse('');
+    setIntentResult({});
+    setError(null);
+    inputRef.current?.focus();
+  }, [startThread, setPrompt, setResponse, setIntentResult, setError]);
+
+  /**
+   * Run a "/" command locally. Nothing is sent to the intent endpoint.
+   */
+  const runSlashCommand = useCallback(
+    async (text: string) => {
+      if (loading) return;
+
+      const parsed = parseSlashInput(text);
+      const command = parsed ? findSlashCommand(parsed.name) : null;
+
+      setShowTypeahead(false);
+      setError(null);
+      setResponse('');
+      setIntentResult({});
+
+      if (!parsed || !command) {
+        setError(
+          buildErrorState({
+            message: sprintf(
+              /* translators: %s: command name the user typed */
+              __('Unknown command "/%s". Type /help to list commands.'),
+              parsed?.name ?? '',
+            ),
+            type: 'validation_error',
+          }),
+        );
+        return;
+      }
+      if (command.argument?.required && !parsed.argument) {
+        setError(
+          buildErrorState({
+            /* translators: %s: command syntax, e.g. "/order <id>" */
+            message: sprintf(__('Usage: %s'), formatSlashUsage(command)),
+            type: 'validation_error',
+          }),
+        );
+        return;
+      }
+
+      const controller = new AbortController();
+      abortRef.current = controller;
+      setPendingPrompt(text);
+      setLoading(true);
+
+      try {
+        const result = await command.run(parsed.argument, {
+          signal: controller.signal,
+          openHistory: () => setShowHistory(true),
+          startNewThread: handleNewThread,
+        });
+
+        if (result) {
+          const intentResult: IntentResult = {
+            cards: result.cards ?? [],
+            draft: null,
+            functionSuggestions: [],
+          };
+          addTurn({ prompt: text, response: result.message, result: intentResult });
+        }
+        addToHistory({ prompt: text, response: result?.message ?? '', successful: true });
+        incrementUsage(text);
+        setPendingPrompt(null);
+        setPrompt('');
+      } catch (err) {
+        if (isAbortError(err)) {
+          setPendingPrompt(null);
+          return;
+        }
+        setError(
+          buildErrorState({
+            message: err instanceof Error ? err.message : undefined,
+            type: 'validation_error',
+          }),
+        );
+      } finally {
+        if (abortRef.current === controller) {
+          abortRef.current = null;
+          setLoading(false);
+        }
+      }
+    },
+    [
+      loading,
+      handleNewThread,
+      addTurn,
+      addToHistory,
+      incrementUsage,
+      setPrompt,
+      setLoading,
+      setError,
+      setResponse,
+      setIntentResult,
+    ],
+  );
+
+  // Over budget, prompts wait for an explicit go-ahead; slash commands are free
+  const confirmBudget = useCallback(
+    (text: string, run: () => void, cancel?: () => void) => {
+      if (budgetStatus.level === 'exceeded') {
+        setShowTypeahead(false);
+        setBudgetHold({ text, run, cancel });
+        return;
+      }
+      run();
+    },
+    [budgetStatus.level],
+  );
+
+  const handleBudgetConfirm = useCallback(() => {
+    const run = budgetHold?.run;
+    setBudgetHold(null);
+    run?.();
+  }, [budgetHold]);
+
+  const handleBudgetCancel = useCallback(() => {
+    const cancel = budgetHold?.cancel;
+    setBudgetHold(null);
+    cancel?.();
+    inputRef.current?.focus();
+  }, [budgetHold]);
+
+  // Offline, read-only prompts wait in the queue; anything that changes the store is refused
+  const queuePrompt = useCallback(
+    (text: string) => {
+      const action = getMutatingAction(text);
+      const message = action
+        ? getOfflineBlockedMessage(action)
+        : !enqueue({ prompt: text, entities, threadId: activeThreadId })
+          ? OFFLINE_QUEUE_FULL_MESSAGE
+          : null;
+
+      setShowTypeahead(false);
+      if (message) {
+        setError(buildErrorState({ message, type: 'validation_error' }));
+        return;
+      }
+      setError(null);
+      setPrompt('');
+      setEntities([]);
+    },
+    [enqueue, entities, activeThreadId, setError, setPrompt],
+  );
+
+  const runPrompt = useCallback(
+    (text: string) => {
+      if (isSlashInput(text)) {
+        void runSlashCommand(text);
+      } else if (!isOnline) {
+        queuePrompt(text);
+      } else {
+        confirmBudget(text, () => void submitPrompt(text));
+      }
+    },
+    [runSlashCommand, isOnline, queuePrompt, confirmBudget, submitPrompt],
+  );
+
+  const handleSubmit = useCallback(() => {
+    runPrompt(prompt);
+  }, [runPrompt, prompt]);
+
+  useHandsFree(voice, runPrompt);
+
+  // Stop the running prompt instead of paying for an answer nobody will read
+  const handleStop = useCallback(() => {
+    abortRef.current?.abort();
+    inputRef.current?.focus();
+  }, []);
+
+  const handleSendPrompt = useCallback(
+    (text: string) => {
+      setPrompt(text);
+      runPrompt(text);
+    },
+    [setPrompt, runPrompt],
+  );
+
+  const handleRedraft = useCallback(
+    (draftId: string, text: string) => {
+      setPrompt(text);
+      if (!isOnline) {
+        setError(
+          buildErrorState({
+            message: getOfflineBlockedMessage(__('Redrafts')),
+            type: 'validation_error',
+          }),
+        );
+        return;
+      }
+      confirmBudget(
+        text,
+        () =>
+          void submitPrompt(text, (value, context, signal) =>
+            agentwpClient.redraft(draftId, value, context, { signal, key: INTENT_REQUEST_KEY }),
+          ),
       );
-    } finally {
-      setLoading(false);
+    },
+    [setPrompt, isOnline, setError, confirmBudget, submitPrompt],
+  );
+
+  // Replay queued prompts one at a time once the connection is back. A prompt
+  // leaves the queue only once it has been answered; a failure or a declined
+  // budget check pauses replay so it stays put, and "Send now" or the next
+  // outage resumes it.
+  useEffect(() => {
+    const next = queue[0];
+    if (!next || !isOnline || replayPaused || loading || budgetHold || replayingRef.current) {
+      return;
     }
-  }, [prompt, loading, setLoading, setError, setResponse]);
+
+    replayingRef.current = next.id;
+    if (next.threadId) {
+      setActiveThread(next.threadId);
+    }
+    confirmBudget(
+      next.prompt,
+      () => {
+        void submitPrompt(next.prompt, undefined, next).then((ok) => {
+          replayingRef.current = null;
+          if (ok) {
+            removeQueued(next.id);
+          } else {
+            setReplayPaused(true);
+          }
+        });
+      },
+      () => {
+        replayingRef.current = null;
+        setReplayPaused(true);
+      },
+    );
+  }, [
+    queue,
+    isOnline,
+    replayPaused,
+    loading,
+    budgetHold,
+    removeQueued,
+    setActiveThread,
+    confirmBudget,
+    submitPrompt,
+  ]);
+
+  useEffect(() => {
+    if (!isOnline) setReplayPaused(false);
+  }, [isOnline]);
+
+  const handleResumeQueue = useCallback(() => {
+    setError(null);
+    setReplayPaused(false);
+  }, [setError]);
+
+  const handleSelectSuggestion = useCallback(
+    (suggestion: string) => {
+      setPrompt(suggestion);
+      inputRef.current?.focus();
+    },
+    [setPrompt],
+  );
 
   const handleRetry = useCallback(() => {
-    handleSubmit();
-  }, [handleSubmit]);
+    runPrompt(pendingPrompt ?? prompt);
+  }, [runPrompt, pendingPrompt, prompt]);
+
+  useEffect(() => {
+    if (retryAt === null) return undefined;
+    const timer = setTimeout(
+      () => {
+        setRetryAt(null);
+        handleRetry();
+      },
+      Math.max(0, retryAt - Date.now()),
+    );
+    return () => clearTimeout(timer);
+  }, [retryAt, handleRetry]);
+
+  const handleCancelRetry = useCallback(() => setRetryAt(null), []);
+
+  // Only offer fixes the deck can carry out from here
+  const recoveryActions = (errorState?.actions ?? []).filter(
+    (action) =>
+      (action !== 'update_api_key' || !!onOpenSettings) &&
+      (action !== 'switch_model' || settings?.model !== FALLBACK_MODEL),
+  );
+
+  const handleRecoveryAction = useCallback(
+    async (action: RecoveryAction) => {
+      setRetryAt(null);
+      if (action === 'update_api_key') {
+        handleClose();
+        onOpenSettings?.();
+        return;
+      }
+      if (action === 'shorten_prompt') {
+        // Hand the prompt back for editing rather than guessing what to cut
+        setPrompt(pendingPrompt ?? prompt);
+        setError(null);
+        inputRef.current?.focus();
+        return;
+      }
+      if (action === 'refresh_nonce') {
+        if (await agentwpClient.refreshNonce()) {
+          handleRetry();
+        } else {
+          setError(buildErrorState({ message: SESSION_EXPIRED_MESSAGE, type: 'auth_error' }));
+        }
+        return;
+      }
+
+      // Only this prompt runs on the fallback model; the stored setting stays as it is
+      const text = pendingPrompt ?? prompt;
+      confirmBudget(
+        text,
+        () =>
+          void submitPrompt(text, (value, context, signal) =>
+            streamIntent(value, { ...context, model: FALLBACK_MODEL }, signal),
+          ),
+      );
+    },
+    [
+      handleClose,
+      onOpenSettings,
+      pendingPrompt,
+      prompt,
+      setPrompt,
+      setError,
+      handleRetry,
+      confirmBudget,
+      submitPrompt,
+      streamIntent,
+    ],
+  );
 
+  // Picked results become chips sent as structured context, not pasted text
   const handleSelectResult = useCallback(
     (result: SearchResult) => {
-      setPrompt(result.title);
+      setEntities((current) => addPromptEntity(current, toPromptEntity(result)));
+      addRecent(result);
+      setPrompt('');
+      setSearchQuery('');
       setShowTypeahead(false);
       inputRef.current?.focus();
     },
-    [setPrompt],
+    [setPrompt, setSearchQuery, addRecent],
   );
 
-  const handleKeyDown = useCallback(
-    (event: React.KeyboardEvent) => {
-      if (!showTypeahead || !hasSearchResults) return;
+  const handleRemoveEntity = useCallback((entity: PromptEntity) => {
+    setEntities((current) => current.filter((item) => entityKey(item) !== entityKey(entity)));
+    inputRef.current?.focus();
+  }, []);
 
-      const allResults = [
-        ...searchResults.products,
-        ...searchResults.orders,
-        ...searchResults.customers,
-      ];
+  const handleAskAboutEntity = useCallback(
+    (entity: PromptEntity) => {
+      handleSendPrompt(getAskAboutPrompt(entity));
+    },
+    [handleSendPrompt],
+  );
 
+  const handleSelectCommand = useCallback(
+    (suggestion: SlashSuggestion) => {
+      handlePromptChange(suggestion.value);
+      inputRef.current?.focus();
+    },
+    [handlePromptChange],
+  );
+
+  const handleSlashKeyDown = useCallback(
+    (event: React.KeyboardEvent) => {
+      const { suggestions } = slash;
+      if (!showTypeahead || suggestions.length === 0) return;
+
+      const active = suggestions[slashIndex];
       switch (event.key) {
         case 'ArrowDown':
           event.preventDefault();
-          setActiveIndex((prev) => (prev + 1) % allResults.length);
+          setSlashIndex((prev) => (prev + 1) % suggestions.length);
           break;
         case 'ArrowUp':
           event.preventDefault();
-          setActiveIndex((prev) => (prev - 1 + allResults.length) % allResults.length);
+          setSlashIndex((prev) => (prev - 1 + suggestions.length) % suggestions.length);
           break;
+        case 'Tab':
         case 'Enter':
-          if (allResults[activeIndex]) {
+          // A suggestion that is already fully typed lets Enter run the command
+          if (active && active.value.trim() !== prompt.trim()) {
             event.preventDefault();
-            handleSelectResult(allResults[activeIndex]);
+            handleSelectCommand(active);
           }
           break;
         case 'Escape':
@@ -170,23 +809,95 @@ export function CommandDeck({ onClose }: CommandDeckProps) {
           break;
       }
     },
-    [showTypeahead, hasSearchResults, searchResults, activeIndex, handleSelectResult],
+    [slash, showTypeahead, slashIndex, prompt, handleSelectCommand],
   );
 
-  // Sync voice transcript to prompt
+  const handleKeyDown = useCallback(
+    (event: React.KeyboardEvent) => {
+      // Backspace in an empty prompt removes the last chip
+      if (event.key === 'Backspace' && !prompt && entities.length > 0) {
+        event.preventDefault();
+        setEntities((current) => current.slice(0, -1));
+        return;
+      }
+      if (slash.active) {
+        handleSlashKeyDown(event);
+        return;
+      }
+      if (!showTypeahead) {
+        // Arrow down in an empty prompt opens the recent picks
+        if (event.key === 'ArrowDown' && showRecent && hasVisibleResults) {
+          event.preventDefault();
+          setShowTypeahead(true);
+        }
+        return;
+      }
+
+      switch (event.key) {
+        case 'ArrowDown':
+          if (hasVisibleResults) {
+            event.preventDefault();
+            incrementActiveIndex();
+          }
+          break;
+        case 'ArrowUp':
+          if (hasVisibleResults) {
+            event.preventDefault();
+            decrementActiveIndex();
+          }
+          break;
+        case 'Enter': {
+          // Results wait for arrow keys so Enter still sends the prompt
+          const active = getActiveResult();
+          if (active) {
+            event.preventDefault();
+            handleSelectResult(active);
+          }
+          break;
+        }
+        case 'Tab':
+          // A typed prefix already fixes the type
+          if (!scope.prefixed) {
+            event.preventDefault();
+            setSearchFilter((current) => cycleSearchFilter(current, event.shiftKey ? -1 : 1));
+          }
+          break;
+        case 'Escape':
+          setShowTypeahead(false);
+          break;
+      }
+    },
+    [
+      prompt,
+      entities.length,
+      slash.active,
+      handleSlashKeyDown,
+      showTypeahead,
+      showRecent,
+      hasVisibleResults,
+      scope.prefixed,
+      incrementActiveIndex,
+      decrementActiveIndex,
+      getActiveResult,
+      handleSelectResult,
+    ],
+  );
+
+  // Sync voice transcript to prompt; a spoken "confirm" or "cancel" is not a prompt
   useEffect(() => {
-    if (finalTranscript) {
+    if (finalTranscript && !awaitingDecision) {
       setPrompt(finalTranscript);
-      setSearchQuery(finalTranscript);
+      setSearchQuery(parseSearchScope(finalTranscript, searchFilter).query);
     }
-  }, [finalTranscript, setPrompt, setSearchQuery]);
+  }, [finalTranscript, awaitingDecision, setPrompt, setSearchQuery, searchFilter]);
 
-  // Cleanup blur timeout on unmount
+  // Cleanup blur timeout and in-flight intent on unmount
   useLayoutEffect(() => {
     return () => {
       if (blurTimeoutRef.current) {
         clearTimeout(blurTimeoutRef.current);
       }
+      abortRef.current?.abort();
     };
   }, []);
 
@@ -201,7 +912,7 @@ export function CommandDeck({ onClose }: CommandDeckProps) {
 
   const handleSpeak = useCallback(() => {
     if (response) {
-      speakResponse(response);
+      speakResponse(stripMarkdownToPlainText(response));
     }
   }, [response, speakResponse]);
 
@@ -229,100 +940,210 @@ export function CommandDeck({ onClose }: CommandDeckProps) {
         role="dialog"
         aria-modal="true"
         aria-labelledby="command-deck-title"
-        className="w-full max-w-2xl animate-deck-in rounded-2xl border border-slate-700/60 bg-slate-900/95 shadow-2xl backdrop-blur-xl motion-reduce:animate-none"
+        className={`relative w-full ${showHistory ? 'max-w-4xl' : 'max-w-2xl'} animate-deck-in rounded-2xl border border-slate-700/60 bg-slate-900/95 shadow-2xl backdrop-blur-xl motion-reduce:animate-none`}
       >
         <CommandDeckHeader
           theme={theme}
           themePreference={themePreference}
           onThemeToggle={toggleTheme}
           onClose={handleClose}
+          onNewThread={handleNewThread}
+          newThreadDisabled={loading || (turns.length === 0 && !errorState)}
+          onToggleHistory={() => setShowHistory((open) => !open)}
+          historyOpen={showHistory}
           isOffline={!isOnline}
         />
 
-        {!isOnline && <OfflineBanner />}
-
-        <div className="p-4">
-          <div className="relative">
-            <div className="flex gap-2">
-              <PromptInput
-                ref={inputRef}
-                value={prompt}
-                onChange={handlePromptChange}
-                onSubmit={handleSubmit}
-                onKeyDown={handleKeyDown}
-                onFocus={() => {
-                  // Clear any pending blur timeout to prevent flicker
-                  if (blurTimeoutRef.current) {
-                    clearTimeout(blurTimeoutRef.current);
-                    blurTimeoutRef.current = null;
-                  }
-                  if (prompt.length >= 2) {
-                    setShowTypeahead(true);
+        {!isOnline && (
+          <div className="mx-4 mt-4">
+            <OfflineBanner text={OFFLINE_QUEUE_TEXT} onRetry={() => void recheckHealth()} />
+          </div>
+        )}
+
+        <OfflineQueue
+          queue={queue}
+          isOnline={isOnline}
+          paused={replayPaused}
+          onRemove={removeQueued}
+          onClear={clearQueue}
+          onResume={handleResumeQueue}
+        />
+
+        <BudgetAlert status={budgetStatus} forecast={forecast} className="mx-4 mt-4" />
+
+        <div className="flex">
+          <div className="min-w-0 flex-1 p-4">
+            <div className="relative">
+              <EntityChips
+                entities={entities}
+                onRemove={handleRemoveEntity}
+                onAsk={handleAskAboutEntity}
+                disabled={loading}
+              />
+              <div className="flex gap-2">
+                <PromptInput
+                  ref={inputRef}
+                  value={prompt}
+                  onChange={handlePromptChange}
+                  onSubmit={handleSubmit}
+                  onKeyDown={handleKeyDown}
+                  onFocus={() => {
+                    // Clear any pending blur timeout to prevent flicker
+                    if (blurTimeoutRef.current) {
+                      clearTimeout(blurTimeoutRef.current);
+                      blurTimeoutRef.current = null;
+                    }
+                    if (scope.query.length >= 2 || isSlashInput(prompt)) {
+                      setShowTypeahead(true);
+                    }
+                  }}
+                  onBlur={() => {
+                    blurTimeoutRef.current = setTimeout(() => setShowTypeahead(false), 150);
+                  }}
+                  loading={loading}
+                  placeholder={
+                    isOnline
+                      ? __('Ask me anything, or type / for commands...')
+                      : __('Offline: questions are queued until you reconnect...')
                   }
-                }}
-                onBlur={() => {
-                  blurTimeoutRef.current = setTimeout(() => setShowTypeahead(false), 150);
-                }}
-                loading={loading}
-                disabled={!isOnline}
-                placeholder={isOnline ? 'Ask me anything...' : 'Reconnecting...'}
+                />
+
+                <VoiceControls
+                  isSupported={voiceSupported}
+                  isListening={isListening}
+                  isSpeaking={isSpeaking}
+                  ttsSupported={ttsSupported}
+                  onStartListening={handleStartListening}
+                  onStopListening={handleStopListening}
+                  onSpeak={handleSpeak}
+                  onStopSpeaking={handleStopSpeaking}
+                  disabled={loading || !isOnline}
+                  hasResponse={!!response}
+                  handsFree={handsFree}
+                  onToggleHandsFree={() => setHandsFree(!handsFree)}
+                />
+
+                <button
+                  type="button"
+                  onClick={loading ? handleStop : handleSubmit}
+                  disabled={!loading && !prompt.trim()}
+                  className="rounded-lg bg-indigo-600 px-4 py-2 text-sm font-medium text-white transition-colors hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 focus:ring-offset-slate-900 disabled:cursor-not-allowed disabled:opacity-50"
+                >
+                  {loading ? __('Stop') : isOnline ? __('Send') : __('Queue')}
+                </button>
+              </div>
+
+              <TypeaheadDropdown
+                results={visibleResults}
+                query={scope.query}
+                isOpen={
+                  showTypeahead &&
+                  (slash.active
+                    ? slash.suggestions.length > 0 || slash.isLoading
+                    : hasVisibleResults ||
+                      // Keep an empty filtered list open so Tab can switch back
+                      (!showRecent && scope.query.length >= 2 && (searchLoading || !!scope.type)))
+                }
+                isLoading={slash.active ? slash.isLoading : searchLoading}
+                activeIndex={slash.active ? slashIndex : searchIndex}
+                onSelect={handleSelectResult}
+                filter={scope.type ?? 'all'}
+                onFilterChange={setSearchFilter}
+                isRecent={showRecent}
+                commands={slash.active ? slash.suggestions : undefined}
+                onSelectCommand={handleSelectCommand}
               />
+            </div>
 
-              <VoiceControls
-                isSupported={voiceSupported}
+            {handsFree && voiceSupported && (
+              <HandsFreeStatus
                 isListening={isListening}
                 isSpeaking={isSpeaking}
-                ttsSupported={ttsSupported}
-                onStartListening={handleStartListening}
-                onStopListening={handleStopListening}
-                onSpeak={handleSpeak}
-                onStopSpeaking={handleStopSpeaking}
-                disabled={loading || !isOnline}
-                hasResponse={!!response}
+                wakeWordDetected={wakeWordDetected}
+                awaitingDecision={awaitingDecision}
               />
+            )}
 
-              <button
-                type="button"
-                onClick={handleSubmit}
-                disabled={loading || !prompt.trim() || !isOnline}
-                className="rounded-lg bg-indigo-600 px-4 py-2 text-sm font-medium text-white transition-colors hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 focus:ring-offset-slate-900 disabled:cursor-not-allowed disabled:opacity-50"
-              >
-                {loading ? 'Sending...' : 'Send'}
-              </button>
-            </div>
+            {voicePreferences.show_interim && interimTranscript && (
+              <div className="mt-2" aria-live="polite">
+                <TranscriptDisplay
+                  interimTranscript={interimTranscript}
+                  finalTranscript=""
+                  isListening={isListening}
+                />
+              </div>
+            )}
 
-            <TypeaheadDropdown
-              results={searchResults}
-              query={prompt}
-              isOpen={showTypeahead && hasSearchResults}
-              isLoading={searchLoading}
-              activeIndex={activeIndex}
-              onSelect={handleSelectResult}
-            />
-          </div>
+            {voiceError && (
+              <p className="mt-2 text-xs text-red-400" role="alert">
+                {voiceError}
+              </p>
+            )}
 
-          {voiceError && (
-            <p className="mt-2 text-xs text-red-400" role="alert">
-              {voiceError}
-            </p>
-          )}
+            {(turns.length > 0 || loading || errorState) && (
+              <div className="mt-4 rounded-lg border border-slate-700/60 bg-slate-800/50 p-4">
+                <ThreadView
+                  turns={turns}
+                  pendingPrompt={pendingPrompt}
+                  theme={theme}
+                  onSendPrompt={handleSendPrompt}
+                  onSelectSuggestion={handleSelectSuggestion}
+                  onRedraft={handleRedraft}
+                  onRerun={handleSendPrompt}
+                >
+                  {(loading || errorState) && (
+                    <ResponseArea
+                      content={response}
+                      loading={loading}
+                      progress={progress}
+                      error={errorState?.message}
+                      onRetry={errorState?.retryable ? handleRetry : undefined}
+                      retryAt={errorState ? retryAt : null}
+                      onCancelRetry={handleCancelRetry}
+                      actions={recoveryActions}
+                      onAction={(action) => void handleRecoveryAction(action)}
+                    />
+                  )}
+                </ThreadView>
+              </div>
+            )}
+          </div>
 
-          {(response || loading || errorState) && (
-            <div className="mt-4 rounded-lg border border-slate-700/60 bg-slate-800/50 p-4">
-              <ResponseArea
-                content={response}
-                loading={loading}
-                error={errorState?.message}
-                onRetry={errorState?.retryable ? handleRetry : undefined}
-              />
-            </div>
+          {showHistory && (
+            <aside
+              aria-label={__('Command history')}
+              className="w-72 shrink-0 overflow-y-auto border-s border-slate-700/50"
+              style={{ maxHeight: '70vh' }}
+            >
+              <HistorySidebar onRun={handleSendPrompt} />
+            </aside>
           )}
         </div>
 
         <div className="flex items-center justify-between border-t border-slate-700/50 px-4 py-3 text-xs text-slate-500">
-          <span>Press Esc to close</span>
-          <span>↑↓ to navigate • Enter to select</span>
+          <span>{__('Press Esc to close')}</span>
+          {session.requests > 0 && (
+            <span
+              aria-label={__('Session usage')}
+              title={__('Totals for prompts sent since this page loaded')}
+            >
+              {
+                /* translators: %s: prompts, tokens and cost sent this session */
+                sprintf(__('Session: %s'), formatSessionMetrics(session))
+              }
+            </span>
+          )}
+          <span>{__('↑↓ to navigate • Enter to select')}</span>
         </div>
+
+        {budgetHold && (
+          <BudgetConfirmDialog
+            status={budgetStatus}
+            prompt={budgetHold.text}
+            onConfirm={handleBudgetConfirm}
+            onCancel={handleBudgetCancel}
+          />
+        )}
       </div>
     </div>
   );
@@ -1,10 +1,22 @@
+import PendingRequestsIndicator from '../../components/PendingRequestsIndicator';
 import type { ThemePreference } from '../../types';
+import { __, sprintf } from '../../utils/i18n';
+
+const THEME_LABELS: Record<ThemePreference, string> = {
+  light: __('Light'),
+  dark: __('Dark'),
+  system: __('System'),
+};
 
 interface CommandDeckHeaderProps {
   theme: 'light' | 'dark';
   themePreference: ThemePreference;
   onThemeToggle: () => void;
   onClose: () => void;
+  onNewThread?: () => void;
+  newThreadDisabled?: boolean;
+  onToggleHistory?: () => void;
+  historyOpen?: boolean;
   isOffline?: boolean;
 }
 
@@ -13,6 +25,10 @@ export function CommandDeckHeader({
   themePreference,
   onThemeToggle,
   onClose,
+  onNewThread,
+  newThreadDisabled = false,
+  onToggleHistory,
+  historyOpen = false,
   isOffline = false,
 }: CommandDeckHeaderProps) {
   return (
@@ -22,17 +38,47 @@ export function CommandDeckHeader({
         {isOffline && (
           <span className="flex items-center gap-1.5 text-xs text-amber-400">
             <span className="h-1.5 w-1.5 rounded-full bg-amber-500" aria-hidden="true" />
-            Offline
+            {__('Offline')}
           </span>
         )}
+        <PendingRequestsIndicator />
       </div>
 
       <div className="flex items-center gap-2">
+        {onToggleHistory && (
+          <button
+            onClick={onToggleHistory}
+            className={`rounded-md p-1.5 transition-colors hover:bg-slate-800 hover:text-slate-200 ${
+              historyOpen ? 'bg-slate-800 text-slate-200' : 'text-slate-400'
+            }`}
+            aria-label={historyOpen ? __('Hide command history') : __('Show command history')}
+            aria-pressed={historyOpen}
+            title={__('History')}
+          >
+            <HistoryIcon />
+          </button>
+        )}
+
+        {onNewThread && (
+          <button
+            onClick={onNewThread}
+            disabled={newThreadDisabled}
+            className="rounded-md p-1.5 text-slate-400 transition-colors hover:bg-slate-800 hover:text-slate-200 disabled:cursor-not-allowed disabled:opacity-50"
+            aria-label={__('Start new thread')}
+            title={__('New thread')}
+          >
+            <NewThreadIcon />
+          </button>
+        )}
+
         <button
           onClick={onThemeToggle}
           className="rounded-md p-1.5 text-slate-400 transition-colors hover:bg-slate-800 hover:text-slate-200"
-          aria-label={`Switch to ${theme === 'dark' ? 'light' : 'dark'} mode`}
-          title={`Current: ${themePreference === 'system' ? 'System' : themePreference}`}
+          aria-label={theme === 'dark' ? __('Switch to light mode') : __('Switch to dark mode')}
+          title={
+            /* translators: %s: theme preference, e.g. "System" */
+            sprintf(__('Current: %s'), THEME_LABELS[themePreference] ?? themePreference)
+          }
         >
           {theme === 'dark' ? <SunIcon /> : <MoonIcon />}
         </button>
@@ -40,7 +86,7 @@ export function CommandDeckHeader({
         <button
           onClick={onClose}
           className="rounded-md p-1.5 text-slate-400 transition-colors hover:bg-slate-800 hover:text-slate-200"
-          aria-label="Close command deck"
+          aria-label={__('Close command deck')}
         >
           <CloseIcon />
         </button>
@@ -78,6 +124,29 @@ function MoonIcon() {
   );
 }
 
+function HistoryIcon() {
+  return (
+    <svg viewBox="0 0 24 24" aria-hidden="true" className="h-4 w-4">
+      <path
+        d="M4.5 12a7.5 7.5 0 1 0 2.2-5.3M4.5 4.5v3.7h3.7M12 8v4.2l2.8 1.8"
+        fill="none"
+        stroke="currentColor"
+        strokeWidth="1.6"
+        strokeLinecap="round"
+        strokeLinejoin="round"
+      />
+    </svg>
+  );
+}
+
+function NewThreadIcon() {
+  return (
+    <svg viewBox="0 0 24 24" aria-hidden="true" className="h-4 w-4">
+      <path d="M12 5v14M5 12h14" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round" />
+    </svg>
+  );
+}
+
 function CloseIcon() {
   return (
     <svg viewBox="0 0 24 24" aria-hidden="true" className="h-4 w-4">
@@ -0,0 +1,357 @@
+import { useEffect, useRef, useState, type FormEvent, type ReactNode } from 'react';
+import { DangerousActionCard, SuccessCard } from '../../components/cards';
+import type { CardTheme } from '../../components/cards/BaseCard';
+import agentwpClient from '../../api/AgentWPClient';
+import { useVoiceStore, type DraftDecision } from '../../stores/useVoiceStore';
+import { formatCurrencyAmount } from '../../utils/formatters';
+import { resolveFriendlyMessage } from '../../utils/error';
+import { __, sprintf } from '../../utils/i18n';
+import type {
+  BulkStatusPreview,
+  DraftResponse,
+  RefundPreview,
+  StatusPreview,
+  StockPreview,
+} from '../../types';
+
+type DraftStatus = 'idle' | 'confirming' | 'cancelling' | 'confirmed' | 'cancelled';
+
+const DRAFT_TITLES: Record<string, string> = {
+  refund: __('Confirm refund'),
+  status: __('Confirm status update'),
+  stock: __('Confirm stock update'),
+};
+
+/**
+ * Check whether an intent response draft has the prepare_* tool shape.
+ */
+export const isDraftResponse = (value: unknown): value is DraftResponse => {
+  if (!value || typeof value !== 'object') {
+    return false;
+  }
+  const draft = value as Record<string, unknown>;
+  return (
+    typeof draft.draft_id === 'string' &&
+    typeof draft.preview === 'object' &&
+    draft.preview !== null
+  );
+};
+
+const isBulkStatusPreview = (preview: DraftResponse['preview']): preview is BulkStatusPreview =>
+  'orders' in preview && Array.isArray(preview.orders);
+
+/**
+ * Format remaining seconds as m:ss.
+ */
+export const formatCountdown = (seconds: number): string => {
+  const safeSeconds = Math.max(0, Math.floor(seconds));
+  const minutes = Math.floor(safeSeconds / 60);
+  const remainder = safeSeconds % 60;
+  return `${minutes}:${remainder.toString().padStart(2, '0')}`;
+};
+
+const secondsUntil = (expiresAt: number | undefined): number | null =>
+  typeof expiresAt === 'number' && expiresAt > 0
+    ? Math.max(0, Math.round(expiresAt - Date.now() / 1000))
+    : null;
+
+/**
+ * Seconds left until a Unix timestamp, ticking once per second.
+ * Returns null when the draft carries no expiry.
+ */
+const useSecondsRemaining = (expiresAt: number | undefined): number | null => {
+  const [remaining, setRemaining] = useState(() => secondsUntil(expiresAt));
+
+  useEffect(() => {
+    setRemaining(secondsUntil(expiresAt));
+    if (secondsUntil(expiresAt) === null) {
+      return undefined;
+    }
+    const timer = window.setInterval(() => {
+      const next = secondsUntil(expiresAt);
+      setRemaining(next);
+      if (next === 0) {
+        window.clearInterval(timer);
+      }
+    }, 1000);
+    return () => window.clearInterval(timer);
+  }, [expiresAt]);
+
+  return remaining;
+};
+
+const yesNo = (value: unknown) => (value ? __('Yes') : __('No'));
+
+function PreviewRow({ label, value }: { label: string; value: ReactNode }) {
+  return (
+    <div className="agentwp-card__list-item">
+      <dt>{label}</dt>
+      <dd>{value}</dd>
+    </div>
+  );
+}
+
+function DraftPreviewDetails({ draft }: { draft: DraftResponse }) {
+  const { preview } = draft;
+
+  if (draft.type === 'refund') {
+    const refund = preview as RefundPreview;
+    return (
+      <dl className="agentwp-card__list">
+        <PreviewRow label={__('Order')} value={`#${refund.order_id}`} />
+        {refund.customer_name && <PreviewRow label={__('Customer')} value={refund.customer_name} />}
+        <PreviewRow
+          label={__('Amount')}
+          value={formatCurrencyAmount(refund.amount, refund.currency)}
+        />
+        {refund.reason && <PreviewRow label={__('Reason')} value={refund.reason} />}
+        <PreviewRow label={__('Restock items')} value={yesNo(refund.restock_items)} />
+      </dl>
+    );
+  }
+
+  if (draft.type === 'status' && isBulkStatusPreview(preview)) {
+    return (
+      <>
+        <dl className="agentwp-card__list">
+          <PreviewRow label={__('Orders')} value={preview.count} />
+          <PreviewRow label={__('Notify customers')} value={yesNo(preview.notify_customer)} />
+        </dl>
+        <div className="agentwp-card__table-wrapper">
+          <table className="agentwp-card__table">
+            <thead>
+              <tr>
+                <th scope="col">{__('Order')}</th>
+                <th scope="col">{__('Current')}</th>
+                <th scope="col">{__('New')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {preview.orders.map((order) => (
+                <tr key={order.id}>
+                  <td>#{order.id}</td>
+                  <td>{order.current}</td>
+                  <td>{order.new}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        {preview.warning && <p className="agentwp-card__text">{preview.warning}</p>}
+      </>
+    );
+  }
+
+  if (draft.type === 'status') {
+    const status = preview as StatusPreview;
+    return (
+      <>
+        <dl className="agentwp-card__list">
+          <PreviewRow label={__('Order')} value={`#${status.order_id}`} />
+          <PreviewRow
+            label={__('Status')}
+            value={`${status.current_status} → ${status.new_status}`}
+          />
+          <PreviewRow label={__('Notify customer')} value={yesNo(status.notify_customer)} />
+        </dl>
+        {status.warning && <p className="agentwp-card__text">{status.warning}</p>}
+      </>
+    );
+  }
+
+  if (draft.type === 'stock') {
+    const stock = preview as StockPreview;
+    const delta = stock.new_stock - stock.original_stock;
+    return (
+      <dl className="agentwp-card__list">
+        <PreviewRow
+          label={__('Product')}
+          value={
+            stock.product_sku ? `${stock.product_name} (${stock.product_sku})` : stock.product_name
+          }
+        />
+        <PreviewRow
+          label={__('Stock')}
+          value={`${stock.original_stock} → ${stock.new_stock} (${delta >= 0 ? '+' : ''}${delta})`}
+        />
+      </dl>
+    );
+  }
+
+  return null;
+}
+
+interface DraftReviewPanelProps {
+  draft: DraftResponse;
+  theme?: CardTheme;
+  onRedraft?: (draftId: string, prompt: string) => void;
+}
+
+/**
+ * Review panel for drafts created by the prepare_* tools.
+ * Confirms or cancels through the drafts endpoints, or asks for a revised draft.
+ */
+export function DraftReviewPanel({ draft, theme = 'dark', onRedraft }: DraftReviewPanelProps) {
+  const [status, setStatus] = useState<DraftStatus>('idle');
+  const [resultMessage, setResultMessage] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [editing, setEditing] = useState(false);
+  const [changes, setChanges] = useState('');
+  const remaining = useSecondsRemaining(draft.expires_at);
+  const expired = remaining === 0;
+  const busy = status === 'confirming' || status === 'cancelling';
+  const summary = draft.preview.summary || draft.message;
+  const decision = useVoiceStore((state) => state.draftDecision);
+  const settleDecision = useVoiceStore((state) => state.settleDraftDecision);
+
+  // Both resolve with what happened, so hands-free mode can say it out loud
+  const handleConfirm = async (): Promise<string> => {
+    setStatus('confirming');
+    setError(null);
+    const result = await agentwpClient.confirmDraft(draft.draft_id);
+    if (result.success) {
+      setResultMessage(result.data.message);
+      setStatus('confirmed');
+      return result.data.message || __('Draft confirmed.');
+    }
+    const message = resolveFriendlyMessage(result.error);
+    setError(message);
+    setStatus('idle');
+    return message;
+  };
+
+  const handleCancel = async (): Promise<string> => {
+    setStatus('cancelling');
+    setError(null);
+    const result = await agentwpClient.cancelDraft(draft.draft_id);
+    if (result.success) {
+      // Nothing to cancel means the draft expired or was handled elsewhere
+      const message = result.data.cancelled
+        ? __('Draft cancelled.')
+        : __('This draft was already cancelled or expired.');
+      setResultMessage(message);
+      setStatus('cancelled');
+      return message;
+    }
+    const message = resolveFriendlyMessage(result.error);
+    setError(message);
+    setStatus('idle');
+    return message;
+  };
+
+  // The handlers are recreated every render; the decision effect calls the latest ones
+  const handlersRef = useRef({ confirm: handleConfirm, cancel: handleCancel });
+  useEffect(() => {
+    handlersRef.current = { confirm: handleConfirm, cancel: handleCancel };
+  });
+
+  // The decision being carried out, so its own status changes don't settle it again
+  const actingOnRef = useRef<DraftDecision | null>(null);
+
+  // A spoken "confirm" or "cancel" presses the matching button, once any
+  // request already in flight has finished
+  useEffect(() => {
+    if (
+      decision?.draftId !== draft.draft_id ||
+      !decision.action ||
+      decision.outcome !== null ||
+      decision === actingOnRef.current ||
+      busy
+    ) {
+      return;
+    }
+    if (status !== 'idle') {
+      settleDecision(
+        status === 'confirmed'
+          ? __('This draft was already confirmed.')
+          : __('This draft was already cancelled.'),
+      );
+    } else if (decision.action === 'confirm' && expired) {
+      settleDecision(__('This draft has expired. Ask for a new one.'));
+    } else {
+      actingOnRef.current = decision;
+      void handlersRef.current[decision.action]().then(settleDecision);
+    }
+  }, [decision, draft.draft_id, busy, status, expired, settleDecision]);
+
+  const handleRedraft = (event: FormEvent) => {
+    event.preventDefault();
+    const trimmed = changes.trim();
+    if (!trimmed) {
+      return;
+    }
+    onRedraft?.(draft.draft_id, `Revise this draft: ${summary}\nChanges: ${trimmed}`);
+  };
+
+  if (status === 'confirmed') {
+    return <SuccessCard title={__('Draft confirmed')} summary={resultMessage} theme={theme} />;
+  }
+
+  if (status === 'cancelled') {
+    return <p className="text-xs text-slate-400">{resultMessage}</p>;
+  }
+
+  const countdown =
+    remaining === null ? undefined : expired ? (
+      <span role="status">{__('Draft expired')}</span>
+    ) : (
+      <span>
+        {
+          /* translators: %s: time left, such as 4:59 */
+          sprintf(__('Expires in %s'), formatCountdown(remaining))
+        }
+      </span>
+    );
+
+  return (
+    <DangerousActionCard
+      title={DRAFT_TITLES[draft.type] ?? __('Confirm draft')}
+      subtitle={countdown}
+      details={summary}
+      executeLabel={status === 'confirming' ? __('Confirming...') : __('Confirm')}
+      cancelLabel={status === 'cancelling' ? __('Cancelling...') : __('Cancel')}
+      onExecute={expired ? undefined : handleConfirm}
+      onCancel={handleCancel}
+      disabled={busy || expired}
+      theme={theme}
+      extraActions={
+        onRedraft ? (
+          <button
+            type="button"
+            className="agentwp-card__link"
+            onClick={() => setEditing((prev) => !prev)}
+            aria-expanded={editing}
+            disabled={busy}
+          >
+            {__('Edit and re-draft')}
+          </button>
+        ) : null
+      }
+    >
+      <DraftPreviewDetails draft={draft} />
+      {error && (
+        <p className="agentwp-card__text" role="alert">
+          {error}
+        </p>
+      )}
+      {editing && (
+        <form className="mt-3 flex gap-2" onSubmit={handleRedraft}>
+          <label className="sr-only" htmlFor={`redraft-${draft.draft_id}`}>
+            {__('What should change?')}
+          </label>
+          <input
+            id={`redraft-${draft.draft_id}`}
+            type="text"
+            value={changes}
+            onChange={(event) => setChanges(event.target.value)}
+            placeholder={__('What should change?')}
+            className="flex-1 rounded-md border border-slate-600 bg-slate-900 px-2 py-1 text-sm text-slate-100"
+          />
+          <button type="submit" className="agentwp-card__button" disabled={!changes.trim()}>
+            {__('Re-draft')}
+          </button>
+        </form>
+      )}
+    </DangerousActionCard>
+  );
+}
@@ -0,0 +1,244 @@
+import { useId, useState } from 'react';
+import { useDraftStore } from '../../stores/useDraftStore';
+import type { EmailContext } from '../../types';
+import { copyToClipboard } from '../../utils/clipboard';
+import { getEntityEditUrl } from '../../utils/entities';
+import { formatCurrencyAmount, formatDateTime } from '../../utils/formatters';
+import { __, sprintf } from '../../utils/i18n';
+import { formatPlainTextAsHtml } from '../../utils/text';
+import {
+  EMAIL_REWRITE_LABELS,
+  buildRedraftPrompt,
+  parseEmailDraft,
+  type EmailRewriteTone,
+} from './email-draft';
+
+const inputClassName =
+  'w-full rounded-lg border border-slate-700 bg-slate-950/60 px-3 py-2 text-sm text-slate-100 focus:border-sky-500 focus:outline-none focus:ring-1 focus:ring-sky-500';
+
+const buttonClassName =
+  'rounded-md border border-slate-600 px-3 py-1.5 text-xs font-medium text-slate-200 transition-colors hover:bg-slate-700 disabled:cursor-not-allowed disabled:opacity-50';
+
+type ComposerStatus = 'copied' | 'copy_failed' | 'saved' | null;
+
+const STATUS_MESSAGES: Record<Exclude<ComposerStatus, null>, string> = {
+  copied: __('Copied as HTML. Paste it into your email.'),
+  copy_failed: __("The email couldn't be copied. Check the browser's clipboard permission."),
+  saved: __('Saved to drafts.'),
+};
+
+interface EmailComposerProps {
+  /** Email text from the response; a leading "Subject:" line fills the subject. */
+  message: string;
+  context: EmailContext;
+  onSendPrompt?: (prompt: string) => void;
+}
+
+function OrderContext({ context }: { context: EmailContext }) {
+  const editUrl = getEntityEditUrl({ type: 'order', id: context.order_id });
+  /* translators: %s: order number */
+  const orderTitle = sprintf(__('Order #%s'), context.order_id);
+  const details: Array<[string, string]> = [
+    [__('Customer'), context.customer],
+    [__('Status'), context.status],
+    [__('Date'), context.date],
+    [__('Total'), formatCurrencyAmount(context.total, context.currency)],
+  ];
+
+  return (
+    <aside
+      aria-label={__('Order context')}
+      className="space-y-3 rounded-lg bg-slate-900/60 p-3 text-xs"
+    >
+      <p className="text-sm font-medium text-white">
+        {editUrl ? (
+          <a href={editUrl} target="_blank" rel="noreferrer" className="hover:underline">
+            {orderTitle}
+          </a>
+        ) : (
+          orderTitle
+        )}
+      </p>
+      <dl className="space-y-1.5">
+        {details
+          .filter(([, value]) => value)
+          .map(([label, value]) => (
+            <div key={label} className="flex justify-between gap-2">
+              <dt className="text-slate-400">{label}</dt>
+              <dd className="text-end text-slate-200">{value}</dd>
+            </div>
+          ))}
+      </dl>
+      {context.items.length > 0 && (
+        <ul className="space-y-1 border-t border-slate-700/60 pt-2 text-slate-300">
+          {context.items.map((item, index) => (
+            <li key={`${item}-${index}`}>{item}</li>
+          ))}
+        </ul>
+      )}
+    </aside>
+  );
+}
+
+/**
+ * Editable customer email from an email draft response, with the order it is
+ * about alongside. Saved drafts stay in the draft history after the thread moves on.
+ */
+export function EmailComposer({ message, context, onSendPrompt }: EmailComposerProps) {
+  const [original] = useState(() => parseEmailDraft(message));
+  const [subject, setSubject] = useState(original.subject);
+  const [body, setBody] = useState(original.body);
+  const [status, setStatus] = useState<ComposerStatus>(null);
+  const { history, addDraft, removeDraft } = useDraftStore();
+  const id = useId();
+
+  const edited = subject !== original.subject || body !== original.body;
+  const orderDrafts = history.filter((draft) => draft.orderId === context.order_id);
+
+  const edit = (update: () => void) => {
+    update();
+    setStatus(null);
+  };
+
+  const handleCopy = async () => {
+    const text = subject
+      ? /* translators: %s: email subject */
+        `${sprintf(__('Subject: %s'), subject)}\n\n${body}`
+      : body;
+    const copied = await copyToClipboard({ text, html: formatPlainTextAsHtml(body) });
+    setStatus(copied ? 'copied' : 'copy_failed');
+  };
+
+  const handleSave = () => {
+    if (addDraft({ subject, body, orderId: context.order_id })) {
+      setStatus('saved');
+    }
+  };
+
+  const handleRedraft = (tone: EmailRewriteTone) => {
+    onSendPrompt?.(buildRedraftPrompt(tone, context.order_id, edited ? { subject, body } : null));
+  };
+
+  return (
+    <section
+      aria-label={__('Email draft')}
+      className="mt-3 rounded-xl border border-slate-700/60 bg-slate-800/60 p-4"
+    >
+      <div className="grid gap-4 md:grid-cols-[minmax(0,1fr)_13rem]">
+        <div className="space-y-3">
+          <div className="space-y-1">
+            <label htmlFor={`${id}-subject`} className="block text-xs font-medium text-slate-300">
+              {__('Subject')}
+            </label>
+            <input
+              id={`${id}-subject`}
+              value={subject}
+              onChange={(event) => edit(() => setSubject(event.target.value))}
+              className={inputClassName}
+            />
+          </div>
+          <div className="space-y-1">
+            <label htmlFor={`${id}-body`} className="block text-xs font-medium text-slate-300">
+              {__('Message')}
+            </label>
+            <textarea
+              id={`${id}-body`}
+              value={body}
+              onChange={(event) => edit(() => setBody(event.target.value))}
+              rows={10}
+              className={`${inputClassName} resize-y`}
+            />
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            {onSendPrompt &&
+              (Object.keys(EMAIL_REWRITE_LABELS) as EmailRewriteTone[]).map((tone) => (
+                <button
+                  key={tone}
+                  type="button"
+                  onClick={() => handleRedraft(tone)}
+                  className={buttonClassName}
+                >
+                  {EMAIL_REWRITE_LABELS[tone]}
+                </button>
+              ))}
+            <button
+              type="button"
+              onClick={() => void handleCopy()}
+              disabled={!body.trim()}
+              className={buttonClassName}
+            >
+              {__('Copy as HTML')}
+            </button>
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={!subject.trim() && !body.trim()}
+              className="rounded-md bg-indigo-600 px-3 py-1.5 text-xs font-medium text-white transition-colors hover:bg-indigo-700 disabled:cursor-not-allowed disabled:opacity-50"
+            >
+              {__('Save draft')}
+            </button>
+          </div>
+
+          {status && (
+            <p
+              role={status === 'copy_failed' ? 'alert' : 'status'}
+              className={`text-xs ${status === 'copy_failed' ? 'text-red-400' : 'text-emerald-300'}`}
+            >
+              {STATUS_MESSAGES[status]}
+            </p>
+          )}
+
+          {orderDrafts.length > 0 && (
+            <details className="text-xs text-slate-300">
+              <summary className="cursor-pointer text-slate-400 hover:text-slate-200">
+                {sprintf(
+                  /* translators: %d: number of saved drafts */
+                  __('Saved drafts for this order (%d)'),
+                  orderDrafts.length,
+                )}
+              </summary>
+              <ul className="mt-2 space-y-1.5">
+                {orderDrafts.map((draft) => (
+                  <li key={draft.id} className="flex items-center gap-2">
+                    <span className="min-w-0 flex-1 truncate">
+                      {draft.subject || __('(no subject)')}{' '}
+                      <span className="text-slate-500">{formatDateTime(draft.timestamp)}</span>
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() =>
+                        edit(() => {
+                          setSubject(draft.subject);
+                          setBody(draft.body);
+                        })
+                      }
+                      className="text-sky-300 hover:underline"
+                    >
+                      {__('Load')}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => removeDraft(draft.id)}
+                      aria-label={
+                        draft.subject
+                          ? /* translators: %s: email subject */
+                            sprintf(__('Delete saved draft %s'), draft.subject)
+                          : __('Delete saved draft without subject')
+                      }
+                      className="text-slate-500 hover:text-red-300"
+                    >
+                      {__('Delete')}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </details>
+          )}
+        </div>
+
+        <OrderContext context={context} />
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,128 @@
+import { useState } from 'react';
+import { copyToClipboard } from '../../utils/clipboard';
+import { ENTITY_TYPE_LABELS, entityKey, getEntityEditUrl } from '../../utils/entities';
+import { __, sprintf } from '../../utils/i18n';
+import type { PromptEntity } from '../../types';
+
+interface EntityChipsProps {
+  entities: PromptEntity[];
+  onRemove: (entity: PromptEntity) => void;
+  onAsk: (entity: PromptEntity) => void;
+  disabled?: boolean;
+}
+
+const actionClassName =
+  'block w-full rounded px-3 py-1.5 text-start text-xs text-slate-200 transition-colors hover:bg-slate-800 focus:outline-none focus-visible:ring-2 focus-visible:ring-indigo-500 disabled:cursor-not-allowed disabled:opacity-50';
+
+/**
+ * Records picked from the typeahead, shown above the prompt.
+ * Each chip opens quick actions: edit in WooCommerce, copy ID, ask about it.
+ */
+export function EntityChips({ entities, onRemove, onAsk, disabled = false }: EntityChipsProps) {
+  const [openKey, setOpenKey] = useState<string | null>(null);
+  const [copiedKey, setCopiedKey] = useState<string | null>(null);
+
+  if (entities.length === 0) return null;
+
+  const handleCopy = async (entity: PromptEntity) => {
+    const key = entityKey(entity);
+    if (await copyToClipboard({ text: String(entity.id) })) {
+      setCopiedKey(key);
+    }
+  };
+
+  return (
+    <ul className="mb-2 flex flex-wrap gap-2" aria-label={__('Selected records')}>
+      {entities.map((entity) => {
+        const key = entityKey(entity);
+        const isOpen = openKey === key;
+        const editUrl = getEntityEditUrl(entity);
+        const typeLabel = ENTITY_TYPE_LABELS[entity.type];
+        const actionsId = `agentwp-entity-${entity.type}-${entity.id}`;
+
+        return (
+          <li key={key} className="relative">
+            <div className="flex items-center rounded-full border border-indigo-400/40 bg-indigo-500/10 text-xs text-indigo-100">
+              <button
+                type="button"
+                onClick={() => {
+                  setOpenKey(isOpen ? null : key);
+                  setCopiedKey(null);
+                }}
+                onKeyDown={(event) => {
+                  if (event.key === 'Escape' && isOpen) {
+                    event.stopPropagation();
+                    setOpenKey(null);
+                  }
+                }}
+                aria-expanded={isOpen}
+                aria-controls={actionsId}
+                className="rounded-s-full py-1 pe-2 ps-3 focus:outline-none focus-visible:ring-2 focus-visible:ring-indigo-500"
+              >
+                <span className="text-indigo-300">{typeLabel}</span> {entity.label}
+              </button>
+              <button
+                type="button"
+                onClick={() => onRemove(entity)}
+                aria-label={sprintf(
+                  /* translators: 1: record type such as "order", 2: record label */
+                  __('Remove %1$s %2$s'),
+                  typeLabel.toLowerCase(),
+                  entity.label,
+                )}
+                className="rounded-e-full py-1 pe-2 ps-1 text-indigo-300 hover:text-white focus:outline-none focus-visible:ring-2 focus-visible:ring-indigo-500"
+              >
+                ×
+              </button>
+            </div>
+
+            {isOpen && (
+              <div
+                id={actionsId}
+                role="group"
+                aria-label={sprintf(
+                  /* translators: %s: record label */
+                  __('Actions for %s'),
+                  entity.label,
+                )}
+                className="absolute start-0 top-full z-40 mt-1 w-48 rounded-lg border border-slate-700/60 bg-slate-900/95 p-1 shadow-xl"
+              >
+                {editUrl && (
+                  <a
+                    href={editUrl}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className={actionClassName}
+                  >
+                    {__('Open in WooCommerce')}
+                  </a>
+                )}
+                <button
+                  type="button"
+                  onClick={() => handleCopy(entity)}
+                  className={actionClassName}
+                >
+                  {copiedKey === key
+                    ? /* translators: %s: record ID */
+                      sprintf(__('Copied ID %s'), entity.id)
+                    : __('Copy ID')}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setOpenKey(null);
+                    onAsk(entity);
+                  }}
+                  disabled={disabled}
+                  className={actionClassName}
+                >
+                  {__('Ask about this')}
+                </button>
+              </div>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
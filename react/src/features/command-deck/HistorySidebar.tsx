@@ -0,0 +1,68 @@
+import { useMemo } from 'react';
+import HistoryPanel, { type CommandHistoryEntry } from '../../components/HistoryPanel';
+import { useCommandStore } from '../../stores/useCommandStore';
+import { commandKey } from '../../utils/history-sync';
+import type { CommandEntry } from '../../types';
+
+const MOST_USED_LIMIT = 5;
+
+const toPanelEntry = (entry: CommandEntry): CommandHistoryEntry => ({
+  id: entry.id,
+  timestamp: entry.timestamp,
+  raw_input: entry.prompt,
+  parsed_intent: entry.intent,
+  was_successful: entry.successful ?? false,
+});
+
+interface HistorySidebarProps {
+  onRun: (prompt: string) => void;
+}
+
+/**
+ * Connects the command store to HistoryPanel inside the Command Deck.
+ */
+export function HistorySidebar({ onRun }: HistorySidebarProps) {
+  const {
+    history,
+    favorites,
+    getMostUsed,
+    removeFromHistory,
+    toggleFavorite,
+    clearHistory,
+  } = useCommandStore();
+
+  const favoriteKeys = useMemo(() => new Set(favorites.map(commandKey)), [favorites]);
+
+  // Favorited commands are listed once, in the favorites section.
+  const recent = useMemo(
+    () => history.filter((entry) => !favoriteKeys.has(commandKey(entry))).map(toPanelEntry),
+    [history, favoriteKeys],
+  );
+
+  // Commands run only once are already in the recent list.
+  const mostUsed = getMostUsed(MOST_USED_LIMIT)
+    .filter(({ count }) => count > 1)
+    .map(({ prompt, count }) => ({ raw_input: prompt, count }));
+
+  const findEntry = (entry: CommandHistoryEntry) =>
+    history.find((item) => item.id === entry.id) ??
+    favorites.find((item) => item.id === entry.id);
+
+  return (
+    <HistoryPanel
+      history={recent}
+      historyCount={history.length}
+      favorites={favorites.map(toPanelEntry)}
+      mostUsed={mostUsed}
+      onRun={onRun}
+      onDelete={(entry) => removeFromHistory(String(entry.id))}
+      onToggleFavorite={(entry) => {
+        const match = findEntry(entry);
+        if (match) {
+          toggleFavorite(match);
+        }
+      }}
+      onClearHistory={clearHistory}
+    />
+  );
+}
@@ -0,0 +1,481 @@
+import { Suspense, useEffect, useState } from 'react';
+import {
+  ChartCard,
+  DangerousActionCard,
+  DataTableCard,
+  ErrorCard,
+  ExportActions,
+  InfoCard,
+  SuccessCard,
+} from '../../components/cards';
+import type { CardTheme } from '../../components/cards/BaseCard';
+import agentwpClient from '../../api/AgentWPClient';
+import type { DataTableColumn } from '../../components/cards/DataTableCard';
+import type { components } from '../../types/api';
+import type { IntentCard } from '../../types';
+import type { ExportReport, ExportTable, ExportValue } from '../../utils/export';
+import {
+  currencyFormatter,
+  formatCurrencyValue,
+  formatDate,
+  getCurrencyFormatter,
+  numberFormatter,
+} from '../../utils/formatters';
+import { getChartColor, hexToRgba } from '../../utils/analytics-data';
+import { resolveFriendlyMessage } from '../../utils/error';
+import { __, sprintf } from '../../utils/i18n';
+import { DraftReviewPanel, isDraftResponse } from './DraftReviewPanel';
+
+type IntentTableCard = components['schemas']['IntentTableCard'];
+type IntentChartCard = components['schemas']['IntentChartCard'];
+type IntentDangerousActionCard = components['schemas']['IntentDangerousActionCard'];
+type IntentTableColumn = components['schemas']['IntentTableColumn'];
+type ValueFormat = components['schemas']['IntentCardValueFormat'];
+type TableRow = Record<string, unknown>;
+
+/**
+ * Format a card value according to the format hint sent by the server.
+ * Currency values use the store currency unless a code is given.
+ */
+export const formatCardValue = (
+  value: unknown,
+  format: ValueFormat = 'text',
+  currency?: string,
+): string => {
+  if (value == null || value === '') {
+    return '--';
+  }
+  const numeric = typeof value === 'number' ? value : Number(value);
+  switch (format) {
+    case 'currency':
+      return Number.isNaN(numeric) ? String(value) : formatCurrencyValue(numeric, currency);
+    case 'number':
+      return Number.isNaN(numeric) ? String(value) : numberFormatter.format(numeric);
+    case 'percent':
+      return Number.isNaN(numeric) ? String(value) : `${numberFormatter.format(numeric)}%`;
+    case 'date': {
+      const date = typeof value === 'number' ? new Date(value * 1000) : new Date(String(value));
+      return formatDate(date) || String(value);
+    }
+    default:
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+};
+
+/**
+ * Number formatter for exports of a formatted value, if it is numeric.
+ */
+const getExportFormatter = (format?: ValueFormat): Intl.NumberFormat | undefined => {
+  if (format === 'currency') {
+    return currencyFormatter;
+  }
+  return format === 'number' ? numberFormatter : undefined;
+};
+
+/**
+ * Currency code a table row gives for a column's values, if any.
+ */
+const getRowCurrency = (row: TableRow, column: IntentTableColumn): string | undefined => {
+  if (column.format !== 'currency') {
+    return undefined;
+  }
+  const code = row[column.currency_key ?? 'currency'];
+  return typeof code === 'string' && /^[A-Za-z]{3}$/.test(code) ? code : undefined;
+};
+
+const toExportValue = (value: unknown, format?: ValueFormat, currency?: string): ExportValue => {
+  if (value == null || value === '') {
+    return null;
+  }
+  // The column's number format carries the store currency; other currencies export as text
+  const foreign = currency !== undefined && getCurrencyFormatter(currency) !== currencyFormatter;
+  if (typeof value === 'number' && getExportFormatter(format) && !foreign) {
+    return value;
+  }
+  return formatCardValue(value, format, currency);
+};
+
+/**
+ * Collect the tabular parts of a response (tables, charts and info items)
+ * into one report for export.
+ */
+export const buildResponseReport = (
+  cards: IntentCard[],
+  title = __('AgentWP response'),
+): ExportReport => {
+  const tables = cards.flatMap((card): ExportTable[] => {
+    switch (card.type) {
+      case 'table':
+        return [
+          {
+            title: card.title ?? __('Table'),
+            columns: card.columns.map((column) => ({
+              label: column.label ?? humanizeSuggestion(column.key),
+              formatter: getExportFormatter(column.format),
+            })),
+            rows: card.rows.map((row) =>
+              card.columns.map((column) =>
+                toExportValue(row[column.key], column.format, getRowCurrency(row, column)),
+              ),
+            ),
+          },
+        ];
+      case 'chart': {
+        const format = card.value_format ?? 'number';
+        return [
+          {
+            title: card.title ?? __('Chart'),
+            columns: [
+              { label: __('Label') },
+              ...card.datasets.map((dataset, index) => ({
+                label: dataset.label ?? sprintf(__('Series %d'), index + 1),
+                formatter: getExportFormatter(format),
+              })),
+            ],
+            rows: card.labels.map((label, labelIndex) => [
+              label,
+              ...card.datasets.map((dataset) => toExportValue(dataset.data[labelIndex], format)),
+            ]),
+          },
+        ];
+      }
+      case 'info':
+        return card.items && card.items.length > 0
+          ? [
+              {
+                title: card.title ?? __('Details'),
+                columns: [{ label: __('Item') }, { label: __('Value') }],
+                rows: card.items.map((item) => [item.label, item.value]),
+              },
+            ]
+          : [];
+      default:
+        return [];
+    }
+  });
+  return { title, tables };
+};
+
+/**
+ * Convert a registered function name into a readable label.
+ */
+export const humanizeSuggestion = (name: string): string => {
+  const words = name.replace(/[_-]+/g, ' ').trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+const buildTableColumns = (card: IntentTableCard): DataTableColumn<TableRow>[] =>
+  card.columns.map((column) => ({
+    key: column.key,
+    label: column.label ?? humanizeSuggestion(column.key),
+    formatter: getExportFormatter(column.format),
+    align:
+      column.align ??
+      (column.format && column.format !== 'text' && column.format !== 'date' ? 'right' : 'left'),
+    sortable: column.sortable,
+    render: column.format
+      ? (row: TableRow) =>
+          formatCardValue(row[column.key], column.format, getRowCurrency(row, column))
+      : undefined,
+  }));
+
+const buildChartData = (card: IntentChartCard): Record<string, unknown> => {
+  const isDoughnut = card.chart_type === 'doughnut';
+  return {
+    labels: card.labels,
+    datasets: card.datasets.map((dataset, index) => {
+      const color = dataset.color ?? getChartColor(index);
+      return {
+        label: dataset.label,
+        data: dataset.data,
+        borderColor: isDoughnut ? undefined : color,
+        backgroundColor: isDoughnut
+          ? card.labels.map((_, labelIndex) => getChartColor(labelIndex))
+          : hexToRgba(color, card.chart_type === 'bar' ? 0.7 : 0.15),
+        fill: card.chart_type === 'line',
+        tension: 0.35,
+      };
+    }),
+  };
+};
+
+const buildChartTable = (card: IntentChartCard) => ({
+  headers: [
+    __('Label'),
+    ...card.datasets.map(
+      (dataset, index) =>
+        /* translators: %d: position of the data series */
+        dataset.label ?? sprintf(__('Series %d'), index + 1),
+    ),
+  ],
+  rows: card.labels.map((label, labelIndex) => ({
+    id: label,
+    cells: [
+      label,
+      ...card.datasets.map((dataset) =>
+        formatCardValue(dataset.data[labelIndex], card.value_format ?? 'number'),
+      ),
+    ],
+  })),
+});
+
+type DraftActionStatus = 'idle' | 'confirming' | 'cancelling' | 'confirmed' | 'cancelled';
+
+/**
+ * Confirm card for a draft the response names without a preview. Confirms or
+ * cancels through the drafts endpoints, like the review panel.
+ */
+function DraftActionCard({ card, theme }: { card: IntentDangerousActionCard; theme: CardTheme }) {
+  const [status, setStatus] = useState<DraftActionStatus>('idle');
+  const [resultMessage, setResultMessage] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const draftId = card.draft_id;
+  const busy = status === 'confirming' || status === 'cancelling';
+
+  const handleConfirm = async () => {
+    if (!draftId) return;
+    setStatus('confirming');
+    setError(null);
+    const result = await agentwpClient.confirmDraft(draftId);
+    if (result.success) {
+      setResultMessage(result.data.message);
+      setStatus('confirmed');
+      return;
+    }
+    setError(resolveFriendlyMessage(result.error));
+    setStatus('idle');
+  };
+
+  const handleCancel = async () => {
+    if (!draftId) return;
+    setStatus('cancelling');
+    setError(null);
+    const result = await agentwpClient.cancelDraft(draftId);
+    if (result.success) {
+      setResultMessage(
+        result.data.cancelled
+          ? __('Draft cancelled.')
+          : __('This draft was already cancelled or expired.'),
+      );
+      setStatus('cancelled');
+      return;
+    }
+    setError(resolveFriendlyMessage(result.error));
+    setStatus('idle');
+  };
+
+  if (status === 'confirmed') {
+    return <SuccessCard title={__('Draft confirmed')} summary={resultMessage} theme={theme} />;
+  }
+
+  if (status === 'cancelled') {
+    return <p className="text-xs text-slate-400">{resultMessage}</p>;
+  }
+
+  return (
+    <DangerousActionCard
+      title={card.title}
+      details={card.message}
+      executeLabel={status === 'confirming' ? __('Confirming...') : card.execute_label}
+      cancelLabel={status === 'cancelling' ? __('Cancelling...') : card.cancel_label}
+      onExecute={draftId ? () => void handleConfirm() : undefined}
+      onCancel={draftId ? () => void handleCancel() : undefined}
+      disabled={busy || !draftId}
+      theme={theme}
+    >
+      {error && (
+        <p className="agentwp-card__text" role="alert">
+          {error}
+        </p>
+      )}
+    </DangerousActionCard>
+  );
+}
+
+interface IntentCardsProps {
+  cards: IntentCard[];
+  draft?: Record<string, unknown> | null;
+  functionSuggestions?: string[];
+  theme?: CardTheme;
+  onSelectSuggestion?: (suggestion: string) => void;
+  onRedraft?: (draftId: string, prompt: string) => void;
+  onRetry?: () => void;
+}
+
+/**
+ * Renders the structured payload of an intent response as response cards.
+ */
+export function IntentCards({
+  cards,
+  draft = null,
+  functionSuggestions = [],
+  theme = 'dark',
+  onSelectSuggestion,
+  onRedraft,
+  onRetry,
+}: IntentCardsProps) {
+  const [dismissed, setDismissed] = useState<string[]>([]);
+
+  // A new response brings a fresh set of cards.
+  useEffect(() => {
+    setDismissed([]);
+  }, [cards, draft]);
+
+  const reviewDraft = isDraftResponse(draft) ? draft : null;
+
+  // The review panel replaces any dangerous_action card for the same draft.
+  const visibleCards = reviewDraft
+    ? cards.filter(
+        (card) => !(card.type === 'dangerous_action' && card.draft_id === reviewDraft.draft_id),
+      )
+    : cards;
+
+  if (visibleCards.length === 0 && !reviewDraft && functionSuggestions.length === 0) {
+    return null;
+  }
+
+  const dismiss = (key: string) => setDismissed((prev) => [...prev, key]);
+  const exportableCards = visibleCards.filter(
+    (card) =>
+      card.type === 'table' ||
+      card.type === 'chart' ||
+      (card.type === 'info' && card.items?.length),
+  );
+
+  const renderCard = (card: IntentCard, key: string) => {
+    switch (card.type) {
+      case 'table':
+        return (
+          <DataTableCard<TableRow>
+            title={card.title}
+            subtitle={card.subtitle}
+            columns={buildTableColumns(card)}
+            rows={card.rows}
+            pageSize={card.page_size}
+            theme={theme}
+          />
+        );
+      case 'chart':
+        return (
+          <Suspense fallback={<div className="h-40 animate-pulse rounded-lg bg-slate-800/50" />}>
+            <ChartCard
+              title={card.title}
+              subtitle={card.subtitle}
+              metric={card.metric}
+              type={card.chart_type}
+              data={buildChartData(card)}
+              table={buildChartTable(card)}
+              valueFormatter={(value) => formatCardValue(value, card.value_format ?? 'number')}
+              exportFormatter={getExportFormatter(card.value_format ?? 'number') ?? numberFormatter}
+              theme={theme}
+            />
+          </Suspense>
+        );
+      case 'info':
+        return (
+          <InfoCard title={card.title} subtitle={card.subtitle} theme={theme}>
+            {card.message && <p className="agentwp-card__text">{card.message}</p>}
+            {card.items && card.items.length > 0 && (
+              <dl className="agentwp-card__list">
+                {card.items.map((item) => (
+                  <div key={item.label} className="agentwp-card__list-item">
+                    <dt>{item.label}</dt>
+                    <dd>{item.value}</dd>
+                  </div>
+                ))}
+              </dl>
+            )}
+          </InfoCard>
+        );
+      case 'success':
+        return (
+          <SuccessCard
+            title={card.title}
+            summary={card.message}
+            undoHref={card.undo_url}
+            theme={theme}
+          />
+        );
+      case 'error':
+        return (
+          <ErrorCard
+            title={card.title}
+            message={card.message}
+            onRetry={card.retryable ? onRetry : undefined}
+            theme={theme}
+          />
+        );
+      case 'dangerous_action':
+        // Without a draft there is nothing to confirm, so Cancel just hides the card
+        return card.draft_id ? (
+          <DraftActionCard card={card} theme={theme} />
+        ) : (
+          <DangerousActionCard
+            title={card.title}
+            details={card.message}
+            executeLabel={card.execute_label}
+            cancelLabel={card.cancel_label}
+            onCancel={() => dismiss(key)}
+            theme={theme}
+          />
+        );
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <div className="mt-4 space-y-3">
+      {visibleCards.map((card, index) => {
+        const key =
+          card.type === 'dangerous_action' && card.draft_id
+            ? `draft-${card.draft_id}`
+            : `${card.type}-${index}`;
+        if (dismissed.includes(key)) {
+          return null;
+        }
+        return <div key={key}>{renderCard(card, key)}</div>;
+      })}
+
+      {reviewDraft && (
+        <DraftReviewPanel
+          key={reviewDraft.draft_id}
+          draft={reviewDraft}
+          theme={theme}
+          onRedraft={onRedraft}
+        />
+      )}
+
+      {exportableCards.length > 1 && (
+        <div
+          className="flex flex-wrap items-center gap-2"
+          role="group"
+          aria-label={__('Export response')}
+        >
+          <span className="text-xs text-slate-500">{__('Export response:')}</span>
+          <ExportActions
+            getReport={() => buildResponseReport(exportableCards)}
+            label={__('response')}
+            buttonClassName="rounded-full border border-slate-700 px-2.5 py-1 text-xs text-slate-300 transition-colors hover:border-indigo-500 hover:text-white"
+          />
+        </div>
+      )}
+
+      {functionSuggestions.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2" aria-label={__('Suggested actions')}>
+          <span className="text-xs text-slate-500">{__('Try:')}</span>
+          {functionSuggestions.map((suggestion) => (
+            <button
+              key={suggestion}
+              type="button"
+              onClick={() => onSelectSuggestion?.(humanizeSuggestion(suggestion))}
+              className="rounded-full border border-slate-700 px-2.5 py-1 text-xs text-slate-300 transition-colors hover:border-indigo-500 hover:text-white"
+            >
+              {humanizeSuggestion(suggestion)}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
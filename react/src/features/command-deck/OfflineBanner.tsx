@@ -1,16 +1,30 @@
+import { OFFLINE_BANNER_TEXT } from '../../utils/error';
+import { __ } from '../../utils/i18n';
+
 interface OfflineBannerProps {
   text?: string;
+  /** Check the connection now instead of waiting for the next backed-off poll. */
+  onRetry?: () => void;
 }
 
-export function OfflineBanner({ text = 'Agent Offline' }: OfflineBannerProps) {
+export function OfflineBanner({ text = OFFLINE_BANNER_TEXT, onRetry }: OfflineBannerProps) {
   return (
     <div
       className="flex items-center gap-2 rounded-lg bg-amber-500/10 px-3 py-2 text-sm text-amber-400"
       role="status"
       aria-live="polite"
     >
-      <span className="h-2 w-2 rounded-full bg-amber-500" aria-hidden="true" />
-      <span>{text}</span>
+      <span className="h-2 w-2 shrink-0 rounded-full bg-amber-500" aria-hidden="true" />
+      <span className="flex-1">{text}</span>
+      {onRetry && (
+        <button
+          type="button"
+          onClick={onRetry}
+          className="rounded-md px-2 py-1 text-xs font-medium text-amber-300 transition-colors hover:bg-amber-500/20 focus:outline-none focus-visible:ring-2 focus-visible:ring-amber-400"
+        >
+          {__('Check now')}
+        </button>
+      )}
     </div>
   );
 }
@@ -0,0 +1,86 @@
+import type { QueuedPrompt } from '../../stores/useOfflineQueueStore';
+import { __, sprintf } from '../../utils/i18n';
+
+interface OfflineQueueProps {
+  queue: QueuedPrompt[];
+  isOnline: boolean;
+  /** Replay stopped after a queued prompt failed. */
+  paused?: boolean;
+  onRemove: (id: string) => void;
+  onClear: () => void;
+  onResume?: () => void;
+}
+
+const buttonClassName =
+  'rounded-md px-2 py-1 text-xs font-medium text-slate-300 transition-colors hover:bg-slate-700/60 focus:outline-none focus-visible:ring-2 focus-visible:ring-indigo-500';
+
+/**
+ * Prompts typed while offline, waiting to be sent in order.
+ */
+export function OfflineQueue({
+  queue,
+  isOnline,
+  paused = false,
+  onRemove,
+  onClear,
+  onResume,
+}: OfflineQueueProps) {
+  if (queue.length === 0) return null;
+
+  const hint = !isOnline
+    ? __('Sent in order when the connection returns.')
+    : paused
+      ? __('Paused after a queued prompt failed.')
+      : __('Sending…');
+
+  return (
+    <section
+      aria-labelledby="agentwp-offline-queue-title"
+      className="mx-4 mt-4 rounded-lg border border-slate-700/60 bg-slate-800/50 p-3 text-sm"
+    >
+      <div className="flex items-center gap-2">
+        <h3 id="agentwp-offline-queue-title" className="font-medium text-slate-200">
+          {
+            /* translators: %d: number of queued prompts */
+            sprintf(__('Queued prompts (%d)'), queue.length)
+          }
+        </h3>
+        <p className="flex-1 text-xs text-slate-400">{hint}</p>
+        {isOnline && paused && onResume && (
+          <button type="button" onClick={onResume} className={buttonClassName}>
+            {__('Send now')}
+          </button>
+        )}
+        <button type="button" onClick={onClear} className={buttonClassName}>
+          {__('Clear')}
+        </button>
+      </div>
+      <ol className="mt-2 space-y-1">
+        {queue.map((item) => (
+          <li key={item.id} className="flex items-center gap-2 text-slate-300">
+            <span className="min-w-0 flex-1 truncate" title={item.prompt}>
+              {item.prompt}
+            </span>
+            {item.entities.length > 0 && (
+              <span className="shrink-0 text-xs text-indigo-300">
+                {item.entities.map((entity) => entity.label).join(', ')}
+              </span>
+            )}
+            <button
+              type="button"
+              onClick={() => onRemove(item.id)}
+              aria-label={sprintf(
+                /* translators: %s: queued prompt */
+                __('Remove "%s" from the queue'),
+                item.prompt,
+              )}
+              className={buttonClassName}
+            >
+              ×
+            </button>
+          </li>
+        ))}
+      </ol>
+    </section>
+  );
+}
@@ -1,4 +1,5 @@
 import { forwardRef, type KeyboardEvent, type ChangeEvent } from 'react';
+import { __ } from '../../utils/i18n';
 
 interface PromptInputProps {
   value: string;
@@ -21,7 +22,7 @@ export const PromptInput = forwardRef<HTMLTextAreaElement, PromptInputProps>(fun
     onKeyDown,
     onFocus,
     onBlur,
-    placeholder = 'Ask me anything...',
+    placeholder = __('Ask me anything...'),
     disabled = false,
     loading = false,
     rows = 1,
@@ -33,16 +34,16 @@ export const PromptInput = forwardRef<HTMLTextAreaElement, PromptInputProps>(fun
   };
 
   const handleKeyDown = (event: KeyboardEvent<HTMLTextAreaElement>) => {
+    // Forward key events first so an open typeahead can claim Enter
+    onKeyDown?.(event);
+
     // Submit on Enter (without Shift)
-    if (event.key === 'Enter' && !event.shiftKey) {
+    if (event.key === 'Enter' && !event.shiftKey && !event.defaultPrevented) {
       event.preventDefault();
       if (!disabled && !loading && value.trim()) {
         onSubmit();
       }
     }
-
-    // Forward other key events
-    onKeyDown?.(event);
   };
 
   return (
@@ -58,12 +59,12 @@ export const PromptInput = forwardRef<HTMLTextAreaElement, PromptInputProps>(fun
         disabled={disabled || loading}
         rows={rows}
         className="w-full resize-none rounded-lg border border-slate-700/60 bg-slate-900/60 px-4 py-3 text-sm text-white placeholder-slate-500 transition-colors focus:border-indigo-500 focus:outline-none focus:ring-1 focus:ring-indigo-500 disabled:cursor-not-allowed disabled:opacity-50"
-        aria-label="Enter your prompt"
+        aria-label={__('Enter your prompt')}
         aria-describedby={loading ? 'prompt-loading' : undefined}
       />
       {loading && (
         <span id="prompt-loading" className="sr-only">
-          Processing your request...
+          {__('Processing your request...')}
         </span>
       )}
     </div>
@@ -1,20 +1,55 @@
 import { useRef, useEffect } from 'react';
 import ReactMarkdown from 'react-markdown';
+import { EmailComposer } from './EmailComposer';
+import { IntentCards } from './IntentCards';
+import { ResponseMetrics } from './ResponseMetrics';
+import { useCountdown } from '../../hooks/useCountdown';
+import { RECOVERY_ACTION_LABELS } from '../../utils/error';
+import { __, sprintf } from '../../utils/i18n';
+import type { CardTheme } from '../../components/cards/BaseCard';
+import type { IntentResult, Metrics, RecoveryAction } from '../../types';
 
 interface ResponseAreaProps {
   content: string;
   loading?: boolean;
+  progress?: string | null;
   error?: string | null;
   onRetry?: () => void;
+  /** When an automatic retry fires (epoch ms); shows a countdown instead of "Try Again". */
+  retryAt?: number | null;
+  onCancelRetry?: () => void;
+  /** Fixes offered for the error, shown ahead of "Try Again". */
+  actions?: RecoveryAction[];
+  onAction?: (action: RecoveryAction) => void;
+  result?: IntentResult;
+  metrics?: Metrics;
+  theme?: CardTheme;
+  onSendPrompt?: (prompt: string) => void;
+  onSelectSuggestion?: (suggestion: string) => void;
+  onRedraft?: (draftId: string, prompt: string) => void;
+  onRerun?: () => void;
 }
 
 export function ResponseArea({
   content,
   loading = false,
+  progress = null,
   error = null,
   onRetry,
+  retryAt = null,
+  onCancelRetry,
+  actions = [],
+  onAction,
+  result,
+  metrics,
+  theme,
+  onSendPrompt,
+  onSelectSuggestion,
+  onRedraft,
+  onRerun,
 }: ResponseAreaProps) {
   const containerRef = useRef<HTMLDivElement>(null);
+  const retryIn = useCountdown(retryAt);
 
   // Auto-scroll to bottom when content changes
   useEffect(() => {
@@ -28,7 +63,7 @@ export function ResponseArea({
       <div className="flex items-center justify-center py-8">
         <div className="flex items-center gap-2 text-slate-400">
           <LoadingSpinner />
-          <span>Thinking...</span>
+          <span role="status">{progress || __('Thinking...')}</span>
         </div>
       </div>
     );
@@ -40,15 +75,48 @@ export function ResponseArea({
         <div className="flex items-start gap-3">
           <ErrorIcon />
           <div className="flex-1">
-            <p className="text-sm font-medium text-red-400">Error</p>
+            <p className="text-sm font-medium text-red-400">{__('Error')}</p>
             <p className="mt-1 text-sm text-red-300">{error}</p>
-            {onRetry && (
-              <button
-                onClick={onRetry}
-                className="mt-3 rounded-md bg-red-500/20 px-3 py-1.5 text-sm font-medium text-red-300 transition-colors hover:bg-red-500/30"
-              >
-                Try Again
-              </button>
+            {retryIn !== null ? (
+              <div className="mt-3 flex items-center gap-3">
+                <p className="text-sm text-red-300" role="status">
+                  {
+                    /* translators: %d: seconds until the prompt is sent again */
+                    sprintf(__('Retrying in %ds'), retryIn)
+                  }
+                </p>
+                {onCancelRetry && (
+                  <button
+                    onClick={onCancelRetry}
+                    className="rounded-md bg-red-500/20 px-3 py-1.5 text-sm font-medium text-red-300 transition-colors hover:bg-red-500/30"
+                  >
+                    {__('Cancel')}
+                  </button>
+                )}
+              </div>
+            ) : (
+              ((onAction && actions.length > 0) || onRetry) && (
+                <div className="mt-3 flex flex-wrap gap-2">
+                  {onAction &&
+                    actions.map((action) => (
+                      <button
+                        key={action}
+                        onClick={() => onAction(action)}
+                        className="rounded-md bg-red-500/20 px-3 py-1.5 text-sm font-medium text-red-300 transition-colors hover:bg-red-500/30"
+                      >
+                        {RECOVERY_ACTION_LABELS[action]}
+                      </button>
+                    ))}
+                  {onRetry && (
+                    <button
+                      onClick={onRetry}
+                      className="rounded-md bg-red-500/20 px-3 py-1.5 text-sm font-medium text-red-300 transition-colors hover:bg-red-500/30"
+                    >
+                      {__('Try Again')}
+                    </button>
+                  )}
+                </div>
+              )
             )}
           </div>
         </div>
@@ -56,18 +124,45 @@ export function ResponseArea({
     );
   }
 
-  if (!content) {
+  const hasCards =
+    !!result &&
+    (result.cards.length > 0 || !!result.draft || result.functionSuggestions.length > 0);
+
+  if (!content && !hasCards) {
     return null;
   }
 
+  // A finished email draft is edited in the composer instead of read as Markdown
+  const emailContext = !loading ? result?.emailContext : null;
+
   return (
-    <div
-      ref={containerRef}
-      className="prose prose-invert prose-sm max-w-none overflow-y-auto"
-      style={{ maxHeight: '400px' }}
-    >
-      <ReactMarkdown>{content}</ReactMarkdown>
-      {loading && <span className="inline-block h-4 w-2 animate-pulse bg-slate-400" />}
+    <div ref={containerRef} className="overflow-y-auto" style={{ maxHeight: '400px' }}>
+      {emailContext && (
+        <EmailComposer message={content} context={emailContext} onSendPrompt={onSendPrompt} />
+      )}
+      {content && !emailContext && (
+        <div className="prose prose-invert prose-sm max-w-none">
+          <ReactMarkdown>{content}</ReactMarkdown>
+          {loading && <span className="inline-block h-4 w-2 animate-pulse bg-slate-400" />}
+        </div>
+      )}
+      {loading && content && progress && (
+        <p className="mt-2 text-xs text-slate-400" role="status">
+          {progress}
+        </p>
+      )}
+      {result && hasCards && (
+        <IntentCards
+          cards={result.cards}
+          draft={result.draft}
+          functionSuggestions={result.functionSuggestions}
+          theme={theme}
+          onSelectSuggestion={onSelectSuggestion}
+          onRedraft={onRedraft}
+          onRetry={onRerun}
+        />
+      )}
+      {metrics && <ResponseMetrics metrics={metrics} />}
     </div>
   );
 }
@@ -0,0 +1,42 @@
+import type { Metrics } from '../../types';
+import { requestCostFormatter } from '../../utils/formatters';
+import { formatLatency, formatTokenSplit } from '../../utils/metrics';
+import { __ } from '../../utils/i18n';
+
+interface ResponseMetricsProps {
+  metrics: Metrics;
+}
+
+/**
+ * One-line footnote under a response: round trip, model, token split and cost.
+ */
+export function ResponseMetrics({ metrics }: ResponseMetricsProps) {
+  const tokens = formatTokenSplit(metrics);
+  const items = [
+    metrics.latencyMs !== null && { label: __('Latency'), value: formatLatency(metrics.latencyMs) },
+    metrics.model && { label: __('Model'), value: metrics.model },
+    tokens && { label: __('Tokens'), value: tokens },
+    metrics.tokenCost !== null && {
+      label: __('Cost'),
+      value: requestCostFormatter.format(metrics.tokenCost),
+    },
+  ].filter((item): item is { label: string; value: string } => !!item);
+
+  if (items.length === 0) {
+    return null;
+  }
+
+  return (
+    <dl
+      aria-label={__('Response metrics')}
+      className="mt-2 flex flex-wrap gap-x-3 gap-y-1 text-[11px] text-slate-500"
+    >
+      {items.map((item) => (
+        <div key={item.label} className="flex gap-1">
+          <dt className="sr-only">{item.label}</dt>
+          <dd>{item.value}</dd>
+        </div>
+      ))}
+    </dl>
+  );
+}
@@ -0,0 +1,79 @@
+import { useEffect, useRef, type ReactNode } from 'react';
+import { ResponseArea } from './ResponseArea';
+import type { CardTheme } from '../../components/cards/BaseCard';
+import type { ThreadTurn } from '../../types';
+import { __ } from '../../utils/i18n';
+
+interface ThreadViewProps {
+  turns: ThreadTurn[];
+  pendingPrompt?: string | null;
+  theme?: CardTheme;
+  onSendPrompt?: (prompt: string) => void;
+  onSelectSuggestion?: (suggestion: string) => void;
+  onRedraft?: (draftId: string, prompt: string) => void;
+  onRerun?: (prompt: string) => void;
+  /** The in-flight response, rendered after the pending prompt. */
+  children?: ReactNode;
+}
+
+function PromptBubble({ prompt }: { prompt: string }) {
+  return (
+    <div className="flex justify-end">
+      <p className="max-w-[85%] whitespace-pre-wrap rounded-lg bg-indigo-600/20 px-3 py-2 text-sm text-slate-100">
+        {prompt}
+      </p>
+    </div>
+  );
+}
+
+/**
+ * Scrollback of prompt/response pairs in the active conversation thread.
+ */
+export function ThreadView({
+  turns,
+  pendingPrompt = null,
+  theme,
+  onSendPrompt,
+  onSelectSuggestion,
+  onRedraft,
+  onRerun,
+  children,
+}: ThreadViewProps) {
+  const containerRef = useRef<HTMLDivElement>(null);
+
+  // Keep the newest exchange in view
+  useEffect(() => {
+    if (containerRef.current) {
+      containerRef.current.scrollTop = containerRef.current.scrollHeight;
+    }
+  }, [turns.length, pendingPrompt]);
+
+  return (
+    <div
+      ref={containerRef}
+      role="log"
+      aria-label={__('Conversation')}
+      className="space-y-4 overflow-y-auto"
+      style={{ maxHeight: '60vh' }}
+    >
+      {turns.map((turn) => (
+        <div key={turn.id} className="space-y-2">
+          <PromptBubble prompt={turn.prompt} />
+          <ResponseArea
+            content={turn.response}
+            result={turn.result}
+            metrics={turn.metrics}
+            theme={theme}
+            onSendPrompt={onSendPrompt}
+            onSelectSuggestion={onSelectSuggestion}
+            onRedraft={onRedraft}
+            onRerun={onRerun ? () => onRerun(turn.prompt) : undefined}
+          />
+        </div>
+      ))}
+
+      {pendingPrompt && <PromptBubble prompt={pendingPrompt} />}
+      {children}
+    </div>
+  );
+}
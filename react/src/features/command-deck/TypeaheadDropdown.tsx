@@ -1,5 +1,9 @@
 import type { SearchResults, SearchResult } from '../../types';
+import { __ } from '../../utils/i18n';
 import { renderHighlightedText } from '../../utils/text';
+import { SEARCH_TYPES } from '../../utils/constants';
+import { SEARCH_FILTERS, type SearchFilter } from '../../utils/search-scope';
+import type { SlashSuggestion } from './useSlashSuggestions';
 
 interface TypeaheadConfig {
   label: string;
@@ -8,7 +12,7 @@ interface TypeaheadConfig {
 
 const TYPEAHEAD_CONFIG: Record<keyof SearchResults, TypeaheadConfig> = {
   products: {
-    label: 'Products',
+    label: __('Products'),
     icon: (
       <svg viewBox="0 0 24 24" aria-hidden="true" className="h-4 w-4">
         <path
@@ -23,7 +27,7 @@ const TYPEAHEAD_CONFIG: Record<keyof SearchResults, TypeaheadConfig> = {
     ),
   },
   orders: {
-    label: 'Orders',
+    label: __('Orders'),
     icon: (
       <svg viewBox="0 0 24 24" aria-hidden="true" className="h-4 w-4">
         <path
@@ -38,7 +42,7 @@ const TYPEAHEAD_CONFIG: Record<keyof SearchResults, TypeaheadConfig> = {
     ),
   },
   customers: {
-    label: 'Customers',
+    label: __('Customers'),
     icon: (
       <svg viewBox="0 0 24 24" aria-hidden="true" className="h-4 w-4">
         <circle cx="12" cy="8" r="3.4" fill="none" stroke="currentColor" strokeWidth="1.7" />
@@ -61,6 +65,14 @@ interface TypeaheadDropdownProps {
   isLoading: boolean;
   activeIndex: number;
   onSelect: (result: SearchResult) => void;
+  /** Active type filter; shows the filter bar when onFilterChange is set. */
+  filter?: SearchFilter;
+  onFilterChange?: (filter: SearchFilter) => void;
+  /** Results are recent picks shown for an empty query. */
+  isRecent?: boolean;
+  /** Slash command suggestions; when set, the dropdown lists these instead of search results. */
+  commands?: SlashSuggestion[];
+  onSelectCommand?: (suggestion: SlashSuggestion) => void;
 }
 
 export function TypeaheadDropdown({
@@ -70,94 +82,198 @@ export function TypeaheadDropdown({
   isLoading,
   activeIndex,
   onSelect,
+  filter = 'all',
+  onFilterChange,
+  isRecent = false,
+  commands,
+  onSelectCommand,
 }: TypeaheadDropdownProps) {
   if (!isOpen) return null;
 
-  const allResults: SearchResult[] = [...results.products, ...results.orders, ...results.customers];
+  if (commands) {
+    return (
+      <CommandSuggestions
+        suggestions={commands}
+        isLoading={isLoading}
+        activeIndex={activeIndex}
+        onSelect={(suggestion) => onSelectCommand?.(suggestion)}
+      />
+    );
+  }
+
+  const hasResults = SEARCH_TYPES.some((type) => results[type].length > 0);
+
+  // Indexes run across groups in display order, matching useSearchStore
+  let offset = 0;
+  const groups = SEARCH_TYPES.map((type) => {
+    const startIndex = offset;
+    offset += results[type].length;
+    return { type, items: results[type], startIndex };
+  }).filter((group) => group.items.length > 0);
+
+  return (
+    <div className="absolute inset-x-0 top-full z-50 mt-1 overflow-hidden rounded-lg border border-slate-700/60 bg-slate-900/95 shadow-xl backdrop-blur">
+      {onFilterChange && (
+        <div
+          role="group"
+          aria-label={__('Filter results')}
+          className="flex items-center gap-1 border-b border-slate-700/50 px-2 py-1.5"
+        >
+          {SEARCH_FILTERS.map((option) => (
+            <button
+              key={option}
+              type="button"
+              aria-pressed={filter === option}
+              // Keep focus in the prompt so the dropdown stays open
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => onFilterChange(option)}
+              className={`rounded-md px-2 py-1 text-xs font-medium transition-colors focus:outline-none focus-visible:ring-2 focus-visible:ring-indigo-500 ${
+                filter === option
+                  ? 'bg-indigo-500/20 text-white'
+                  : 'text-slate-400 hover:bg-slate-800/60 hover:text-slate-200'
+              }`}
+            >
+              {option === 'all' ? __('All') : TYPEAHEAD_CONFIG[option].label}
+            </button>
+          ))}
+          <span className="ms-auto hidden text-[11px] text-slate-500 sm:inline">
+            {__('Tab to filter • # orders • @ customers • $ products')}
+          </span>
+        </div>
+      )}
+
+      <div
+        className="max-h-80 overflow-y-auto"
+        role="listbox"
+        aria-label={isRecent ? __('Recent selections') : __('Search suggestions')}
+        aria-live="polite"
+        aria-relevant="additions removals"
+      >
+        {isRecent && hasResults && (
+          <div className="px-3 pb-1 pt-2 text-xs font-medium text-slate-500">
+            {__('Recent selections')}
+          </div>
+        )}
+
+        {isLoading && !hasResults && (
+          <div className="flex items-center gap-2 p-3 text-sm text-slate-400">
+            <LoadingSpinner />
+            <span>{__('Searching...')}</span>
+          </div>
+        )}
+
+        {!isLoading && !hasResults && (
+          <div className="p-3 text-sm text-slate-500">{__('No results found')}</div>
+        )}
+
+        {groups.map(({ type, items, startIndex }) => {
+          const config = TYPEAHEAD_CONFIG[type];
+
+          return (
+            <div key={type}>
+              <div className="flex items-center gap-2 bg-slate-800/50 px-3 py-2 text-xs font-medium uppercase tracking-wider text-slate-400">
+                {config.icon}
+                <span>{config.label}</span>
+                <span className="ms-auto text-slate-500">{items.length}</span>
+              </div>
+              <div role="group" aria-label={`${config.label} (${items.length})`}>
+                {items.map((item, index) => {
+                  const globalIndex = startIndex + index;
+                  const isActive = globalIndex === activeIndex;
+
+                  return (
+                    <div
+                      key={`${type}-${item.id}`}
+                      role="option"
+                      tabIndex={isActive ? 0 : -1}
+                      aria-selected={isActive}
+                      className={`cursor-pointer px-3 py-2 transition-colors ${
+                        isActive
+                          ? 'bg-indigo-500/20 text-white'
+                          : 'text-slate-300 hover:bg-slate-800/50'
+                      }`}
+                      onClick={() => onSelect(item)}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter' || e.key === ' ') {
+                          e.preventDefault();
+                          onSelect(item);
+                        }
+                      }}
+                    >
+                      <div className="text-sm font-medium">
+                        {renderHighlightedText(item.title, query)}
+                      </div>
+                      {item.subtitle && (
+                        <div className="text-xs text-slate-500">
+                          {renderHighlightedText(item.subtitle, query)}
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
 
-  const hasResults = allResults.length > 0;
+interface CommandSuggestionsProps {
+  suggestions: SlashSuggestion[];
+  isLoading: boolean;
+  activeIndex: number;
+  onSelect: (suggestion: SlashSuggestion) => void;
+}
 
+function CommandSuggestions({
+  suggestions,
+  isLoading,
+  activeIndex,
+  onSelect,
+}: CommandSuggestionsProps) {
   return (
     <div
-      className="absolute left-0 right-0 top-full z-50 mt-1 max-h-80 overflow-y-auto rounded-lg border border-slate-700/60 bg-slate-900/95 shadow-xl backdrop-blur"
+      className="absolute inset-x-0 top-full z-50 mt-1 max-h-80 overflow-y-auto rounded-lg border border-slate-700/60 bg-slate-900/95 shadow-xl backdrop-blur"
       role="listbox"
-      aria-label="Search suggestions"
+      aria-label={__('Commands')}
       aria-live="polite"
       aria-relevant="additions removals"
     >
-      {isLoading && !hasResults && (
+      {suggestions.map((suggestion, index) => {
+        const isActive = index === activeIndex;
+        return (
+          <div
+            key={suggestion.id}
+            role="option"
+            tabIndex={isActive ? 0 : -1}
+            aria-selected={isActive}
+            className={`flex cursor-pointer items-baseline gap-3 px-3 py-2 transition-colors ${
+              isActive ? 'bg-indigo-500/20 text-white' : 'text-slate-300 hover:bg-slate-800/50'
+            }`}
+            onClick={() => onSelect(suggestion)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                onSelect(suggestion);
+              }
+            }}
+          >
+            <span className="font-mono text-sm">{suggestion.label}</span>
+            {suggestion.description && (
+              <span className="truncate text-xs text-slate-500">{suggestion.description}</span>
+            )}
+          </div>
+        );
+      })}
+
+      {isLoading && (
         <div className="flex items-center gap-2 p-3 text-sm text-slate-400">
           <LoadingSpinner />
-          <span>Searching...</span>
+          <span>{__('Searching...')}</span>
         </div>
       )}
-
-      {!isLoading && !hasResults && (
-        <div className="p-3 text-sm text-slate-500">No results found</div>
-      )}
-
-      {hasResults && (
-        <>
-          {(['products', 'orders', 'customers'] as const).map((type) => {
-            const items = results[type];
-            if (items.length === 0) return null;
-
-            const config = TYPEAHEAD_CONFIG[type];
-            const startIndex =
-              type === 'products'
-                ? 0
-                : type === 'orders'
-                  ? results.products.length
-                  : results.products.length + results.orders.length;
-
-            return (
-              <div key={type}>
-                <div className="flex items-center gap-2 bg-slate-800/50 px-3 py-2 text-xs font-medium uppercase tracking-wider text-slate-400">
-                  {config.icon}
-                  <span>{config.label}</span>
-                  <span className="ml-auto text-slate-500">{items.length}</span>
-                </div>
-                <div role="group" aria-label={config.label}>
-                  {items.map((item, index) => {
-                    const globalIndex = startIndex + index;
-                    const isActive = globalIndex === activeIndex;
-
-                    return (
-                      <div
-                        key={`${type}-${item.id}`}
-                        role="option"
-                        tabIndex={isActive ? 0 : -1}
-                        aria-selected={isActive}
-                        className={`cursor-pointer px-3 py-2 transition-colors ${
-                          isActive
-                            ? 'bg-indigo-500/20 text-white'
-                            : 'text-slate-300 hover:bg-slate-800/50'
-                        }`}
-                        onClick={() => onSelect(item)}
-                        onKeyDown={(e) => {
-                          if (e.key === 'Enter' || e.key === ' ') {
-                            e.preventDefault();
-                            onSelect(item);
-                          }
-                        }}
-                      >
-                        <div className="text-sm font-medium">
-                          {renderHighlightedText(item.title, query)}
-                        </div>
-                        {item.subtitle && (
-                          <div className="text-xs text-slate-500">
-                            {renderHighlightedText(item.subtitle, query)}
-                          </div>
-                        )}
-                      </div>
-                    );
-                  })}
-                </div>
-              </div>
-            );
-          })}
-        </>
-      )}
     </div>
   );
 }
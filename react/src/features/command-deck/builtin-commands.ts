@@ -0,0 +1,206 @@
+import agentwpClient from '../../api/AgentWPClient';
+import { normalizeSearchResults } from '../../hooks/useSearch';
+import { normalizeUsageSummary } from '../../hooks/useUsage';
+import { useThemeStore } from '../../stores/useThemeStore';
+import { buildErrorState } from '../../utils/error';
+import { formatDate, formatTokenCount, formatUsageCost } from '../../utils/formatters';
+import { __, _n, sprintf } from '../../utils/i18n';
+import type { SearchResult, ThemePreference } from '../../types';
+import type { SlashCommand, SlashCommandResult, SlashSearchType } from './slash-commands';
+
+const THEME_OPTIONS: ThemePreference[] = ['light', 'dark', 'system'];
+const USAGE_PERIODS = ['day', 'week', 'month'] as const;
+
+type UsagePeriod = (typeof USAGE_PERIODS)[number];
+
+interface SearchLabels {
+  singular: string;
+  title: string;
+  /** No matches; %s is the search text. */
+  none: string;
+  /** Several matches; %1$d is the count and %2$s the search text. */
+  found: (count: number) => string;
+}
+
+// Whole sentences per type, so each language can inflect the nouns
+const SEARCH_LABELS: Record<SlashSearchType, SearchLabels> = {
+  products: {
+    singular: __('Product'),
+    title: __('Product lookup'),
+    /* translators: %s: search text */
+    none: __('No products match "%s".'),
+    found: (count) =>
+      /* translators: 1: number of products, 2: search text */
+      _n('Found %1$d product matching "%2$s".', 'Found %1$d products matching "%2$s".', count),
+  },
+  orders: {
+    singular: __('Order'),
+    title: __('Order lookup'),
+    /* translators: %s: search text */
+    none: __('No orders match "%s".'),
+    found: (count) =>
+      /* translators: 1: number of orders, 2: search text */
+      _n('Found %1$d order matching "%2$s".', 'Found %1$d orders matching "%2$s".', count),
+  },
+  customers: {
+    singular: __('Customer'),
+    title: __('Customer lookup'),
+    /* translators: %s: search text */
+    none: __('No customers match "%s".'),
+    found: (count) =>
+      /* translators: 1: number of customers, 2: search text */
+      _n('Found %1$d customer matching "%2$s".', 'Found %1$d customers matching "%2$s".', count),
+  },
+};
+
+const USAGE_MESSAGES: Record<UsagePeriod, string> = {
+  day: __('Usage for this day.'),
+  week: __('Usage for this week.'),
+  month: __('Usage for this month.'),
+};
+
+/**
+ * Look up the search index and list the matches in a table card.
+ * An exact id match wins so "/order 1001" shows just that order.
+ */
+const lookup = async (
+  type: SlashSearchType,
+  argument: string,
+  signal: AbortSignal,
+): Promise<SlashCommandResult> => {
+  const labels = SEARCH_LABELS[type];
+  const response = await agentwpClient.search(argument, [type], { signal });
+  if (!response.success) {
+    throw new Error(buildErrorState(response.error).message);
+  }
+
+  const matches = normalizeSearchResults(response.data)[type];
+  const exact = matches.filter((item) => String(item.id) === argument.replace(/^#/, ''));
+  const rows: SearchResult[] = exact.length > 0 ? exact : matches;
+
+  if (rows.length === 0) {
+    return { message: sprintf(labels.none, argument) };
+  }
+
+  return {
+    message:
+      rows.length === 1
+        ? /* translators: %s: title of the matching record */
+          sprintf(__('Found %s.'), rows[0]?.title ?? '')
+        : sprintf(labels.found(rows.length), rows.length, argument),
+    cards: [
+      {
+        type: 'table',
+        title: labels.title,
+        columns: [
+          { key: 'id', label: __('ID'), align: 'right' },
+          { key: 'title', label: labels.singular },
+          { key: 'subtitle', label: __('Details') },
+        ],
+        rows: rows.map(({ id, title, subtitle }) => ({ id, title, subtitle: subtitle ?? '' })),
+      },
+    ],
+  };
+};
+
+/**
+ * Commands that ship with AgentWP. /help is registered by the registry itself.
+ */
+export const BUILTIN_SLASH_COMMANDS: SlashCommand[] = [
+  {
+    name: 'order',
+    description: __('Look up an order by number, customer or email'),
+    aliases: ['o'],
+    argument: {
+      name: __('order number'),
+      required: true,
+      search: 'orders',
+      complete: (result) => String(result.id),
+    },
+    run: (argument, { signal }) => lookup('orders', argument, signal),
+  },
+  {
+    name: 'product',
+    description: __('Look up a product by name or SKU'),
+    aliases: ['p'],
+    argument: {
+      name: __('name or SKU'),
+      required: true,
+      search: 'products',
+      // The index stores the SKU as the secondary text
+      complete: (result) => result.subtitle || result.title,
+    },
+    run: (argument, { signal }) => lookup('products', argument, signal),
+  },
+  {
+    name: 'customer',
+    description: __('Look up a customer by name or email'),
+    argument: { name: __('name or email'), required: true, search: 'customers' },
+    run: (argument, { signal }) => lookup('customers', argument, signal),
+  },
+  {
+    name: 'theme',
+    description: __('Switch between light, dark and system themes'),
+    argument: { name: __('theme'), required: true, options: THEME_OPTIONS },
+    run: (argument) => {
+      const preference = argument.toLowerCase() as ThemePreference;
+      if (!THEME_OPTIONS.includes(preference)) {
+        throw new Error(
+          /* translators: %s: theme the user typed */
+          sprintf(__('Unknown theme "%s". Use light, dark or system.'), argument),
+        );
+      }
+      useThemeStore.getState().setPreference(preference);
+    },
+  },
+  {
+    name: 'usage',
+    description: __('Show token usage and cost for a period'),
+    argument: { name: __('period'), options: [...USAGE_PERIODS] },
+    run: async (argument, { signal }) => {
+      const period = (argument.toLowerCase() || 'month') as UsagePeriod;
+      if (!USAGE_PERIODS.includes(period)) {
+        throw new Error(
+          /* translators: %s: period the user typed */
+          sprintf(__('Unknown period "%s". Use day, week or month.'), argument),
+        );
+      }
+      const response = await agentwpClient.getUsage(period, { signal });
+      if (!response.success) {
+        throw new Error(buildErrorState(response.error).message);
+      }
+      const usage = normalizeUsageSummary(response.data);
+      return {
+        message: USAGE_MESSAGES[period],
+        cards: [
+          {
+            type: 'info',
+            title: __('Usage'),
+            items: [
+              { label: __('Tokens'), value: formatTokenCount(usage.totalTokens) },
+              { label: __('Cost'), value: formatUsageCost(usage.totalCostUsd) },
+              {
+                label: __('Period'),
+                value: [usage.periodStart, usage.periodEnd]
+                  .filter(Boolean)
+                  .map((date) => formatDate(date))
+                  .join(' – '),
+              },
+            ].filter((item) => item.value),
+          },
+        ],
+      };
+    },
+  },
+  {
+    name: 'history',
+    description: __('Open the command history sidebar'),
+    run: (_argument, { openHistory }) => openHistory(),
+  },
+  {
+    name: 'clear',
+    description: __('Start a new conversation'),
+    aliases: ['new'],
+    run: (_argument, { startNewThread }) => startNewThread(),
+  },
+];
@@ -0,0 +1,48 @@
+import { __ } from '../../utils/i18n';
+import { stripMarkdownToPlainText } from '../../utils/text';
+
+export interface EmailDraftText {
+  subject: string;
+  body: string;
+}
+
+export type EmailRewriteTone = 'friendlier' | 'shorter';
+
+export const EMAIL_REWRITE_LABELS: Record<EmailRewriteTone, string> = {
+  friendlier: __('Friendlier'),
+  shorter: __('Shorter'),
+};
+
+const REWRITE_INSTRUCTIONS: Record<EmailRewriteTone, string> = {
+  friendlier: 'in a friendlier, warmer tone',
+  shorter: 'shorter, keeping only what the customer needs to know',
+};
+
+/**
+ * Split an email draft response into subject and body. The handler asks for a
+ * leading "Subject:" line; without one the whole message is the body.
+ */
+export const parseEmailDraft = (message: string): EmailDraftText => {
+  const [first = '', ...rest] = message.trim().split('\n');
+  const match = /^\s*subject\s*:\s*(.*)$/i.exec(first.replace(/[*_#]/g, ''));
+  if (!match) {
+    return { subject: '', body: stripMarkdownToPlainText(message) };
+  }
+  return { subject: (match[1] ?? '').trim(), body: stripMarkdownToPlainText(rest.join('\n')) };
+};
+
+/**
+ * Prompt asking for the email again in another tone. The earlier answer is in
+ * the conversation already, so the text is only sent when the user edited it.
+ */
+export const buildRedraftPrompt = (
+  tone: EmailRewriteTone,
+  orderId: number,
+  edited: EmailDraftText | null,
+): string => {
+  const prompt = `Redraft the email for order #${orderId} ${REWRITE_INSTRUCTIONS[tone]}. Keep every fact.`;
+  if (!edited) {
+    return prompt;
+  }
+  return `${prompt}\n\nStart from my edited version:\nSubject: ${edited.subject}\n\n${edited.body}`;
+};
@@ -1,6 +1,24 @@
 export { CommandDeck } from './CommandDeck';
+export { BudgetConfirmDialog } from './BudgetConfirmDialog';
 export { CommandDeckHeader } from './CommandDeckHeader';
+export { DraftReviewPanel } from './DraftReviewPanel';
+export { HistorySidebar } from './HistorySidebar';
+export { IntentCards } from './IntentCards';
 export { OfflineBanner } from './OfflineBanner';
+export { OfflineQueue } from './OfflineQueue';
 export { PromptInput } from './PromptInput';
 export { ResponseArea } from './ResponseArea';
+export { ResponseMetrics } from './ResponseMetrics';
+export { ThreadView } from './ThreadView';
 export { TypeaheadDropdown } from './TypeaheadDropdown';
+export {
+  registerSlashCommand,
+  getSlashCommands,
+  findSlashCommand,
+  parseSlashInput,
+  type SlashCommand,
+  type SlashCommandArgument,
+  type SlashCommandContext,
+  type SlashCommandResult,
+} from './slash-commands';
+export { EntityChips } from './EntityChips';
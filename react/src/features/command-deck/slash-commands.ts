@@ -0,0 +1,217 @@
+/**
+ * Slash command registry for the Command Deck.
+ *
+ * Prompts starting with "/" run a registered command locally instead of going
+ * to the intent endpoint, so lookups like "/order 1001" cost no tokens.
+ * Other plugins add commands through the `window.agentwpSlashCommands` queue:
+ *
+ *   (window.agentwpSlashCommands = window.agentwpSlashCommands || []).push({ ... });
+ *
+ * Entries pushed before the Command Deck loads are registered on first use;
+ * later pushes register immediately.
+ */
+import { __ } from '../../utils/i18n';
+import type { IntentCard, SearchResult, SearchResults } from '../../types';
+import { BUILTIN_SLASH_COMMANDS } from './builtin-commands';
+
+export type SlashSearchType = keyof SearchResults;
+
+export interface SlashCommandArgument {
+  /** Placeholder shown in usage hints, e.g. "order number". */
+  name: string;
+  required?: boolean;
+  /** Fixed choices offered while the argument is typed. */
+  options?: string[];
+  /** Search index type used to autocomplete the argument via /search. */
+  search?: SlashSearchType;
+  /** Argument text inserted for a picked search result. Defaults to its title. */
+  complete?: (result: SearchResult) => string;
+}
+
+export interface SlashCommandContext {
+  signal: AbortSignal;
+  openHistory: () => void;
+  startNewThread: () => void;
+}
+
+export interface SlashCommandResult {
+  message: string;
+  cards?: IntentCard[];
+}
+
+export interface SlashCommand {
+  /** Lowercase name without the slash, e.g. "order". */
+  name: string;
+  description: string;
+  aliases?: string[];
+  argument?: SlashCommandArgument;
+  /**
+   * Run the command. Returning a result adds it to the conversation thread;
+   * returning nothing is for commands that only change UI state. Throw an
+   * Error to show its message as the command's error.
+   */
+  run: (
+    argument: string,
+    context: SlashCommandContext,
+  ) => SlashCommandResult | void | Promise<SlashCommandResult | void>;
+}
+
+export interface ParsedSlashInput {
+  name: string;
+  argument: string;
+  /** True once a space follows the name, i.e. the argument is being typed. */
+  hasArgument: boolean;
+}
+
+interface SlashCommandQueue {
+  push: (...commands: SlashCommand[]) => number;
+}
+
+declare global {
+  interface Window {
+    agentwpSlashCommands?: SlashCommand[] | SlashCommandQueue;
+  }
+}
+
+const COMMAND_NAME = /^[a-z][a-z0-9-]*$/;
+
+const registry = new Map<string, SlashCommand>();
+let initialized = false;
+
+const isSlashCommand = (value: unknown): value is SlashCommand => {
+  const command = value as Partial<SlashCommand> | null;
+  return (
+    !!command &&
+    typeof command.name === 'string' &&
+    COMMAND_NAME.test(command.name) &&
+    typeof command.run === 'function'
+  );
+};
+
+/**
+ * Register a command, replacing any earlier one with the same name.
+ * Returns a function that removes it again.
+ */
+export const registerSlashCommand = (command: SlashCommand): (() => void) => {
+  if (!isSlashCommand(command)) {
+    throw new Error('Slash commands need a lowercase name and a run function.');
+  }
+  registry.set(command.name, command);
+  return () => {
+    if (registry.get(command.name) === command) {
+      registry.delete(command.name);
+    }
+  };
+};
+
+const registerQueued = (commands: unknown[]): number => {
+  for (const command of commands) {
+    if (isSlashCommand(command)) {
+      registry.set(command.name, command);
+    } else {
+      console.warn('[AgentWP] Ignoring invalid slash command', command);
+    }
+  }
+  return registry.size;
+};
+
+const ensureInitialized = () => {
+  if (initialized) {
+    return;
+  }
+  initialized = true;
+  [...BUILTIN_SLASH_COMMANDS, HELP_COMMAND].forEach(registerSlashCommand);
+
+  if (typeof window === 'undefined') {
+    return;
+  }
+  const queued = window.agentwpSlashCommands;
+  if (Array.isArray(queued)) {
+    registerQueued(queued);
+  }
+  window.agentwpSlashCommands = {
+    push: (...commands: SlashCommand[]) => registerQueued(commands),
+  };
+};
+
+/**
+ * Registered commands, sorted by name.
+ */
+export const getSlashCommands = (): SlashCommand[] => {
+  ensureInitialized();
+  return [...registry.values()].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Look up a command by name or alias.
+ */
+export const findSlashCommand = (name: string): SlashCommand | null => {
+  ensureInitialized();
+  const key = name.toLowerCase();
+  return (
+    registry.get(key) ??
+    [...registry.values()].find((command) => command.aliases?.includes(key)) ??
+    null
+  );
+};
+
+export const isSlashInput = (text: string): boolean => text.trimStart().startsWith('/');
+
+/**
+ * Split "/order 1001" into its command name and argument.
+ * Returns null when the text is not a slash command.
+ */
+export const parseSlashInput = (text: string): ParsedSlashInput | null => {
+  const match = /^\/(\S*)(\s+)?([\s\S]*)$/.exec(text.trimStart());
+  if (!match) {
+    return null;
+  }
+  return {
+    name: (match[1] ?? '').toLowerCase(),
+    argument: (match[3] ?? '').trim(),
+    hasArgument: Boolean(match[2]),
+  };
+};
+
+/**
+ * Usage text such as "/order <order number>".
+ */
+export const formatSlashUsage = (command: SlashCommand): string => {
+  const { argument } = command;
+  if (!argument) {
+    return `/${command.name}`;
+  }
+  const hint = argument.options ? argument.options.join('|') : argument.name;
+  return argument.required ? `/${command.name} <${hint}>` : `/${command.name} [${hint}]`;
+};
+
+// Lives here rather than with the other built-ins because it lists the registry.
+const HELP_COMMAND: SlashCommand = {
+  name: 'help',
+  description: __('List the available commands'),
+  run: () => ({
+    message: __('These commands run instantly without asking the assistant.'),
+    cards: [
+      {
+        type: 'table',
+        title: __('Slash commands'),
+        columns: [
+          { key: 'usage', label: __('Command') },
+          { key: 'description', label: __('Description') },
+        ],
+        rows: getSlashCommands().map((command) => ({
+          usage: formatSlashUsage(command),
+          description: command.description,
+        })),
+      },
+    ],
+  }),
+};
+
+/**
+ * Forget every registered command. Test helper.
+ */
+export const resetSlashCommands = () => {
+  registry.clear();
+  initialized = false;
+};
@@ -0,0 +1,179 @@
+import { useEffect, useRef } from 'react';
+import { isDraftResponse } from './DraftReviewPanel';
+import { useModalStore } from '../../stores/useModalStore';
+import { useVoiceStore } from '../../stores/useVoiceStore';
+import type { useVoice } from '../../hooks/useVoice';
+import { VOICE_AUTO_SUBMIT_DELAY_MS } from '../../utils/constants';
+import { __ } from '../../utils/i18n';
+import { stripMarkdownToPlainText } from '../../utils/text';
+
+type Voice = ReturnType<typeof useVoice>;
+
+/* translators: keep the quoted words to ones listed in CONFIRM_WORDS and CANCEL_WORDS */
+export const VOICE_DECISION_PROMPT = __('Say "confirm" to go ahead, or "cancel".');
+
+// Spanish and French speakers answer in their recognition language
+const CONFIRM_WORDS = ['confirm', 'confirmar', 'confirmer'];
+const CANCEL_WORDS = ['cancel', 'cancelar', 'annuler'];
+// Allowed around the decision word: "yes, confirm", "cancel please"
+const FILLER_WORDS = ['yes', 'please', 'sí', 'si', 'oui'];
+const NEGATION_WORDS = ['no', 'not', 'non', 'ne', 'pas', 'never', 'nunca'];
+
+const isNegation = (word: string): boolean => NEGATION_WORDS.includes(word) || word.endsWith("n't");
+
+/**
+ * Read a spoken reply to a draft. Only the decision word itself counts,
+ * optionally with "yes" or "please"; anything longer ("wait, confirm the
+ * amount first") or negated ("don't confirm") is too unclear to act on.
+ */
+export const parseVoiceDecision = (transcript: string): 'confirm' | 'cancel' | null => {
+  const words: string[] = transcript.toLowerCase().match(/[\p{L}']+/gu) ?? [];
+  if (words.some(isNegation)) {
+    return null;
+  }
+  const decision = words.filter((word) => !FILLER_WORDS.includes(word));
+  if (decision.length !== 1 || !decision[0]) {
+    return null;
+  }
+  if (CONFIRM_WORDS.includes(decision[0])) {
+    return 'confirm';
+  }
+  return CANCEL_WORDS.includes(decision[0]) ? 'cancel' : null;
+};
+
+/**
+ * Hands-free mode for the command deck: keep listening for the wake word,
+ * send what follows once the speaker pauses, and read the answer back.
+ * Drafts are held until a spoken "confirm" or "cancel"; the review panel
+ * carries that out through the voice store.
+ */
+export function useHandsFree(voice: Voice, onSubmit: (prompt: string) => void) {
+  const {
+    isListening,
+    isSpeaking,
+    error,
+    finalTranscript,
+    interimTranscript,
+    startListening,
+    abortListening,
+    resetTranscripts,
+    speakResponse,
+    stopSpeaking,
+  } = voice;
+  const {
+    handsFree: enabled,
+    draftDecision,
+    awaitDraftDecision,
+    decideDraft,
+    clearDraftDecision,
+  } = useVoiceStore();
+  const loading = useModalStore((state) => state.loading);
+  const awaitingDraftId = draftDecision && !draftDecision.action ? draftDecision.draftId : null;
+
+  const onSubmitRef = useRef(onSubmit);
+  const wasEnabledRef = useRef(enabled);
+  const wasLoadingRef = useRef(loading);
+
+  useEffect(() => {
+    onSubmitRef.current = onSubmit;
+  }, [onSubmit]);
+
+  // Listen whenever the deck is not talking. A failed start leaves an error,
+  // which stops this from retrying in a loop.
+  useEffect(() => {
+    if (enabled && !isSpeaking && !isListening && !error) {
+      startListening();
+    }
+  }, [enabled, isSpeaking, isListening, error, startListening]);
+
+  // The microphone would pick up the answer being read out
+  useEffect(() => {
+    if (enabled && isSpeaking) {
+      abortListening();
+    }
+  }, [enabled, isSpeaking, abortListening]);
+
+  useEffect(() => {
+    if (wasEnabledRef.current && !enabled) {
+      abortListening();
+      stopSpeaking();
+      clearDraftDecision();
+    }
+    wasEnabledRef.current = enabled;
+  }, [enabled, abortListening, stopSpeaking, clearDraftDecision]);
+
+  useEffect(() => {
+    const transcript = finalTranscript.trim();
+    if (!enabled || !transcript || interimTranscript) {
+      return undefined;
+    }
+
+    if (awaitingDraftId) {
+      const action = parseVoiceDecision(transcript);
+      resetTranscripts();
+      if (action) {
+        decideDraft(action);
+      } else {
+        speakResponse(VOICE_DECISION_PROMPT);
+      }
+      return undefined;
+    }
+
+    // Wait for a pause so a sentence spoken in bursts is sent whole
+    const timer = setTimeout(() => {
+      resetTranscripts();
+      onSubmitRef.current(transcript);
+    }, VOICE_AUTO_SUBMIT_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [
+    enabled,
+    finalTranscript,
+    interimTranscript,
+    awaitingDraftId,
+    resetTranscripts,
+    decideDraft,
+    speakResponse,
+  ]);
+
+  // Read each finished answer aloud, asking for a decision on drafts
+  useEffect(() => {
+    const started = !wasLoadingRef.current && loading;
+    const finished = wasLoadingRef.current && !loading;
+    wasLoadingRef.current = loading;
+    if (!enabled) {
+      return;
+    }
+    if (started && awaitingDraftId) {
+      // A new prompt moves on from the draft; its buttons still work
+      clearDraftDecision();
+    }
+    if (!finished) {
+      return;
+    }
+
+    const { response, errorState, intentResult } = useModalStore.getState();
+    if (errorState) {
+      speakResponse(errorState.message);
+      return;
+    }
+    const text = stripMarkdownToPlainText(response);
+    const { draft } = intentResult;
+    if (isDraftResponse(draft)) {
+      awaitDraftDecision(draft.draft_id);
+      const summary = text || draft.preview.summary || draft.message;
+      speakResponse(`${summary} ${VOICE_DECISION_PROMPT}`);
+      return;
+    }
+    speakResponse(text);
+  }, [enabled, loading, awaitingDraftId, awaitDraftDecision, clearDraftDecision, speakResponse]);
+
+  useEffect(() => {
+    if (!draftDecision?.outcome) {
+      return;
+    }
+    clearDraftDecision();
+    if (enabled) {
+      speakResponse(draftDecision.outcome);
+    }
+  }, [enabled, draftDecision, clearDraftDecision, speakResponse]);
+}
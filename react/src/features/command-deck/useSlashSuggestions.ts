@@ -0,0 +1,86 @@
+import { useEffect } from 'react';
+import { useDebouncedSearch } from '../../hooks/useSearch';
+import {
+  findSlashCommand,
+  formatSlashUsage,
+  getSlashCommands,
+  parseSlashInput,
+} from './slash-commands';
+
+export interface SlashSuggestion {
+  id: string;
+  label: string;
+  description?: string;
+  /** Prompt text after the suggestion is picked. */
+  value: string;
+}
+
+/**
+ * Autocomplete for slash commands: command names until a space is typed,
+ * then the command's fixed options or /search matches for its argument.
+ */
+export function useSlashSuggestions(input: string) {
+  const parsed = parseSlashInput(input);
+  const command = parsed?.hasArgument ? findSlashCommand(parsed.name) : null;
+  const argument = command?.argument;
+  const searchType = argument?.search;
+  const searchText = searchType && parsed ? parsed.argument : '';
+
+  const { setQuery, results, isLoading } = useDebouncedSearch('', searchType ? [searchType] : []);
+
+  useEffect(() => {
+    setQuery(searchText);
+  }, [searchText, setQuery]);
+
+  const buildSuggestions = (): SlashSuggestion[] => {
+    if (!parsed) {
+      return [];
+    }
+
+    if (!parsed.hasArgument) {
+      return getSlashCommands()
+        .filter(
+          (item) =>
+            item.name.startsWith(parsed.name) ||
+            item.aliases?.some((alias) => alias.startsWith(parsed.name)),
+        )
+        .map((item) => ({
+          id: `command-${item.name}`,
+          label: formatSlashUsage(item),
+          description: item.description,
+          value: item.argument ? `/${item.name} ` : `/${item.name}`,
+        }));
+    }
+
+    if (!command || !argument) {
+      return [];
+    }
+
+    const typed = parsed.argument.toLowerCase();
+    const options = (argument.options ?? [])
+      .filter((option) => option.toLowerCase().startsWith(typed))
+      .map((option) => ({
+        id: `option-${option}`,
+        label: option,
+        value: `/${command.name} ${option}`,
+      }));
+
+    const matches = searchType
+      ? results[searchType].map((result) => ({
+          id: `${searchType}-${result.id}`,
+          label: result.title,
+          description: result.subtitle,
+          value: `/${command.name} ${argument.complete?.(result) ?? result.title}`,
+        }))
+      : [];
+
+    return [...options, ...matches];
+  };
+
+  return {
+    /** True while the prompt is a slash command, whether or not anything matches. */
+    active: parsed !== null,
+    suggestions: buildSuggestions(),
+    isLoading: Boolean(searchType && searchText) && isLoading,
+  };
+}
@@ -6,6 +6,7 @@ import {
   DEMO_TOUR_START_DELAY_MS,
   getInitialTourSeen,
 } from '../../utils/constants';
+import { __, isRTL } from '../../utils/i18n';
 
 interface UseDemoTourOptions {
   demoMode: boolean;
@@ -22,32 +23,32 @@ interface UseDemoTourReturn {
 const TOUR_STEPS = [
   {
     id: 'hero',
-    title: 'Welcome to AgentWP',
-    text: 'Your command deck turns plain-language prompts into store actions.',
+    title: __('Welcome to AgentWP'),
+    text: __('Your command deck turns plain-language prompts into store actions.'),
     attachTo: { element: '[data-tour="hero"]', on: 'bottom' as const },
   },
   {
     id: 'sample',
-    title: 'Sample prompts',
-    text: 'Use starter prompts to see how AgentWP drafts responses.',
+    title: __('Sample prompts'),
+    text: __('Use starter prompts to see how AgentWP drafts responses.'),
     attachTo: { element: '[data-tour="sample-prompt"]', on: 'right' as const },
   },
   {
     id: 'launch',
-    title: 'Launch the command deck',
-    text: 'Open the deck anytime from this quick action button.',
+    title: __('Launch the command deck'),
+    text: __('Open the deck anytime from this quick action button.'),
     attachTo: { element: '[data-tour="open-command-deck"]', on: 'bottom' as const },
   },
   {
     id: 'status',
-    title: 'Live status checks',
-    text: 'AgentWP surfaces connectivity and status indicators for confidence.',
+    title: __('Live status checks'),
+    text: __('AgentWP surfaces connectivity and status indicators for confidence.'),
     attachTo: { element: '[data-tour="status-card"]', on: 'left' as const },
   },
   {
     id: 'analytics',
-    title: 'Analytics snapshot',
-    text: 'Keep an eye on revenue, order volume, and response momentum.',
+    title: __('Analytics snapshot'),
+    text: __('Keep an eye on revenue, order volume, and response momentum.'),
     attachTo: { element: '[data-tour="analytics"]', on: 'top' as const },
   },
 ];
@@ -87,6 +88,7 @@ export function useDemoTour({
         classes: tourClasses,
         cancelIcon: {
           enabled: true,
+          label: __('Close tour'),
         },
         scrollTo: {
           behavior: 'smooth',
@@ -97,17 +99,21 @@ export function useDemoTour({
 
     const addButtons = (isLast: boolean) => [
       {
-        text: 'Skip tour',
+        text: __('Skip tour'),
         action: tour.cancel,
         classes: 'shepherd-button-secondary',
       },
       {
-        text: isLast ? 'Finish' : 'Next',
+        text: isLast ? __('Finish') : __('Next'),
         action: isLast ? tour.complete : tour.next,
       },
     ];
 
     const root = shadowRoot || document;
+    // Steps beside an element swap sides when the admin reads right to left
+    const mirror: Record<string, 'left' | 'right'> = isRTL()
+      ? { left: 'right', right: 'left' }
+      : {};
 
     TOUR_STEPS.forEach((step, index) => {
       const target = root.querySelector(step.attachTo.element);
@@ -116,6 +122,7 @@ export function useDemoTour({
       }
       tour.addStep({
         ...step,
+        attachTo: { ...step.attachTo, on: mirror[step.attachTo.on] ?? step.attachTo.on },
         buttons: addButtons(index === TOUR_STEPS.length - 1),
       });
     });
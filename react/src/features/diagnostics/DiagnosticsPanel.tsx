@@ -0,0 +1,254 @@
+import { useMemo, useState } from 'react';
+import agentwpClient from '../../api/AgentWPClient';
+import { useDiagnosticsData } from '../../hooks/useDiagnostics';
+import { useHealthHistoryStore } from '../../stores/useHealthHistoryStore';
+import { copyToClipboard } from '../../utils/clipboard';
+import { buildErrorState } from '../../utils/error';
+import { formatDateTime } from '../../utils/formatters';
+import { __, _n, sprintf } from '../../utils/i18n';
+import {
+  buildDiagnosticChecks,
+  buildSupportBundle,
+  summarizeErrorCodes,
+  type CheckStatus,
+} from './diagnostics-report';
+
+const STATUS_STYLES: Record<CheckStatus, { label: string; className: string }> = {
+  pass: { label: __('OK'), className: 'border-emerald-400/50 bg-emerald-400/10 text-emerald-200' },
+  warn: { label: __('Check'), className: 'border-amber-400/50 bg-amber-400/10 text-amber-200' },
+  fail: { label: __('Problem'), className: 'border-red-400/50 bg-red-400/10 text-red-200' },
+};
+
+const buttonClassName =
+  'rounded-lg border border-slate-600/70 px-3 py-2 text-sm font-medium text-slate-200 transition-colors hover:border-slate-400/80 hover:bg-slate-800 focus:outline-none focus-visible:ring-2 focus-visible:ring-sky-400 disabled:cursor-not-allowed disabled:opacity-50';
+
+/**
+ * Environment checks, recent API errors and health history, plus a
+ * redacted support bundle to paste into a ticket.
+ */
+export function DiagnosticsPanel() {
+  const { diagnostics, isLoading, isFetching, error, refetch } = useDiagnosticsData();
+  const healthHistory = useHealthHistoryStore((state) => state.entries);
+  const [keyTest, setKeyTest] = useState<{ ok: boolean; message: string } | null>(null);
+  const [testing, setTesting] = useState(false);
+  const [copyStatus, setCopyStatus] = useState<'copied' | 'failed' | null>(null);
+
+  const checks = useMemo(
+    () => (diagnostics ? buildDiagnosticChecks(diagnostics) : []),
+    [diagnostics],
+  );
+  const errorCodes = useMemo(
+    () => summarizeErrorCodes(diagnostics?.rest_logs?.entries ?? []),
+    [diagnostics],
+  );
+  const healthyChecks = healthHistory.filter((entry) => entry.healthy).length;
+  const supportEmail =
+    typeof window !== 'undefined' ? window.agentwpSettings?.supportEmail : undefined;
+
+  /* translators: %s: support email address */
+  const emailPrompt = __('Paste it into an email to %s.').split('%s');
+
+  const handleTestKey = async () => {
+    setTesting(true);
+    const result = await agentwpClient.testApiKey();
+    setTesting(false);
+    setKeyTest(
+      result.success
+        ? { ok: true, message: __('OpenAI accepted the stored key.') }
+        : { ok: false, message: buildErrorState(result.error).message },
+    );
+  };
+
+  const handleCopyBundle = async () => {
+    if (!diagnostics) return;
+    const bundle = buildSupportBundle({ diagnostics, healthHistory, keyTest });
+    setCopyStatus((await copyToClipboard({ text: bundle })) ? 'copied' : 'failed');
+  };
+
+  return (
+    <section
+      aria-labelledby="agentwp-diagnostics-heading"
+      className="rounded-2xl border border-deck-border bg-deck-surface/70 p-6 shadow-deck"
+    >
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h2 id="agentwp-diagnostics-heading" className="text-lg font-semibold text-white">
+          {__('Diagnostics')}
+        </h2>
+        <div className="flex flex-wrap gap-2">
+          <button
+            type="button"
+            onClick={() => void refetch()}
+            disabled={isFetching}
+            className={buttonClassName}
+          >
+            {isFetching ? __('Checking...') : __('Run checks again')}
+          </button>
+          <button
+            type="button"
+            onClick={() => void handleCopyBundle()}
+            disabled={!diagnostics}
+            className={buttonClassName}
+          >
+            {__('Copy support bundle')}
+          </button>
+        </div>
+      </div>
+
+      {copyStatus === 'copied' && (
+        <p role="status" className="mt-3 text-sm text-emerald-300">
+          {__('Support bundle copied. Personal data and keys are removed.')}{' '}
+          {supportEmail ? (
+            <>
+              {emailPrompt[0]}
+              <a
+                href={`mailto:${supportEmail}?subject=${encodeURIComponent('AgentWP support')}`}
+                className="underline"
+              >
+                {supportEmail}
+              </a>
+              {emailPrompt[1]}
+            </>
+          ) : (
+            __('Paste it into your support ticket.')
+          )}
+        </p>
+      )}
+      {copyStatus === 'failed' && (
+        <p role="alert" className="mt-3 text-sm text-red-400">
+          {__("The support bundle couldn't be copied. Check the browser's clipboard permission.")}
+        </p>
+      )}
+
+      {isLoading && (
+        <p role="status" className="mt-4 text-sm text-slate-400">
+          {__('Running checks...')}
+        </p>
+      )}
+      {!isLoading && !diagnostics && (
+        <p role="alert" className="mt-4 text-sm text-red-400">
+          {error || __('Diagnostics could not be loaded.')}
+        </p>
+      )}
+
+      {diagnostics && (
+        <>
+          <ul className="mt-4 divide-y divide-slate-700/50" aria-label={__('Environment checks')}>
+            {checks.map((check) => (
+              <li key={check.id} className="flex flex-wrap items-center gap-3 py-2 text-sm">
+                <span className="w-32 shrink-0 text-slate-300">{check.label}</span>
+                <span className="min-w-0 flex-1 text-slate-400">{check.detail}</span>
+                {check.id === 'api_key' && check.status === 'pass' && (
+                  <button
+                    type="button"
+                    onClick={() => void handleTestKey()}
+                    disabled={testing}
+                    className="text-xs font-medium text-sky-300 underline disabled:opacity-50"
+                  >
+                    {testing ? __('Testing...') : __('Test with OpenAI')}
+                  </button>
+                )}
+                <span
+                  className={`rounded-full border px-2.5 py-0.5 text-xs font-medium ${STATUS_STYLES[check.status].className}`}
+                >
+                  {STATUS_STYLES[check.status].label}
+                </span>
+              </li>
+            ))}
+          </ul>
+          {keyTest && (
+            <p
+              role={keyTest.ok ? 'status' : 'alert'}
+              className={`mt-2 text-sm ${keyTest.ok ? 'text-emerald-300' : 'text-red-400'}`}
+            >
+              {keyTest.message}
+            </p>
+          )}
+
+          <h3 className="mt-6 text-sm font-semibold text-slate-200">{__('Recent errors')}</h3>
+          {errorCodes.length === 0 ? (
+            <p className="mt-2 text-sm text-slate-400">
+              {sprintf(
+                /* translators: %d: number of logged requests */
+                _n(
+                  'No errors in the last %d request.',
+                  'No errors in the last %d requests.',
+                  diagnostics.rest_logs?.total ?? 0,
+                ),
+                diagnostics.rest_logs?.total ?? 0,
+              )}
+            </p>
+          ) : (
+            <table className="mt-2 w-full text-start text-sm">
+              <thead className="text-xs text-slate-400">
+                <tr>
+                  <th scope="col" className="py-1 font-medium">
+                    {__('Code')}
+                  </th>
+                  <th scope="col" className="py-1 font-medium">
+                    {__('Count')}
+                  </th>
+                  <th scope="col" className="py-1 font-medium">
+                    {__('Last seen')}
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="text-slate-300">
+                {errorCodes.map((item) => (
+                  <tr key={item.code}>
+                    <td className="py-1 font-mono text-xs">{item.code}</td>
+                    <td className="py-1">{item.count}</td>
+                    <td className="py-1">{formatDateTime(item.lastSeen)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <h3 className="mt-6 text-sm font-semibold text-slate-200">{__('Health checks')}</h3>
+          {healthHistory.length === 0 ? (
+            <p className="mt-2 text-sm text-slate-400">
+              {__('No health checks in this session yet.')}
+            </p>
+          ) : (
+            <>
+              <p className="mt-2 text-sm text-slate-400">
+                {sprintf(
+                  /* translators: 1: passed checks, 2: all recent checks */
+                  _n(
+                    '%1$d of %2$d recent check passed.',
+                    '%1$d of %2$d recent checks passed.',
+                    healthHistory.length,
+                  ),
+                  healthyChecks,
+                  healthHistory.length,
+                )}
+              </p>
+              <ol className="mt-2 flex flex-wrap gap-1" aria-label={__('Health check history')}>
+                {healthHistory.map((entry) => {
+                  const label = entry.healthy
+                    ? /* translators: %s: date and time of the check */
+                      sprintf(__('%s: healthy'), formatDateTime(entry.checkedAt))
+                    : /* translators: 1: date and time of the check, 2: error code */
+                      sprintf(
+                        __('%1$s: failed (%2$s)'),
+                        formatDateTime(entry.checkedAt),
+                        entry.code ?? __('unknown'),
+                      );
+                  return (
+                    <li
+                      key={entry.checkedAt}
+                      title={label}
+                      className={`h-3 w-3 rounded-full ${entry.healthy ? 'bg-emerald-400' : 'bg-red-400'}`}
+                    >
+                      <span className="sr-only">{label}</span>
+                    </li>
+                  );
+                })}
+              </ol>
+            </>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,240 @@
+/**
+ * Environment checks and the redacted support bundle for the diagnostics panel.
+ */
+
+import type { components } from '../../types/api';
+import type { HealthCheckEntry } from '../../stores/useHealthHistoryStore';
+import { __, sprintf } from '../../utils/i18n';
+
+export type DiagnosticsData = components['schemas']['DiagnosticsResponseData'];
+type RestLogEntry = components['schemas']['DiagnosticsRestLogEntry'];
+
+export type CheckStatus = 'pass' | 'warn' | 'fail';
+
+export interface DiagnosticCheck {
+  id: string;
+  label: string;
+  status: CheckStatus;
+  detail: string;
+}
+
+export interface ErrorCodeSummary {
+  code: string;
+  count: number;
+  lastStatus: number;
+  lastSeen: string;
+}
+
+/**
+ * Compare dotted version strings numerically ("8.10" is newer than "8.2").
+ */
+export const meetsMinimum = (version: string, minimum: string): boolean => {
+  const current = version.split(/[.-]/).map((part) => Number.parseInt(part, 10) || 0);
+  const required = minimum.split('.').map((part) => Number.parseInt(part, 10) || 0);
+  for (let index = 0; index < required.length; index++) {
+    const have = current[index] ?? 0;
+    const need = required[index] ?? 0;
+    if (have !== need) {
+      return have > need;
+    }
+  }
+  return true;
+};
+
+const versionCheck = (
+  id: string,
+  label: string,
+  version: string | undefined,
+  minimum: string | undefined,
+  missing: string,
+): DiagnosticCheck => {
+  if (!version) {
+    return { id, label, status: id === 'wc' ? 'fail' : 'warn', detail: missing };
+  }
+  if (minimum && !meetsMinimum(version, minimum)) {
+    return {
+      id,
+      label,
+      status: 'fail',
+      /* translators: 1: installed version, 2: minimum version */
+      detail: sprintf(__('%1$s (requires %2$s or newer)'), version, minimum),
+    };
+  }
+  return { id, label, status: 'pass', detail: version };
+};
+
+/**
+ * Turn the diagnostics snapshot into pass/warn/fail rows, most important first.
+ */
+export const buildDiagnosticChecks = (data: DiagnosticsData): DiagnosticCheck[] => {
+  const environment = data.environment ?? {};
+  const minimums = environment.minimums ?? {};
+  const apiKey = data.api_key ?? {};
+  const encryption = data.encryption ?? {};
+  const rateLimit = data.rate_limit ?? {};
+  const searchIndex = data.search_index ?? {};
+  const indexComplete = Object.values(searchIndex.complete ?? {}).every(Boolean);
+
+  const apiKeyCheck: DiagnosticCheck = !apiKey.configured
+    ? { id: 'api_key', label: __('API key'), status: 'fail', detail: __('No key stored') }
+    : !apiKey.readable
+      ? {
+          id: 'api_key',
+          label: __('API key'),
+          status: 'fail',
+          detail: __("The stored key can't be decrypted. Save it again."),
+        }
+      : {
+          id: 'api_key',
+          label: __('API key'),
+          status: 'pass',
+          /* translators: %s: last four characters of the API key */
+          detail: sprintf(__('Stored •••• %s'), apiKey.last4 ?? '').trim(),
+        };
+
+  return [
+    versionCheck('php', 'PHP', environment.php_version, minimums.php, __('Unknown')),
+    versionCheck('wp', 'WordPress', environment.wp_version, minimums.wp, __('Unknown')),
+    versionCheck('wc', 'WooCommerce', environment.wc_version, minimums.wc, __('Not active')),
+    apiKeyCheck,
+    encryption.available
+      ? {
+          id: 'encryption',
+          label: __('Encryption'),
+          status: 'pass',
+          detail: __('AES-256-GCM available'),
+        }
+      : {
+          id: 'encryption',
+          label: __('Encryption'),
+          status: 'fail',
+          detail: encryption.openssl
+            ? __('Encryption round trip failed')
+            : __('The OpenSSL extension is missing'),
+        },
+    data.cache?.persistent_object_cache
+      ? { id: 'cache', label: __('Object cache'), status: 'pass', detail: __('Persistent') }
+      : {
+          id: 'cache',
+          label: __('Object cache'),
+          status: 'warn',
+          detail: __('Not persistent; caches fall back to transients'),
+        },
+    !rateLimit.enabled
+      ? { id: 'rate_limit', label: __('Rate limiter'), status: 'warn', detail: __('Not active') }
+      : {
+          id: 'rate_limit',
+          label: __('Rate limiter'),
+          status: rateLimit.retry_after ? 'warn' : 'pass',
+          detail: rateLimit.retry_after
+            ? /* translators: %d: seconds until the limit resets */
+              sprintf(__('Limit reached; resets in %ds'), rateLimit.retry_after)
+            : sprintf(
+                /* translators: 1: requests left, 2: requests allowed, 3: window in seconds */
+                __('%1$d of %2$d requests left per %3$ds'),
+                rateLimit.remaining ?? 0,
+                rateLimit.limit ?? 0,
+                rateLimit.window ?? 0,
+              ),
+        },
+    searchIndex.version === searchIndex.expected_version && indexComplete
+      ? { id: 'search_index', label: __('Search index'), status: 'pass', detail: __('Up to date') }
+      : {
+          id: 'search_index',
+          label: __('Search index'),
+          status: 'warn',
+          detail: searchIndex.version ? __('Still building') : __('Not built yet'),
+        },
+  ];
+};
+
+/**
+ * Failed REST calls grouped by error code, most frequent first.
+ */
+export const summarizeErrorCodes = (entries: RestLogEntry[]): ErrorCodeSummary[] => {
+  const byCode = new Map<string, ErrorCodeSummary>();
+  entries.forEach((entry) => {
+    const status = entry.status ?? 0;
+    if (!entry.error && status < 400) {
+      return;
+    }
+    const code = entry.error || `http_${status}`;
+    const existing = byCode.get(code);
+    byCode.set(code, {
+      code,
+      count: (existing?.count ?? 0) + 1,
+      lastStatus: status,
+      lastSeen: entry.time ?? existing?.lastSeen ?? '',
+    });
+  });
+  return [...byCode.values()].sort(
+    (a, b) => b.count - a.count || b.lastSeen.localeCompare(a.lastSeen),
+  );
+};
+
+const EMAIL_PATTERN = /[^\s@"]+@[^\s@"]+\.[^\s@"]+/g;
+const SECRET_PATTERN = /\bsk-[A-Za-z0-9_-]{8,}\b/g;
+/** Fields that identify a person or a credential; dropped from the bundle entirely. */
+const REDACTED_FIELDS = new Set(['user_id', 'last4', 'nonce', 'email', 'api_key_last4']);
+
+/**
+ * Strip identifying fields and mask emails and API keys anywhere in a value.
+ */
+export const redactValue = (value: unknown): unknown => {
+  if (typeof value === 'string') {
+    return value
+      .replace(SECRET_PATTERN, '[redacted key]')
+      .replace(EMAIL_PATTERN, '[redacted email]');
+  }
+  if (Array.isArray(value)) {
+    return value.map(redactValue);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([key]) => !REDACTED_FIELDS.has(key))
+        .map(([key, item]) => [key, redactValue(item)]),
+    );
+  }
+  return value;
+};
+
+export interface SupportBundleInput {
+  diagnostics: DiagnosticsData;
+  healthHistory: HealthCheckEntry[];
+  /** Result of the last "Test key" run in this session, if any. */
+  keyTest?: { ok: boolean; message: string } | null;
+  generatedAt?: Date;
+}
+
+/**
+ * Everything support asks for first, as one JSON document with personal data removed.
+ */
+export const buildSupportBundle = ({
+  diagnostics,
+  healthHistory,
+  keyTest = null,
+  generatedAt = new Date(),
+}: SupportBundleInput): string => {
+  // Checks are built from the redacted snapshot so their details cannot leak either
+  const safeDiagnostics = redactValue(diagnostics) as DiagnosticsData;
+  const bundle = {
+    generated_at: generatedAt.toISOString(),
+    plugin_version:
+      (typeof window !== 'undefined' ? window.agentwpSettings?.version : undefined) ??
+      diagnostics.health?.version ??
+      '',
+    browser: typeof navigator !== 'undefined' ? navigator.userAgent : '',
+    checks: buildDiagnosticChecks(safeDiagnostics),
+    key_test: keyTest,
+    recent_errors: summarizeErrorCodes(safeDiagnostics.rest_logs?.entries ?? []),
+    health_history: healthHistory.map((entry) => ({
+      checked_at: new Date(entry.checkedAt).toISOString(),
+      healthy: entry.healthy,
+      code: entry.code,
+    })),
+    diagnostics: safeDiagnostics,
+  };
+
+  return JSON.stringify(redactValue(bundle), null, 2);
+};
@@ -0,0 +1,7 @@
+export { DiagnosticsPanel } from './DiagnosticsPanel';
+export {
+  buildDiagnosticChecks,
+  buildSupportBundle,
+  redactValue,
+  summarizeErrorCodes,
+} from './diagnostics-report';
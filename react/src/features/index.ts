@@ -1,6 +1,8 @@
 export * from './command-deck';
 export * from './analytics';
 export * from './landing';
+export * from './settings';
 export * from './usage';
+export * from './diagnostics';
 export * from './voice';
 export * from './demo-tour';
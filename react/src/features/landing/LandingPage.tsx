@@ -1,32 +1,49 @@
-import { useCallback, useState } from 'react';
+import { Suspense, useCallback, useState } from 'react';
 import { useModalStore } from '../../stores/useModalStore';
-import { PERIOD_OPTIONS } from '../../stores/useAnalyticsStore';
 import { useAnalyticsData } from '../../hooks/useAnalytics';
 import { useUsageData } from '../../hooks/useUsage';
-import { PeriodSelector } from '../analytics';
-import { UsageCard } from '../usage';
+import { AnalyticsDashboard, AnalyticsSection, DateRangePicker } from '../analytics';
+import { BudgetAlert, UsageCard, UsageMonitor } from '../usage';
 import { useDemoTour } from '../demo-tour';
 import { useThemeStore } from '../../stores/useThemeStore';
-import { ANALYTICS_DATA } from '../../utils/analytics-data';
-import { formatCurrencyValue } from '../../utils/formatters';
-import type { AnalyticsData, Period } from '../../types';
+import { getDemoAnalytics } from '../../utils/analytics-data';
+import { forecastPeriodSpend, getBudgetStatus } from '../../utils/budget';
+import { buildAnalyticsQuery, buildUsageQuery, createAnalyticsRange } from '../../utils/date-range';
+import { getHotkeyLabel } from '../../utils/hotkey';
+import { __, sprintf } from '../../utils/i18n';
+import type { AnalyticsRange } from '../../types';
 
 interface LandingPageProps {
   demoMode?: boolean;
   shadowRoot?: ShadowRoot | null;
   budgetLimit?: number;
+  hotkey?: string;
+  onOpenSettings?: () => void;
 }
 
-export function LandingPage({ demoMode = false, shadowRoot, budgetLimit = 0 }: LandingPageProps) {
-  const { open: openModal, isOpen } = useModalStore();
+export function LandingPage({
+  demoMode = false,
+  shadowRoot,
+  budgetLimit = 0,
+  hotkey,
+  onOpenSettings,
+}: LandingPageProps) {
+  const { open: openModal, isOpen, setPrompt } = useModalStore();
   const { resolved: theme } = useThemeStore();
-  const [selectedPeriod, setSelectedPeriod] = useState<Period>('7d');
+  const [range, setRange] = useState<AnalyticsRange>(() => createAnalyticsRange());
+  const [usageRange, setUsageRange] = useState<AnalyticsRange>(() => createAnalyticsRange('mtd'));
 
   // Analytics data from API
-  const { analytics, isLoading: analyticsLoading } = useAnalyticsData(selectedPeriod);
+  const {
+    analytics,
+    isLoading: analyticsLoading,
+    error: analyticsError,
+  } = useAnalyticsData(buildAnalyticsQuery(range));
 
-  // Usage data
-  const { usage, isLoading: usageLoading } = useUsageData('month');
+  // Usage data; the budget is monthly, so it only applies to the month to date
+  const { usage: monthUsage } = useUsageData('month');
+  const { usage, isLoading: usageLoading } = useUsageData(buildUsageQuery(usageRange));
+  const rangeBudgetLimit = usageRange.preset === 'mtd' ? budgetLimit : 0;
 
   // Demo tour
   const { tourSeen, startTour } = useDemoTour({
@@ -36,18 +53,22 @@ export function LandingPage({ demoMode = false, shadowRoot, budgetLimit = 0 }: L
   });
 
   // Use demo data when in demo mode and no real data
-  const displayAnalytics = analytics || (demoMode ? ANALYTICS_DATA[selectedPeriod] : null);
+  const displayAnalytics = analytics || (demoMode ? getDemoAnalytics(range) : null);
 
   const handleOpenCommandDeck = useCallback(() => {
     openModal();
   }, [openModal]);
 
-  const handlePeriodChange = useCallback((period: Period) => {
-    setSelectedPeriod(period);
-  }, []);
+  // Drill-downs open the Command Deck with the prompt ready to send
+  const handleDrillDown = useCallback(
+    (prompt: string) => {
+      setPrompt(prompt);
+      openModal();
+    },
+    [setPrompt, openModal],
+  );
 
-  const isMac = typeof navigator !== 'undefined' && /Mac|iPod|iPhone|iPad/.test(navigator.platform);
-  const shortcutKey = isMac ? 'Cmd' : 'Ctrl';
+  const shortcutLabel = getHotkeyLabel(hotkey);
 
   return (
     <main
@@ -59,16 +80,30 @@ export function LandingPage({ demoMode = false, shadowRoot, budgetLimit = 0 }: L
           <p className="text-xs font-semibold uppercase tracking-[0.4em] text-slate-400">AgentWP</p>
           {demoMode && (
             <span className="inline-flex items-center rounded-full border border-amber-400/60 bg-amber-400/10 px-3 py-1 text-[11px] font-semibold uppercase tracking-[0.3em] text-amber-200">
-              Demo
+              {__('Demo')}
             </span>
           )}
+          {onOpenSettings && (
+            <button
+              type="button"
+              onClick={onOpenSettings}
+              className="ms-auto rounded-full border border-slate-600/70 px-3 py-1 text-xs font-medium text-slate-300 transition hover:border-slate-400/80 hover:text-white focus:outline-none focus-visible:ring-2 focus-visible:ring-sky-400"
+            >
+              {__('Settings')}
+            </button>
+          )}
         </div>
         <h1 className="text-4xl font-semibold text-white sm:text-5xl">
-          Command Deck: instant actions for your store.
+          {__('Command Deck: instant actions for your store.')}
         </h1>
         <p className="text-base text-slate-300 sm:text-lg">
-          Invoke the Command Deck with Cmd+K / Ctrl+K or the admin bar button. Responses render as
-          markdown, with latency and token cost tracking for quick feedback.
+          {sprintf(
+            /* translators: %s: keyboard shortcut, e.g. Ctrl+K */
+            __(
+              'Invoke the Command Deck with %s or the admin bar button. Responses render as markdown, with latency and token cost tracking for quick feedback.',
+            ),
+            shortcutLabel,
+          )}
         </p>
         {demoMode && !tourSeen && (
           <button
@@ -76,7 +111,7 @@ export function LandingPage({ demoMode = false, shadowRoot, budgetLimit = 0 }: L
             onClick={startTour}
             className="inline-flex items-center justify-center rounded-full border border-slate-600/70 bg-slate-900/80 px-4 py-2 text-xs font-semibold uppercase tracking-widest text-white transition hover:border-slate-400/80 hover:bg-slate-900 focus:outline-none focus-visible:ring-2 focus-visible:ring-sky-400"
           >
-            Take the tour
+            {__('Take the tour')}
           </button>
         )}
       </header>
@@ -86,10 +121,11 @@ export function LandingPage({ demoMode = false, shadowRoot, budgetLimit = 0 }: L
           className="rounded-2xl border border-deck-border bg-deck-surface/80 p-6 shadow-deck"
           data-tour="sample-prompt"
         >
-          <h2 className="text-lg font-semibold text-white">Try a sample prompt</h2>
+          <h2 className="text-lg font-semibold text-white">{__('Try a sample prompt')}</h2>
           <p className="mt-2 text-sm text-slate-300">
-            &ldquo;Summarize today&apos;s pending orders and draft a response for the two longest
-            open tickets.&rdquo;
+            {__(
+              '“Summarize today’s pending orders and draft a response for the two longest open tickets.”',
+            )}
           </p>
           <button
             type="button"
@@ -97,9 +133,9 @@ export function LandingPage({ demoMode = false, shadowRoot, budgetLimit = 0 }: L
             data-tour="open-command-deck"
             className="mt-6 inline-flex items-center justify-center gap-2 rounded-full border border-slate-600/60 bg-slate-900/60 px-4 py-2 text-sm font-semibold text-white transition hover:border-slate-400/80 hover:bg-slate-900/80 focus:outline-none focus-visible:ring-2 focus-visible:ring-sky-400"
           >
-            Open Command Deck
+            {__('Open Command Deck')}
             <span className="rounded-full border border-slate-600/80 bg-slate-950/70 px-2 py-1 text-[11px] text-slate-300">
-              {shortcutKey}+K
+              {shortcutLabel}
             </span>
           </button>
         </div>
@@ -108,19 +144,35 @@ export function LandingPage({ demoMode = false, shadowRoot, budgetLimit = 0 }: L
           className="rounded-2xl border border-deck-border bg-deck-surface/60 p-6 text-sm text-slate-300 shadow-deck"
           data-tour="status-card"
         >
-          <h2 className="text-lg font-semibold text-white">Command Deck status</h2>
+          <h2 className="text-lg font-semibold text-white">{__('Command Deck status')}</h2>
           <ul className="mt-3 space-y-2 text-sm">
-            <li>Modal state is persisted in session storage.</li>
-            <li>Focus is trapped for keyboard-only navigation.</li>
-            <li>Responses render markdown with accessible contrast.</li>
+            <li>{__('Modal state is persisted in session storage.')}</li>
+            <li>{__('Focus is trapped for keyboard-only navigation.')}</li>
+            <li>{__('Responses render markdown with accessible contrast.')}</li>
           </ul>
         </div>
       </section>
 
       {/* Usage Summary */}
-      {usage && (
-        <section className="mt-6">
-          <UsageCard usage={usage} budgetLimit={budgetLimit} isLoading={usageLoading} />
+      {monthUsage && (
+        <section className="mt-6 space-y-4" aria-label={__('Usage and budget')}>
+          <BudgetAlert
+            status={getBudgetStatus(monthUsage.totalCostUsd, budgetLimit)}
+            forecast={forecastPeriodSpend(monthUsage)}
+          />
+          <DateRangePicker value={usageRange} onChange={setUsageRange} showCompare={false} />
+          {usage ? (
+            <>
+              <UsageCard usage={usage} budgetLimit={rangeBudgetLimit} isLoading={usageLoading} />
+              <Suspense
+                fallback={<div className="h-40 animate-pulse rounded-xl bg-slate-800/50" />}
+              >
+                <UsageMonitor usage={usage} budgetLimit={rangeBudgetLimit} theme={theme} />
+              </Suspense>
+            </>
+          ) : (
+            usageLoading && <div className="h-24 animate-pulse rounded-xl bg-slate-800/50" />
+          )}
         </section>
       )}
 
@@ -130,82 +182,23 @@ export function LandingPage({ demoMode = false, shadowRoot, budgetLimit = 0 }: L
           className="rounded-2xl border border-deck-border bg-deck-surface/70 p-6 shadow-deck"
           data-tour="analytics"
         >
-          <div className="flex flex-wrap items-center justify-between gap-4">
-            <div>
-              <p className="text-xs font-semibold uppercase tracking-[0.3em] text-slate-400">
-                Analytics snapshot
-              </p>
-              <h2 className="mt-2 text-lg font-semibold text-white">
-                {PERIOD_OPTIONS.find((p) => p.value === selectedPeriod)?.label ||
-                  'Weekly revenue trend'}
-              </h2>
-              <p className="mt-1 text-sm text-slate-300">
-                Track orders and response momentum before drafting outreach.
-              </p>
-            </div>
-            <PeriodSelector value={selectedPeriod} onChange={handlePeriodChange} />
-          </div>
-
-          {analyticsLoading ? (
-            <div className="mt-6 flex items-center justify-center py-12">
-              <div className="h-8 w-8 animate-spin rounded-full border-2 border-slate-600 border-t-sky-400" />
-            </div>
-          ) : displayAnalytics ? (
-            <AnalyticsChart data={displayAnalytics} />
-          ) : (
-            <div className="mt-6 rounded-2xl border border-slate-800/80 bg-slate-950/50 p-5">
-              <p className="py-8 text-center text-sm text-slate-400">No analytics data available</p>
-            </div>
-          )}
+          <AnalyticsSection
+            data={displayAnalytics}
+            range={range}
+            onRangeChange={setRange}
+            isLoading={analyticsLoading}
+            error={displayAnalytics ? null : analyticsError}
+          >
+            {displayAnalytics && (
+              <AnalyticsDashboard
+                data={displayAnalytics}
+                theme={theme}
+                onDrillDown={handleDrillDown}
+              />
+            )}
+          </AnalyticsSection>
         </div>
       </section>
     </main>
   );
 }
-
-// Inline Analytics Chart - uses shared AnalyticsData type
-function AnalyticsChart({ data }: { data: AnalyticsData }) {
-  const maxValue = Math.max(...data.current, ...(data.previous || []));
-  const normalizedCurrent = data.current.map((v) => (v / maxValue) * 100);
-
-  return (
-    <div className="mt-6 rounded-2xl border border-slate-800/80 bg-slate-950/50 p-5">
-      <div className="flex items-center justify-between text-xs text-slate-400">
-        <span>Revenue</span>
-        <span>{data.labels.length} days</span>
-      </div>
-      <div className="mt-4 flex h-40 items-end gap-1">
-        {normalizedCurrent.slice(0, 14).map((height, index) => (
-          <div
-            key={data.labels[index] || index}
-            className="flex flex-1 flex-col items-center justify-end gap-1"
-          >
-            <div
-              className="w-full max-w-6 rounded-full bg-gradient-to-b from-sky-400/80 via-sky-500/60 to-sky-700/80"
-              style={{ height: `${Math.max(height, 4)}%` }}
-            />
-          </div>
-        ))}
-      </div>
-      <div className="mt-2 flex justify-between text-[10px] text-slate-500">
-        <span>{data.labels[0]}</span>
-        <span>{data.labels[data.labels.length - 1]}</span>
-      </div>
-      {data.categories && (
-        <div className="mt-6 grid gap-3 sm:grid-cols-4">
-          {data.categories.labels.map((label, index) => (
-            <div
-              key={label}
-              className="rounded-xl border border-slate-800/80 bg-slate-950/40 px-3 py-2"
-            >
-              <p className="text-xs text-slate-400">{label}</p>
-              <p className="text-lg font-semibold text-white">
-                {formatCurrencyValue(data.categories?.values[index] ?? 0)}
-              </p>
-            </div>
-          ))}
-        </div>
-      )}
-    </div>
-  );
-}
@@ -0,0 +1,130 @@
+import { useState, type FormEvent } from 'react';
+import agentwpClient from '../../api/AgentWPClient';
+import { buildErrorState } from '../../utils/error';
+import { __, sprintf } from '../../utils/i18n';
+import type { ApiKeyState } from '../../types';
+
+interface ApiKeyPanelProps {
+  apiKey: ApiKeyState;
+  /** Called after the stored key changes so the settings payload can refresh. */
+  onChange?: () => void;
+}
+
+interface StatusMessage {
+  tone: 'success' | 'error';
+  text: string;
+}
+
+const inputClassName =
+  'w-full rounded-lg border border-slate-700/60 bg-slate-950/60 px-3 py-2 text-sm text-slate-100 placeholder:text-slate-500 focus:border-sky-400 focus:outline-none focus:ring-1 focus:ring-sky-400';
+
+const buttonClassName =
+  'rounded-lg border border-slate-600/70 px-3 py-2 text-sm font-medium text-slate-200 transition-colors hover:border-slate-400/80 hover:bg-slate-800 focus:outline-none focus-visible:ring-2 focus-visible:ring-sky-400 disabled:cursor-not-allowed disabled:opacity-50';
+
+/**
+ * Masked API key status with replace and "test key" actions.
+ * The full key never comes back from the server; only the last four characters.
+ */
+export function ApiKeyPanel({ apiKey, onChange }: ApiKeyPanelProps) {
+  const [value, setValue] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [testing, setTesting] = useState(false);
+  const [status, setStatus] = useState<StatusMessage | null>(null);
+
+  const hasKey = apiKey.status === 'stored';
+  const busy = saving || testing;
+
+  const handleSave = async (event: FormEvent) => {
+    event.preventDefault();
+    const key = value.trim();
+    if (!key) return;
+
+    setSaving(true);
+    setStatus(null);
+    const result = await agentwpClient.updateApiKey(key);
+    setSaving(false);
+
+    if (result.success) {
+      setValue('');
+      setStatus({
+        tone: 'success',
+        /* translators: %s: last four characters of the API key */
+        text: sprintf(__('Key ending in %s saved.'), result.data.last4 ?? ''),
+      });
+      onChange?.();
+      return;
+    }
+    setStatus({ tone: 'error', text: buildErrorState(result.error).message });
+  };
+
+  const handleTest = async () => {
+    setTesting(true);
+    setStatus(null);
+    const result = await agentwpClient.testApiKey();
+    setTesting(false);
+
+    setStatus(
+      result.success
+        ? { tone: 'success', text: __('OpenAI accepted the stored key.') }
+        : { tone: 'error', text: buildErrorState(result.error).message },
+    );
+  };
+
+  return (
+    <section
+      aria-labelledby="agentwp-api-key-heading"
+      className="rounded-2xl border border-deck-border bg-deck-surface/70 p-6 shadow-deck"
+    >
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h2 id="agentwp-api-key-heading" className="text-lg font-semibold text-white">
+          {__('OpenAI API key')}
+        </h2>
+        <span
+          className={`rounded-full border px-3 py-1 text-xs font-medium ${
+            hasKey
+              ? 'border-emerald-400/50 bg-emerald-400/10 text-emerald-200'
+              : 'border-amber-400/50 bg-amber-400/10 text-amber-200'
+          }`}
+        >
+          {hasKey ? sprintf(__('Stored •••• %s'), apiKey.last4 ?? '') : __('No key stored')}
+        </span>
+      </div>
+
+      <form className="mt-4 flex flex-wrap gap-2" onSubmit={handleSave}>
+        <label htmlFor="agentwp-api-key" className="sr-only">
+          {__('New API key')}
+        </label>
+        <input
+          id="agentwp-api-key"
+          type="password"
+          autoComplete="off"
+          spellCheck={false}
+          value={value}
+          onChange={(event) => setValue(event.target.value)}
+          placeholder={hasKey ? __('Replace key (sk-...)') : 'sk-...'}
+          className={`${inputClassName} min-w-0 flex-1`}
+        />
+        <button type="submit" disabled={busy || !value.trim()} className={buttonClassName}>
+          {saving ? __('Saving...') : __('Save key')}
+        </button>
+        <button
+          type="button"
+          onClick={handleTest}
+          disabled={busy || !hasKey}
+          className={buttonClassName}
+        >
+          {testing ? __('Testing...') : __('Test key')}
+        </button>
+      </form>
+
+      {status && (
+        <p
+          role={status.tone === 'error' ? 'alert' : 'status'}
+          className={`mt-3 text-sm ${status.tone === 'error' ? 'text-red-400' : 'text-emerald-300'}`}
+        >
+          {status.text}
+        </p>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,114 @@
+import { useMemo, useRef, useState, type KeyboardEvent } from 'react';
+import { HOTKEY_RECORDER_ATTRIBUTE, hotkeyFromEvent } from '../../utils/hotkey';
+import { findHotkeyConflicts } from '../../utils/hotkey-conflicts';
+import { __, sprintf } from '../../utils/i18n';
+
+interface HotkeyInputProps {
+  id: string;
+  value: string;
+  onChange: (value: string) => void;
+  maxLength?: number;
+  invalid?: boolean;
+  describedBy?: string;
+  className?: string;
+}
+
+/**
+ * Shortcut field with a key recorder and warnings for shortcuts it would shadow.
+ */
+export function HotkeyInput({
+  id,
+  value,
+  onChange,
+  maxLength,
+  invalid = false,
+  describedBy,
+  className = '',
+}: HotkeyInputProps) {
+  const inputRef = useRef<HTMLInputElement>(null);
+  const [recording, setRecording] = useState(false);
+  const conflicts = useMemo(() => findHotkeyConflicts(value), [value]);
+  const conflictsId = `${id}-conflicts`;
+
+  const handleKeyDown = (event: KeyboardEvent<HTMLInputElement>) => {
+    if (!recording) {
+      return;
+    }
+    // Tab still moves focus so keyboard users are never trapped
+    if (event.key === 'Tab') {
+      setRecording(false);
+      return;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+    if (event.key === 'Escape') {
+      setRecording(false);
+      return;
+    }
+    const recorded = hotkeyFromEvent(event.nativeEvent);
+    if (recorded) {
+      onChange(recorded);
+      setRecording(false);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex gap-2">
+        <input
+          ref={inputRef}
+          id={id}
+          type="text"
+          value={recording ? '' : value}
+          placeholder={recording ? __('Press the new shortcut…') : undefined}
+          readOnly={recording}
+          {...(recording ? { [HOTKEY_RECORDER_ATTRIBUTE]: '' } : {})}
+          maxLength={maxLength}
+          onChange={(event) => onChange(event.target.value)}
+          onKeyDown={handleKeyDown}
+          onBlur={() => setRecording(false)}
+          aria-invalid={invalid}
+          aria-describedby={
+            [describedBy, conflicts.length > 0 ? conflictsId : ''].filter(Boolean).join(' ') ||
+            undefined
+          }
+          className={`min-w-0 flex-1 ${className}`}
+        />
+        <button
+          type="button"
+          onMouseDown={(event) => event.preventDefault()}
+          onClick={() => {
+            setRecording((active) => !active);
+            inputRef.current?.focus();
+          }}
+          aria-pressed={recording}
+          className={`shrink-0 rounded-lg border px-3 py-2 text-sm font-medium transition-colors focus:outline-none focus-visible:ring-2 focus-visible:ring-sky-400 ${
+            recording
+              ? 'border-sky-400/70 bg-sky-400/10 text-sky-200'
+              : 'border-slate-600/70 text-slate-200 hover:border-slate-400/80 hover:bg-slate-800'
+          }`}
+        >
+          {recording ? __('Cancel') : __('Record')}
+        </button>
+      </div>
+
+      {conflicts.length > 0 && (
+        <ul id={conflictsId} className="space-y-1 text-xs text-amber-200">
+          {conflicts.map((conflict) => (
+            <li key={`${conflict.source}-${conflict.shortcut}`}>
+              {sprintf(
+                conflict.source === 'browser'
+                  ? /* translators: 1: keyboard shortcut, 2: what it does */
+                    __('Overrides browser shortcut %1$s: %2$s')
+                  : /* translators: 1: keyboard shortcut, 2: what it does */
+                    __('Overrides WordPress shortcut %1$s: %2$s'),
+                conflict.shortcut.replace('Mod', 'Cmd/Ctrl'),
+                conflict.description,
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,392 @@
+import { useCallback, useEffect, useState, type FormEvent, type ReactNode } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import agentwpClient from '../../api/AgentWPClient';
+import { DIAGNOSTICS_QUERY_KEY } from '../../hooks/useDiagnostics';
+import { SETTINGS_QUERY_KEY, useSettingsData } from '../../hooks/useSettings';
+import { useThemeStore } from '../../stores/useThemeStore';
+import { buildErrorState, getFieldErrors } from '../../utils/error';
+import { __ } from '../../utils/i18n';
+import { DiagnosticsPanel } from '../diagnostics';
+import { VoicePreferencesPanel } from '../voice';
+import { ApiKeyPanel } from './ApiKeyPanel';
+import { HotkeyInput } from './HotkeyInput';
+import {
+  MODEL_OPTIONS,
+  SETTINGS_LIMITS,
+  isSettingsFormEqual,
+  toSettingsForm,
+  toUpdateRequest,
+  validateSettingsForm,
+  type SettingsField,
+  type SettingsFieldErrors,
+  type SettingsForm,
+} from './settings-form';
+
+const inputClassName =
+  'w-full rounded-lg border bg-slate-950/60 px-3 py-2 text-sm text-slate-100 focus:outline-none focus:ring-1';
+
+interface SettingsViewProps {
+  onBack: () => void;
+}
+
+interface FieldProps {
+  id: string;
+  label: string;
+  hint?: string;
+  error?: string;
+  children: ReactNode;
+}
+
+function Field({ id, label, hint, error, children }: FieldProps) {
+  return (
+    <div className="space-y-1.5">
+      <label htmlFor={id} className="block text-sm font-medium text-slate-200">
+        {label}
+      </label>
+      {children}
+      {error ? (
+        <p id={`${id}-error`} className="text-xs text-red-400">
+          {error}
+        </p>
+      ) : (
+        hint && (
+          <p id={`${id}-hint`} className="text-xs text-slate-500">
+            {hint}
+          </p>
+        )
+      )}
+    </div>
+  );
+}
+
+/**
+ * In-app settings screen backed by /settings and /settings/api-key.
+ */
+export function SettingsView({ onBack }: SettingsViewProps) {
+  const queryClient = useQueryClient();
+  const { settings, apiKey, isLoading, error: loadError, refetch } = useSettingsData();
+  const setThemePreference = useThemeStore((state) => state.setPreference);
+
+  const [saved, setSaved] = useState<SettingsForm | null>(null);
+  const [form, setForm] = useState<SettingsForm | null>(null);
+  const [fieldErrors, setFieldErrors] = useState<SettingsFieldErrors>({});
+  const [formError, setFormError] = useState<string | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [savedNotice, setSavedNotice] = useState(false);
+  const [confirmLeave, setConfirmLeave] = useState(false);
+
+  const isDirty = Boolean(form && saved && !isSettingsFormEqual(form, saved));
+
+  // Seed the form once settings arrive; later refetches must not clobber edits
+  useEffect(() => {
+    if (settings && !saved) {
+      const initial = toSettingsForm(settings);
+      setSaved(initial);
+      setForm(initial);
+    }
+  }, [settings, saved]);
+
+  // Warn before the browser navigates away from unsaved edits
+  useEffect(() => {
+    if (!isDirty) {
+      return undefined;
+    }
+    const handleBeforeUnload = (event: BeforeUnloadEvent) => {
+      event.preventDefault();
+      event.returnValue = '';
+    };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [isDirty]);
+
+  const updateField = useCallback(<K extends SettingsField>(field: K, value: SettingsForm[K]) => {
+    setForm((current) => (current ? { ...current, [field]: value } : current));
+    setFieldErrors(({ [field]: _cleared, ...rest }) => rest);
+    setSavedNotice(false);
+  }, []);
+
+  const handleBack = useCallback(() => {
+    if (isDirty) {
+      setConfirmLeave(true);
+      return;
+    }
+    onBack();
+  }, [isDirty, onBack]);
+
+  const handleReset = useCallback(() => {
+    setForm(saved);
+    setFieldErrors({});
+    setFormError(null);
+  }, [saved]);
+
+  const handleSubmit = async (event: FormEvent) => {
+    event.preventDefault();
+    if (!form) return;
+
+    const errors = validateSettingsForm(form);
+    setFieldErrors(errors);
+    setFormError(null);
+    setSavedNotice(false);
+    if (Object.keys(errors).length > 0) {
+      return;
+    }
+
+    setSaving(true);
+    const result = await agentwpClient.updateSettings(toUpdateRequest(form));
+    setSaving(false);
+
+    if (!result.success) {
+      const serverErrors = getFieldErrors(result.error.meta);
+      setFieldErrors(serverErrors);
+      if (Object.keys(serverErrors).length === 0) {
+        setFormError(buildErrorState(result.error).message);
+      }
+      return;
+    }
+
+    if (saved && form.theme !== saved.theme) {
+      setThemePreference(form.theme);
+    }
+    setSaved(form);
+    setSavedNotice(true);
+    void queryClient.invalidateQueries({ queryKey: SETTINGS_QUERY_KEY });
+  };
+
+  const describedBy = (field: SettingsField) =>
+    fieldErrors[field] ? `agentwp-setting-${field}-error` : undefined;
+
+  const borderFor = (field: SettingsField) =>
+    fieldErrors[field]
+      ? 'border-red-500/70 focus:border-red-400 focus:ring-red-400'
+      : 'border-slate-700/60 focus:border-sky-400 focus:ring-sky-400';
+
+  return (
+    <main className="relative mx-auto flex min-h-screen max-w-3xl animate-fade-in flex-col gap-6 px-6 py-16 motion-reduce:animate-none">
+      <header className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <p className="text-xs font-semibold uppercase tracking-[0.4em] text-slate-400">AgentWP</p>
+          <h1 className="mt-2 text-3xl font-semibold text-white">{__('Settings')}</h1>
+        </div>
+        <button
+          type="button"
+          onClick={handleBack}
+          className="rounded-full border border-slate-600/70 px-4 py-2 text-sm font-medium text-slate-200 transition hover:border-slate-400/80 hover:bg-slate-900 focus:outline-none focus-visible:ring-2 focus-visible:ring-sky-400"
+        >
+          {__('Back to dashboard')}
+        </button>
+      </header>
+
+      {confirmLeave && isDirty && (
+        <div
+          role="alertdialog"
+          aria-labelledby="agentwp-unsaved-title"
+          className="flex flex-wrap items-center gap-3 rounded-xl border border-amber-400/50 bg-amber-400/10 p-4"
+        >
+          <p id="agentwp-unsaved-title" className="me-auto text-sm text-amber-100">
+            {__('You have unsaved settings. Leave without saving?')}
+          </p>
+          <button
+            type="button"
+            onClick={() => setConfirmLeave(false)}
+            className="rounded-lg px-3 py-1.5 text-sm font-medium text-slate-200 hover:text-white"
+          >
+            {__('Keep editing')}
+          </button>
+          <button
+            type="button"
+            onClick={onBack}
+            className="rounded-lg bg-amber-500/90 px-3 py-1.5 text-sm font-medium text-slate-950 hover:bg-amber-400"
+          >
+            {__('Discard and leave')}
+          </button>
+        </div>
+      )}
+
+      {isLoading && !form && (
+        <p role="status" className="text-sm text-slate-400">
+          {__('Loading settings...')}
+        </p>
+      )}
+
+      {!isLoading && !form && (
+        <div role="alert" className="rounded-xl border border-red-500/40 bg-red-500/10 p-4">
+          <p className="text-sm text-red-300">{loadError || __('Settings could not be loaded.')}</p>
+          <button
+            type="button"
+            onClick={() => void refetch()}
+            className="mt-2 text-sm font-medium text-red-200 underline"
+          >
+            {__('Try again')}
+          </button>
+        </div>
+      )}
+
+      {apiKey && (
+        <ApiKeyPanel
+          apiKey={apiKey}
+          onChange={() => {
+            void queryClient.invalidateQueries({ queryKey: SETTINGS_QUERY_KEY });
+            void queryClient.invalidateQueries({ queryKey: DIAGNOSTICS_QUERY_KEY });
+          }}
+        />
+      )}
+
+      {form && (
+        <form
+          noValidate
+          onSubmit={handleSubmit}
+          aria-labelledby="agentwp-settings-heading"
+          className="space-y-5 rounded-2xl border border-deck-border bg-deck-surface/70 p-6 shadow-deck"
+        >
+          <h2 id="agentwp-settings-heading" className="text-lg font-semibold text-white">
+            {__('Assistant')}
+          </h2>
+
+          <Field id="agentwp-setting-model" label={__('Model')} error={fieldErrors.model}>
+            <select
+              id="agentwp-setting-model"
+              value={form.model}
+              onChange={(event) =>
+                updateField('model', event.target.value as SettingsForm['model'])
+              }
+              aria-invalid={Boolean(fieldErrors.model)}
+              aria-describedby={describedBy('model')}
+              className={`${inputClassName} ${borderFor('model')}`}
+            >
+              {MODEL_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </Field>
+
+          <div className="grid gap-5 sm:grid-cols-2">
+            <Field
+              id="agentwp-setting-budget_limit"
+              label={__('Monthly budget (USD)')}
+              hint={__('0 turns the budget warning off.')}
+              error={fieldErrors.budget_limit}
+            >
+              <input
+                id="agentwp-setting-budget_limit"
+                type="number"
+                inputMode="decimal"
+                min={0}
+                max={SETTINGS_LIMITS.budgetMax}
+                step="0.01"
+                value={form.budget_limit}
+                onChange={(event) => updateField('budget_limit', event.target.value)}
+                aria-invalid={Boolean(fieldErrors.budget_limit)}
+                aria-describedby={describedBy('budget_limit')}
+                className={`${inputClassName} ${borderFor('budget_limit')}`}
+              />
+            </Field>
+
+            <Field
+              id="agentwp-setting-draft_ttl_minutes"
+              label={__('Draft expiry (minutes)')}
+              hint={__('How long drafted actions wait for confirmation.')}
+              error={fieldErrors.draft_ttl_minutes}
+            >
+              <input
+                id="agentwp-setting-draft_ttl_minutes"
+                type="number"
+                inputMode="numeric"
+                min={0}
+                max={SETTINGS_LIMITS.draftTtlMax}
+                step={1}
+                value={form.draft_ttl_minutes}
+                onChange={(event) => updateField('draft_ttl_minutes', event.target.value)}
+                aria-invalid={Boolean(fieldErrors.draft_ttl_minutes)}
+                aria-describedby={describedBy('draft_ttl_minutes')}
+                className={`${inputClassName} ${borderFor('draft_ttl_minutes')}`}
+              />
+            </Field>
+          </div>
+
+          <div className="grid gap-5 sm:grid-cols-2">
+            <Field id="agentwp-setting-hotkey" label={__('Shortcut')} error={fieldErrors.hotkey}>
+              <HotkeyInput
+                id="agentwp-setting-hotkey"
+                maxLength={SETTINGS_LIMITS.hotkeyMaxLength}
+                value={form.hotkey}
+                onChange={(value) => updateField('hotkey', value)}
+                invalid={Boolean(fieldErrors.hotkey)}
+                describedBy={describedBy('hotkey')}
+                className={`${inputClassName} ${borderFor('hotkey')}`}
+              />
+            </Field>
+
+            <Field id="agentwp-setting-theme" label={__('Theme')} error={fieldErrors.theme}>
+              <select
+                id="agentwp-setting-theme"
+                value={form.theme}
+                onChange={(event) =>
+                  updateField('theme', event.target.value as SettingsForm['theme'])
+                }
+                aria-invalid={Boolean(fieldErrors.theme)}
+                aria-describedby={describedBy('theme')}
+                className={`${inputClassName} ${borderFor('theme')}`}
+              >
+                <option value="light">{__('Light')}</option>
+                <option value="dark">{__('Dark')}</option>
+              </select>
+            </Field>
+          </div>
+
+          <div className="space-y-1.5">
+            <label className="flex items-center gap-3 text-sm text-slate-200">
+              <input
+                type="checkbox"
+                checked={form.demo_mode}
+                onChange={(event) => updateField('demo_mode', event.target.checked)}
+                className="h-4 w-4 rounded border-slate-600 bg-slate-900 text-sky-500 focus:ring-sky-400"
+              />
+              {__('Demo mode')}
+            </label>
+            {fieldErrors.demo_mode && (
+              <p className="text-xs text-red-400">{fieldErrors.demo_mode}</p>
+            )}
+          </div>
+
+          {formError && (
+            <p role="alert" className="text-sm text-red-400">
+              {formError}
+            </p>
+          )}
+
+          <div className="flex flex-wrap items-center justify-end gap-3 border-t border-slate-700/50 pt-5">
+            {savedNotice && !isDirty && (
+              <span role="status" className="me-auto text-sm text-emerald-300">
+                {__('Settings saved.')}
+              </span>
+            )}
+            {isDirty && (
+              <span className="me-auto text-sm text-amber-200">{__('Unsaved changes')}</span>
+            )}
+            <button
+              type="button"
+              onClick={handleReset}
+              disabled={!isDirty || saving}
+              className="rounded-lg px-4 py-2 text-sm font-medium text-slate-300 transition-colors hover:text-white disabled:cursor-not-allowed disabled:opacity-50"
+            >
+              {__('Discard')}
+            </button>
+            <button
+              type="submit"
+              disabled={!isDirty || saving}
+              className="rounded-lg bg-indigo-600 px-4 py-2 text-sm font-medium text-white transition-colors hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 focus:ring-offset-slate-900 disabled:cursor-not-allowed disabled:opacity-50"
+            >
+              {saving ? __('Saving...') : __('Save settings')}
+            </button>
+          </div>
+        </form>
+      )}
+
+      <VoicePreferencesPanel />
+
+      <DiagnosticsPanel />
+    </main>
+  );
+}
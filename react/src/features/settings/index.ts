@@ -0,0 +1,3 @@
+export { SettingsView } from './SettingsView';
+export { ApiKeyPanel } from './ApiKeyPanel';
+export { HotkeyInput } from './HotkeyInput';
@@ -0,0 +1,105 @@
+/**
+ * Form state and client-side validation for the Settings view.
+ *
+ * Field names match the /settings request body so server validation errors
+ * (agentwp_validation_error `meta.fields`) map straight onto the inputs.
+ */
+import type { components } from '../../types/api';
+import type { PluginSettings } from '../../types';
+import { isValidHotkey } from '../../utils/hotkey';
+import { __, sprintf } from '../../utils/i18n';
+
+type SettingsUpdateRequest = components['schemas']['SettingsUpdateRequest'];
+
+export const MODEL_OPTIONS: Array<{ value: PluginSettings['model']; label: string }> = [
+  { value: 'gpt-4o-mini', label: __('GPT-4o mini (faster, cheaper)') },
+  { value: 'gpt-4o', label: __('GPT-4o (more capable)') },
+];
+
+/** Mirrors SettingsUpdateDTO::getSchema(). */
+export const SETTINGS_LIMITS = {
+  budgetMax: 100000,
+  draftTtlMax: 10080, // 7 days
+  hotkeyMaxLength: 50,
+} as const;
+
+export interface SettingsForm {
+  model: PluginSettings['model'];
+  budget_limit: string;
+  draft_ttl_minutes: string;
+  hotkey: string;
+  theme: PluginSettings['theme'];
+  demo_mode: boolean;
+}
+
+export type SettingsField = keyof SettingsForm;
+export type SettingsFieldErrors = Partial<Record<string, string>>;
+
+export const toSettingsForm = (settings: PluginSettings): SettingsForm => ({
+  model: settings.model,
+  budget_limit: String(settings.budgetLimit),
+  draft_ttl_minutes: String(settings.draftTtlMinutes),
+  hotkey: settings.hotkey,
+  theme: settings.theme,
+  demo_mode: settings.demoMode,
+});
+
+export const isSettingsFormEqual = (a: SettingsForm, b: SettingsForm): boolean =>
+  (Object.keys(a) as SettingsField[]).every((field) => a[field] === b[field]);
+
+const parseNumber = (value: string): number | null => {
+  if (value.trim() === '') {
+    return null;
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+export const validateSettingsForm = (form: SettingsForm): SettingsFieldErrors => {
+  const errors: SettingsFieldErrors = {};
+
+  const budget = parseNumber(form.budget_limit);
+  if (budget === null || budget < 0 || budget > SETTINGS_LIMITS.budgetMax) {
+    errors.budget_limit = sprintf(
+      /* translators: %d: largest budget allowed */
+      __('Enter an amount between 0 and %d.'),
+      SETTINGS_LIMITS.budgetMax,
+    );
+  }
+
+  const ttl = parseNumber(form.draft_ttl_minutes);
+  if (ttl === null || !Number.isInteger(ttl) || ttl < 0 || ttl > SETTINGS_LIMITS.draftTtlMax) {
+    errors.draft_ttl_minutes = sprintf(
+      /* translators: %d: longest draft lifetime in minutes */
+      __('Enter whole minutes between 0 and %d.'),
+      SETTINGS_LIMITS.draftTtlMax,
+    );
+  }
+
+  const hotkey = form.hotkey.trim();
+  if (!hotkey) {
+    errors.hotkey = __('Enter a keyboard shortcut.');
+  } else if (hotkey.length > SETTINGS_LIMITS.hotkeyMaxLength) {
+    errors.hotkey = sprintf(
+      /* translators: %d: longest shortcut allowed */
+      __('Keep the shortcut under %d characters.'),
+      SETTINGS_LIMITS.hotkeyMaxLength,
+    );
+  } else if (!isValidHotkey(hotkey)) {
+    errors.hotkey = __('Use a key with Ctrl, Cmd or Alt, like Alt+Shift+K.');
+  }
+
+  return errors;
+};
+
+/**
+ * Build the update payload from a form that passed validateSettingsForm().
+ */
+export const toUpdateRequest = (form: SettingsForm): SettingsUpdateRequest => ({
+  model: form.model,
+  budget_limit: Number(form.budget_limit),
+  draft_ttl_minutes: Number(form.draft_ttl_minutes),
+  hotkey: form.hotkey.trim(),
+  theme: form.theme,
+  demo_mode: form.demo_mode,
+});
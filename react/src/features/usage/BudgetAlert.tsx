@@ -0,0 +1,58 @@
+import type { BudgetStatus, SpendForecast } from '../../utils/budget';
+import { formatUsageCost } from '../../utils/formatters';
+import { __, sprintf } from '../../utils/i18n';
+
+interface BudgetAlertProps {
+  status: BudgetStatus;
+  forecast?: SpendForecast | null;
+  className?: string;
+}
+
+/**
+ * Warning shown once spend reaches 80% of the budget, and again at 100%.
+ */
+export function BudgetAlert({ status, forecast = null, className = '' }: BudgetAlertProps) {
+  if (status.level !== 'warning' && status.level !== 'exceeded') {
+    return null;
+  }
+
+  const exceeded = status.level === 'exceeded';
+  const limit = formatUsageCost(status.limit);
+  const projection =
+    forecast && forecast.projected > status.spent
+      ? /* translators: %s: projected spend at the end of the month */
+        ` ${sprintf(__('Projected month-end spend: %s.'), formatUsageCost(forecast.projected))}`
+      : '';
+
+  return (
+    <div
+      className={`flex items-start gap-2 rounded-lg px-3 py-2 text-sm ${
+        exceeded ? 'bg-red-500/10 text-red-300' : 'bg-amber-500/10 text-amber-300'
+      } ${className}`}
+      role={exceeded ? 'alert' : 'status'}
+    >
+      <span
+        className={`mt-1.5 h-2 w-2 shrink-0 rounded-full ${exceeded ? 'bg-red-500' : 'bg-amber-500'}`}
+        aria-hidden="true"
+      />
+      <span>
+        {exceeded
+          ? sprintf(
+              /* translators: 1: monthly budget, 2: amount spent */
+              __(
+                "This month's %1$s budget is used up (%2$s spent). New prompts ask for confirmation before they run.",
+              ),
+              limit,
+              formatUsageCost(status.spent),
+            )
+          : sprintf(
+              /* translators: 1: percentage of the budget used, 2: monthly budget */
+              __("You've used %1$d%% of this month's %2$s budget."),
+              Math.floor(status.percentage),
+              limit,
+            )}
+        {projection}
+      </span>
+    </div>
+  );
+}
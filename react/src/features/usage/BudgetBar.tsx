@@ -1,3 +1,6 @@
+import { BUDGET_WARNING_RATIO } from '../../utils/budget';
+import { __, sprintf } from '../../utils/i18n';
+
 interface BudgetBarProps {
   percentage: number;
   isOverBudget?: boolean;
@@ -7,16 +10,16 @@ export function BudgetBar({ percentage, isOverBudget = false }: BudgetBarProps)
   const clampedPercentage = Math.min(Math.max(percentage, 0), 100);
 
   let barColor = 'bg-indigo-500';
-  if (percentage >= 90) {
+  if (percentage >= 100) {
     barColor = 'bg-red-500';
-  } else if (percentage >= 75) {
+  } else if (percentage >= BUDGET_WARNING_RATIO * 100) {
     barColor = 'bg-amber-500';
   }
 
   return (
     <div className="space-y-1.5">
       <div className="flex items-center justify-between text-xs">
-        <span className="text-slate-400">Budget Usage</span>
+        <span className="text-slate-400">{__('Budget Usage')}</span>
         <span className={isOverBudget ? 'font-medium text-red-400' : 'text-slate-300'}>
           {clampedPercentage.toFixed(1)}%
         </span>
@@ -27,7 +30,11 @@ export function BudgetBar({ percentage, isOverBudget = false }: BudgetBarProps)
         aria-valuenow={clampedPercentage}
         aria-valuemin={0}
         aria-valuemax={100}
-        aria-label={`Budget usage: ${clampedPercentage.toFixed(1)}%`}
+        aria-label={sprintf(
+          /* translators: %s: share of the budget used, without the percent sign */
+          __('Budget usage: %s%%'),
+          clampedPercentage.toFixed(1),
+        )}
       >
         <div
           className={`h-full transition-all duration-300 ${barColor}`}
@@ -36,7 +43,7 @@ export function BudgetBar({ percentage, isOverBudget = false }: BudgetBarProps)
       </div>
       {isOverBudget && (
         <p className="text-xs text-red-400" role="alert">
-          Budget limit exceeded
+          {__('Budget limit exceeded')}
         </p>
       )}
     </div>
@@ -1,6 +1,10 @@
 import type { UsageSummary } from '../../types';
+import { ExportActions } from '../../components/cards';
 import { BudgetBar } from './BudgetBar';
+import { buildUsageReport } from './usage-report';
 import { usageCurrencyFormatter, numberFormatter } from '../../utils/formatters';
+import { forecastPeriodSpend } from '../../utils/budget';
+import { __, sprintf } from '../../utils/i18n';
 
 interface UsageCardProps {
   usage: UsageSummary;
@@ -11,6 +15,7 @@ interface UsageCardProps {
 export function UsageCard({ usage, budgetLimit, isLoading = false }: UsageCardProps) {
   const budgetPercentage = budgetLimit > 0 ? (usage.totalCostUsd / budgetLimit) * 100 : 0;
   const isOverBudget = budgetLimit > 0 && usage.totalCostUsd >= budgetLimit;
+  const forecast = forecastPeriodSpend(usage);
 
   if (isLoading) {
     return (
@@ -24,22 +29,31 @@ export function UsageCard({ usage, budgetLimit, isLoading = false }: UsageCardPr
 
   return (
     <div className="rounded-xl border border-slate-700/60 bg-slate-900/60 p-4">
-      <h4 className="text-xs font-medium uppercase tracking-wider text-slate-400">
-        Usage This Period
-      </h4>
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h4 className="text-xs font-medium uppercase tracking-wider text-slate-400">
+          {__('Usage This Period')}
+        </h4>
+        <div className="flex gap-1" role="group" aria-label={__('Export usage')}>
+          <ExportActions
+            getReport={() => buildUsageReport(usage)}
+            label={__('usage report')}
+            buttonClassName="rounded-md px-2 py-0.5 text-xs text-slate-400 transition-colors hover:bg-slate-800 hover:text-white"
+          />
+        </div>
+      </div>
 
       <div className="mt-3 grid grid-cols-2 gap-4">
         <div>
           <p className="text-2xl font-semibold text-white">
             {usageCurrencyFormatter.format(usage.totalCostUsd)}
           </p>
-          <p className="text-xs text-slate-500">Total Cost</p>
+          <p className="text-xs text-slate-500">{__('Total Cost')}</p>
         </div>
         <div>
           <p className="text-2xl font-semibold text-white">
             {numberFormatter.format(usage.totalTokens)}
           </p>
-          <p className="text-xs text-slate-500">Tokens Used</p>
+          <p className="text-xs text-slate-500">{__('Tokens Used')}</p>
         </div>
       </div>
 
@@ -47,15 +61,36 @@ export function UsageCard({ usage, budgetLimit, isLoading = false }: UsageCardPr
         <div className="mt-4">
           <BudgetBar percentage={budgetPercentage} isOverBudget={isOverBudget} />
           <p className="mt-1 text-xs text-slate-500">
-            Limit: {usageCurrencyFormatter.format(budgetLimit)}
+            {
+              /* translators: %s: monthly budget */
+              sprintf(__('Limit: %s'), usageCurrencyFormatter.format(budgetLimit))
+            }
           </p>
         </div>
       )}
 
+      {forecast && (
+        <p
+          className={`mt-2 text-xs ${
+            budgetLimit > 0 && forecast.projected >= budgetLimit
+              ? 'text-amber-400'
+              : 'text-slate-500'
+          }`}
+        >
+          {
+            /* translators: %s: projected spend at the end of the period */
+            sprintf(
+              __('Projected by period end: %s'),
+              usageCurrencyFormatter.format(forecast.projected),
+            )
+          }
+        </p>
+      )}
+
       {usage.breakdownByIntent.length > 0 && (
         <div className="mt-4 border-t border-slate-700/60 pt-4">
           <p className="mb-2 text-xs font-medium uppercase tracking-wider text-slate-400">
-            By Intent
+            {__('By Intent')}
           </p>
           <div className="space-y-2">
             {usage.breakdownByIntent.slice(0, 3).map((item) => (
@@ -0,0 +1,186 @@
+import { useMemo } from 'react';
+import { ChartCard, DataTableCard } from '../../components/cards';
+import type { CardTheme } from '../../components/cards/BaseCard';
+import type { DataTableColumn } from '../../components/cards/DataTableCard';
+import type { Granularity, UsageSummary } from '../../types';
+import { getChartColor, hexToRgba } from '../../utils/analytics-data';
+import { forecastPeriodSpend } from '../../utils/budget';
+import {
+  formatTokenCount,
+  formatUsageCost,
+  numberFormatter,
+  requestCostFormatter,
+  usageCurrencyFormatter,
+} from '../../utils/formatters';
+import { __, sprintf } from '../../utils/i18n';
+
+type IntentRow = {
+  id: string;
+  intent: string;
+  count: number;
+  tokens: number;
+  cost: number;
+  tokensPerCall: number | null;
+  costPerCall: number | null;
+};
+
+const INTENT_COLUMNS: DataTableColumn<IntentRow>[] = [
+  { key: 'intent', label: __('Intent') },
+  {
+    key: 'count',
+    label: __('Requests'),
+    align: 'right',
+    formatter: numberFormatter,
+    render: (row) => numberFormatter.format(row.count),
+  },
+  {
+    key: 'tokens',
+    label: __('Tokens'),
+    align: 'right',
+    formatter: numberFormatter,
+    render: (row) => formatTokenCount(row.tokens),
+  },
+  {
+    key: 'cost',
+    label: __('Cost'),
+    align: 'right',
+    formatter: usageCurrencyFormatter,
+    render: (row) => formatUsageCost(row.cost),
+  },
+  {
+    key: 'tokensPerCall',
+    label: __('Tokens / call'),
+    align: 'right',
+    formatter: numberFormatter,
+    render: (row) => (row.tokensPerCall === null ? null : formatTokenCount(row.tokensPerCall)),
+  },
+  {
+    key: 'costPerCall',
+    label: __('Cost / call'),
+    align: 'right',
+    formatter: requestCostFormatter,
+    render: (row) =>
+      row.costPerCall === null ? null : requestCostFormatter.format(row.costPerCall),
+  },
+];
+
+const TREND_LABELS: Record<Granularity, { title: string; caption: string }> = {
+  day: { title: __('Daily spend'), caption: __('AI spend by day') },
+  week: { title: __('Weekly spend'), caption: __('AI spend by week') },
+  month: { title: __('Monthly spend'), caption: __('AI spend by month') },
+};
+
+const buildIntentRows = (usage: UsageSummary): IntentRow[] =>
+  usage.breakdownByIntent.map((item) => ({
+    id: item.intent,
+    intent: item.intent,
+    count: item.count,
+    tokens: item.tokens,
+    cost: item.cost,
+    tokensPerCall: item.count > 0 ? Math.round(item.tokens / item.count) : null,
+    costPerCall: item.count > 0 ? item.cost / item.count : null,
+  }));
+
+interface UsageMonitorProps {
+  usage: UsageSummary;
+  budgetLimit: number;
+  theme?: CardTheme;
+}
+
+/**
+ * Spend chart, end-of-period projection and the full per-intent breakdown.
+ * ChartCard loads lazily, so render this inside a Suspense boundary.
+ */
+export function UsageMonitor({ usage, budgetLimit, theme = 'auto' }: UsageMonitorProps) {
+  const forecast = useMemo(() => forecastPeriodSpend(usage), [usage]);
+  const intentRows = useMemo(() => buildIntentRows(usage), [usage]);
+  const trendLabels = TREND_LABELS[usage.granularity];
+
+  const trendData = useMemo(() => {
+    const color = getChartColor(0);
+    const datasets: Record<string, unknown>[] = [
+      {
+        label: __('Cost'),
+        data: usage.dailyTrend.map((day) => day.cost),
+        borderColor: color,
+        backgroundColor: hexToRgba(color, 0.15),
+        fill: true,
+        tension: 0.35,
+      },
+    ];
+    // Even daily spend that lands exactly on the budget by month end
+    if (budgetLimit > 0 && forecast) {
+      datasets.push({
+        label: __('Budget pace'),
+        data: usage.dailyTrend.map(() => budgetLimit / forecast.daysInPeriod),
+        borderColor: getChartColor(3),
+        borderDash: [6, 4],
+        pointRadius: 0,
+        fill: false,
+      });
+    }
+    return { labels: usage.dailyTrend.map((day) => day.date), datasets };
+  }, [usage, budgetLimit, forecast]);
+
+  const overProjected = budgetLimit > 0 && forecast !== null && forecast.projected >= budgetLimit;
+
+  return (
+    <div className="space-y-4">
+      {usage.dailyTrend.length > 0 && (
+        <ChartCard
+          title={trendLabels.title}
+          subtitle={
+            forecast
+              ? sprintf(
+                  /* translators: 1: day of the period, 2: days in the period, 3: average daily spend */
+                  __('Day %1$d of %2$d, averaging %3$s a day'),
+                  forecast.daysElapsed,
+                  forecast.daysInPeriod,
+                  formatUsageCost(forecast.dailyRate),
+                )
+              : undefined
+          }
+          metric={formatUsageCost(usage.totalCostUsd)}
+          trend={
+            forecast
+              ? /* translators: %s: projected spend at the end of the period */
+                sprintf(__('Projected %s by period end'), formatUsageCost(forecast.projected))
+              : undefined
+          }
+          footer={
+            overProjected
+              ? sprintf(
+                  /* translators: %s: monthly budget */
+                  __('At this pace spend passes the %s budget before the period ends.'),
+                  formatUsageCost(budgetLimit),
+                )
+              : undefined
+          }
+          theme={theme}
+          type="line"
+          data={trendData}
+          valueFormatter={formatUsageCost}
+          exportFormatter={usageCurrencyFormatter}
+          exportFilename="agentwp-usage-trend.png"
+          table={{
+            caption: trendLabels.caption,
+            headers: [__('Date'), __('Tokens'), __('Cost')],
+            rows: usage.dailyTrend.map((day) => ({
+              id: day.date,
+              cells: [day.date, formatTokenCount(day.tokens), formatUsageCost(day.cost)],
+            })),
+          }}
+        />
+      )}
+
+      <DataTableCard<IntentRow>
+        title={__('Usage by intent')}
+        subtitle={__('Every intent in this period, with average tokens and cost per request')}
+        columns={INTENT_COLUMNS}
+        rows={intentRows}
+        emptyMessage={__('No requests in this period.')}
+        theme={theme}
+      />
+    </div>
+  );
+}
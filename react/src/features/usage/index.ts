@@ -1,2 +1,5 @@
 export { UsageCard } from './UsageCard';
+export { UsageMonitor } from './UsageMonitor';
 export { BudgetBar } from './BudgetBar';
+export { BudgetAlert } from './BudgetAlert';
+export { buildUsageReport } from './usage-report';
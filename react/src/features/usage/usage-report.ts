@@ -0,0 +1,58 @@
+/**
+ * Export report for a usage summary.
+ */
+
+import type { UsageSummary } from '../../types';
+import type { ExportReport } from '../../utils/export';
+import { numberFormatter, usageCurrencyFormatter } from '../../utils/formatters';
+import { __ } from '../../utils/i18n';
+
+const formatPeriodDate = (value: string): string => value.slice(0, 10);
+
+export const buildUsageReport = (usage: UsageSummary): ExportReport => ({
+  title: __('Usage report'),
+  subtitle: `${formatPeriodDate(usage.periodStart)} to ${formatPeriodDate(usage.periodEnd)}`,
+  tables: [
+    {
+      title: __('Summary'),
+      columns: [
+        { label: __('Period start') },
+        { label: __('Period end') },
+        { label: __('Tokens'), formatter: numberFormatter },
+        { label: __('Cost'), formatter: usageCurrencyFormatter },
+      ],
+      rows: [
+        [
+          formatPeriodDate(usage.periodStart),
+          formatPeriodDate(usage.periodEnd),
+          usage.totalTokens,
+          usage.totalCostUsd,
+        ],
+      ],
+    },
+    {
+      title: __('By intent'),
+      columns: [
+        { label: __('Intent') },
+        { label: __('Requests'), formatter: numberFormatter },
+        { label: __('Tokens'), formatter: numberFormatter },
+        { label: __('Cost'), formatter: usageCurrencyFormatter },
+      ],
+      rows: usage.breakdownByIntent.map((item) => [
+        item.intent,
+        item.count,
+        item.tokens,
+        item.cost,
+      ]),
+    },
+    {
+      title: __('Daily trend'),
+      columns: [
+        { label: __('Date') },
+        { label: __('Tokens'), formatter: numberFormatter },
+        { label: __('Cost'), formatter: usageCurrencyFormatter },
+      ],
+      rows: usage.dailyTrend.map((day) => [day.date, day.tokens, day.cost]),
+    },
+  ],
+});
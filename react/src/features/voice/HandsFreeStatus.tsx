@@ -0,0 +1,42 @@
+import { DEFAULT_WAKE_WORD } from '../../utils/constants';
+import { __, sprintf } from '../../utils/i18n';
+
+interface HandsFreeStatusProps {
+  isListening: boolean;
+  isSpeaking: boolean;
+  wakeWordDetected: boolean;
+  /** A draft is waiting for a spoken "confirm" or "cancel". */
+  awaitingDecision: boolean;
+}
+
+/**
+ * One-line status for hands-free mode, so it is clear what the deck expects next.
+ */
+export function HandsFreeStatus({
+  isListening,
+  isSpeaking,
+  wakeWordDetected,
+  awaitingDecision,
+}: HandsFreeStatusProps) {
+  let text = __('Hands-free is paused.');
+  if (isSpeaking) {
+    text = __('Reading the answer aloud...');
+  } else if (awaitingDecision && isListening) {
+    text = __('Say "confirm" to go ahead, or "cancel".');
+  } else if (wakeWordDetected && isListening) {
+    text = __('Listening...');
+  } else if (isListening) {
+    /* translators: %s: wake word, spoken in English */
+    text = sprintf(__('Say "%s", then your question.'), DEFAULT_WAKE_WORD);
+  }
+
+  return (
+    <p className="mt-2 flex items-center gap-2 text-xs text-emerald-300" role="status">
+      <span
+        className={`h-2 w-2 rounded-full ${isListening ? 'animate-pulse bg-emerald-400' : 'bg-slate-500'}`}
+        aria-hidden="true"
+      />
+      {text}
+    </p>
+  );
+}
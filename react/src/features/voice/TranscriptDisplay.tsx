@@ -1,3 +1,5 @@
+import { __ } from '../../utils/i18n';
+
 interface TranscriptDisplayProps {
   interimTranscript: string;
   finalTranscript: string;
@@ -35,7 +37,7 @@ export function TranscriptDisplay({
       {isListening && !interimTranscript && !finalTranscript && (
         <div className="flex items-center gap-2 text-sm text-slate-400">
           <ListeningIndicator />
-          <span>Listening...</span>
+          <span>{__('Listening...')}</span>
         </div>
       )}
     </div>
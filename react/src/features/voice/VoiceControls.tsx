@@ -1,3 +1,5 @@
+import { __ } from '../../utils/i18n';
+
 interface VoiceControlsProps {
   isSupported: boolean;
   isListening: boolean;
@@ -9,6 +11,9 @@ interface VoiceControlsProps {
   onStopSpeaking: () => void;
   disabled?: boolean;
   hasResponse?: boolean;
+  /** Hands-free mode; the toggle is shown when onToggleHandsFree is given. */
+  handsFree?: boolean;
+  onToggleHandsFree?: () => void;
 }
 
 export function VoiceControls({
@@ -22,6 +27,8 @@ export function VoiceControls({
   onStopSpeaking,
   disabled = false,
   hasResponse = false,
+  handsFree = false,
+  onToggleHandsFree,
 }: VoiceControlsProps) {
   if (!isSupported && !ttsSupported) {
     return null;
@@ -29,7 +36,22 @@ export function VoiceControls({
 
   return (
     <div className="flex items-center gap-2">
-      {isSupported && (
+      {isSupported && onToggleHandsFree && (
+        <button
+          type="button"
+          onClick={onToggleHandsFree}
+          className={`rounded-lg px-2.5 py-2 text-xs font-medium transition-colors ${
+            handsFree
+              ? 'bg-emerald-500/20 text-emerald-300 hover:bg-emerald-500/30'
+              : 'bg-slate-800/60 text-slate-400 hover:bg-slate-800 hover:text-slate-200'
+          }`}
+          aria-pressed={handsFree}
+        >
+          {__('Hands-free')}
+        </button>
+      )}
+
+      {isSupported && !handsFree && (
         <button
           onClick={isListening ? onStopListening : onStartListening}
           disabled={disabled}
@@ -38,7 +60,7 @@ export function VoiceControls({
               ? 'bg-red-500/20 text-red-400 hover:bg-red-500/30'
               : 'bg-slate-800/60 text-slate-400 hover:bg-slate-800 hover:text-slate-200'
           } disabled:cursor-not-allowed disabled:opacity-50`}
-          aria-label={isListening ? 'Stop listening' : 'Start voice input'}
+          aria-label={isListening ? __('Stop listening') : __('Start voice input')}
           aria-pressed={isListening}
         >
           {isListening ? <MicActiveIcon /> : <MicIcon />}
@@ -54,7 +76,7 @@ export function VoiceControls({
               ? 'bg-indigo-500/20 text-indigo-400 hover:bg-indigo-500/30'
               : 'bg-slate-800/60 text-slate-400 hover:bg-slate-800 hover:text-slate-200'
           } disabled:cursor-not-allowed disabled:opacity-50`}
-          aria-label={isSpeaking ? 'Stop speaking' : 'Read response aloud'}
+          aria-label={isSpeaking ? __('Stop speaking') : __('Read response aloud')}
           aria-pressed={isSpeaking}
         >
           {isSpeaking ? <SpeakerActiveIcon /> : <SpeakerIcon />}
@@ -0,0 +1,220 @@
+import { useState, type FormEvent } from 'react';
+import { useSpeechSynthesis } from '../../hooks/useSpeechSynthesis';
+import { useVoicePreferences } from '../../hooks/useVoicePreferences';
+import type { VoicePreferences } from '../../types';
+import { __, sprintf } from '../../utils/i18n';
+import {
+  VOICE_LANGUAGE_OPTIONS,
+  VOICE_PITCH_RANGE,
+  VOICE_RATE_RANGE,
+  filterVoicesForLang,
+  resolveVoiceLang,
+} from '../../utils/speech';
+
+const inputClassName =
+  'w-full rounded-lg border border-slate-700 bg-slate-950/60 px-3 py-2 text-sm text-slate-100 focus:border-sky-500 focus:outline-none focus:ring-1 focus:ring-sky-500';
+
+const buttonClassName =
+  'rounded-lg border border-slate-600 px-3 py-1.5 text-sm font-medium text-slate-200 transition-colors hover:bg-slate-800 disabled:cursor-not-allowed disabled:opacity-50';
+
+const DEFAULT_SAMPLE_TEXT = 'Order 1001 shipped this morning.';
+
+// Keyed by primary language subtag
+const SAMPLE_TEXT: Record<string, string> = {
+  es: 'El pedido 1001 se envió esta mañana.',
+  fr: 'La commande 1001 a été expédiée ce matin.',
+};
+
+const isSamePreferences = (a: VoicePreferences, b: VoicePreferences) =>
+  a.lang === b.lang &&
+  a.voice === b.voice &&
+  a.rate === b.rate &&
+  a.pitch === b.pitch &&
+  a.show_interim === b.show_interim;
+
+/**
+ * Language, read-aloud voice and transcript options for the command deck.
+ */
+export function VoicePreferencesPanel() {
+  const { preferences, save } = useVoicePreferences();
+  const [form, setForm] = useState<VoicePreferences>(preferences);
+  const [saving, setSaving] = useState(false);
+  const [status, setStatus] = useState<'saved' | 'failed' | null>(null);
+
+  const lang = resolveVoiceLang(form.lang);
+  const siteLang = resolveVoiceLang();
+  const { isSupported, voices, speak } = useSpeechSynthesis({
+    lang,
+    voiceName: form.voice,
+    rate: form.rate,
+    pitch: form.pitch,
+  });
+  const languageVoices = filterVoicesForLang(voices, lang);
+  const sampleText = SAMPLE_TEXT[lang.split('-')[0] ?? ''] ?? DEFAULT_SAMPLE_TEXT;
+  const isDirty = !isSamePreferences(form, preferences);
+
+  const update = <K extends keyof VoicePreferences>(field: K, value: VoicePreferences[K]) => {
+    setForm((current) => ({ ...current, [field]: value }));
+    setStatus(null);
+  };
+
+  const handleSubmit = async (event: FormEvent) => {
+    event.preventDefault();
+    setSaving(true);
+    const error = await save(form);
+    setSaving(false);
+    setStatus(error ? 'failed' : 'saved');
+  };
+
+  return (
+    <form
+      noValidate
+      onSubmit={(event) => void handleSubmit(event)}
+      aria-labelledby="agentwp-voice-heading"
+      className="space-y-5 rounded-2xl border border-deck-border bg-deck-surface/70 p-6 shadow-deck"
+    >
+      <h2 id="agentwp-voice-heading" className="text-lg font-semibold text-white">
+        {__('Voice')}
+      </h2>
+
+      <div className="grid gap-5 sm:grid-cols-2">
+        <div className="space-y-1.5">
+          <label htmlFor="agentwp-voice-lang" className="block text-sm font-medium text-slate-200">
+            {__('Language')}
+          </label>
+          <select
+            id="agentwp-voice-lang"
+            value={form.lang}
+            onChange={(event) => {
+              // A voice for the old language would read the new one badly
+              setForm((current) => ({ ...current, lang: event.target.value, voice: '' }));
+              setStatus(null);
+            }}
+            className={inputClassName}
+          >
+            <option value="">
+              {
+                /* translators: %s: language tag of the WordPress site, e.g. en-US */
+                sprintf(__('Site language (%s)'), siteLang)
+              }
+            </option>
+            {VOICE_LANGUAGE_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <p className="text-xs text-slate-500">
+            {__('Used for voice input and for reading answers.')}
+          </p>
+        </div>
+
+        <div className="space-y-1.5">
+          <label htmlFor="agentwp-voice-name" className="block text-sm font-medium text-slate-200">
+            {__('Read-aloud voice')}
+          </label>
+          <select
+            id="agentwp-voice-name"
+            value={form.voice}
+            onChange={(event) => update('voice', event.target.value)}
+            disabled={!isSupported}
+            className={inputClassName}
+          >
+            <option value="">{__('Browser default')}</option>
+            {languageVoices.map((voice) => (
+              <option key={voice.name} value={voice.name}>
+                {voice.name} ({voice.lang})
+              </option>
+            ))}
+          </select>
+          {isSupported && languageVoices.length === 0 && (
+            <p className="text-xs text-slate-500">
+              {
+                /* translators: %s: language tag, e.g. fr-FR */
+                sprintf(__('This browser has no voices for %s. The default voice is used.'), lang)
+              }
+            </p>
+          )}
+        </div>
+      </div>
+
+      <div className="grid gap-5 sm:grid-cols-2">
+        <div className="space-y-1.5">
+          <label htmlFor="agentwp-voice-rate" className="block text-sm font-medium text-slate-200">
+            {
+              /* translators: %s: speaking rate, e.g. 1.0 */
+              sprintf(__('Speed: %sx'), form.rate.toFixed(1))
+            }
+          </label>
+          <input
+            id="agentwp-voice-rate"
+            type="range"
+            min={VOICE_RATE_RANGE.min}
+            max={VOICE_RATE_RANGE.max}
+            step={VOICE_RATE_RANGE.step}
+            value={form.rate}
+            onChange={(event) => update('rate', Number(event.target.value))}
+            className="w-full accent-sky-500"
+          />
+        </div>
+
+        <div className="space-y-1.5">
+          <label htmlFor="agentwp-voice-pitch" className="block text-sm font-medium text-slate-200">
+            {
+              /* translators: %s: voice pitch, e.g. 1.0 */
+              sprintf(__('Pitch: %s'), form.pitch.toFixed(1))
+            }
+          </label>
+          <input
+            id="agentwp-voice-pitch"
+            type="range"
+            min={VOICE_PITCH_RANGE.min}
+            max={VOICE_PITCH_RANGE.max}
+            step={VOICE_PITCH_RANGE.step}
+            value={form.pitch}
+            onChange={(event) => update('pitch', Number(event.target.value))}
+            className="w-full accent-sky-500"
+          />
+        </div>
+      </div>
+
+      <label className="flex items-center gap-3 text-sm text-slate-200">
+        <input
+          type="checkbox"
+          checked={form.show_interim}
+          onChange={(event) => update('show_interim', event.target.checked)}
+          className="h-4 w-4 rounded border-slate-600 bg-slate-900 text-sky-500 focus:ring-sky-400"
+        />
+        {__('Show words as they are heard')}
+      </label>
+
+      <div className="flex flex-wrap items-center justify-end gap-3 border-t border-slate-700/50 pt-5">
+        {status === 'saved' && !isDirty && (
+          <span role="status" className="me-auto text-sm text-emerald-300">
+            {__('Voice settings saved.')}
+          </span>
+        )}
+        {status === 'failed' && (
+          <span role="alert" className="me-auto text-sm text-red-400">
+            {__("Voice settings couldn't be saved. Try again.")}
+          </span>
+        )}
+        <button
+          type="button"
+          onClick={() => speak(sampleText)}
+          disabled={!isSupported}
+          className={buttonClassName}
+        >
+          {__('Test voice')}
+        </button>
+        <button
+          type="submit"
+          disabled={!isDirty || saving}
+          className="rounded-lg bg-indigo-600 px-4 py-2 text-sm font-medium text-white transition-colors hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 focus:ring-offset-slate-900 disabled:cursor-not-allowed disabled:opacity-50"
+        >
+          {saving ? __('Saving...') : __('Save voice settings')}
+        </button>
+      </div>
+    </form>
+  );
+}
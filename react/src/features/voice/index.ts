@@ -1,2 +1,4 @@
 export { VoiceControls } from './VoiceControls';
 export { TranscriptDisplay } from './TranscriptDisplay';
+export { HandsFreeStatus } from './HandsFreeStatus';
+export { VoicePreferencesPanel } from './VoicePreferencesPanel';
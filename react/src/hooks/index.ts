@@ -1,13 +1,18 @@
 // API hooks (React Query)
 export { useHealthCheck, useIsOnline } from './useHealthCheck';
 export { useAnalytics, useAnalyticsData } from './useAnalytics';
-export { useUsage, useUsageData } from './useUsage';
+export { useUsage, useUsageData, useBudgetStatus } from './useUsage';
+export { useSettings, useSettingsData } from './useSettings';
+export { useDiagnostics, useDiagnosticsData } from './useDiagnostics';
 export { useSearchQuery, useDebouncedSearch } from './useSearch';
+export { useHistorySync } from './useHistorySync';
+export { usePendingRequests } from './usePendingRequests';
 
 // UI hooks
 export { useKeyboardShortcuts } from './useKeyboardShortcuts';
 export { useFocusTrap } from './useFocusTrap';
 export { usePrefersDark } from './usePrefersDark';
+export { useCountdown } from './useCountdown';
 
 // Voice hooks
 export {
@@ -18,3 +23,4 @@ export {
   type UseSpeechRecognitionOptions,
   type UseSpeechSynthesisOptions,
 } from './useVoice';
+export { useVoicePreferences } from './useVoicePreferences';
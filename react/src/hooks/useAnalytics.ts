@@ -1,15 +1,21 @@
 import { useQuery } from '@tanstack/react-query';
 import agentwpClient, { getApiError, type ApiResponse } from '../api/AgentWPClient';
-import type { AnalyticsData, Period } from '../types';
+import type { AnalyticsData, AnalyticsQuery, Period } from '../types';
+import { toQueryParams } from '../utils/date-range';
 
 // Analytics endpoint response data (not yet in OpenAPI spec)
 type AnalyticsResponseData = AnalyticsData;
 
-export function useAnalytics(period: Period, enabled = true) {
+export function useAnalytics(query: Period | AnalyticsQuery, enabled = true) {
+  const { period, from, to, granularity, compare } =
+    typeof query === 'string' ? { period: query } : query;
+
   return useQuery<ApiResponse<AnalyticsResponseData>, Error>({
-    queryKey: ['analytics', period],
+    queryKey: ['analytics', period, from, to, granularity, compare],
     queryFn: async () => {
-      const response = await agentwpClient.getAnalytics({ period });
+      const response = await agentwpClient.getAnalytics(
+        toQueryParams({ period, from, to, granularity, compare }),
+      );
       // Cast to the expected type since analytics endpoint is not in OpenAPI spec
       return response as ApiResponse<AnalyticsResponseData>;
     },
@@ -21,8 +27,8 @@ export function useAnalytics(period: Period, enabled = true) {
   });
 }
 
-export function useAnalyticsData(period: Period) {
-  const { data, isLoading, isError, error, refetch } = useAnalytics(period);
+export function useAnalyticsData(query: Period | AnalyticsQuery) {
+  const { data, isLoading, isError, error, refetch } = useAnalytics(query);
   const apiError = getApiError(data);
 
   return {
@@ -0,0 +1,31 @@
+import { useEffect, useState } from 'react';
+
+const secondsUntil = (target: number | null): number | null =>
+  target === null ? null : Math.max(0, Math.ceil((target - Date.now()) / 1000));
+
+/**
+ * Whole seconds left until `target` (epoch ms), updated while it runs;
+ * null when there is nothing to count down to.
+ */
+export function useCountdown(target: number | null): number | null {
+  const [seconds, setSeconds] = useState(() => secondsUntil(target));
+
+  useEffect(() => {
+    setSeconds(secondsUntil(target));
+    if (target === null) {
+      return undefined;
+    }
+
+    const interval = setInterval(() => {
+      const next = secondsUntil(target);
+      setSeconds(next);
+      if (next === 0) {
+        clearInterval(interval);
+      }
+    }, 250);
+
+    return () => clearInterval(interval);
+  }, [target]);
+
+  return seconds;
+}
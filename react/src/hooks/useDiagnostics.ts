@@ -0,0 +1,34 @@
+import { useQuery } from '@tanstack/react-query';
+import agentwpClient, { getApiError, type ApiResponse } from '../api/AgentWPClient';
+import type { components } from '../types/api';
+
+type DiagnosticsResponseData = components['schemas']['DiagnosticsResponseData'];
+
+export const DIAGNOSTICS_QUERY_KEY = ['diagnostics'] as const;
+
+export function useDiagnostics(enabled = true) {
+  return useQuery<ApiResponse<DiagnosticsResponseData>, Error>({
+    queryKey: DIAGNOSTICS_QUERY_KEY,
+    queryFn: async () => {
+      return await agentwpClient.getDiagnostics();
+    },
+    enabled,
+    staleTime: 30 * 1000, // 30 seconds; the panel is opened to see the current state
+    gcTime: 5 * 60 * 1000, // 5 minutes
+    retry: false,
+  });
+}
+
+export function useDiagnosticsData(enabled = true) {
+  const { data, isLoading, isFetching, isError, error, refetch } = useDiagnostics(enabled);
+  const apiError = getApiError(data);
+
+  return {
+    diagnostics: data?.success ? data.data : null,
+    isLoading,
+    isFetching,
+    isError: isError || Boolean(apiError),
+    error: error?.message || apiError?.message || null,
+    refetch,
+  };
+}
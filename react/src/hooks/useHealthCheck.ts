@@ -1,21 +1,45 @@
-import { useQuery } from '@tanstack/react-query';
+import { useSyncExternalStore } from 'react';
+import { onlineManager, useQuery } from '@tanstack/react-query';
 import agentwpClient, { getApiError, type ApiResponse } from '../api/AgentWPClient';
+import { useHealthHistoryStore } from '../stores/useHealthHistoryStore';
 import type { components } from '../types/api';
 import { HEALTH_CHECK_INTERVAL_MS } from '../utils/constants';
+import { getHealthCheckDelay } from '../utils/offline';
 
 type HealthResponseData = components['schemas']['HealthResponseData'];
 
+const HEALTH_QUERY_KEY = ['health'] as const;
+
+export interface HealthCheckResult {
+  response: ApiResponse<HealthResponseData>;
+  healthy: boolean;
+  /** Consecutive checks with this outcome; drives the polling backoff. */
+  streak: number;
+}
+
 export function useHealthCheck(enabled = true) {
-  return useQuery<ApiResponse<HealthResponseData>, Error>({
-    queryKey: ['health'],
-    queryFn: async () => {
-      return await agentwpClient.getHealth();
+  return useQuery<HealthCheckResult, Error>({
+    queryKey: HEALTH_QUERY_KEY,
+    queryFn: async ({ client }) => {
+      // Polling already backs off, so a failed check is reported straight away.
+      const response = await agentwpClient.getHealth({ retry: false });
+      const error = getApiError(response);
+      const healthy = !error;
+      useHealthHistoryStore
+        .getState()
+        .record({ checkedAt: Date.now(), healthy, code: error?.code ?? null });
+      const previous = client.getQueryData<HealthCheckResult>(HEALTH_QUERY_KEY);
+      const streak = previous?.healthy === healthy ? previous.streak + 1 : 1;
+      return { response, healthy, streak };
     },
-    refetchInterval: HEALTH_CHECK_INTERVAL_MS,
+    refetchInterval: (query) => getHealthCheckDelay(query.state.data?.streak ?? 1),
     refetchIntervalInBackground: false,
     refetchOnWindowFocus: false, // Prevent double-fetching with interval
     refetchOnMount: true,
     refetchOnReconnect: true,
+    // Keep checking while the browser reports no network; a paused query would
+    // keep showing the last healthy result.
+    networkMode: 'always',
     enabled,
     staleTime: HEALTH_CHECK_INTERVAL_MS - 1000,
     retry: 1,
@@ -23,12 +47,16 @@ export function useHealthCheck(enabled = true) {
   });
 }
 
+const subscribeToNetwork = (onChange: () => void) => onlineManager.subscribe(onChange);
+const getNetworkOnline = () => onlineManager.isOnline();
+
 export function useIsOnline() {
   const { data, isError } = useHealthCheck();
-  const apiError = getApiError(data);
+  // The browser's offline event is instant; the next health check may be a minute away
+  const networkOnline = useSyncExternalStore(subscribeToNetwork, getNetworkOnline);
 
-  if (isError || apiError) return false;
+  if (!networkOnline || isError) return false;
   if (!data) return true; // Optimistic default
 
-  return data.success !== false;
+  return data.healthy;
 }
@@ -0,0 +1,96 @@
+import { useEffect } from 'react';
+import agentwpClient, { isAbortError } from '../api/AgentWPClient';
+import { useCommandStore } from '../stores/useCommandStore';
+import { getFavoritesLimit, getHistoryLimit, HISTORY_SYNC_DEBOUNCE_MS } from '../utils/constants';
+import { toHistoryEntry } from '../utils/history-sync';
+import type { CommandEntry } from '../types';
+
+const serialize = (entries: CommandEntry[]) => entries.map(toHistoryEntry);
+
+// What the server keeps of a list: its newest entries, up to the route's cap
+const capped = (entries: CommandEntry[], limit: number | null) =>
+  limit ? entries.slice(0, limit) : entries;
+
+/**
+ * Two-way sync between the local command store and the /history route.
+ *
+ * Pulls server history on mount and merges it with local entries by timestamp,
+ * then pushes local changes back (debounced) so history follows the user
+ * across browsers. Removals sync too: see mergeHistory(). Pending changes are
+ * flushed on unmount.
+ */
+export function useHistorySync(enabled = true) {
+  useEffect(() => {
+    if (!enabled) {
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    let ready = false;
+    let timer: ReturnType<typeof setTimeout> | null = null;
+
+    const push = () => {
+      timer = null;
+      const { history, favorites } = useCommandStore.getState();
+      const pushedHistory = capped(history, getHistoryLimit());
+      const pushedFavorites = capped(favorites, getFavoritesLimit());
+      void agentwpClient
+        .updateHistory(serialize(pushedHistory), serialize(pushedFavorites))
+        .then((result) => {
+          // Removals stay recorded until the server has taken them
+          if (result.success) {
+            useCommandStore.getState().markPushed(pushedHistory, pushedFavorites);
+          }
+        });
+    };
+
+    const unsubscribe = useCommandStore.subscribe((state, previous) => {
+      if (
+        !ready ||
+        (state.history === previous.history && state.favorites === previous.favorites)
+      ) {
+        return;
+      }
+      if (timer) {
+        clearTimeout(timer);
+      }
+      timer = setTimeout(push, HISTORY_SYNC_DEBOUNCE_MS);
+    });
+
+    agentwpClient
+      .getHistory({ signal: controller.signal })
+      .then((result) => {
+        if (!result.success) {
+          ready = true;
+          return;
+        }
+        const remote = JSON.stringify([result.data.history ?? [], result.data.favorites ?? []]);
+        useCommandStore.getState().mergeRemote(result.data);
+        ready = true;
+
+        // Send back anything the server did not have yet.
+        const { history, favorites } = useCommandStore.getState();
+        const merged = JSON.stringify([
+          serialize(capped(history, getHistoryLimit())),
+          serialize(capped(favorites, getFavoritesLimit())),
+        ]);
+        if (merged !== remote) {
+          push();
+        }
+      })
+      .catch((error: unknown) => {
+        if (!isAbortError(error)) {
+          ready = true;
+        }
+      });
+
+    return () => {
+      controller.abort();
+      unsubscribe();
+      if (timer) {
+        clearTimeout(timer);
+        push();
+      }
+    };
+  }, [enabled]);
+}
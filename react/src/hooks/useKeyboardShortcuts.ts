@@ -1,23 +1,32 @@
-import { useCallback, useEffect } from 'react';
+import { useCallback, useEffect, useMemo } from 'react';
 import { useModalStore } from '../stores';
 import { isEditableTarget, getComposedTarget } from '../utils/dom';
+import { isHotkeyRecorderTarget, matchesHotkey, resolveHotkey } from '../utils/hotkey';
 
 interface UseKeyboardShortcutsOptions {
   shadowRoot?: ShadowRoot | null;
+  /** Shortcut text from settings, e.g. "Alt+Shift+A". Defaults to Cmd/Ctrl+K. */
+  hotkey?: string | null;
   onToggle?: () => void;
   onClose?: () => void;
 }
 
 export function useKeyboardShortcuts(options: UseKeyboardShortcutsOptions = {}) {
-  const { shadowRoot, onToggle, onClose } = options;
+  const { shadowRoot, hotkey, onToggle, onClose } = options;
   const { isOpen, toggle, close } = useModalStore();
+  const combos = useMemo(() => resolveHotkey(hotkey), [hotkey]);
 
   const handleKeyDown = useCallback(
     (event: KeyboardEvent) => {
       const target = getComposedTarget(event);
 
-      // Cmd/Ctrl + K to toggle
-      if ((event.metaKey || event.ctrlKey) && event.key === 'k') {
+      // Let the settings key recorder capture the combo instead
+      if (isHotkeyRecorderTarget(target)) {
+        return;
+      }
+
+      // Configured shortcut toggles the deck
+      if (matchesHotkey(event, combos)) {
         event.preventDefault();
         event.stopPropagation();
         toggle();
@@ -35,7 +44,7 @@ export function useKeyboardShortcuts(options: UseKeyboardShortcutsOptions = {})
         }
       }
     },
-    [isOpen, toggle, close, onToggle, onClose],
+    [combos, isOpen, toggle, close, onToggle, onClose],
   );
 
   useEffect(() => {
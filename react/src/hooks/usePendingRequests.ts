@@ -0,0 +1,12 @@
+import { useSyncExternalStore } from 'react';
+import agentwpClient from '../api/AgentWPClient';
+
+const subscribe = (onChange: () => void) => agentwpClient.subscribePending(onChange);
+const getPendingCount = () => agentwpClient.getPendingCount();
+
+/**
+ * Number of AgentWP API requests currently running, across the whole app.
+ */
+export function usePendingRequests(): number {
+  return useSyncExternalStore(subscribe, getPendingCount);
+}
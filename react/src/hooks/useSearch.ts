@@ -1,5 +1,5 @@
 import { useQuery } from '@tanstack/react-query';
-import { useCallback, useEffect, useRef, useState } from 'react';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import agentwpClient, { getApiError, type ApiResponse } from '../api/AgentWPClient';
 import type { components } from '../types/api';
 import type { SearchResults } from '../types';
@@ -18,9 +18,10 @@ const mapSearchResult = (
   title: item.primary ?? '',
   subtitle: item.secondary,
   type,
+  query: item.query,
 });
 
-const normalizeSearchResults = (data: SearchResponseData | undefined): SearchResults => {
+export const normalizeSearchResults = (data: SearchResponseData | undefined): SearchResults => {
   const results = data?.results || {};
   return {
     products: (results.products || []).map((item) => mapSearchResult(item, 'products')),
@@ -42,7 +43,7 @@ export function useSearchQuery(query: string, types: string[] = [], enabled = tr
   });
 }
 
-export function useDebouncedSearch(initialQuery = '') {
+export function useDebouncedSearch(initialQuery = '', types: string[] = []) {
   const [query, setQuery] = useState(initialQuery);
   const [debouncedQuery, setDebouncedQuery] = useState(initialQuery);
   const timeoutRef = useRef<ReturnType<typeof setTimeout> | null>(null);
@@ -74,13 +75,17 @@ export function useDebouncedSearch(initialQuery = '') {
     };
   }, [query]);
 
-  const { data, isLoading, isError, error } = useSearchQuery(debouncedQuery);
+  const { data, isLoading, isError, error } = useSearchQuery(debouncedQuery, types);
   const apiError = getApiError(data);
 
-  const results: SearchResults =
-    data?.success && data.data
-      ? normalizeSearchResults(data.data)
-      : { products: [], orders: [], customers: [] };
+  // Stable between renders so callers can depend on it in effects
+  const results: SearchResults = useMemo(
+    () =>
+      data?.success && data.data
+        ? normalizeSearchResults(data.data)
+        : { products: [], orders: [], customers: [] },
+    [data],
+  );
 
   const clear = useCallback(() => {
     setQuery('');
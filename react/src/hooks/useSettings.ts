@@ -0,0 +1,69 @@
+import { useQuery } from '@tanstack/react-query';
+import agentwpClient, { getApiError, type ApiResponse } from '../api/AgentWPClient';
+import type { components } from '../types/api';
+import type { ApiKeyState, PluginSettings } from '../types';
+import { DEFAULT_HOTKEY } from '../utils/hotkey';
+
+type SettingsResponseData = components['schemas']['SettingsResponseData'];
+type Settings = components['schemas']['Settings'];
+
+export const SETTINGS_QUERY_KEY = ['settings'] as const;
+
+const DEFAULT_SETTINGS: PluginSettings = {
+  model: 'gpt-4o-mini',
+  budgetLimit: 0,
+  draftTtlMinutes: 10,
+  hotkey: DEFAULT_HOTKEY,
+  theme: 'light',
+  demoMode: false,
+};
+
+const toNonNegative = (value: unknown, fallback: number): number => {
+  const parsed = Number.parseFloat(String(value ?? ''));
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+export const normalizeSettings = (settings: Settings | undefined): PluginSettings => ({
+  model: settings?.model ?? DEFAULT_SETTINGS.model,
+  budgetLimit: toNonNegative(settings?.budget_limit, DEFAULT_SETTINGS.budgetLimit),
+  draftTtlMinutes: Math.round(
+    toNonNegative(settings?.draft_ttl_minutes, DEFAULT_SETTINGS.draftTtlMinutes),
+  ),
+  hotkey: settings?.hotkey || DEFAULT_SETTINGS.hotkey,
+  theme: settings?.theme ?? DEFAULT_SETTINGS.theme,
+  demoMode: Boolean(settings?.demo_mode ?? DEFAULT_SETTINGS.demoMode),
+});
+
+const normalizeApiKey = (payload: SettingsResponseData | undefined): ApiKeyState => ({
+  last4: payload?.api_key_last4 ?? '',
+  status: payload?.api_key_status === 'stored' || payload?.has_api_key ? 'stored' : 'missing',
+});
+
+export function useSettings(enabled = true) {
+  return useQuery<ApiResponse<SettingsResponseData>, Error>({
+    queryKey: SETTINGS_QUERY_KEY,
+    queryFn: async () => {
+      return await agentwpClient.getSettings();
+    },
+    enabled,
+    staleTime: 5 * 60 * 1000, // 5 minutes
+    gcTime: 10 * 60 * 1000, // 10 minutes
+    retry: 1,
+  });
+}
+
+export function useSettingsData(enabled = true) {
+  const { data, isLoading, isError, error, refetch } = useSettings(enabled);
+  const apiError = getApiError(data);
+  const payload = data?.success ? data.data : undefined;
+
+  return {
+    settings: payload ? normalizeSettings(payload.settings) : null,
+    apiKey: payload ? normalizeApiKey(payload) : null,
+    isLoading,
+    isError: isError || Boolean(apiError),
+    error: error?.message || apiError?.message || null,
+    apiError,
+    refetch,
+  };
+}
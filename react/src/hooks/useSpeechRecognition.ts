@@ -1,6 +1,7 @@
 import { useEffect, useRef, useCallback } from 'react';
 import { useVoiceStore } from '../stores/useVoiceStore';
-import { getSpeechErrorMessage } from '../utils/speech';
+import { getSpeechErrorMessage, resolveVoiceLang } from '../utils/speech';
+import { DEFAULT_WAKE_WORD } from '../utils/constants';
 
 // Web Speech API type definitions
 interface SpeechRecognitionAlternative {
@@ -92,10 +93,10 @@ const appendTranscript = (base: string, addition: string): string => {
  */
 export function useSpeechRecognition(options: UseSpeechRecognitionOptions = {}) {
   const {
-    lang = 'en-US',
+    lang = resolveVoiceLang(),
     continuous = true,
     interimResults = true,
-    wakeWord = 'hey agent',
+    wakeWord = DEFAULT_WAKE_WORD,
     wakeWordEnabled = false,
     autoRestart = false,
     onWakeWord,
@@ -352,11 +353,13 @@ export function useSpeechRecognition(options: UseSpeechRecognitionOptions = {})
     setIsListening(false);
   }, [setIsListening, clearRestartTimeout, setInterimTranscript]);
 
-  // Reset transcripts
+  // Reset transcripts and wait for the wake word again
   const resetTranscripts = useCallback(() => {
     finalTranscriptRef.current = '';
+    commandActiveRef.current = !wakeWordEnabledRef.current;
     clearTranscripts();
-  }, [clearTranscripts]);
+    setWakeWordDetected(false);
+  }, [clearTranscripts, setWakeWordDetected]);
 
   return {
     isSupported,
@@ -1,5 +1,7 @@
 import { useCallback, useEffect, useState } from 'react';
 import { useVoiceStore } from '../stores/useVoiceStore';
+import { __, sprintf } from '../utils/i18n';
+import { resolveVoiceLang } from '../utils/speech';
 
 /**
  * Speech Synthesis hook options
@@ -17,7 +19,7 @@ export interface UseSpeechSynthesisOptions {
  * Integrates with useVoiceStore for state management.
  */
 export function useSpeechSynthesis(options: UseSpeechSynthesisOptions = {}) {
-  const { lang = 'en-US', rate = 1, pitch = 1, volume = 1, voiceName = '' } = options;
+  const { lang = resolveVoiceLang(), rate = 1, pitch = 1, volume = 1, voiceName = '' } = options;
 
   const [voices, setVoices] = useState<SpeechSynthesisVoice[]>([]);
 
@@ -94,7 +96,10 @@ export function useSpeechSynthesis(options: UseSpeechSynthesisOptions = {}) {
       utterance.onerror = (event) => {
         setIsSpeaking(false);
         if (event.error !== 'canceled') {
-          setError(`Speech synthesis error: ${event.error}`);
+          setError(
+            /* translators: %s: error code from the browser */
+            sprintf(__('Speech synthesis error: %s'), event.error),
+          );
         }
       };
 
@@ -1,25 +1,47 @@
+import { useMemo } from 'react';
 import { useQuery } from '@tanstack/react-query';
 import agentwpClient, { getApiError, type ApiResponse } from '../api/AgentWPClient';
 import type { components } from '../types/api';
-import type { UsageSummary } from '../types';
+import type { UsagePeriod, UsageQuery, UsageSummary } from '../types';
+import { forecastPeriodSpend, getBudgetStatus } from '../utils/budget';
+import { useSettingsData } from './useSettings';
 
 type UsageResponseData = components['schemas']['UsageResponseData'];
-type UsagePeriod = 'day' | 'week' | 'month';
 
-const normalizeUsageSummary = (payload: UsageResponseData | undefined): UsageSummary => ({
-  totalTokens: Number.parseInt(String(payload?.total_tokens ?? 0), 10) || 0,
-  totalCostUsd: Number.parseFloat(String(payload?.total_cost_usd ?? 0)) || 0,
-  breakdownByIntent: [], // breakdown_by_intent is an open record type in the schema
-  dailyTrend: [], // daily_trend is an open array type in the schema
+const toInteger = (value: unknown): number => Number.parseInt(String(value ?? 0), 10) || 0;
+const toAmount = (value: unknown): number => Number.parseFloat(String(value ?? 0)) || 0;
+
+export const normalizeUsageSummary = (payload: UsageResponseData | undefined): UsageSummary => ({
+  totalTokens: toInteger(payload?.total_tokens),
+  totalCostUsd: toAmount(payload?.total_cost_usd),
+  breakdownByIntent: (Array.isArray(payload?.breakdown_by_intent)
+    ? payload.breakdown_by_intent
+    : []
+  ).map((item) => ({
+    intent: item.intent_type || 'unknown',
+    count: toInteger(item.request_count),
+    tokens: toInteger(item.total_tokens),
+    cost: toAmount(item.total_cost_usd),
+  })),
+  dailyTrend: (Array.isArray(payload?.daily_trend) ? payload.daily_trend : [])
+    .filter((day) => Boolean(day.date))
+    .map((day) => ({
+      date: day.date ?? '',
+      tokens: toInteger(day.total_tokens),
+      cost: toAmount(day.total_cost_usd),
+    })),
+  granularity: payload?.granularity ?? 'day',
   periodStart: payload?.period_start ?? '',
   periodEnd: payload?.period_end ?? '',
 });
 
-export function useUsage(period: UsagePeriod = 'month', enabled = true) {
+export function useUsage(query: UsagePeriod | UsageQuery = 'month', enabled = true) {
+  const { period, from, to, granularity } = typeof query === 'string' ? { period: query } : query;
+
   return useQuery<ApiResponse<UsageResponseData>, Error>({
-    queryKey: ['usage', period],
+    queryKey: ['usage', period, from, to, granularity],
     queryFn: async () => {
-      return await agentwpClient.getUsage(period);
+      return await agentwpClient.getUsage({ period, from, to, granularity });
     },
     enabled,
     staleTime: 2 * 60 * 1000, // 2 minutes
@@ -29,12 +51,16 @@ export function useUsage(period: UsagePeriod = 'month', enabled = true) {
   });
 }
 
-export function useUsageData(period: UsagePeriod = 'month') {
-  const { data, isLoading, isError, error, refetch } = useUsage(period);
+export function useUsageData(query: UsagePeriod | UsageQuery = 'month') {
+  const { data, isLoading, isError, error, refetch } = useUsage(query);
   const apiError = getApiError(data);
+  const usage = useMemo(
+    () => (data?.success && data.data ? normalizeUsageSummary(data.data) : null),
+    [data],
+  );
 
   return {
-    usage: data?.success && data.data ? normalizeUsageSummary(data.data) : null,
+    usage,
     isLoading,
     isError: isError || Boolean(apiError),
     error: error?.message || apiError?.message || null,
@@ -42,3 +68,21 @@ export function useUsageData(period: UsagePeriod = 'month') {
     refetch,
   };
 }
+
+/**
+ * This month's spend against the configured budget, with a month-end projection.
+ */
+export function useBudgetStatus() {
+  const { settings } = useSettingsData();
+  const { usage } = useUsageData('month');
+  const budgetLimit = settings?.budgetLimit ?? 0;
+
+  return useMemo(
+    () => ({
+      usage,
+      status: getBudgetStatus(usage?.totalCostUsd ?? 0, budgetLimit),
+      forecast: usage ? forecastPeriodSpend(usage) : null,
+    }),
+    [usage, budgetLimit],
+  );
+}
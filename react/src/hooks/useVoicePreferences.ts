@@ -0,0 +1,34 @@
+import { useCallback } from 'react';
+import agentwpClient, { getApiError, type ApiError } from '../api/AgentWPClient';
+import { useVoicePreferencesStore } from '../stores/useVoicePreferencesStore';
+import type { VoicePreferences } from '../types';
+import { resolveVoiceLang } from '../utils/speech';
+
+/**
+ * The user's voice preferences, with the language resolved against the
+ * admin locale. `save` applies changes at once and stores them on the user;
+ * a failed save restores the previous values.
+ */
+export function useVoicePreferences() {
+  const preferences = useVoicePreferencesStore((state) => state.preferences);
+  const setPreferences = useVoicePreferencesStore((state) => state.setPreferences);
+
+  const save = useCallback(
+    async (changes: Partial<VoicePreferences>): Promise<ApiError | null> => {
+      const previous = useVoicePreferencesStore.getState().preferences;
+      setPreferences(changes);
+      const error = getApiError(await agentwpClient.updateVoicePreferences(changes));
+      if (error) {
+        setPreferences(previous);
+      }
+      return error;
+    },
+    [setPreferences],
+  );
+
+  return {
+    preferences,
+    lang: resolveVoiceLang(preferences.lang),
+    save,
+  };
+}
@@ -1,3 +1,6 @@
+import { matchesHotkey, resolveHotkey } from './utils/hotkey';
+import { isRTL } from './utils/i18n';
+
 const OPEN_STATE_KEY = 'agentwp-command-deck-open';
 const ADMIN_TRIGGER_SELECTORS = [
   '#wp-admin-bar-agentwp',
@@ -47,6 +50,10 @@ const mountShadowApp = (
     container.id = 'agentwp-portal-root';
     return container;
   });
+  // Styles in the shadow root can't see the admin page's dir attribute, so repeat it here
+  const dir = isRTL() ? 'rtl' : 'ltr';
+  appRoot.dir = dir;
+  portalRoot.dir = dir;
   return { shadowRoot, appRoot, portalRoot };
 };
 
@@ -186,15 +193,10 @@ const loadCommandDeck = (openOnLoad = false): Promise<null> | null => {
 };
 
 const handleHotkey = (event: KeyboardEvent) => {
-  if (appLoaded) {
-    return;
-  }
-  const isMac = typeof navigator !== 'undefined' && /Mac|iPod|iPhone|iPad/.test(navigator.platform);
-  const modifierPressed = isMac ? event.metaKey : event.ctrlKey;
-  if (!modifierPressed || event.shiftKey || event.altKey || event.repeat) {
+  if (appLoaded || event.repeat) {
     return;
   }
-  if (event.key.toLowerCase() !== 'k') {
+  if (!matchesHotkey(event, resolveHotkey(window.agentwpSettings?.hotkey))) {
     return;
   }
   const target = getComposedTarget(event);
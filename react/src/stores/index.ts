@@ -1,8 +1,12 @@
 export { useModalStore } from './useModalStore';
 export { useThemeStore } from './useThemeStore';
 export { useCommandStore } from './useCommandStore';
+export { useThreadStore } from './useThreadStore';
 export { useVoiceStore } from './useVoiceStore';
 export { useDraftStore } from './useDraftStore';
 export { useSearchStore } from './useSearchStore';
+export { useOfflineQueueStore, type QueuedPrompt } from './useOfflineQueueStore';
+export { useHealthHistoryStore, type HealthCheckEntry } from './useHealthHistoryStore';
 export { useAnalyticsStore, PERIOD_OPTIONS } from './useAnalyticsStore';
 export { useUsageStore, DEFAULT_USAGE_SUMMARY } from './useUsageStore';
+export { useVoicePreferencesStore, DEFAULT_VOICE_PREFERENCES } from './useVoicePreferencesStore';
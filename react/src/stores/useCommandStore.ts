@@ -1,7 +1,21 @@
 import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
 import type { CommandEntry } from '../types';
+import type { components } from '../types/api';
 import { COMMAND_HISTORY_KEY, getFavoritesLimit, getHistoryLimit } from '../utils/constants';
+import {
+  commandKey,
+  EMPTY_SYNC_STATE,
+  entryKey,
+  fromHistoryEntry,
+  markSynced,
+  mergeFavorites,
+  mergeHistory,
+  normalizePrompt,
+  type SyncState,
+} from '../utils/history-sync';
+
+type HistoryEntry = components['schemas']['HistoryEntry'];
 
 interface CommandUsage {
   [prompt: string]: number;
@@ -12,6 +26,8 @@ interface CommandState {
   favorites: CommandEntry[];
   usage: CommandUsage;
   lastEntry: CommandEntry | null;
+  historySync: SyncState;
+  favoritesSync: SyncState;
 }
 
 interface CommandActions {
@@ -20,7 +36,10 @@ interface CommandActions {
   clearHistory: () => void;
   addToFavorites: (entry: CommandEntry) => void;
   removeFromFavorites: (id: string) => void;
+  toggleFavorite: (entry: CommandEntry) => void;
   isFavorite: (id: string) => boolean;
+  mergeRemote: (remote: { history?: HistoryEntry[]; favorites?: HistoryEntry[] }) => void;
+  markPushed: (history: CommandEntry[], favorites: CommandEntry[]) => void;
   incrementUsage: (prompt: string) => void;
   getUsageCount: (prompt: string) => number;
   getMostUsed: (limit?: number) => Array<{ prompt: string; count: number }>;
@@ -30,6 +49,15 @@ const generateId = (): string => {
   return `${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
 };
 
+// Removals are remembered until pushed, so the next pull doesn't restore them
+const withDeleted = (sync: SyncState, keys: string[]): SyncState => ({
+  ...sync,
+  deleted: [...new Set([...sync.deleted, ...keys])],
+});
+
+const parseEntries = (entries: HistoryEntry[]): CommandEntry[] =>
+  entries.map(fromHistoryEntry).filter((entry): entry is CommandEntry => entry !== null);
+
 export const useCommandStore = create<CommandState & CommandActions>()(
   persist(
     (set, get) => ({
@@ -37,10 +65,14 @@ export const useCommandStore = create<CommandState & CommandActions>()(
       favorites: [],
       usage: {},
       lastEntry: null,
+      historySync: EMPTY_SYNC_STATE,
+      favoritesSync: EMPTY_SYNC_STATE,
 
       addToHistory: (entry) => {
         const newEntry: CommandEntry = {
           ...entry,
+          // Stored the way the server will send it back, so sync can match it
+          prompt: normalizePrompt(entry.prompt),
           id: generateId(),
           timestamp: Date.now(),
         };
@@ -57,9 +89,18 @@ export const useCommandStore = create<CommandState & CommandActions>()(
       removeFromHistory: (id) =>
         set((state) => ({
           history: state.history.filter((entry) => entry.id !== id),
+          historySync: withDeleted(
+            state.historySync,
+            state.history.filter((entry) => entry.id === id).map(entryKey),
+          ),
         })),
 
-      clearHistory: () => set({ history: [], lastEntry: null }),
+      clearHistory: () =>
+        set((state) => ({
+          history: [],
+          lastEntry: null,
+          historySync: withDeleted(state.historySync, state.history.map(entryKey)),
+        })),
 
       addToFavorites: (entry) =>
         set((state) => {
@@ -67,20 +108,61 @@ export const useCommandStore = create<CommandState & CommandActions>()(
             return state;
           }
           const favoritesLimit = getFavoritesLimit();
+          const key = commandKey(entry);
           return {
             favorites: favoritesLimit
               ? [entry, ...state.favorites].slice(0, favoritesLimit)
               : [entry, ...state.favorites],
+            // Starring again takes back an unsynced removal
+            favoritesSync: {
+              ...state.favoritesSync,
+              deleted: state.favoritesSync.deleted.filter((deleted) => deleted !== key),
+            },
           };
         }),
 
       removeFromFavorites: (id) =>
         set((state) => ({
           favorites: state.favorites.filter((entry) => entry.id !== id),
+          favoritesSync: withDeleted(
+            state.favoritesSync,
+            state.favorites.filter((entry) => entry.id === id).map(commandKey),
+          ),
         })),
 
+      toggleFavorite: (entry) => {
+        const key = commandKey(entry);
+        if (get().favorites.some((favorite) => commandKey(favorite) === key)) {
+          set((state) => ({
+            favorites: state.favorites.filter((favorite) => commandKey(favorite) !== key),
+            favoritesSync: withDeleted(state.favoritesSync, [key]),
+          }));
+          return;
+        }
+        get().addToFavorites(entry);
+      },
+
       isFavorite: (id) => get().favorites.some((entry) => entry.id === id),
 
+      mergeRemote: ({ history = [], favorites = [] }) =>
+        set((state) => ({
+          history: mergeHistory(state.history, history, getHistoryLimit(), state.historySync),
+          favorites: mergeFavorites(
+            state.favorites,
+            favorites,
+            getFavoritesLimit(),
+            state.favoritesSync,
+          ),
+          historySync: markSynced(parseEntries(history), entryKey, state.historySync),
+          favoritesSync: markSynced(parseEntries(favorites), commandKey, state.favoritesSync),
+        })),
+
+      markPushed: (history, favorites) =>
+        set((state) => ({
+          historySync: markSynced(history, entryKey, state.historySync),
+          favoritesSync: markSynced(favorites, commandKey, state.favoritesSync),
+        })),
+
       incrementUsage: (prompt) =>
         set((state) => ({
           usage: {
@@ -101,10 +183,27 @@ export const useCommandStore = create<CommandState & CommandActions>()(
     }),
     {
       name: COMMAND_HISTORY_KEY,
+      version: 1,
+      // Version 0 stored prompts as typed; normalize them so they match the server copies
+      migrate: (persistedState, version) => {
+        const state = persistedState as CommandState;
+        if (version < 1) {
+          const normalize = (entries: CommandEntry[] = []) =>
+            entries.map((entry) => ({ ...entry, prompt: normalizePrompt(entry.prompt) }));
+          return {
+            ...state,
+            history: normalize(state.history),
+            favorites: normalize(state.favorites),
+          };
+        }
+        return state;
+      },
       partialize: (state) => ({
         history: state.history,
         favorites: state.favorites,
         usage: state.usage,
+        historySync: state.historySync,
+        favoritesSync: state.favoritesSync,
       }),
       merge: (persistedState, currentState) => ({
         ...currentState,
@@ -13,6 +13,8 @@ interface DraftActions {
   setSubject: (subject: string) => void;
   setBody: (body: string) => void;
   saveDraft: () => void;
+  /** Add a draft to the history without touching the one being edited. */
+  addDraft: (draft: Omit<DraftEntry, 'id' | 'timestamp'>) => string | null;
   loadDraft: (id: string) => void;
   removeDraft: (id: string) => void;
   clearCurrent: () => void;
@@ -35,21 +37,27 @@ export const useDraftStore = create<DraftState & DraftActions>()(
       setBody: (body) => set({ body }),
 
       saveDraft: () => {
-        const { subject, body, history } = get();
-        if (!subject.trim() && !body.trim()) return;
+        const { subject, body, addDraft } = get();
+        if (addDraft({ subject, body })) {
+          set({ subject: '', body: '' });
+        }
+      },
+
+      addDraft: ({ subject, body, orderId }) => {
+        if (!subject.trim() && !body.trim()) return null;
 
         const newDraft: DraftEntry = {
           id: generateId(),
           subject: subject.trim(),
           body: body.trim(),
           timestamp: Date.now(),
+          ...(orderId ? { orderId } : {}),
         };
 
-        set({
-          history: [newDraft, ...history].slice(0, MAX_DRAFT_HISTORY),
-          subject: '',
-          body: '',
-        });
+        set((state) => ({
+          history: [newDraft, ...state.history].slice(0, MAX_DRAFT_HISTORY),
+        }));
+        return newDraft.id;
       },
 
       loadDraft: (id) => {
@@ -0,0 +1,31 @@
+import { create } from 'zustand';
+import { MAX_HEALTH_HISTORY } from '../utils/constants';
+
+/**
+ * One health check result, kept for the diagnostics panel and support bundle.
+ */
+export interface HealthCheckEntry {
+  checkedAt: number;
+  healthy: boolean;
+  /** Error code of a failed check. */
+  code: string | null;
+}
+
+interface HealthHistoryState {
+  /** Newest first. */
+  entries: HealthCheckEntry[];
+}
+
+interface HealthHistoryActions {
+  record: (entry: HealthCheckEntry) => void;
+  clear: () => void;
+}
+
+export const useHealthHistoryStore = create<HealthHistoryState & HealthHistoryActions>()((set) => ({
+  entries: [],
+
+  record: (entry) =>
+    set((state) => ({ entries: [entry, ...state.entries].slice(0, MAX_HEALTH_HISTORY) })),
+
+  clear: () => set({ entries: [] }),
+}));
@@ -1,14 +1,19 @@
 import { create } from 'zustand';
-import type { ErrorState, Metrics } from '../types';
+import type { ErrorState, IntentResult, Metrics, SessionMetrics } from '../types';
 import { OPEN_STATE_KEY } from '../utils/constants';
+import { EMPTY_METRICS, EMPTY_SESSION_METRICS, addSessionMetrics } from '../utils/metrics';
 
 interface ModalState {
   isOpen: boolean;
   loading: boolean;
   prompt: string;
   response: string;
+  progress: string | null;
+  intentResult: IntentResult;
   errorState: ErrorState | null;
   metrics: Metrics;
+  /** Totals across prompts; kept when the deck resets or closes. */
+  session: SessionMetrics;
   retryAttempt: number;
 }
 
@@ -20,13 +25,23 @@ interface ModalActions {
   setPrompt: (prompt: string) => void;
   setResponse: (response: string) => void;
   appendResponse: (text: string) => void;
+  setProgress: (progress: string | null) => void;
+  setIntentResult: (result: Partial<IntentResult>) => void;
   setError: (error: ErrorState | null) => void;
   setMetrics: (metrics: Partial<Metrics>) => void;
+  /** Set the latest response's metrics and add them to the session totals. */
+  recordMetrics: (metrics: Metrics) => void;
   incrementRetry: () => void;
   resetRetry: () => void;
   reset: () => void;
 }
 
+const EMPTY_INTENT_RESULT: IntentResult = {
+  cards: [],
+  draft: null,
+  functionSuggestions: [],
+};
+
 const getInitialOpenState = (): boolean => {
   if (typeof window === 'undefined') return false;
   try {
@@ -54,8 +69,11 @@ const initialState: ModalState = {
   loading: false,
   prompt: '',
   response: '',
+  progress: null,
+  intentResult: EMPTY_INTENT_RESULT,
   errorState: null,
-  metrics: { latencyMs: null, tokenCost: null },
+  metrics: EMPTY_METRICS,
+  session: EMPTY_SESSION_METRICS,
   retryAttempt: 0,
 };
 
@@ -88,6 +106,10 @@ export const useModalStore = create<ModalState & ModalActions>((set) => ({
 
   appendResponse: (text) => set((state) => ({ response: state.response + text })),
 
+  setProgress: (progress) => set({ progress }),
+
+  setIntentResult: (result) => set({ intentResult: { ...EMPTY_INTENT_RESULT, ...result } }),
+
   setError: (errorState) => set({ errorState }),
 
   setMetrics: (metrics) =>
@@ -95,6 +117,12 @@ export const useModalStore = create<ModalState & ModalActions>((set) => ({
       metrics: { ...state.metrics, ...metrics },
     })),
 
+  recordMetrics: (metrics) =>
+    set((state) => ({
+      metrics,
+      session: addSessionMetrics(state.session, metrics),
+    })),
+
   incrementRetry: () => set((state) => ({ retryAttempt: state.retryAttempt + 1 })),
 
   resetRetry: () => set({ retryAttempt: 0 }),
@@ -104,8 +132,10 @@ export const useModalStore = create<ModalState & ModalActions>((set) => ({
       loading: false,
       prompt: '',
       response: '',
+      progress: null,
+      intentResult: EMPTY_INTENT_RESULT,
       errorState: null,
-      metrics: { latencyMs: null, tokenCost: null },
+      metrics: EMPTY_METRICS,
       retryAttempt: 0,
     }),
 }));
@@ -0,0 +1,62 @@
+import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+import type { PromptEntity } from '../types';
+import { MAX_QUEUED_PROMPTS, OFFLINE_QUEUE_KEY } from '../utils/constants';
+
+/**
+ * A read-only prompt typed while the API was unreachable, replayed in order
+ * once the health check recovers.
+ */
+export interface QueuedPrompt {
+  id: string;
+  prompt: string;
+  entities: PromptEntity[];
+  /** Thread the prompt was typed in, so the answer lands in the same conversation. */
+  threadId: string | null;
+  queuedAt: number;
+}
+
+interface OfflineQueueState {
+  queue: QueuedPrompt[];
+}
+
+interface OfflineQueueActions {
+  /** Returns false when the queue is full or already holds the prompt. */
+  enqueue: (entry: Omit<QueuedPrompt, 'id' | 'queuedAt'>) => boolean;
+  remove: (id: string) => void;
+  clear: () => void;
+}
+
+const generateId = (): string => {
+  return `${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
+};
+
+export const useOfflineQueueStore = create<OfflineQueueState & OfflineQueueActions>()(
+  persist(
+    (set, get) => ({
+      queue: [],
+
+      enqueue: (entry) => {
+        const { queue } = get();
+        const prompt = entry.prompt.trim();
+        if (queue.length >= MAX_QUEUED_PROMPTS || queue.some((item) => item.prompt === prompt)) {
+          return false;
+        }
+        set({ queue: [...queue, { ...entry, prompt, id: generateId(), queuedAt: Date.now() }] });
+        return true;
+      },
+
+      remove: (id) => set((state) => ({ queue: state.queue.filter((item) => item.id !== id) })),
+
+      clear: () => set({ queue: [] }),
+    }),
+    {
+      name: OFFLINE_QUEUE_KEY,
+      onRehydrateStorage: () => (_state, error) => {
+        if (error) {
+          console.warn('Failed to rehydrate offline queue:', error);
+        }
+      },
+    },
+  ),
+);
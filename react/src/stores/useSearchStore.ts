@@ -1,6 +1,12 @@
 import { create } from 'zustand';
-import type { SearchResults } from '../types';
-import { getEmptySearchResults } from '../utils/constants';
+import { persist } from 'zustand/middleware';
+import type { SearchResult, SearchResults } from '../types';
+import {
+  RECENT_SELECTIONS_KEY,
+  RECENT_SELECTIONS_LIMIT,
+  getEmptySearchResults,
+} from '../utils/constants';
+import { flattenSearchResults } from '../utils/search-scope';
 
 interface SearchState {
   results: SearchResults;
@@ -8,6 +14,8 @@ interface SearchState {
   isLoading: boolean;
   activeIndex: number;
   query: string;
+  /** Recently picked results, newest first. Persisted. */
+  recent: SearchResult[];
 }
 
 interface SearchActions {
@@ -23,10 +31,13 @@ interface SearchActions {
   decrementActiveIndex: () => void;
   setQuery: (query: string) => void;
   getTotalCount: () => number;
+  getActiveResult: () => SearchResult | null;
+  addRecent: (result: SearchResult) => void;
+  clearRecent: () => void;
   reset: () => void;
 }
 
-const initialState: SearchState = {
+const initialState: Omit<SearchState, 'recent'> = {
   results: getEmptySearchResults(),
   isOpen: false,
   isLoading: false,
@@ -34,51 +45,77 @@ const initialState: SearchState = {
   query: '',
 };
 
-export const useSearchStore = create<SearchState & SearchActions>((set, get) => ({
-  ...initialState,
+export const useSearchStore = create<SearchState & SearchActions>()(
+  persist(
+    (set, get) => ({
+      ...initialState,
+      recent: [],
 
-  setResults: (results) => set({ results }),
+      setResults: (results) => set({ results }),
 
-  setResultsForType: (type, results) =>
-    set((state) => ({
-      results: { ...state.results, [type]: results },
-    })),
+      setResultsForType: (type, results) =>
+        set((state) => ({
+          results: { ...state.results, [type]: results },
+        })),
 
-  setIsOpen: (isOpen) => set({ isOpen }),
+      setIsOpen: (isOpen) => set({ isOpen }),
 
-  setIsLoading: (isLoading) => set({ isLoading }),
+      setIsLoading: (isLoading) => set({ isLoading }),
 
-  setActiveIndex: (activeIndex) => set({ activeIndex }),
+      setActiveIndex: (activeIndex) => set({ activeIndex }),
 
-  incrementActiveIndex: () => {
-    const { activeIndex, results } = get();
-    const totalCount = results.products.length + results.orders.length + results.customers.length;
-    if (totalCount === 0) return;
-    set({ activeIndex: (activeIndex + 1) % totalCount });
-  },
+      // Indexes run across the product, order and customer groups in display order
+      incrementActiveIndex: () => {
+        const { activeIndex } = get();
+        const totalCount = get().getTotalCount();
+        if (totalCount === 0) return;
+        set({ activeIndex: (activeIndex + 1) % totalCount });
+      },
 
-  decrementActiveIndex: () => {
-    const { activeIndex, results } = get();
-    const totalCount = results.products.length + results.orders.length + results.customers.length;
-    if (totalCount === 0) return;
-    set({
-      activeIndex: activeIndex <= 0 ? totalCount - 1 : activeIndex - 1,
-    });
-  },
+      decrementActiveIndex: () => {
+        const { activeIndex } = get();
+        const totalCount = get().getTotalCount();
+        if (totalCount === 0) return;
+        set({
+          activeIndex: activeIndex <= 0 ? totalCount - 1 : activeIndex - 1,
+        });
+      },
 
-  setQuery: (query) => set({ query }),
+      setQuery: (query) => set({ query }),
 
-  getTotalCount: () => {
-    const { results } = get();
-    return results.products.length + results.orders.length + results.customers.length;
-  },
+      getTotalCount: () => flattenSearchResults(get().results).length,
 
-  reset: () =>
-    set({
-      results: getEmptySearchResults(),
-      isOpen: false,
-      isLoading: false,
-      activeIndex: -1,
-      query: '',
+      getActiveResult: () => {
+        const { results, activeIndex } = get();
+        return flattenSearchResults(results)[activeIndex] ?? null;
+      },
+
+      addRecent: (result) =>
+        set((state) => ({
+          recent: [
+            result,
+            ...state.recent.filter(
+              (item) => !(item.type === result.type && String(item.id) === String(result.id)),
+            ),
+          ].slice(0, RECENT_SELECTIONS_LIMIT),
+        })),
+
+      clearRecent: () => set({ recent: [] }),
+
+      reset: () => set({ ...initialState, results: getEmptySearchResults() }),
     }),
-}));
+    {
+      name: RECENT_SELECTIONS_KEY,
+      partialize: (state) => ({ recent: state.recent }),
+      merge: (persistedState, currentState) => ({
+        ...currentState,
+        ...(persistedState as Partial<SearchState>),
+      }),
+      onRehydrateStorage: () => (_state, error) => {
+        if (error) {
+          console.warn('Failed to rehydrate search store:', error);
+        }
+      },
+    },
+  ),
+);
@@ -0,0 +1,111 @@
+import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+import type { ConversationThread, ThreadTurn } from '../types';
+import { MAX_THREADS, MAX_THREAD_TURNS, THREADS_KEY } from '../utils/constants';
+
+interface ThreadState {
+  threads: ConversationThread[];
+  activeThreadId: string | null;
+}
+
+interface ThreadActions {
+  startThread: () => string;
+  ensureActiveThread: () => string;
+  setActiveThread: (id: string) => void;
+  addTurn: (turn: Omit<ThreadTurn, 'id' | 'timestamp'>) => void;
+  removeThread: (id: string) => void;
+  getActiveThread: () => ConversationThread | null;
+}
+
+const TITLE_LENGTH = 60;
+
+const generateId = (): string => {
+  return `${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
+};
+
+const buildTitle = (prompt: string): string => {
+  const trimmed = prompt.trim().replace(/\s+/g, ' ');
+  return trimmed.length > TITLE_LENGTH ? `${trimmed.slice(0, TITLE_LENGTH - 1)}…` : trimmed;
+};
+
+const createThread = (): ConversationThread => {
+  const now = Date.now();
+  return { id: generateId(), title: '', turns: [], createdAt: now, updatedAt: now };
+};
+
+export const useThreadStore = create<ThreadState & ThreadActions>()(
+  persist(
+    (set, get) => ({
+      threads: [],
+      activeThreadId: null,
+
+      startThread: () => {
+        const active = get().getActiveThread();
+        // An empty thread is already a fresh start.
+        if (active && active.turns.length === 0) {
+          return active.id;
+        }
+
+        const thread = createThread();
+        set((state) => ({
+          threads: [thread, ...state.threads].slice(0, MAX_THREADS),
+          activeThreadId: thread.id,
+        }));
+        return thread.id;
+      },
+
+      ensureActiveThread: () => get().getActiveThread()?.id ?? get().startThread(),
+
+      setActiveThread: (id) => {
+        if (get().threads.some((thread) => thread.id === id)) {
+          set({ activeThreadId: id });
+        }
+      },
+
+      addTurn: (turn) => {
+        const threadId = get().ensureActiveThread();
+        const newTurn: ThreadTurn = { ...turn, id: generateId(), timestamp: Date.now() };
+
+        set((state) => {
+          const thread = state.threads.find((entry) => entry.id === threadId);
+          if (!thread) {
+            return state;
+          }
+          const updated: ConversationThread = {
+            ...thread,
+            title: thread.title || buildTitle(turn.prompt),
+            turns: [...thread.turns, newTurn].slice(-MAX_THREAD_TURNS),
+            updatedAt: newTurn.timestamp,
+          };
+          // Most recently used threads first.
+          return {
+            threads: [updated, ...state.threads.filter((entry) => entry.id !== threadId)],
+          };
+        });
+      },
+
+      removeThread: (id) =>
+        set((state) => ({
+          threads: state.threads.filter((thread) => thread.id !== id),
+          activeThreadId: state.activeThreadId === id ? null : state.activeThreadId,
+        })),
+
+      getActiveThread: () => {
+        const { threads, activeThreadId } = get();
+        return threads.find((thread) => thread.id === activeThreadId) ?? null;
+      },
+    }),
+    {
+      name: THREADS_KEY,
+      partialize: (state) => ({
+        threads: state.threads,
+        activeThreadId: state.activeThreadId,
+      }),
+      onRehydrateStorage: () => (_state, error) => {
+        if (error) {
+          console.warn('Failed to rehydrate thread store:', error);
+        }
+      },
+    },
+  ),
+);
@@ -6,6 +6,7 @@ const DEFAULT_USAGE_SUMMARY: UsageSummary = {
   totalCostUsd: 0,
   breakdownByIntent: [],
   dailyTrend: [],
+  granularity: 'day',
   periodStart: '',
   periodEnd: '',
 };
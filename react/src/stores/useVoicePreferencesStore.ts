@@ -0,0 +1,33 @@
+import { create } from 'zustand';
+import type { VoicePreferences } from '../types';
+
+export const DEFAULT_VOICE_PREFERENCES: VoicePreferences = {
+  lang: '',
+  voice: '',
+  rate: 1,
+  pitch: 1,
+  show_interim: true,
+};
+
+interface VoicePreferencesState {
+  preferences: VoicePreferences;
+}
+
+interface VoicePreferencesActions {
+  setPreferences: (preferences: Partial<VoicePreferences>) => void;
+}
+
+// Saved per user in user meta and printed into window.agentwpSettings
+const getInitialPreferences = (): VoicePreferences => {
+  if (typeof window === 'undefined') return DEFAULT_VOICE_PREFERENCES;
+  return { ...DEFAULT_VOICE_PREFERENCES, ...window.agentwpSettings?.voice };
+};
+
+export const useVoicePreferencesStore = create<VoicePreferencesState & VoicePreferencesActions>()(
+  (set) => ({
+    preferences: getInitialPreferences(),
+
+    setPreferences: (preferences) =>
+      set((state) => ({ preferences: { ...state.preferences, ...preferences } })),
+  }),
+);
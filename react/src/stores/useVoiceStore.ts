@@ -1,5 +1,16 @@
 import { create } from 'zustand';
 
+/**
+ * A draft waiting on a spoken "confirm" or "cancel" in hands-free mode. Once
+ * `action` is heard, the draft's review panel carries it out and fills in
+ * `outcome` with what happened.
+ */
+export interface DraftDecision {
+  draftId: string;
+  action: 'confirm' | 'cancel' | null;
+  outcome: string | null;
+}
+
 interface VoiceState {
   isSupported: boolean;
   ttsSupported: boolean;
@@ -10,6 +21,9 @@ interface VoiceState {
   finalTranscript: string;
   wakeWordEnabled: boolean;
   wakeWordDetected: boolean;
+  /** Always listening for the wake word, submitting and reading answers aloud. */
+  handsFree: boolean;
+  draftDecision: DraftDecision | null;
 }
 
 interface VoiceActions {
@@ -20,6 +34,11 @@ interface VoiceActions {
   setFinalTranscript: (transcript: string) => void;
   setWakeWordEnabled: (enabled: boolean) => void;
   setWakeWordDetected: (detected: boolean) => void;
+  setHandsFree: (enabled: boolean) => void;
+  awaitDraftDecision: (draftId: string) => void;
+  decideDraft: (action: NonNullable<DraftDecision['action']>) => void;
+  settleDraftDecision: (outcome: string) => void;
+  clearDraftDecision: () => void;
   clearTranscripts: () => void;
   reset: () => void;
 }
@@ -51,6 +70,8 @@ export const useVoiceStore = create<VoiceState & VoiceActions>((set) => ({
   finalTranscript: '',
   wakeWordEnabled: false,
   wakeWordDetected: false,
+  handsFree: false,
+  draftDecision: null,
 
   setIsListening: (isListening) => set({ isListening }),
 
@@ -66,6 +87,22 @@ export const useVoiceStore = create<VoiceState & VoiceActions>((set) => ({
 
   setWakeWordDetected: (wakeWordDetected) => set({ wakeWordDetected }),
 
+  setHandsFree: (handsFree) => set({ handsFree }),
+
+  awaitDraftDecision: (draftId) => set({ draftDecision: { draftId, action: null, outcome: null } }),
+
+  decideDraft: (action) =>
+    set((state) => ({
+      draftDecision: state.draftDecision ? { ...state.draftDecision, action } : null,
+    })),
+
+  settleDraftDecision: (outcome) =>
+    set((state) => ({
+      draftDecision: state.draftDecision ? { ...state.draftDecision, outcome } : null,
+    })),
+
+  clearDraftDecision: () => set({ draftDecision: null }),
+
   clearTranscripts: () => set({ interimTranscript: '', finalTranscript: '' }),
 
   reset: () =>
@@ -76,5 +113,6 @@ export const useVoiceStore = create<VoiceState & VoiceActions>((set) => ({
       interimTranscript: '',
       finalTranscript: '',
       wakeWordDetected: false,
+      draftDecision: null,
     }),
 }));
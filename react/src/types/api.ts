@@ -63,6 +63,68 @@ export interface paths {
     patch?: never;
     trace?: never;
   };
+  '/agentwp/v1/intent/stream': {
+    parameters: {
+      query?: never;
+      header?: never;
+      path?: never;
+      cookie?: never;
+    };
+    get?: never;
+    put?: never;
+    /**
+     * Submit an intent and stream progress
+     * @description Server-Sent Events stream. Emits `start` ({intent_id}), `progress` ({tool, label}) while tools run, `delta` ({text}) as message text arrives, then `done` with the IntentResponseData payload or `error` with an error payload. Validation failures are returned as JSON before the stream opens.
+     */
+    post: {
+      parameters: {
+        query?: never;
+        header?: never;
+        path?: never;
+        cookie?: never;
+      };
+      requestBody: {
+        content: {
+          'application/json': components['schemas']['IntentRequest'];
+        };
+      };
+      responses: {
+        /** @description Event stream */
+        200: {
+          headers: {
+            [name: string]: unknown;
+          };
+          content: {
+            'text/event-stream': string;
+          };
+        };
+        /** @description Invalid payload */
+        400: {
+          headers: {
+            [name: string]: unknown;
+          };
+          content: {
+            'application/json': components['schemas']['ErrorResponse'];
+          };
+        };
+        /** @description Rate limit exceeded */
+        429: {
+          headers: {
+            'Retry-After'?: number;
+            [name: string]: unknown;
+          };
+          content: {
+            'application/json': components['schemas']['ErrorResponse'];
+          };
+        };
+      };
+    };
+    delete?: never;
+    options?: never;
+    head?: never;
+    patch?: never;
+    trace?: never;
+  };
   '/agentwp/v1/settings': {
     parameters: {
       query?: never;
@@ -115,7 +177,7 @@ export interface paths {
             'application/json': components['schemas']['SettingsResponse'];
           };
         };
-        /** @description Invalid payload */
+        /** @description Invalid payload. `error.meta.fields` maps each invalid field to a message. */
         400: {
           headers: {
             [name: string]: unknown;
@@ -181,6 +243,51 @@ export interface paths {
     patch?: never;
     trace?: never;
   };
+  '/agentwp/v1/settings/api-key/test': {
+    parameters: {
+      query?: never;
+      header?: never;
+      path?: never;
+      cookie?: never;
+    };
+    get?: never;
+    put?: never;
+    /** Test stored OpenAI API key */
+    post: {
+      parameters: {
+        query?: never;
+        header?: never;
+        path?: never;
+        cookie?: never;
+      };
+      requestBody?: never;
+      responses: {
+        /** @description Stored key accepted by OpenAI */
+        200: {
+          headers: {
+            [name: string]: unknown;
+          };
+          content: {
+            'application/json': components['schemas']['ApiKeyTestResponse'];
+          };
+        };
+        /** @description No key stored or key rejected */
+        400: {
+          headers: {
+            [name: string]: unknown;
+          };
+          content: {
+            'application/json': components['schemas']['ErrorResponse'];
+          };
+        };
+      };
+    };
+    delete?: never;
+    options?: never;
+    head?: never;
+    patch?: never;
+    trace?: never;
+  };
   '/agentwp/v1/usage': {
     parameters: {
       query?: never;
@@ -193,6 +300,12 @@ export interface paths {
       parameters: {
         query?: {
           period?: 'day' | 'week' | 'month';
+          /** @description Start of a custom range (UTC date). Send with `to`; overrides `period`. */
+          from?: string;
+          /** @description End of a custom range (UTC date), inclusive. Ranges may span up to 731 days. */
+          to?: string;
+          /** @description Bucket size for `daily_trend` in custom ranges. */
+          granularity?: 'day' | 'week' | 'month';
         };
         header?: never;
         path?: never;
@@ -209,7 +322,7 @@ export interface paths {
             'application/json': components['schemas']['UsageResponse'];
           };
         };
-        /** @description Invalid period */
+        /** @description Invalid period or date range */
         400: {
           headers: {
             [name: string]: unknown;
@@ -264,6 +377,42 @@ export interface paths {
     patch?: never;
     trace?: never;
   };
+  '/agentwp/v1/diagnostics': {
+    parameters: {
+      query?: never;
+      header?: never;
+      path?: never;
+      cookie?: never;
+    };
+    /** Diagnostics snapshot */
+    get: {
+      parameters: {
+        query?: never;
+        header?: never;
+        path?: never;
+        cookie?: never;
+      };
+      requestBody?: never;
+      responses: {
+        /** @description Diagnostics payload */
+        200: {
+          headers: {
+            [name: string]: unknown;
+          };
+          content: {
+            'application/json': components['schemas']['DiagnosticsResponse'];
+          };
+        };
+      };
+    };
+    put?: never;
+    post?: never;
+    delete?: never;
+    options?: never;
+    head?: never;
+    patch?: never;
+    trace?: never;
+  };
   '/agentwp/v1/search': {
     parameters: {
       query?: never;
@@ -450,6 +599,172 @@ export interface paths {
     patch?: never;
     trace?: never;
   };
+  '/agentwp/v1/voice': {
+    parameters: {
+      query?: never;
+      header?: never;
+      path?: never;
+      cookie?: never;
+    };
+    /** Get voice preferences */
+    get: {
+      parameters: {
+        query?: never;
+        header?: never;
+        path?: never;
+        cookie?: never;
+      };
+      requestBody?: never;
+      responses: {
+        /** @description Voice preferences payload */
+        200: {
+          headers: {
+            [name: string]: unknown;
+          };
+          content: {
+            'application/json': components['schemas']['VoiceResponse'];
+          };
+        };
+      };
+    };
+    put?: never;
+    /**
+     * Update voice preferences
+     * @description Omitted fields keep their stored value.
+     */
+    post: {
+      parameters: {
+        query?: never;
+        header?: never;
+        path?: never;
+        cookie?: never;
+      };
+      requestBody: {
+        content: {
+          'application/json': components['schemas']['VoiceUpdateRequest'];
+        };
+      };
+      responses: {
+        /** @description Voice preferences updated */
+        200: {
+          headers: {
+            [name: string]: unknown;
+          };
+          content: {
+            'application/json': components['schemas']['VoiceResponse'];
+          };
+        };
+        /** @description Invalid voice preferences */
+        400: {
+          headers: {
+            [name: string]: unknown;
+          };
+          content: {
+            'application/json': components['schemas']['ErrorResponse'];
+          };
+        };
+      };
+    };
+    delete?: never;
+    options?: never;
+    head?: never;
+    patch?: never;
+    trace?: never;
+  };
+  '/agentwp/v1/drafts/{draft_id}/confirm': {
+    parameters: {
+      query?: never;
+      header?: never;
+      path?: never;
+      cookie?: never;
+    };
+    get?: never;
+    put?: never;
+    /** Confirm a pending draft */
+    post: {
+      parameters: {
+        query?: never;
+        header?: never;
+        path: {
+          draft_id: string;
+        };
+        cookie?: never;
+      };
+      requestBody?: never;
+      responses: {
+        /** @description Draft executed */
+        200: {
+          headers: {
+            [name: string]: unknown;
+          };
+          content: {
+            'application/json': components['schemas']['DraftConfirmResponse'];
+          };
+        };
+        /** @description Draft cannot be confirmed */
+        400: {
+          headers: {
+            [name: string]: unknown;
+          };
+          content: {
+            'application/json': components['schemas']['ErrorResponse'];
+          };
+        };
+        /** @description Draft expired */
+        410: {
+          headers: {
+            [name: string]: unknown;
+          };
+          content: {
+            'application/json': components['schemas']['ErrorResponse'];
+          };
+        };
+      };
+    };
+    delete?: never;
+    options?: never;
+    head?: never;
+    patch?: never;
+    trace?: never;
+  };
+  '/agentwp/v1/drafts/{draft_id}': {
+    parameters: {
+      query?: never;
+      header?: never;
+      path?: never;
+      cookie?: never;
+    };
+    get?: never;
+    put?: never;
+    post?: never;
+    /** Cancel a pending draft */
+    delete: {
+      parameters: {
+        query?: never;
+        header?: never;
+        path: {
+          draft_id: string;
+        };
+        cookie?: never;
+      };
+      requestBody?: never;
+      responses: {
+        /** @description Draft cancelled */
+        200: {
+          headers: {
+            [name: string]: unknown;
+          };
+          content: {
+            'application/json': components['schemas']['DraftCancelResponse'];
+          };
+        };
+      };
+    };
+    options?: never;
+    head?: never;
+    patch?: never;
+    trace?: never;
+  };
 }
 export type webhooks = Record<string, never>;
 export interface components {
@@ -473,7 +788,18 @@ export interface components {
           prompt?: string;
           /** @description Alias for prompt (backwards compatibility) */
           input?: string;
+          /** @description UI context. Unknown keys are passed through to context providers. */
           context?: {
+            /** @description Scopes conversation memory to a Command Deck thread. */
+            conversation_id?: string;
+            /**
+             * @description Model for this request only, in place of the configured one. Unknown models are ignored.
+             * @enum {string}
+             */
+            model?: 'gpt-4o' | 'gpt-4o-mini';
+            /** @description Records picked from search results. Handlers use their IDs instead of re-resolving names from the prompt. */
+            entities?: components['schemas']['IntentContextEntity'][];
+          } & {
             [key: string]: unknown;
           };
           metadata?: {
@@ -482,6 +808,12 @@ export interface components {
         }
       | unknown
       | unknown;
+    IntentContextEntity: {
+      /** @enum {string} */
+      type: 'order' | 'product' | 'customer';
+      id: number;
+      label?: string;
+    };
     IntentResponseData: {
       intent_id?: string;
       status?: string;
@@ -490,13 +822,136 @@ export interface components {
       draft?: {
         [key: string]: unknown;
       };
-      cards?: {
-        [key: string]: unknown;
-      }[];
+      email_context?: components['schemas']['IntentEmailContext'];
+      cards?: components['schemas']['IntentCard'][];
       function_suggestions?: string[];
+      meta?: components['schemas']['IntentUsageMeta'];
     } & {
       [key: string]: unknown;
     };
+    /** @description Model usage for the request, summed over every AI call it made. Omitted when no AI call ran. */
+    IntentUsageMeta: {
+      /** @description Model that produced the final answer */
+      model?: string;
+      input_tokens?: number;
+      output_tokens?: number;
+      total_tokens?: number;
+      /** @description Estimated cost at the plugin's model rates */
+      cost_usd?: number;
+      /** @description Model calls made, including tool-call turns */
+      ai_calls?: number;
+    };
+    /** @description Order context for an email draft. Present on email_draft responses once the draft_email tool has run. */
+    IntentEmailContext: {
+      summary: string;
+      order_id: number;
+      customer: string;
+      total: number;
+      currency: string;
+      status: string;
+      items: string[];
+      /** @description Order date (Y-m-d). */
+      date: string;
+    };
+    IntentCard:
+      | components['schemas']['IntentTableCard']
+      | components['schemas']['IntentChartCard']
+      | components['schemas']['IntentInfoCard']
+      | components['schemas']['IntentSuccessCard']
+      | components['schemas']['IntentErrorCard']
+      | components['schemas']['IntentDangerousActionCard'];
+    /** @enum {string} */
+    IntentCardValueFormat: 'text' | 'number' | 'currency' | 'percent' | 'date';
+    IntentTableColumn: {
+      key: string;
+      label?: string;
+      /** @enum {string} */
+      align?: 'left' | 'center' | 'right';
+      sortable?: boolean;
+      format?: components['schemas']['IntentCardValueFormat'];
+      /** @description Row field holding the ISO 4217 code for this column's currency values. Defaults to `currency`; rows without one use the store currency. */
+      currency_key?: string;
+    };
+    IntentTableCard: {
+      /**
+       * @description discriminator enum property added by openapi-typescript
+       * @enum {string}
+       */
+      type: 'table';
+      title?: string;
+      subtitle?: string;
+      columns: components['schemas']['IntentTableColumn'][];
+      rows: {
+        [key: string]: unknown;
+      }[];
+      page_size?: number;
+    };
+    IntentChartDataset: {
+      label?: string;
+      data: number[];
+      color?: string;
+    };
+    IntentChartCard: {
+      /**
+       * @description discriminator enum property added by openapi-typescript
+       * @enum {string}
+       */
+      type: 'chart';
+      title?: string;
+      subtitle?: string;
+      /** @enum {string} */
+      chart_type?: 'line' | 'bar' | 'doughnut';
+      labels: string[];
+      datasets: components['schemas']['IntentChartDataset'][];
+      value_format?: components['schemas']['IntentCardValueFormat'];
+      metric?: string;
+    };
+    IntentInfoCard: {
+      /**
+       * @description discriminator enum property added by openapi-typescript
+       * @enum {string}
+       */
+      type: 'info';
+      title?: string;
+      subtitle?: string;
+      message?: string;
+      items?: {
+        label: string;
+        value: string;
+      }[];
+    };
+    IntentSuccessCard: {
+      /**
+       * @description discriminator enum property added by openapi-typescript
+       * @enum {string}
+       */
+      type: 'success';
+      title?: string;
+      message?: string;
+      undo_url?: string;
+    };
+    IntentErrorCard: {
+      /**
+       * @description discriminator enum property added by openapi-typescript
+       * @enum {string}
+       */
+      type: 'error';
+      title?: string;
+      message?: string;
+      retryable?: boolean;
+    };
+    IntentDangerousActionCard: {
+      /**
+       * @description discriminator enum property added by openapi-typescript
+       * @enum {string}
+       */
+      type: 'dangerous_action';
+      title?: string;
+      message?: string;
+      draft_id?: string;
+      execute_label?: string;
+      cancel_label?: string;
+    };
     IntentResponse: {
       success: boolean;
       data: components['schemas']['IntentResponseData'];
@@ -546,10 +1001,20 @@ export interface components {
       success: boolean;
       data: components['schemas']['ApiKeyResponseData'];
     };
+    ApiKeyTestResponseData: {
+      valid?: boolean;
+      last4?: string;
+    };
+    ApiKeyTestResponse: {
+      success: boolean;
+      data: components['schemas']['ApiKeyTestResponseData'];
+    };
     UsageBreakdownItem: {
       intent_type?: string;
       total_tokens?: number;
       total_cost_usd?: number;
+      /** @description Number of requests made for this intent. */
+      request_count?: number;
     };
     UsageDailyTrend: {
       /**
@@ -562,11 +1027,16 @@ export interface components {
     };
     UsageResponseData: {
       /** @enum {string} */
-      period?: 'day' | 'week' | 'month';
+      period?: 'day' | 'week' | 'month' | 'custom';
       /** Format: date-time */
       period_start?: string;
       /** Format: date-time */
       period_end?: string;
+      /**
+       * @description Bucket size of `daily_trend`; each entry's `date` is the bucket start.
+       * @enum {string}
+       */
+      granularity?: 'day' | 'week' | 'month';
       total_tokens?: number;
       total_cost_usd?: number;
       breakdown_by_intent?: components['schemas']['UsageBreakdownItem'][];
@@ -576,6 +1046,87 @@ export interface components {
       success: boolean;
       data: components['schemas']['UsageResponseData'];
     };
+    DiagnosticsEnvironment: {
+      php_version?: string;
+      wp_version?: string;
+      wc_version?: string;
+      minimums?: {
+        php?: string;
+        wp?: string;
+        wc?: string;
+      };
+      issues?: string[];
+    };
+    DiagnosticsApiKey: {
+      configured?: boolean;
+      last4?: string;
+      /** @description Whether the stored key still decrypts. */
+      readable?: boolean;
+    };
+    DiagnosticsEncryption: {
+      /** @description Whether values survive an encrypt/decrypt round trip. */
+      available?: boolean;
+      openssl?: boolean;
+    };
+    DiagnosticsCache: {
+      persistent_object_cache?: boolean;
+    };
+    DiagnosticsRestLogEntry: {
+      /** Format: date-time */
+      time?: string;
+      route?: string;
+      method?: string;
+      status?: number;
+      error?: string;
+      user_id?: number;
+      query_keys?: string[];
+      body_keys?: string[];
+    };
+    DiagnosticsRestLogs: {
+      limit?: number;
+      total?: number;
+      entries?: components['schemas']['DiagnosticsRestLogEntry'][];
+    };
+    DiagnosticsRateLimit: {
+      enabled?: boolean;
+      limit?: number | null;
+      window?: number | null;
+      remaining?: number | null;
+      retry_after?: number | null;
+    };
+    DiagnosticsConfigFlags: {
+      demo_mode?: boolean;
+      model?: string;
+    };
+    DiagnosticsSearchIndexState: {
+      version?: string;
+      expected_version?: string;
+      state?: {
+        products?: number;
+        orders?: number;
+        customers?: number;
+      };
+      complete?: {
+        products?: boolean;
+        orders?: boolean;
+        customers?: boolean;
+      };
+    };
+    DiagnosticsResponseData: {
+      health?: components['schemas']['HealthResponseData'];
+      environment?: components['schemas']['DiagnosticsEnvironment'];
+      api_key?: components['schemas']['DiagnosticsApiKey'];
+      encryption?: components['schemas']['DiagnosticsEncryption'];
+      cache?: components['schemas']['DiagnosticsCache'];
+      rest_logs?: components['schemas']['DiagnosticsRestLogs'];
+      rate_limit?: components['schemas']['DiagnosticsRateLimit'];
+      config?: components['schemas']['DiagnosticsConfigFlags'];
+      search_index?: components['schemas']['DiagnosticsSearchIndexState'];
+    };
+    DiagnosticsResponse: {
+      success: boolean;
+      data: components['schemas']['DiagnosticsResponseData'];
+    };
     HealthResponseData: {
       status?: string;
       time?: string;
@@ -652,6 +1203,54 @@ export interface components {
       success: boolean;
       data: components['schemas']['ThemeResponseData'];
     };
+    VoicePreferences: {
+      /** @description Speech recognition and synthesis language. Empty means the user's admin locale. */
+      lang: string;
+      /** @description Speech synthesis voice name. Empty means the browser default for the language. */
+      voice: string;
+      rate: number;
+      pitch: number;
+      /** @description Show words as they are recognised, before the phrase is final. */
+      show_interim: boolean;
+    };
+    VoiceResponseData: components['schemas']['VoicePreferences'] & {
+      updated?: boolean;
+    };
+    VoiceResponse: {
+      success: boolean;
+      data: components['schemas']['VoiceResponseData'];
+    };
+    VoiceUpdateRequest: {
+      /** @description Speech recognition and synthesis language. Empty means the user's admin locale. */
+      lang?: string;
+      /** @description Speech synthesis voice name. Empty means the browser default for the language. */
+      voice?: string;
+      rate?: number;
+      pitch?: number;
+      /** @description Show words as they are recognised, before the phrase is final. */
+      show_interim?: boolean;
+    };
+    DraftConfirmResponseData: {
+      draft_id: string;
+      /** @enum {string} */
+      type: 'refund' | 'status' | 'stock';
+      message: string;
+    } & {
+      [key: string]: unknown;
+    };
+    DraftConfirmResponse: {
+      success: boolean;
+      data: components['schemas']['DraftConfirmResponseData'];
+    };
+    DraftCancelResponseData: {
+      draft_id: string;
+      type?: string;
+      cancelled: boolean;
+    };
+    DraftCancelResponse: {
+      success: boolean;
+      data: components['schemas']['DraftCancelResponseData'];
+    };
   };
   responses: never;
   parameters: never;
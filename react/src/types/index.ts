@@ -1,5 +1,7 @@
 // Common types for the AgentWP React application
 
+import type { components } from './api';
+
 /**
  * Error type categories for error handling and display.
  */
@@ -11,6 +13,11 @@ export type ErrorType =
   | 'api_error'
   | 'unknown';
 
+/**
+ * Something the user can do about an error besides retrying it as-is.
+ */
+export type RecoveryAction = 'update_api_key' | 'refresh_nonce' | 'shorten_prompt' | 'switch_model';
+
 /**
  * Structured error state used throughout the application.
  * This is the canonical error representation for UI display and error handling.
@@ -30,6 +37,8 @@ export interface ErrorState {
   retryAfter: number;
   /** Whether this error can be retried */
   retryable: boolean;
+  /** Recovery actions offered for this error code, most useful first */
+  actions: RecoveryAction[];
 }
 
 export interface UsageSummary {
@@ -37,6 +46,8 @@ export interface UsageSummary {
   totalCostUsd: number;
   breakdownByIntent: IntentBreakdown[];
   dailyTrend: DailyUsage[];
+  /** Bucket size of `dailyTrend`. */
+  granularity: Granularity;
   periodStart: string;
   periodEnd: string;
 }
@@ -57,6 +68,17 @@ export interface DailyUsage {
 export interface Metrics {
   latencyMs: number | null;
   tokenCost: number | null;
+  model: string | null;
+  promptTokens: number | null;
+  completionTokens: number | null;
+}
+
+/** Running totals for every prompt answered since the page loaded. */
+export interface SessionMetrics {
+  requests: number;
+  tokens: number;
+  cost: number;
+  latencyMs: number;
 }
 
 export interface SearchResults {
@@ -70,6 +92,22 @@ export interface SearchResult {
   title: string;
   subtitle?: string;
   type: 'products' | 'orders' | 'customers';
+  /** Structured query from the search index, e.g. `order:1001`. */
+  query?: string;
+}
+
+export type EntityType = 'order' | 'product' | 'customer';
+
+/**
+ * A search result picked into the prompt as a chip. Sent to /intent as
+ * `context.entities` so the model works with the exact record.
+ */
+export interface PromptEntity {
+  type: EntityType;
+  id: number;
+  label: string;
+  subtitle?: string;
+  query?: string;
 }
 
 export interface CommandEntry {
@@ -77,6 +115,10 @@ export interface CommandEntry {
   prompt: string;
   response: string;
   timestamp: number;
+  /** Intent the server classified the prompt as */
+  intent?: string;
+  /** Whether the prompt was handled without an error */
+  successful?: boolean;
   metrics?: Metrics;
 }
 
@@ -85,6 +127,8 @@ export interface DraftEntry {
   subject: string;
   body: string;
   timestamp: number;
+  /** Order the email is about, when it came from an email draft response. */
+  orderId?: number;
 }
 
 /**
@@ -194,6 +238,53 @@ export interface DraftResponse {
   message: string;
 }
 
+/**
+ * Structured card payload returned alongside an intent response.
+ * Discriminated by `type` (table, chart, info, success, error, dangerous_action).
+ */
+export type IntentCard = components['schemas']['IntentCard'];
+
+/**
+ * Per-user speech settings. An empty `lang` follows the admin locale and an
+ * empty `voice` uses the browser's default voice for the language.
+ */
+export type VoicePreferences = components['schemas']['VoicePreferences'];
+
+/**
+ * Structured parts of an intent response rendered below the message text.
+ */
+export interface IntentResult {
+  cards: IntentCard[];
+  draft: Record<string, unknown> | null;
+  /** Order context of an email draft response. */
+  emailContext?: EmailContext | null;
+  functionSuggestions: string[];
+}
+
+/**
+ * One completed prompt/response exchange in a conversation thread.
+ */
+export interface ThreadTurn {
+  id: string;
+  prompt: string;
+  response: string;
+  result: IntentResult;
+  timestamp: number;
+  metrics?: Metrics;
+}
+
+/**
+ * A Command Deck conversation. The id is sent as `conversation_id` in the
+ * intent context so the server can resolve follow-ups against earlier turns.
+ */
+export interface ConversationThread {
+  id: string;
+  title: string;
+  turns: ThreadTurn[];
+  createdAt: number;
+  updatedAt: number;
+}
+
 export interface AnalyticsData {
   label: string;
   labels: string[];
@@ -208,23 +299,114 @@ export interface AnalyticsData {
     labels: string[];
     values: number[];
   };
+  /** Resolved dates and bucketing; sent by servers that support custom ranges. */
+  range?: {
+    start: string;
+    end: string;
+    previous_start: string;
+    previous_end: string;
+    granularity: Granularity;
+    compare: AnalyticsComparison;
+  };
+}
+
+/**
+ * Editable plugin settings, normalized from the /settings payload.
+ */
+export interface PluginSettings {
+  model: 'gpt-4o' | 'gpt-4o-mini';
+  budgetLimit: number;
+  draftTtlMinutes: number;
+  hotkey: string;
+  theme: 'light' | 'dark';
+  demoMode: boolean;
+}
+
+export type ApiKeyStatus = 'stored' | 'missing';
+
+export interface ApiKeyState {
+  last4: string;
+  status: ApiKeyStatus;
 }
 
 export type ThemePreference = 'light' | 'dark' | 'system';
 export type Period = '7d' | '30d' | '90d';
+export type UsagePeriod = 'day' | 'week' | 'month';
+export type Granularity = 'day' | 'week' | 'month';
+
+/** Series to compare against: the preceding range or the same dates last year. */
+export type AnalyticsComparison = 'previous' | 'year';
+
+export type RangePreset = Period | 'mtd' | 'qtd' | 'last_quarter' | 'ytd' | 'custom';
+
+/**
+ * Inclusive range of local calendar dates in YYYY-MM-DD form.
+ */
+export interface DateRangeValue {
+  from: string;
+  to: string;
+}
+
+/**
+ * Date range picked in the analytics dashboard.
+ */
+export interface AnalyticsRange extends DateRangeValue {
+  preset: RangePreset;
+  granularity: Granularity;
+  compare: AnalyticsComparison;
+}
+
+/**
+ * Query params for GET /analytics. A period preset or a from/to range.
+ */
+export interface AnalyticsQuery {
+  period?: Period;
+  from?: string;
+  to?: string;
+  granularity?: Granularity;
+  compare?: AnalyticsComparison;
+}
+
+/**
+ * Query params for GET /usage. A period preset or a from/to range.
+ */
+export interface UsageQuery {
+  period?: UsagePeriod;
+  from?: string;
+  to?: string;
+  granularity?: Granularity;
+}
+
+export interface StoreSettings {
+  /** Site locale as a language tag, e.g. "de-DE". */
+  locale: string;
+  /** ISO 4217 code, e.g. "EUR". */
+  currency: string;
+  decimals: number;
+}
 
 export interface AgentWPSettings {
   root?: string;
   nonce?: string;
+  /** admin-ajax URL that answers with a fresh REST nonce while the login session lasts. */
+  nonceUrl?: string;
   apiNamespace?: string;
   restNamespace?: string;
   theme?: string;
+  /** User's admin locale as a language tag, e.g. "es-ES". */
+  locale?: string;
+  voice?: Partial<VoicePreferences>;
+  /** Store formatting: site locale, WooCommerce currency and price decimals. */
+  store?: Partial<StoreSettings>;
   supportEmail?: string;
   version?: string;
   demoMode?: boolean;
+  hotkey?: string;
   historyLimit?: number;
   favoritesLimit?: number;
   agenticMaxTurns?: number;
+  /** Admin edit URL templates per entity type; `{id}` is replaced with the record ID. */
+  editUrls?: Partial<Record<EntityType, string>>;
   [key: string]: unknown;
 }
 
@@ -2,7 +2,8 @@
  * Analytics mock data and utilities for demo mode.
  */
 
-import type { AnalyticsData, Period } from '../types';
+import type { AnalyticsData, AnalyticsRange, Period } from '../types';
+import { getRangeDays } from './date-range';
 
 export const buildDayLabels = (days: number, prefix = 'Day'): string[] =>
   Array.from({ length: days }, (_, index) => `${prefix} ${index + 1}`);
@@ -29,6 +30,11 @@ export const hexToRgba = (hex: string, alpha: number): string => {
   return `rgba(${r}, ${g}, ${b}, ${alpha})`;
 };
 
+export const CHART_COLORS = ['#6366f1', '#22d3ee', '#f59e0b', '#10b981', '#f43f5e', '#a855f7'];
+
+export const getChartColor = (index: number): string =>
+  CHART_COLORS[index % CHART_COLORS.length] ?? '#6366f1';
+
 // Use shared AnalyticsData type from types/index.ts
 export const ANALYTICS_DATA: Record<Period, AnalyticsData> = {
   '7d': {
@@ -77,3 +83,12 @@ export const ANALYTICS_DATA: Record<Period, AnalyticsData> = {
     },
   },
 };
+
+/**
+ * Demo data for the closest preset to a range's length.
+ */
+export const getDemoAnalytics = (range: AnalyticsRange): AnalyticsData => {
+  const days = getRangeDays(range);
+  const period: Period = days <= 7 ? '7d' : days <= 30 ? '30d' : '90d';
+  return ANALYTICS_DATA[period];
+};
@@ -0,0 +1,91 @@
+/**
+ * Budget thresholds and month-end spend projection for usage summaries.
+ */
+
+import type { UsageSummary } from '../types';
+
+/** Share of the budget at which the deck starts warning. */
+export const BUDGET_WARNING_RATIO = 0.8;
+
+/** Trailing days of the trend used for the run rate. */
+const RUN_RATE_DAYS = 7;
+
+const DAY_MS = 86_400_000;
+
+export type BudgetLevel = 'none' | 'ok' | 'warning' | 'exceeded';
+
+export interface BudgetStatus {
+  level: BudgetLevel;
+  /** Spend as a percentage of the limit, unclamped. */
+  percentage: number;
+  spent: number;
+  limit: number;
+}
+
+export interface SpendForecast {
+  /** Projected spend at the end of the period. */
+  projected: number;
+  /** Average daily spend the projection runs on. */
+  dailyRate: number;
+  daysElapsed: number;
+  daysInPeriod: number;
+}
+
+/**
+ * Classify spend against a limit; a limit of 0 means no budget is set.
+ */
+export const getBudgetStatus = (spent: number, limit: number): BudgetStatus => {
+  if (limit <= 0) {
+    return { level: 'none', percentage: 0, spent, limit };
+  }
+  const ratio = spent / limit;
+  return {
+    level: ratio >= 1 ? 'exceeded' : ratio >= BUDGET_WARNING_RATIO ? 'warning' : 'ok',
+    percentage: ratio * 100,
+    spent,
+    limit,
+  };
+};
+
+// Period bounds arrive as "Y-m-d H:i:s" or ISO strings in UTC
+const toUtcDay = (value: string): number | null => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value);
+  return match ? Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+};
+
+/**
+ * Project end-of-period spend from the trailing week of the daily trend,
+ * falling back to the period average when the trend is empty. Weekly or
+ * monthly buckets give no daily run rate, so they get no projection.
+ */
+export const forecastPeriodSpend = (
+  usage: UsageSummary,
+  now = new Date(),
+): SpendForecast | null => {
+  const start = toUtcDay(usage.periodStart);
+  const end = toUtcDay(usage.periodEnd);
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  if (usage.granularity !== 'day' || start === null || end === null || end < start) {
+    return null;
+  }
+
+  const daysInPeriod = Math.round((end - start) / DAY_MS) + 1;
+  const daysElapsed = Math.min(Math.max(Math.round((today - start) / DAY_MS) + 1, 1), daysInPeriod);
+  const recent = usage.dailyTrend
+    .filter((day) => {
+      const date = toUtcDay(day.date);
+      return date !== null && date <= today;
+    })
+    .slice(-RUN_RATE_DAYS);
+  const dailyRate =
+    recent.length > 0
+      ? recent.reduce((total, day) => total + day.cost, 0) / recent.length
+      : usage.totalCostUsd / daysElapsed;
+
+  return {
+    projected: usage.totalCostUsd + dailyRate * (daysInPeriod - daysElapsed),
+    dailyRate,
+    daysElapsed,
+    daysInPeriod,
+  };
+};
@@ -2,14 +2,23 @@
  * Application constants.
  */
 
+import { __ } from './i18n';
+
 // Storage keys
 export const OPEN_STATE_KEY = 'agentwp-command-deck-open';
 export const DRAFT_HISTORY_KEY = 'agentwp-draft-history';
 export const COMMAND_HISTORY_KEY = 'agentwp-command-history';
+export const THREADS_KEY = 'agentwp-threads';
+export const RECENT_SELECTIONS_KEY = 'agentwp-recent-selections';
 export const DEMO_TOUR_SEEN_KEY = 'agentwp-demo-tour-seen';
+export const OFFLINE_QUEUE_KEY = 'agentwp-offline-queue';
 
 // Limits
 export const MAX_DRAFT_HISTORY = 10;
+export const MAX_THREADS = 20;
+export const MAX_THREAD_TURNS = 50;
+export const MAX_QUEUED_PROMPTS = 10;
+export const MAX_HEALTH_HISTORY = 20;
 
 const getRuntimeLimit = (value: unknown): number | null => {
   if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
@@ -35,17 +44,34 @@ export const getFavoritesLimit = (): number | null => {
 // Timing
 export const DEMO_TOUR_START_DELAY_MS = 600;
 export const HEALTH_CHECK_INTERVAL_MS = 5000;
+export const HEALTH_CHECK_MAX_INTERVAL_MS = 60000;
+export const HISTORY_SYNC_DEBOUNCE_MS = 1000;
 export const THEME_TRANSITION_MS = 150;
+export const DEFAULT_WAKE_WORD = 'hey agent';
+// Hands-free voice waits this long after the last words before sending them
+export const VOICE_AUTO_SUBMIT_DELAY_MS = 1200;
+
+// Request keys: a new request with the same key cancels the one still running
+export const INTENT_REQUEST_KEY = 'intent';
+
+// Statuses where the server refused a prompt without running it, so it can be resent unasked
+export const AUTO_RETRY_STATUSES = [429, 503];
+
+// Cheaper model offered when the configured one runs out of OpenAI quota
+export const FALLBACK_MODEL = 'gpt-4o-mini';
 
 // Search
 export const SEARCH_TYPES = ['products', 'orders', 'customers'] as const;
 export type SearchType = (typeof SEARCH_TYPES)[number];
 
+// Typeahead picks remembered for the empty-query "recent selections" group
+export const RECENT_SELECTIONS_LIMIT = 8;
+
 // Period options
 export const PERIOD_OPTIONS = [
-  { value: '7d', label: 'Last 7 days' },
-  { value: '30d', label: 'Last 30 days' },
-  { value: '90d', label: 'Last 90 days' },
+  { value: '7d', label: __('Last 7 days') },
+  { value: '30d', label: __('Last 30 days') },
+  { value: '90d', label: __('Last 90 days') },
 ] as const;
 
 // Admin trigger selectors
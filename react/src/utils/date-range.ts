@@ -0,0 +1,160 @@
+/**
+ * Date range presets and query building for analytics and usage.
+ */
+
+import type {
+  AnalyticsQuery,
+  AnalyticsRange,
+  DateRangeValue,
+  Period,
+  RangePreset,
+  UsageQuery,
+} from '../types';
+import { __ } from './i18n';
+
+/** Longest custom range the server accepts, in days. */
+export const MAX_RANGE_DAYS = 731;
+
+const PERIOD_DAYS: Record<Period, number> = { '7d': 7, '30d': 30, '90d': 90 };
+
+export const RANGE_PRESETS: { value: RangePreset; label: string }[] = [
+  { value: '7d', label: __('Last 7 days') },
+  { value: '30d', label: __('Last 30 days') },
+  { value: '90d', label: __('Last 90 days') },
+  { value: 'mtd', label: __('Month to date') },
+  { value: 'qtd', label: __('Quarter to date') },
+  { value: 'last_quarter', label: __('Last quarter') },
+  { value: 'ytd', label: __('Year to date') },
+  { value: 'custom', label: __('Custom range') },
+];
+
+const pad = (value: number): string => String(value).padStart(2, '0');
+
+/**
+ * Format a date as YYYY-MM-DD in local time.
+ */
+export const toIsoDate = (date: Date): string =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+/**
+ * Parse a YYYY-MM-DD string as a local date, or null if it is not a real date.
+ */
+export const parseIsoDate = (value: string): Date | null => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) return null;
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return toIsoDate(date) === value ? date : null;
+};
+
+const isPeriod = (preset: RangePreset): preset is Period => preset in PERIOD_DAYS;
+
+const addDays = (date: Date, days: number): Date =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+/**
+ * Resolve a preset to concrete dates. Custom ranges have no dates of their
+ * own, so they fall back to the last 30 days.
+ */
+export const resolvePresetRange = (preset: RangePreset, today = new Date()): DateRangeValue => {
+  const end = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  const quarterStartMonth = Math.floor(end.getMonth() / 3) * 3;
+
+  switch (preset) {
+    case 'mtd':
+      return {
+        from: toIsoDate(new Date(end.getFullYear(), end.getMonth(), 1)),
+        to: toIsoDate(end),
+      };
+    case 'qtd':
+      return {
+        from: toIsoDate(new Date(end.getFullYear(), quarterStartMonth, 1)),
+        to: toIsoDate(end),
+      };
+    case 'last_quarter':
+      return {
+        from: toIsoDate(new Date(end.getFullYear(), quarterStartMonth - 3, 1)),
+        to: toIsoDate(new Date(end.getFullYear(), quarterStartMonth, 0)),
+      };
+    case 'ytd':
+      return { from: toIsoDate(new Date(end.getFullYear(), 0, 1)), to: toIsoDate(end) };
+    default: {
+      const days = isPeriod(preset) ? PERIOD_DAYS[preset] : 30;
+      return { from: toIsoDate(addDays(end, 1 - days)), to: toIsoDate(end) };
+    }
+  }
+};
+
+/**
+ * Number of days in a range, inclusive; 0 when it is invalid.
+ */
+export const getRangeDays = ({ from, to }: DateRangeValue): number => {
+  const start = parseIsoDate(from);
+  const end = parseIsoDate(to);
+  if (!start || !end || start > end) return 0;
+  return Math.round((end.getTime() - start.getTime()) / 86_400_000) + 1;
+};
+
+/**
+ * Explain why a custom range can't be requested, or null when it can.
+ */
+export const validateDateRange = (range: DateRangeValue): string | null => {
+  if (!parseIsoDate(range.from) || !parseIsoDate(range.to)) {
+    return __('Pick both a start and an end date.');
+  }
+  const days = getRangeDays(range);
+  if (days === 0) {
+    return __('The start date must be on or before the end date.');
+  }
+  if (days > MAX_RANGE_DAYS) {
+    return __('Ranges can span at most two years.');
+  }
+  return null;
+};
+
+export const createAnalyticsRange = (
+  preset: RangePreset = '7d',
+  today = new Date(),
+): AnalyticsRange => ({
+  preset,
+  ...resolvePresetRange(preset, today),
+  granularity: 'day',
+  compare: 'previous',
+});
+
+/**
+ * Build /analytics query params. Plain day-by-day presets keep using `period`
+ * so their responses match older servers; everything else sends dates.
+ */
+export const buildAnalyticsQuery = (range: AnalyticsRange): AnalyticsQuery => {
+  if (isPeriod(range.preset) && range.granularity === 'day' && range.compare === 'previous') {
+    return { period: range.preset };
+  }
+  return {
+    from: range.from,
+    to: range.to,
+    granularity: range.granularity,
+    compare: range.compare,
+  };
+};
+
+/**
+ * Build /usage query params. Month to date by day asks for the whole calendar
+ * month, which shares the cache with the budget check and lets the spend
+ * forecast run to month end.
+ */
+export const buildUsageQuery = (range: AnalyticsRange): UsageQuery => {
+  if (range.preset === 'mtd' && range.granularity === 'day') {
+    return { period: 'month' };
+  }
+  return { from: range.from, to: range.to, granularity: range.granularity };
+};
+
+/**
+ * Serialize a query object, dropping unset values.
+ */
+export const toQueryParams = (query: object): Record<string, string> =>
+  Object.fromEntries(
+    Object.entries(query)
+      .filter(([, value]) => value !== undefined && value !== '')
+      .map(([key, value]) => [key, String(value)]),
+  );
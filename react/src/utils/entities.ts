@@ -0,0 +1,67 @@
+/**
+ * Helpers for search results picked into the prompt as entity chips.
+ */
+
+import type { AgentWPSettings, EntityType, PromptEntity, SearchResult } from '../types';
+import { __ } from './i18n';
+
+const ENTITY_TYPES: Record<SearchResult['type'], EntityType> = {
+  orders: 'order',
+  products: 'product',
+  customers: 'customer',
+};
+
+export const ENTITY_TYPE_LABELS: Record<EntityType, string> = {
+  order: __('Order'),
+  product: __('Product'),
+  customer: __('Customer'),
+};
+
+/** Most entities sent with one prompt; matches the server-side limit. */
+export const MAX_PROMPT_ENTITIES = 10;
+
+export const toPromptEntity = (result: SearchResult): PromptEntity => ({
+  type: ENTITY_TYPES[result.type],
+  id: Number(result.id),
+  label: result.title,
+  subtitle: result.subtitle,
+  query: result.query,
+});
+
+export const entityKey = (entity: Pick<PromptEntity, 'type' | 'id'>): string =>
+  `${entity.type}:${entity.id}`;
+
+/**
+ * Add an entity unless it is already picked, keeping the newest ones when over the limit.
+ */
+export const addPromptEntity = (entities: PromptEntity[], entity: PromptEntity): PromptEntity[] => {
+  if (entities.some((item) => entityKey(item) === entityKey(entity))) {
+    return entities;
+  }
+  return [...entities, entity].slice(-MAX_PROMPT_ENTITIES);
+};
+
+/**
+ * Shape sent as `context.entities` to /intent.
+ */
+export const toContextEntities = (entities: PromptEntity[]) =>
+  entities.map(({ type, id, label }) => ({ type, id, label }));
+
+/**
+ * WooCommerce admin URL for editing the entity, or null when the template is missing.
+ */
+export const getEntityEditUrl = (
+  entity: Pick<PromptEntity, 'type' | 'id'>,
+  settings: AgentWPSettings | undefined = typeof window !== 'undefined'
+    ? window.agentwpSettings
+    : undefined,
+): string | null => {
+  const template = settings?.editUrls?.[entity.type];
+  return template ? template.replace('{id}', encodeURIComponent(String(entity.id))) : null;
+};
+
+/**
+ * Prompt used by the chip's "Ask about this" action.
+ */
+export const getAskAboutPrompt = (entity: PromptEntity): string =>
+  `Tell me about ${entity.type === 'order' ? `order #${entity.id}` : entity.label}`;
@@ -2,60 +2,101 @@
  * Error handling utilities and error message constants.
  */
 
-import type { ErrorState, ErrorType } from '../types';
+import type { ErrorState, ErrorType, RecoveryAction } from '../types';
+import { FALLBACK_MODEL } from './constants';
+import { __, sprintf } from './i18n';
 
 // Re-export types for convenience (allows importing from either location)
-export type { ErrorState, ErrorType };
+export type { ErrorState, ErrorType, RecoveryAction };
 
 // Error message constants
-export const DEFAULT_ERROR_MESSAGE = 'AgentWP ran into a problem. Please try again.';
-export const NETWORK_ERROR_MESSAGE =
-  'Network connection lost. Check your connection and try again.';
-export const RATE_LIMIT_MESSAGE = 'Too many requests right now. Please wait and retry.';
-export const AUTH_ERROR_MESSAGE = 'Authorization failed. Check your API key and permissions.';
-export const VALIDATION_ERROR_MESSAGE = 'Please check your request and try again.';
-export const OFFLINE_BANNER_TEXT = 'Agent Offline';
+export const DEFAULT_ERROR_MESSAGE = __('AgentWP ran into a problem. Please try again.');
+export const NETWORK_ERROR_MESSAGE = __(
+  'Network connection lost. Check your connection and try again.',
+);
+export const RATE_LIMIT_MESSAGE = __('Too many requests right now. Please wait and retry.');
+export const AUTH_ERROR_MESSAGE = __('Authorization failed. Check your API key and permissions.');
+export const VALIDATION_ERROR_MESSAGE = __('Please check your request and try again.');
+export const OFFLINE_BANNER_TEXT = __('Agent Offline');
+export const OFFLINE_QUEUE_TEXT = __(
+  'Agent offline. Questions you send now are queued and run when the connection returns.',
+);
+export const SESSION_EXPIRED_MESSAGE = __(
+  'Your WordPress login has expired. Reload the page to sign in again.',
+);
+export const OFFLINE_QUEUE_FULL_MESSAGE = __(
+  'That prompt is already queued, or the queue is full. Remove a queued prompt and try again.',
+);
 
 export const OPENAI_ERROR_CODE_MESSAGES: Record<string, string> = {
-  invalid_api_key: 'The OpenAI API key is invalid. Update it in settings.',
-  insufficient_quota: 'OpenAI billing quota has been exhausted. Check your plan or usage.',
-  rate_limit_exceeded: 'OpenAI rate limit reached. Please wait and retry.',
-  context_length_exceeded: 'This request is too long for the model. Try shortening it.',
-  model_not_found: 'The selected model is unavailable. Try again later.',
+  invalid_api_key: __('The OpenAI API key is invalid. Update it in settings.'),
+  insufficient_quota: __('OpenAI billing quota has been exhausted. Check your plan or usage.'),
+  rate_limit_exceeded: __('OpenAI rate limit reached. Please wait and retry.'),
+  context_length_exceeded: __('This request is too long for the model. Try shortening it.'),
+  model_not_found: __('The selected model is unavailable. Try again later.'),
 };
 
 export const OPENAI_ERROR_TYPE_MESSAGES: Record<string, string> = {
-  authentication_error: 'OpenAI authentication failed. Check your API key.',
-  rate_limit_error: 'OpenAI rate limit reached. Please wait and retry.',
-  invalid_request_error: 'This request was rejected by OpenAI. Please try again.',
-  server_error: 'OpenAI is having trouble right now. Please retry.',
-  overloaded_error: 'OpenAI is overloaded right now. Please retry.',
+  authentication_error: __('OpenAI authentication failed. Check your API key.'),
+  rate_limit_error: __('OpenAI rate limit reached. Please wait and retry.'),
+  invalid_request_error: __('This request was rejected by OpenAI. Please try again.'),
+  server_error: __('OpenAI is having trouble right now. Please retry.'),
+  overloaded_error: __('OpenAI is overloaded right now. Please retry.'),
 };
 
 export const AGENTWP_ERROR_MESSAGES: Record<string, string> = {
   // Rate limiting
-  agentwp_rate_limited: 'Too many requests. Please wait and retry.',
+  agentwp_rate_limited: __('Too many requests. Please wait and retry.'),
   // Authentication/Authorization
-  agentwp_forbidden: 'You do not have permission to use AgentWP.',
-  agentwp_unauthorized: 'Authentication required. Please log in.',
-  agentwp_invalid_key: 'The OpenAI API key is invalid. Update it in settings.',
-  agentwp_openai_invalid: 'OpenAI rejected the API key. Please check your credentials.',
-  agentwp_missing_nonce: 'Security nonce is missing. Please refresh the page.',
-  agentwp_invalid_nonce: 'Invalid security nonce. Please refresh the page.',
+  agentwp_forbidden: __('You do not have permission to use AgentWP.'),
+  agentwp_unauthorized: __('Authentication required. Please log in.'),
+  agentwp_invalid_key: __('The OpenAI API key is invalid. Update it in settings.'),
+  agentwp_openai_invalid: __('OpenAI rejected the API key. Please check your credentials.'),
+  agentwp_missing_nonce: __('Security nonce is missing. Please refresh the page.'),
+  agentwp_invalid_nonce: __('Invalid security nonce. Please refresh the page.'),
   // Validation
-  agentwp_invalid_request: 'Please check your request and try again.',
-  agentwp_validation_error: 'Validation failed. Please check your input and try again.',
-  agentwp_invalid_period: 'Invalid time period selected.',
-  agentwp_invalid_theme: 'Theme must be light or dark.',
-  agentwp_missing_prompt: 'Please enter a prompt to continue.',
+  agentwp_invalid_request: __('Please check your request and try again.'),
+  agentwp_validation_error: __('Validation failed. Please check your input and try again.'),
+  agentwp_invalid_period: __('Invalid time period selected.'),
+  agentwp_invalid_theme: __('Theme must be light or dark.'),
+  agentwp_missing_prompt: __('Please enter a prompt to continue.'),
   // Network/API
-  agentwp_network_error: 'Network error. Please check your connection.',
-  agentwp_openai_unreachable: 'Cannot reach OpenAI servers. Please check your connection.',
-  agentwp_api_error: 'API error occurred. Please try again.',
-  agentwp_encryption_failed: 'Failed to encrypt API key. Please try again.',
-  agentwp_service_unavailable: 'Service is temporarily unavailable. Please try again later.',
+  agentwp_network_error: __('Network error. Please check your connection.'),
+  agentwp_openai_unreachable: __('Cannot reach OpenAI servers. Please check your connection.'),
+  agentwp_api_error: __('API error occurred. Please try again.'),
+  agentwp_encryption_failed: __('Failed to encrypt API key. Please try again.'),
+  agentwp_service_unavailable: __('Service is temporarily unavailable. Please try again later.'),
   // Intent processing
-  agentwp_intent_failed: 'Failed to process your request. Please try again.',
+  agentwp_intent_failed: __('Failed to process your request. Please try again.'),
+};
+
+export const RECOVERY_ACTION_LABELS: Record<RecoveryAction, string> = {
+  update_api_key: __('Update API key'),
+  refresh_nonce: __('Refresh nonce'),
+  shorten_prompt: __('Shorten prompt'),
+  /* translators: %s: OpenAI model name */
+  switch_model: sprintf(__('Retry with %s'), FALLBACK_MODEL),
+};
+
+// Recovery actions are looked up in the same order as messages: OpenAI code,
+// OpenAI type, then the AgentWP (or WordPress) code.
+export const OPENAI_ERROR_CODE_ACTIONS: Record<string, RecoveryAction[]> = {
+  invalid_api_key: ['update_api_key'],
+  insufficient_quota: ['switch_model', 'update_api_key'],
+  context_length_exceeded: ['shorten_prompt'],
+};
+
+export const OPENAI_ERROR_TYPE_ACTIONS: Record<string, RecoveryAction[]> = {
+  authentication_error: ['update_api_key'],
+};
+
+export const AGENTWP_ERROR_ACTIONS: Record<string, RecoveryAction[]> = {
+  agentwp_invalid_key: ['update_api_key'],
+  agentwp_openai_invalid: ['update_api_key'],
+  agentwp_missing_nonce: ['refresh_nonce'],
+  agentwp_invalid_nonce: ['refresh_nonce'],
+  // WordPress rejects a stale X-WP-Nonce before the request reaches AgentWP
+  rest_cookie_invalid_nonce: ['refresh_nonce'],
 };
 
 interface ErrorInput {
@@ -175,6 +216,19 @@ export const resolveFriendlyMessage = ({
   return sanitizeErrorMessage(message) || DEFAULT_ERROR_MESSAGE;
 };
 
+export const resolveRecoveryActions = ({ code, meta }: ErrorInput): RecoveryAction[] => {
+  const openAiCode = typeof meta?.error_code === 'string' ? meta.error_code.toLowerCase() : '';
+  const openAiType = typeof meta?.error_type === 'string' ? meta.error_type.toLowerCase() : '';
+  const normalizedCode = typeof code === 'string' ? code.toLowerCase() : '';
+
+  return (
+    OPENAI_ERROR_CODE_ACTIONS[openAiCode] ??
+    OPENAI_ERROR_TYPE_ACTIONS[openAiType] ??
+    AGENTWP_ERROR_ACTIONS[normalizedCode] ??
+    []
+  );
+};
+
 export const buildErrorState = ({
   message,
   code,
@@ -204,5 +258,23 @@ export const buildErrorState = ({
       ? (retryAfter as number)
       : Number.parseInt(String(retryAfter ?? 0), 10) || 0,
     retryable: ['network_error', 'rate_limit', 'api_error'].includes(resolvedType),
+    actions: resolveRecoveryActions({ code, meta }),
   };
 };
+
+/**
+ * Extract per-field messages from an agentwp_validation_error `meta.fields` map.
+ * These come from schema validation, so they skip the stack-trace filter
+ * (WordPress phrases length errors as "must be at most ...").
+ */
+export const getFieldErrors = (meta?: Record<string, unknown> | null): Record<string, string> => {
+  const fields = meta?.fields;
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    return {};
+  }
+  return Object.fromEntries(
+    Object.entries(fields as Record<string, unknown>)
+      .map(([field, message]) => [field, typeof message === 'string' ? message.trim() : ''])
+      .filter(([, message]) => message !== ''),
+  );
+};
@@ -0,0 +1,452 @@
+/**
+ * Data export utilities: CSV and XLSX downloads and printable PDF reports.
+ */
+
+import { formatDateTime, getStoreFormat } from './formatters';
+import { __, isRTL, sprintf } from './i18n';
+
+export type ExportFormat = 'csv' | 'xlsx' | 'pdf';
+
+export type ExportValue = string | number | null | undefined;
+
+export interface ExportColumn {
+  label: string;
+  /**
+   * Formatter for numeric cells. CSV and PDF show the formatted text; XLSX
+   * keeps the raw number and derives a matching number format.
+   */
+  formatter?: Intl.NumberFormat;
+}
+
+export interface ExportTable {
+  title: string;
+  columns: ExportColumn[];
+  rows: ExportValue[][];
+}
+
+export interface ExportReport {
+  title: string;
+  subtitle?: string;
+  tables: ExportTable[];
+}
+
+export const EXPORT_FORMAT_LABELS: Record<ExportFormat, string> = {
+  csv: 'CSV',
+  xlsx: 'XLSX',
+  pdf: 'PDF',
+};
+
+const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * Display text for a cell, using the column formatter for numbers.
+ */
+export const formatExportValue = (value: ExportValue, column?: ExportColumn): string => {
+  if (value == null) {
+    return '';
+  }
+  if (typeof value === 'number') {
+    if (Number.isNaN(value)) {
+      return '';
+    }
+    return column?.formatter ? column.formatter.format(value) : String(value);
+  }
+  return value;
+};
+
+/**
+ * Build a filename like "agentwp-revenue-trend-2024-05-15.csv".
+ */
+export const buildExportFilename = (
+  title: string,
+  format: ExportFormat,
+  date = new Date(),
+): string => {
+  const slug = title
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  const stamp = date.toISOString().slice(0, 10);
+  return `agentwp-${slug || 'export'}-${stamp}.${format}`;
+};
+
+// Spreadsheet apps run text starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCsvCell = (text: string): string =>
+  /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+
+const toCsvCell = (value: ExportValue, column?: ExportColumn): string => {
+  const text = formatExportValue(value, column);
+  const safe = typeof value === 'string' && FORMULA_PREFIX.test(text) ? `'${text}` : text;
+  return escapeCsvCell(safe);
+};
+
+/**
+ * Serialize tables as CSV. Multiple tables are separated by a blank line and
+ * preceded by their title.
+ */
+export const toCsv = (tables: ExportTable[]): string =>
+  tables
+    .map((table) => {
+      const lines = [
+        table.columns.map((column) => escapeCsvCell(column.label)).join(','),
+        ...table.rows.map((row) =>
+          table.columns.map((column, index) => toCsvCell(row[index], column)).join(','),
+        ),
+      ];
+      return tables.length > 1
+        ? [escapeCsvCell(table.title), ...lines].join('\r\n')
+        : lines.join('\r\n');
+    })
+    .join('\r\n\r\n');
+
+const escapeXml = (text: string): string =>
+  text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+
+/**
+ * Excel number format code matching an Intl formatter, e.g. "$"#,##0.00.
+ */
+export const getNumberFormatCode = (formatter: Intl.NumberFormat): string => {
+  const options = formatter.resolvedOptions();
+  const decimals = options.minimumFractionDigits ?? 0;
+  const grouping = options.useGrouping === false ? '0' : '#,##0';
+  const number = decimals > 0 ? `${grouping}.${'0'.repeat(decimals)}` : grouping;
+  const suffix = options.style === 'percent' ? '%' : '';
+  if (options.style !== 'currency') {
+    return `${number}${suffix}`;
+  }
+  const parts = formatter.formatToParts(1);
+  const symbolIndex = parts.findIndex((part) => part.type === 'currency');
+  const symbol = parts[symbolIndex]?.value ?? options.currency ?? '';
+  const integerIndex = parts.findIndex((part) => part.type === 'integer');
+  const quoted = `"${symbol.replace(/"/g, '')}"`;
+  const spaced = parts.some((part) => part.type === 'literal' && /\s/.test(part.value));
+  const gap = spaced ? ' ' : '';
+  return symbolIndex < integerIndex ? `${quoted}${gap}${number}` : `${number}${gap}${quoted}`;
+};
+
+const getColumnName = (index: number): string => {
+  let name = '';
+  let remaining = index + 1;
+  while (remaining > 0) {
+    const offset = (remaining - 1) % 26;
+    name = String.fromCharCode(65 + offset) + name;
+    remaining = Math.floor((remaining - 1) / 26);
+  }
+  return name;
+};
+
+const toSheetName = (title: string, used: Set<string>): string => {
+  const base =
+    title
+      .replace(/[[\]:*?/\\]/g, ' ')
+      .trim()
+      .slice(0, 28) || __('Sheet');
+  let name = base;
+  for (let suffix = 2; used.has(name.toLowerCase()); suffix += 1) {
+    name = `${base} ${suffix}`;
+  }
+  used.add(name.toLowerCase());
+  return name;
+};
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (bytes: Uint8Array): number => {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = (CRC_TABLE[(crc ^ byte) & 0xff] ?? 0) ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Pack files into an uncompressed (stored) ZIP archive.
+ */
+const createZip = (files: { path: string; content: string }[]): Uint8Array<ArrayBuffer> => {
+  const encoder = new TextEncoder();
+  const chunks: Uint8Array[] = [];
+  const central: Uint8Array[] = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.path);
+    const data = encoder.encode(file.content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    chunks.push(new Uint8Array(local.buffer), name, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(new Uint8Array(entry.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  }
+
+  const centralSize = central.reduce((total, chunk) => total + chunk.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+  const output = new Uint8Array(parts.reduce((total, chunk) => total + chunk.length, 0));
+  let position = 0;
+  for (const part of parts) {
+    output.set(part, position);
+    position += part.length;
+  }
+  return output;
+};
+
+/**
+ * Build an XLSX workbook with one sheet per table. Numbers stay numeric and
+ * pick up a number format from their column formatter.
+ */
+export const toXlsx = (tables: ExportTable[]): Uint8Array<ArrayBuffer> => {
+  const formatCodes: string[] = [];
+  const getStyleIndex = (column: ExportColumn): number => {
+    if (!column.formatter) {
+      return 0;
+    }
+    const code = getNumberFormatCode(column.formatter);
+    let index = formatCodes.indexOf(code);
+    if (index === -1) {
+      index = formatCodes.push(code) - 1;
+    }
+    // 0 is the default style and 1 the bold header
+    return index + 2;
+  };
+
+  const usedNames = new Set<string>();
+  const sheets = tables.map((table, sheetIndex) => {
+    const styles = table.columns.map(getStyleIndex);
+    const header = table.columns
+      .map(
+        (column, index) =>
+          `<c r="${getColumnName(index)}1" t="inlineStr" s="1"><is><t xml:space="preserve">${escapeXml(column.label)}</t></is></c>`,
+      )
+      .join('');
+    const body = table.rows
+      .map((row, rowIndex) => {
+        const ref = rowIndex + 2;
+        const cells = table.columns
+          .map((_, index) => {
+            const value = row[index];
+            const cellRef = `${getColumnName(index)}${ref}`;
+            if (typeof value === 'number' && Number.isFinite(value)) {
+              return `<c r="${cellRef}" s="${styles[index] ?? 0}"><v>${value}</v></c>`;
+            }
+            if (value == null || value === '') {
+              return '';
+            }
+            return `<c r="${cellRef}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(String(value))}</t></is></c>`;
+          })
+          .join('');
+        return `<row r="${ref}">${cells}</row>`;
+      })
+      .join('');
+    return {
+      name: toSheetName(table.title, usedNames),
+      path: `xl/worksheets/sheet${sheetIndex + 1}.xml`,
+      xml: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData><row r="1">${header}</row>${body}</sheetData></worksheet>`,
+    };
+  });
+
+  const numFmts = formatCodes
+    .map((code, index) => `<numFmt numFmtId="${164 + index}" formatCode="${escapeXml(code)}"/>`)
+    .join('');
+  const cellXfs = [
+    '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>',
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>',
+    ...formatCodes.map(
+      (_, index) =>
+        `<xf numFmtId="${164 + index}" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>`,
+    ),
+  ];
+
+  return createZip([
+    {
+      path: '[Content_Types].xml',
+      content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>${sheets
+        .map(
+          (sheet) =>
+            `<Override PartName="/${sheet.path}" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`,
+        )
+        .join('')}</Types>`,
+    },
+    {
+      path: '_rels/.rels',
+      content:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>',
+    },
+    {
+      path: 'xl/workbook.xml',
+      content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>${sheets
+        .map(
+          (sheet, index) =>
+            `<sheet name="${escapeXml(sheet.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`,
+        )
+        .join('')}</sheets></workbook>`,
+    },
+    {
+      path: 'xl/_rels/workbook.xml.rels',
+      content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${sheets
+        .map(
+          (sheet, index) =>
+            `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="${sheet.path.replace('xl/', '')}"/>`,
+        )
+        .join(
+          '',
+        )}<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>`,
+    },
+    {
+      path: 'xl/styles.xml',
+      content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">${
+        numFmts ? `<numFmts count="${formatCodes.length}">${numFmts}</numFmts>` : ''
+      }<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border/></borders><cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs><cellXfs count="${cellXfs.length}">${cellXfs.join('')}</cellXfs></styleSheet>`,
+    },
+    ...sheets.map((sheet) => ({ path: sheet.path, content: sheet.xml })),
+  ]);
+};
+
+const escapeHtml = (text: string): string =>
+  text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+/**
+ * Render a report as a standalone, print-ready HTML document.
+ */
+export const toPrintableHtml = (report: ExportReport, generatedAt = new Date()): string => {
+  const tables = report.tables
+    .map((table) => {
+      const head = table.columns.map((column) => `<th>${escapeHtml(column.label)}</th>`).join('');
+      const rows = table.rows
+        .map(
+          (row) =>
+            `<tr>${table.columns
+              .map((column, index) => {
+                const value = row[index];
+                const numeric = typeof value === 'number' ? ' class="num"' : '';
+                return `<td${numeric}>${escapeHtml(formatExportValue(value, column))}</td>`;
+              })
+              .join('')}</tr>`,
+        )
+        .join('');
+      return `<section><h2>${escapeHtml(table.title)}</h2><table><thead><tr>${head}</tr></thead><tbody>${rows}</tbody></table></section>`;
+    })
+    .join('');
+
+  const { locale } = getStoreFormat();
+  return `<!doctype html><html lang="${escapeHtml(locale)}" dir="${isRTL() ? 'rtl' : 'ltr'}"><head><meta charset="utf-8"><title>${escapeHtml(report.title)}</title><style>
+body{font-family:system-ui,-apple-system,"Segoe UI",sans-serif;color:#0f172a;margin:24px;font-size:12px}
+h1{font-size:20px;margin:0 0 4px}h2{font-size:14px;margin:24px 0 8px}
+p{margin:0;color:#475569}table{width:100%;border-collapse:collapse}
+th,td{border-bottom:1px solid #e2e8f0;padding:6px 8px;text-align:start}
+th{background:#f1f5f9}td.num{text-align:end;font-variant-numeric:tabular-nums}
+section{break-inside:avoid}@page{margin:16mm}
+</style></head><body><h1>${escapeHtml(report.title)}</h1>${
+    report.subtitle ? `<p>${escapeHtml(report.subtitle)}</p>` : ''
+  }<p>${escapeHtml(
+    /* translators: %s: date and time the report was made */
+    sprintf(__('Generated %s'), formatDateTime(generatedAt)),
+  )}</p>${tables}</body></html>`;
+};
+
+/**
+ * Trigger a browser download for a blob.
+ */
+export const downloadBlob = (blob: Blob, filename: string): void => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Open the print dialog for a report so it can be saved as PDF. Printing
+ * happens in a hidden iframe, which pop-up blockers leave alone.
+ */
+export const printReport = (report: ExportReport): void => {
+  const frame = document.createElement('iframe');
+  frame.setAttribute('aria-hidden', 'true');
+  frame.tabIndex = -1;
+  frame.style.position = 'fixed';
+  frame.style.width = '0';
+  frame.style.height = '0';
+  frame.style.border = '0';
+  frame.addEventListener('load', () => {
+    const frameWindow = frame.contentWindow;
+    if (!frameWindow) {
+      frame.remove();
+      return;
+    }
+    frameWindow.addEventListener('afterprint', () => frame.remove());
+    frameWindow.focus();
+    frameWindow.print();
+  });
+  frame.srcdoc = toPrintableHtml(report);
+  document.body.appendChild(frame);
+};
+
+/**
+ * Export a report in the given format. CSV and XLSX download a file; PDF
+ * opens the print dialog.
+ */
+export const exportReport = (report: ExportReport, format: ExportFormat): void => {
+  switch (format) {
+    case 'csv':
+      // The BOM makes Excel read the file as UTF-8
+      downloadBlob(
+        new Blob(['\uFEFF', toCsv(report.tables)], { type: 'text/csv;charset=utf-8' }),
+        buildExportFilename(report.title, 'csv'),
+      );
+      return;
+    case 'xlsx':
+      downloadBlob(
+        new Blob([toXlsx(report.tables)], { type: XLSX_MIME }),
+        buildExportFilename(report.title, 'xlsx'),
+      );
+      return;
+    case 'pdf':
+      printReport(report);
+  }
+};
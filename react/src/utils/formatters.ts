@@ -1,27 +1,117 @@
 /**
- * Number and currency formatting utilities.
+ * Number, currency and date formatting utilities.
+ *
+ * Store amounts follow the WooCommerce currency and price decimals, and every
+ * formatter uses the site locale. OpenAI usage costs are billed in US dollars,
+ * so they keep USD in the site locale.
  */
 
-export const currencyFormatter = new Intl.NumberFormat('en-US', {
-  style: 'currency',
-  currency: 'USD',
-  maximumFractionDigits: 0,
-});
+import type { AgentWPSettings } from '../types';
+
+export interface StoreFormat {
+  /** Site locale as a language tag, e.g. "de-DE". */
+  locale: string;
+  /** ISO 4217 code of the store currency. */
+  currency: string;
+  /** Price decimals from the WooCommerce settings. */
+  decimals: number;
+}
 
-export const usageCurrencyFormatter = new Intl.NumberFormat('en-US', {
-  style: 'currency',
+export const DEFAULT_STORE_FORMAT: StoreFormat = {
+  locale: 'en-US',
   currency: 'USD',
-  minimumFractionDigits: 2,
-  maximumFractionDigits: 2,
-});
+  decimals: 2,
+};
+
+const isSupportedLocale = (locale: string): boolean => {
+  try {
+    return Intl.NumberFormat.supportedLocalesOf(locale).length > 0;
+  } catch {
+    return false;
+  }
+};
+
+const isCurrencyCode = (value: unknown): value is string =>
+  typeof value === 'string' && /^[A-Za-z]{3}$/.test(value);
+
+/**
+ * Read the store formatting settings, falling back to en-US and USD for
+ * anything missing or unusable.
+ */
+export const getStoreFormat = (
+  settings: AgentWPSettings | undefined = typeof window !== 'undefined'
+    ? window.agentwpSettings
+    : undefined,
+): StoreFormat => {
+  const { locale = '', currency, decimals } = settings?.store ?? {};
+  const tag = locale.replace(/_/g, '-');
+  return {
+    locale: tag && isSupportedLocale(tag) ? tag : DEFAULT_STORE_FORMAT.locale,
+    currency: isCurrencyCode(currency) ? currency.toUpperCase() : DEFAULT_STORE_FORMAT.currency,
+    decimals:
+      typeof decimals === 'number' && Number.isInteger(decimals) && decimals >= 0 && decimals <= 8
+        ? decimals
+        : DEFAULT_STORE_FORMAT.decimals,
+  };
+};
+
+const storeFormat = getStoreFormat();
+
+/**
+ * Currency formatter for a store, in its locale. `fractionDigits` fixes the
+ * decimals; without it the store's price decimals are used.
+ */
+export const createCurrencyFormatter = (
+  store: StoreFormat,
+  fractionDigits: number = store.decimals,
+): Intl.NumberFormat =>
+  new Intl.NumberFormat(store.locale, {
+    style: 'currency',
+    currency: store.currency,
+    minimumFractionDigits: fractionDigits,
+    maximumFractionDigits: fractionDigits,
+  });
+
+// Whole units keep chart axes and summary tiles short
+export const currencyFormatter = createCurrencyFormatter(storeFormat, 0);
+
+export const priceFormatter = createCurrencyFormatter(storeFormat);
+
+export const usageCurrencyFormatter = createCurrencyFormatter(
+  { ...storeFormat, currency: 'USD' },
+  2,
+);
+
+// A single request often costs fractions of a cent, so show more precision than totals
+export const requestCostFormatter = createCurrencyFormatter({ ...storeFormat, currency: 'USD' }, 4);
+
+export const numberFormatter = new Intl.NumberFormat(storeFormat.locale);
+
+const wholeUnitFormatters = new Map<string, Intl.NumberFormat>();
 
-export const numberFormatter = new Intl.NumberFormat('en-US');
+/**
+ * Whole-unit formatter for any currency, so rows priced in another currency
+ * keep their own code next to store amounts.
+ */
+export const getCurrencyFormatter = (currency: string): Intl.NumberFormat => {
+  const code = currency.toUpperCase();
+  if (code === storeFormat.currency) {
+    return currencyFormatter;
+  }
+  let formatter = wholeUnitFormatters.get(code);
+  if (!formatter) {
+    formatter = createCurrencyFormatter({ ...storeFormat, currency: code }, 0);
+    wholeUnitFormatters.set(code, formatter);
+  }
+  return formatter;
+};
 
-export const formatCurrencyValue = (value: unknown): string => {
+export const formatCurrencyValue = (value: unknown, currency?: string): string => {
   if (typeof value !== 'number' || Number.isNaN(value)) {
     return value?.toString() ?? '';
   }
-  return currencyFormatter.format(value);
+  const formatter = isCurrencyCode(currency) ? getCurrencyFormatter(currency) : currencyFormatter;
+  return formatter.format(value);
 };
 
 export const formatUsageCost = (value: unknown): string => {
@@ -38,3 +128,47 @@ export const formatTokenCount = (value: unknown): string => {
   }
   return numberFormatter.format(parsed);
 };
+
+/**
+ * Format an amount in its own currency, such as an order total. Amounts in the
+ * store currency use the store's price decimals; others use their currency's.
+ */
+export const formatCurrencyAmount = (value: unknown, currency = storeFormat.currency): string => {
+  if (typeof value !== 'number' || Number.isNaN(value)) {
+    return value?.toString() ?? '';
+  }
+  const code = currency.toUpperCase();
+  if (code === storeFormat.currency) {
+    return priceFormatter.format(value);
+  }
+  try {
+    return new Intl.NumberFormat(storeFormat.locale, { style: 'currency', currency: code }).format(
+      value,
+    );
+  } catch {
+    return `${value.toFixed(2)} ${currency}`;
+  }
+};
+
+const toDate = (value: Date | number | string): Date | null => {
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Format a date in the site locale; invalid dates give an empty string.
+ */
+export const formatDate = (
+  value: Date | number | string,
+  options: Intl.DateTimeFormatOptions = { dateStyle: 'medium' },
+): string => toDate(value)?.toLocaleDateString(storeFormat.locale, options) ?? '';
+
+export const formatTime = (
+  value: Date | number | string,
+  options: Intl.DateTimeFormatOptions = { hour: 'numeric', minute: '2-digit' },
+): string => toDate(value)?.toLocaleTimeString(storeFormat.locale, options) ?? '';
+
+export const formatDateTime = (
+  value: Date | number | string,
+  options: Intl.DateTimeFormatOptions = { dateStyle: 'medium', timeStyle: 'short' },
+): string => toDate(value)?.toLocaleString(storeFormat.locale, options) ?? '';
@@ -0,0 +1,192 @@
+/**
+ * Conversion and merge helpers for syncing command history with the /history route.
+ */
+
+import type { components } from '../types/api';
+import type { CommandEntry } from '../types';
+
+type HistoryEntry = components['schemas']['HistoryEntry'];
+
+const HTML_ESCAPES: Record<string, string> = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#039;',
+};
+
+/**
+ * A prompt as the /history route stores it: PHP's
+ * `sanitize_text_field( wp_unslash() )`. Entries are keyed by prompt, so local
+ * copies must match the server's byte for byte or every merge duplicates them.
+ */
+export const normalizePrompt = (prompt: string): string => {
+  // wp_unslash()
+  let text = prompt.replace(/\\(.?)/gs, '$1');
+
+  // wp_pre_kses_less_than(): a "<" that doesn't open a tag is escaped, not stripped
+  if (text.includes('<')) {
+    text = text.replace(/<[^>]*?((?=<)|>|$)/g, (match) =>
+      match.includes('>')
+        ? match
+        : match.replace(
+            /&(?![a-z][a-z0-9]*;|#[0-9]+;|#x[0-9a-f]+;)|[<>"']/gi,
+            (char) => HTML_ESCAPES[char] ?? char,
+          ),
+    );
+    // wp_strip_all_tags()
+    text = text.replace(/<(script|style)[^>]*?>.*?<\/\1>/gis, '').replace(/<[^>]*>/g, '');
+  }
+
+  text = text.replace(/[\r\n\t ]+/g, ' ').trim();
+
+  // Percent-encoded octets are dropped, including ones that removing another uncovers
+  if (/%[a-f0-9]{2}/i.test(text)) {
+    while (/%[a-f0-9]{2}/i.test(text)) {
+      text = text.replace(/%[a-f0-9]{2}/gi, '');
+    }
+    text = text.replace(/ +/g, ' ').trim();
+  }
+  return text;
+};
+
+/**
+ * What this browser knows about the server copy of one list.
+ */
+export interface SyncState {
+  /** Keys the server had at the last pull or push. */
+  synced: string[];
+  /** Keys removed here and not pushed yet, so the server copy can't bring them back. */
+  deleted: string[];
+}
+
+export const EMPTY_SYNC_STATE: SyncState = { synced: [], deleted: [] };
+
+/**
+ * Identity of a single submission: the same prompt sent at the same moment.
+ */
+export const entryKey = (entry: Pick<CommandEntry, 'prompt' | 'timestamp'>): string =>
+  `${entry.timestamp}::${entry.prompt}`;
+
+/**
+ * Identity of a favorite: the command itself, regardless of when it was starred.
+ */
+export const commandKey = (entry: Pick<CommandEntry, 'prompt' | 'intent'>): string =>
+  `${entry.prompt}::${entry.intent || ''}`;
+
+const hashString = (value: string): string => {
+  let hash = 0;
+  for (let index = 0; index < value.length; index += 1) {
+    hash = (hash * 31 + value.charCodeAt(index)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+};
+
+export const toHistoryEntry = (entry: CommandEntry): HistoryEntry => ({
+  raw_input: entry.prompt,
+  parsed_intent: entry.intent || '',
+  timestamp: new Date(entry.timestamp).toISOString(),
+  was_successful: entry.successful ?? false,
+});
+
+export const fromHistoryEntry = (entry: HistoryEntry): CommandEntry | null => {
+  const prompt = entry.raw_input?.trim();
+  const timestamp = entry.timestamp ? Date.parse(entry.timestamp) : Number.NaN;
+  if (!prompt || Number.isNaN(timestamp)) {
+    return null;
+  }
+  return {
+    id: `${timestamp}-${hashString(prompt)}`,
+    prompt,
+    response: '',
+    timestamp,
+    intent: entry.parsed_intent || undefined,
+    successful: entry.was_successful ?? false,
+  };
+};
+
+const mergeBy = (
+  local: CommandEntry[],
+  remote: HistoryEntry[],
+  keyOf: (entry: CommandEntry) => string,
+  limit: number | null,
+  sync: SyncState,
+): CommandEntry[] => {
+  const merged = new Map<string, CommandEntry>();
+  const deleted = new Set(sync.deleted);
+  const synced = new Set(sync.synced);
+  const remoteEntries = remote
+    .map(fromHistoryEntry)
+    .filter((entry): entry is CommandEntry => entry !== null);
+
+  remoteEntries.forEach((entry) => {
+    const key = keyOf(entry);
+    if (deleted.has(key)) return;
+    const existing = merged.get(key);
+    if (!existing || existing.timestamp < entry.timestamp) {
+      merged.set(key, entry);
+    }
+  });
+
+  // A full server list drops its oldest entries, so only newer ones can be missing
+  // by removal. Without a known cap, assume the list may be full.
+  const oldestRemote =
+    !limit || remote.length >= limit
+      ? Math.min(...remoteEntries.map((entry) => entry.timestamp))
+      : Number.NEGATIVE_INFINITY;
+  const remoteKeys = new Set(remoteEntries.map(keyOf));
+  const removedElsewhere = (entry: CommandEntry) =>
+    synced.has(keyOf(entry)) && !remoteKeys.has(keyOf(entry)) && entry.timestamp >= oldestRemote;
+
+  // Local copies carry the response and metrics, so they win ties.
+  local.forEach((entry) => {
+    if (removedElsewhere(entry)) return;
+    const existing = merged.get(keyOf(entry));
+    if (!existing || existing.timestamp <= entry.timestamp) {
+      merged.set(keyOf(entry), entry);
+    }
+  });
+
+  const sorted = [...merged.values()].sort((a, b) => b.timestamp - a.timestamp);
+  return limit ? sorted.slice(0, limit) : sorted;
+};
+
+/**
+ * Merge local and server history, newest first.
+ * Entries are the same submission when prompt and timestamp match. Entries
+ * removed here stay removed, and entries the server had at the last sync but
+ * has no longer were removed in another browser. `limit` is the server's cap
+ * (`agentwpSettings.historyLimit`), which is also applied to the result.
+ */
+export const mergeHistory = (
+  local: CommandEntry[],
+  remote: HistoryEntry[],
+  limit: number | null = null,
+  sync: SyncState = EMPTY_SYNC_STATE,
+): CommandEntry[] => mergeBy(local, remote, entryKey, limit, sync);
+
+/**
+ * Merge local and server favorites, newest first.
+ * A command starred on both sides keeps the most recent copy; removals sync
+ * the same way as history.
+ */
+export const mergeFavorites = (
+  local: CommandEntry[],
+  remote: HistoryEntry[],
+  limit: number | null = null,
+  sync: SyncState = EMPTY_SYNC_STATE,
+): CommandEntry[] => mergeBy(local, remote, commandKey, limit, sync);
+
+/**
+ * Sync state once the server holds `entries`: they are synced, and removals
+ * the server no longer has are done.
+ */
+export const markSynced = (
+  entries: CommandEntry[],
+  keyOf: (entry: CommandEntry) => string,
+  sync: SyncState,
+): SyncState => {
+  const synced = entries.map(keyOf);
+  const held = new Set(synced);
+  return { synced, deleted: sync.deleted.filter((key) => held.has(key)) };
+};
@@ -0,0 +1,75 @@
+/**
+ * Known browser and WordPress admin shortcuts a custom hotkey could shadow.
+ * Kept apart from hotkey.ts so the lazy loader doesn't pull in i18n.
+ */
+
+import { __ } from './i18n';
+import {
+  DEFAULT_HOTKEY,
+  isMacPlatform,
+  parseHotkey,
+  resolveHotkey,
+  type HotkeyCombo,
+} from './hotkey';
+
+export interface HotkeyConflict {
+  shortcut: string;
+  source: 'browser' | 'wordpress';
+  description: string;
+}
+
+const RESERVED_SHORTCUTS: HotkeyConflict[] = [
+  // WooCommerce registers its admin commands in the same palette
+  { shortcut: 'Mod+K', source: 'wordpress', description: __('WordPress command palette') },
+  { shortcut: 'Ctrl+K', source: 'browser', description: __('Browser address bar search') },
+  { shortcut: 'Ctrl+E', source: 'browser', description: __('Browser address bar search') },
+  { shortcut: 'Mod+L', source: 'browser', description: __('Focus the address bar') },
+  { shortcut: 'Mod+T', source: 'browser', description: __('Open a new tab') },
+  { shortcut: 'Mod+W', source: 'browser', description: __('Close the tab') },
+  { shortcut: 'Mod+N', source: 'browser', description: __('Open a new window') },
+  { shortcut: 'Mod+R', source: 'browser', description: __('Reload the page') },
+  { shortcut: 'Mod+F', source: 'browser', description: __('Find in page') },
+  { shortcut: 'Mod+P', source: 'browser', description: __('Print') },
+  { shortcut: 'Mod+D', source: 'browser', description: __('Bookmark the page') },
+  { shortcut: 'Mod+H', source: 'browser', description: __('Browser history') },
+  { shortcut: 'Mod+Shift+T', source: 'browser', description: __('Reopen a closed tab') },
+  { shortcut: 'Mod+S', source: 'wordpress', description: __('Save in the block editor') },
+  { shortcut: 'Mod+Z', source: 'wordpress', description: __('Undo') },
+  { shortcut: 'Mod+Shift+Z', source: 'wordpress', description: __('Redo') },
+  { shortcut: 'Mod+Shift+D', source: 'wordpress', description: __('Duplicate block') },
+  { shortcut: 'Mod+Alt+T', source: 'wordpress', description: __('Insert block before') },
+  { shortcut: 'Mod+Alt+Y', source: 'wordpress', description: __('Insert block after') },
+  { shortcut: 'Mod+Shift+Alt+M', source: 'wordpress', description: __('Toggle the code editor') },
+  { shortcut: 'Mod+Shift+,', source: 'wordpress', description: __('Toggle the settings sidebar') },
+  { shortcut: 'Alt+Shift+H', source: 'wordpress', description: __('Keyboard shortcuts help') },
+  { shortcut: 'Alt+Shift+Z', source: 'wordpress', description: __('Remove block') },
+  { shortcut: 'Alt+Shift+N', source: 'wordpress', description: __('Next editor region') },
+  { shortcut: 'Alt+Shift+P', source: 'wordpress', description: __('Previous editor region') },
+  { shortcut: 'Alt+Shift+O', source: 'wordpress', description: __('Open the list view') },
+  { shortcut: 'Alt+Shift+W', source: 'wordpress', description: __('Distraction-free mode') },
+  { shortcut: 'Alt+Shift+M', source: 'wordpress', description: __('Add media (classic editor)') },
+  {
+    shortcut: 'Alt+Shift+X',
+    source: 'wordpress',
+    description: __('Code formatting (classic editor)'),
+  },
+  { shortcut: 'Alt+F10', source: 'wordpress', description: __('Focus the block toolbar') },
+];
+
+const comboId = (combo: HotkeyCombo): string =>
+  [combo.ctrl, combo.meta, combo.alt, combo.shift].map(Number).join('') + combo.key;
+
+/**
+ * List known browser and WordPress admin shortcuts the value would shadow.
+ */
+export const findHotkeyConflicts = (value: string, isMac = isMacPlatform()): HotkeyConflict[] => {
+  const combos =
+    value.trim() === DEFAULT_HOTKEY ? resolveHotkey(value, isMac) : parseHotkey(value, isMac);
+  const ids = new Set(combos.map(comboId));
+  if (ids.size === 0) {
+    return [];
+  }
+  return RESERVED_SHORTCUTS.filter((reserved) =>
+    parseHotkey(reserved.shortcut, isMac).some((combo) => ids.has(comboId(combo))),
+  );
+};
@@ -0,0 +1,242 @@
+/**
+ * Keyboard shortcut parsing, matching and conflict detection.
+ *
+ * Shortcuts are stored as text, e.g. "Alt+Shift+A" or "Cmd+K / Ctrl+K", where
+ * " / " separates alternatives. "Mod" means Cmd on macOS and Ctrl elsewhere.
+ * Used by both the lazy loader (main.tsx) and useKeyboardShortcuts, so keep it
+ * free of i18n and other app imports; conflict detection lives in
+ * hotkey-conflicts.ts.
+ */
+
+export const DEFAULT_HOTKEY = 'Cmd+K / Ctrl+K';
+
+// The default names each platform's key; only the local one should apply
+const DEFAULT_PLATFORM_HOTKEY = 'Mod+K';
+
+export interface HotkeyCombo {
+  /** Lowercase key name: a letter, digit, "f1".."f12" or a named key such as "space". */
+  key: string;
+  ctrl: boolean;
+  meta: boolean;
+  alt: boolean;
+  shift: boolean;
+}
+
+type ModifierName = 'ctrl' | 'meta' | 'alt' | 'shift' | 'mod';
+
+const MODIFIER_ALIASES: Record<string, ModifierName> = {
+  ctrl: 'ctrl',
+  control: 'ctrl',
+  cmd: 'meta',
+  command: 'meta',
+  meta: 'meta',
+  super: 'meta',
+  win: 'meta',
+  alt: 'alt',
+  option: 'alt',
+  opt: 'alt',
+  shift: 'shift',
+  mod: 'mod',
+};
+
+const KEY_ALIASES: Record<string, string> = {
+  ' ': 'space',
+  spacebar: 'space',
+  esc: 'escape',
+  return: 'enter',
+  del: 'delete',
+  up: 'arrowup',
+  down: 'arrowdown',
+  left: 'arrowleft',
+  right: 'arrowright',
+};
+
+const KEY_LABELS: Record<string, string> = {
+  space: 'Space',
+  escape: 'Esc',
+  enter: 'Enter',
+  delete: 'Delete',
+  backspace: 'Backspace',
+  tab: 'Tab',
+  arrowup: 'Up',
+  arrowdown: 'Down',
+  arrowleft: 'Left',
+  arrowright: 'Right',
+};
+
+const MODIFIER_KEYS = new Set(['control', 'meta', 'alt', 'shift', 'os', 'altgraph']);
+
+const FUNCTION_KEY = /^f([1-9]|1[0-2])$/;
+
+export const isMacPlatform = (): boolean =>
+  typeof navigator !== 'undefined' && /Mac|iPod|iPhone|iPad/.test(navigator.platform);
+
+const normalizeKey = (value: string): string => {
+  const key = value.toLowerCase();
+  return KEY_ALIASES[key] ?? key;
+};
+
+const isValidKey = (key: string): boolean =>
+  /^[a-z0-9]$/.test(key) ||
+  FUNCTION_KEY.test(key) ||
+  key in KEY_LABELS ||
+  /^[`\-=[\]\\;',./]$/.test(key);
+
+const parseCombo = (value: string, isMac: boolean): HotkeyCombo | null => {
+  // A trailing "++" means the plus key itself; keep it as the last token.
+  const tokens = value
+    .trim()
+    .replace(/\+\+$/, '+plus')
+    .split('+')
+    .map((token) => token.trim())
+    .filter(Boolean);
+  const keyToken = tokens.pop();
+  if (!keyToken) {
+    return null;
+  }
+
+  const combo: HotkeyCombo = { key: '', ctrl: false, meta: false, alt: false, shift: false };
+  for (const token of tokens) {
+    const modifier = MODIFIER_ALIASES[token.toLowerCase()];
+    if (!modifier) {
+      return null;
+    }
+    if (modifier === 'mod') {
+      combo[isMac ? 'meta' : 'ctrl'] = true;
+    } else {
+      combo[modifier] = true;
+    }
+  }
+
+  const key = keyToken.toLowerCase() === 'plus' ? '+' : normalizeKey(keyToken);
+  if (key !== '+' && !isValidKey(key)) {
+    return null;
+  }
+  combo.key = key;
+
+  // Bare keys would fire while typing; require a modifier unless it is F1-F12.
+  const hasModifier = combo.ctrl || combo.meta || combo.alt;
+  if (!hasModifier && !FUNCTION_KEY.test(key)) {
+    return null;
+  }
+  return combo;
+};
+
+/**
+ * Parse a shortcut string into its alternatives.
+ * Returns an empty list when any alternative is malformed.
+ */
+export const parseHotkey = (value: string | null | undefined, isMac = isMacPlatform()) => {
+  if (!value || !value.trim()) {
+    return [];
+  }
+  const combos: HotkeyCombo[] = [];
+  for (const part of value.split(' / ')) {
+    const combo = parseCombo(part, isMac);
+    if (!combo) {
+      return [];
+    }
+    combos.push(combo);
+  }
+  return combos;
+};
+
+export const isValidHotkey = (value: string): boolean => parseHotkey(value).length > 0;
+
+/**
+ * Parse the configured shortcut, falling back to DEFAULT_HOTKEY when unset or invalid.
+ * DEFAULT_HOTKEY resolves to Cmd+K on macOS and Ctrl+K elsewhere, not both.
+ */
+export const resolveHotkey = (
+  value: string | null | undefined,
+  isMac = isMacPlatform(),
+): HotkeyCombo[] => {
+  const configured = value?.trim() === DEFAULT_HOTKEY ? DEFAULT_PLATFORM_HOTKEY : value;
+  const combos = parseHotkey(configured, isMac);
+  return combos.length > 0 ? combos : parseHotkey(DEFAULT_PLATFORM_HOTKEY, isMac);
+};
+
+/**
+ * Key name for an event, based on the physical key for letters and digits so
+ * Alt/Option combos still match on macOS (where Option+A types "å").
+ */
+const getEventKey = (event: KeyboardEvent): string => {
+  const code = event.code || '';
+  const letter = /^Key([A-Z])$/.exec(code);
+  if (letter?.[1]) {
+    return letter[1].toLowerCase();
+  }
+  const digit = /^Digit([0-9])$/.exec(code);
+  if (digit?.[1]) {
+    return digit[1];
+  }
+  return normalizeKey(event.key || '');
+};
+
+export const matchesHotkey = (event: KeyboardEvent, combos: HotkeyCombo[]): boolean => {
+  if (combos.length === 0) {
+    return false;
+  }
+  const key = getEventKey(event);
+  return combos.some(
+    (combo) =>
+      combo.key === key &&
+      combo.ctrl === event.ctrlKey &&
+      combo.meta === event.metaKey &&
+      combo.alt === event.altKey &&
+      // Shifted symbols (e.g. "?") already imply Shift
+      (combo.shift === event.shiftKey || (!/^[a-z0-9]$/.test(key) && !combo.shift)),
+  );
+};
+
+const formatCombo = (combo: HotkeyCombo): string => {
+  const parts: string[] = [];
+  if (combo.ctrl) parts.push('Ctrl');
+  if (combo.meta) parts.push('Cmd');
+  if (combo.alt) parts.push('Alt');
+  if (combo.shift) parts.push('Shift');
+  parts.push(KEY_LABELS[combo.key] ?? combo.key.toUpperCase());
+  return parts.join('+');
+};
+
+/**
+ * Canonical text for a list of combos, e.g. "Ctrl+Alt+K / Cmd+Alt+K".
+ */
+export const formatHotkey = (combos: HotkeyCombo[]): string => combos.map(formatCombo).join(' / ');
+
+/**
+ * Label for the combo that applies on this platform, e.g. "Cmd+K" on macOS.
+ */
+export const getHotkeyLabel = (value: string | null | undefined, isMac = isMacPlatform()) => {
+  const combos = resolveHotkey(value, isMac);
+  const preferred =
+    combos.find((combo) => (isMac ? !combo.ctrl || combo.meta : !combo.meta)) ?? combos[0];
+  return preferred ? formatCombo(preferred) : '';
+};
+
+/**
+ * Build shortcut text from a keydown, for key-recorder inputs.
+ * Returns null for lone modifier presses and combos parseHotkey would reject.
+ */
+export const hotkeyFromEvent = (event: KeyboardEvent): string | null => {
+  const rawKey = (event.key || '').toLowerCase();
+  if (MODIFIER_KEYS.has(rawKey)) {
+    return null;
+  }
+  const key = getEventKey(event);
+  const combo: HotkeyCombo = {
+    key,
+    ctrl: event.ctrlKey,
+    meta: event.metaKey,
+    alt: event.altKey,
+    shift: event.shiftKey,
+  };
+  const text = formatCombo(combo);
+  return parseHotkey(text).length > 0 ? text : null;
+};
+
+/** Attribute set on key-recorder inputs so global shortcut listeners stand down. */
+export const HOTKEY_RECORDER_ATTRIBUTE = 'data-agentwp-hotkey-recorder';
+
+export const isHotkeyRecorderTarget = (target: EventTarget | null): boolean =>
+  target instanceof HTMLElement && target.hasAttribute(HOTKEY_RECORDER_ATTRIBUTE);
@@ -0,0 +1,204 @@
+/**
+ * Translation helpers for the React UI.
+ *
+ * In wp-admin, strings come from `wp.i18n`, which `wp_set_script_translations()`
+ * fills with the plugin's JSON translations. Outside WordPress (tests, the Vite
+ * dev server) the same JSON can be loaded with `setLocaleData()`. WordPress
+ * loads translations before the bundle runs, so module-level constants can be
+ * translated too.
+ *
+ * Put a `translators:` comment above any message with placeholders.
+ */
+
+export const TEXT_DOMAIN = 'agentwp';
+
+// Gettext joins a message context and its text with EOT
+const CONTEXT_DELIMITER = '\u0004';
+
+const DEFAULT_PLURAL_FORMS = 'nplurals=2; plural=n != 1;';
+
+interface WPI18n {
+  __: (text: string, domain?: string) => string;
+  _x: (text: string, context: string, domain?: string) => string;
+  _n: (single: string, plural: string, number: number, domain?: string) => string;
+  isRTL?: () => boolean;
+}
+
+declare global {
+  interface Window {
+    wp?: { i18n?: WPI18n };
+  }
+}
+
+/**
+ * Jed 1.x locale data, as found under `locale_data` in a WordPress JSON
+ * translation file.
+ */
+export type LocaleData = Record<string, unknown> & {
+  ''?: { domain?: string; lang?: string; plural_forms?: string };
+};
+
+type PluralExpression = (n: number) => number;
+
+const BINARY_OPERATORS: Array<Record<string, (a: number, b: number) => number>> = [
+  { '||': (a, b) => Number(Boolean(a) || Boolean(b)) },
+  { '&&': (a, b) => Number(Boolean(a) && Boolean(b)) },
+  { '==': (a, b) => Number(a === b), '!=': (a, b) => Number(a !== b) },
+  {
+    '<': (a, b) => Number(a < b),
+    '>': (a, b) => Number(a > b),
+    '<=': (a, b) => Number(a <= b),
+    '>=': (a, b) => Number(a >= b),
+  },
+  { '+': (a, b) => a + b, '-': (a, b) => a - b },
+  { '*': (a, b) => a * b, '/': (a, b) => Math.trunc(a / b), '%': (a, b) => a % b },
+];
+
+/**
+ * Compile a gettext `plural=` expression, a small subset of C, without eval.
+ */
+export const compilePluralForms = (pluralForms: string): PluralExpression => {
+  const expression = /plural=([^;]+)/.exec(pluralForms)?.[1] ?? 'n != 1';
+  const tokens = expression.match(/\d+|n|&&|\|\||[=!<>]=|[-+*/%<>!?:()]/g) ?? [];
+  let position = 0;
+
+  const parseUnary = (): PluralExpression => {
+    const token = tokens[position++];
+    if (token === '(') {
+      const inner = parseTernary();
+      position++;
+      return inner;
+    }
+    if (token === '!') {
+      const operand = parseUnary();
+      return (n) => Number(!operand(n));
+    }
+    if (token === 'n') {
+      return (n) => n;
+    }
+    const value = Number(token);
+    return () => value;
+  };
+
+  const parseBinary = (level: number): PluralExpression => {
+    const operators = BINARY_OPERATORS[level];
+    if (!operators) {
+      return parseUnary();
+    }
+    let left = parseBinary(level + 1);
+    let apply = operators[tokens[position] ?? ''];
+    while (apply) {
+      position++;
+      const [a, b, operation] = [left, parseBinary(level + 1), apply];
+      left = (n) => operation(a(n), b(n));
+      apply = operators[tokens[position] ?? ''];
+    }
+    return left;
+  };
+
+  function parseTernary(): PluralExpression {
+    const condition = parseBinary(0);
+    if (tokens[position] !== '?') {
+      return condition;
+    }
+    position++;
+    const whenTrue = parseTernary();
+    position++;
+    const whenFalse = parseTernary();
+    return (n) => (condition(n) ? whenTrue(n) : whenFalse(n));
+  }
+
+  const plural = parseTernary();
+  return (n) => {
+    const index = plural(Math.abs(Math.trunc(n)));
+    return Number.isFinite(index) && index >= 0 ? index : 0;
+  };
+};
+
+let localeData: LocaleData = {};
+let pluralIndex: PluralExpression = compilePluralForms(DEFAULT_PLURAL_FORMS);
+
+/**
+ * Load translations when `wp.i18n` is not on the page. Accepts a whole
+ * WordPress JSON translation file or just its locale data.
+ */
+export const setLocaleData = (data: LocaleData | { locale_data?: Record<string, LocaleData> }) => {
+  const wrapped = (data as { locale_data?: Record<string, LocaleData> }).locale_data;
+  localeData = (wrapped ? (wrapped[TEXT_DOMAIN] ?? wrapped.messages) : (data as LocaleData)) ?? {};
+  pluralIndex = compilePluralForms(localeData['']?.plural_forms ?? DEFAULT_PLURAL_FORMS);
+};
+
+const getWpI18n = (): WPI18n | undefined =>
+  typeof window !== 'undefined' ? window.wp?.i18n : undefined;
+
+const lookup = (key: string): string[] | null => {
+  const entry = localeData[key];
+  return Array.isArray(entry) && entry.every((form) => typeof form === 'string')
+    ? (entry as string[])
+    : null;
+};
+
+/**
+ * Translate a string.
+ */
+export const __ = (text: string): string => {
+  const wp = getWpI18n();
+  if (wp) {
+    return wp.__(text, TEXT_DOMAIN);
+  }
+  return lookup(text)?.[0] || text;
+};
+
+/**
+ * Translate a string that needs a context to tell it apart from the same
+ * English text used elsewhere.
+ */
+export const _x = (text: string, context: string): string => {
+  const wp = getWpI18n();
+  if (wp) {
+    return wp._x(text, context, TEXT_DOMAIN);
+  }
+  return lookup(`${context}${CONTEXT_DELIMITER}${text}`)?.[0] || text;
+};
+
+/**
+ * Translate the singular or plural form of a string for a count. Pass the
+ * result through `sprintf()` to fill in the number.
+ */
+export const _n = (single: string, plural: string, number: number): string => {
+  const wp = getWpI18n();
+  if (wp) {
+    return wp._n(single, plural, number, TEXT_DOMAIN);
+  }
+  const forms = lookup(single);
+  const index = forms ? pluralIndex(number) : Math.abs(number) === 1 ? 0 : 1;
+  return forms?.[index] || (index === 0 ? single : plural);
+};
+
+/**
+ * Fill `%s`, `%d` and numbered `%1$s` placeholders. Translators may reorder
+ * numbered placeholders, so use them when a message has more than one.
+ */
+export const sprintf = (format: string, ...args: Array<string | number>): string => {
+  let next = 0;
+  return format.replace(/%(?:(\d+)\$)?([sd%])/g, (match, position: string | undefined, type) => {
+    if (type === '%') {
+      return '%';
+    }
+    const value = args[position ? Number(position) - 1 : next++];
+    if (value === undefined) {
+      return match;
+    }
+    return type === 'd' ? String(Math.trunc(Number(value))) : String(value);
+  });
+};
+
+/**
+ * Whether the admin is shown in a right-to-left language.
+ */
+export const isRTL = (): boolean => {
+  if (typeof document !== 'undefined' && document.documentElement.dir === 'rtl') {
+    return true;
+  }
+  return getWpI18n()?.isRTL?.() ?? false;
+};
@@ -9,4 +9,14 @@ export * from './error';
 export * from './speech';
 export * from './dom';
 export * from './analytics-data';
+export * from './history-sync';
+export * from './hotkey';
+export * from './entities';
+export * from './search-scope';
+export * from './date-range';
+export * from './export';
+export * from './budget';
+export * from './metrics';
+export * from './offline';
 export * from './constants';
+export * from './i18n';
@@ -0,0 +1,90 @@
+/**
+ * Per-request latency and token cost for Command Deck responses.
+ */
+
+import type { Metrics, SessionMetrics } from '../types';
+import type { components } from '../types/api';
+import { numberFormatter, requestCostFormatter } from './formatters';
+import { __, _n, sprintf } from './i18n';
+
+type IntentUsageMeta = components['schemas']['IntentUsageMeta'];
+
+export const EMPTY_METRICS: Metrics = {
+  latencyMs: null,
+  tokenCost: null,
+  model: null,
+  promptTokens: null,
+  completionTokens: null,
+};
+
+export const EMPTY_SESSION_METRICS: SessionMetrics = {
+  requests: 0,
+  tokens: 0,
+  cost: 0,
+  latencyMs: 0,
+};
+
+const toCount = (value: unknown): number | null =>
+  typeof value === 'number' && Number.isFinite(value) ? Math.max(0, Math.round(value)) : null;
+
+/**
+ * Combine the measured round trip with the usage the server reported.
+ * Responses that never reached the model carry no `meta`, so only latency is known.
+ */
+export function buildResponseMetrics(latencyMs: number, meta?: IntentUsageMeta | null): Metrics {
+  const cost = meta?.cost_usd;
+  return {
+    latencyMs: Math.max(0, Math.round(latencyMs)),
+    tokenCost: typeof cost === 'number' && Number.isFinite(cost) ? cost : null,
+    model: meta?.model || null,
+    promptTokens: toCount(meta?.input_tokens),
+    completionTokens: toCount(meta?.output_tokens),
+  };
+}
+
+export function addSessionMetrics(session: SessionMetrics, metrics: Metrics): SessionMetrics {
+  return {
+    requests: session.requests + 1,
+    tokens: session.tokens + (metrics.promptTokens ?? 0) + (metrics.completionTokens ?? 0),
+    cost: session.cost + (metrics.tokenCost ?? 0),
+    latencyMs: session.latencyMs + (metrics.latencyMs ?? 0),
+  };
+}
+
+/**
+ * "820 ms" under a second, "1.4 s" above.
+ */
+export function formatLatency(ms: number): string {
+  if (ms < 1000) {
+    return `${Math.round(ms)} ms`;
+  }
+  return `${(ms / 1000).toFixed(1)} s`;
+}
+
+export function formatTokenSplit(metrics: Metrics): string | null {
+  if (metrics.promptTokens === null && metrics.completionTokens === null) {
+    return null;
+  }
+  const prompt = numberFormatter.format(metrics.promptTokens ?? 0);
+  const completion = numberFormatter.format(metrics.completionTokens ?? 0);
+  /* translators: 1: prompt tokens, 2: completion tokens */
+  return sprintf(__('%1$s in / %2$s out tokens'), prompt, completion);
+}
+
+export function formatSessionMetrics(session: SessionMetrics): string {
+  const parts = [
+    /* translators: %s: number of prompts sent this session */
+    sprintf(
+      _n('%s prompt', '%s prompts', session.requests),
+      numberFormatter.format(session.requests),
+    ),
+    /* translators: %s: number of tokens used this session */
+    sprintf(_n('%s token', '%s tokens', session.tokens), numberFormatter.format(session.tokens)),
+    requestCostFormatter.format(session.cost),
+  ];
+  if (session.requests > 0) {
+    /* translators: %s: average round trip, e.g. 1.2 s */
+    parts.push(sprintf(__('avg %s'), formatLatency(session.latencyMs / session.requests)));
+  }
+  return parts.join(' · ');
+}
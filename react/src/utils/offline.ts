@@ -0,0 +1,65 @@
+/**
+ * Offline handling: which prompts may wait for the connection, and how often
+ * to check whether it is back.
+ */
+
+import { HEALTH_CHECK_INTERVAL_MS, HEALTH_CHECK_MAX_INTERVAL_MS } from './constants';
+import { __, sprintf } from './i18n';
+
+/**
+ * Write verbs for the server's refund, status, stock and email intents. Only a
+ * prompt that opens with one is a store change: "mark order 12 shipped" can't
+ * wait in the queue, but "orders to cancel?" or "which products were added this
+ * week" are questions and can.
+ */
+const MUTATING_PATTERNS: Array<{ pattern: RegExp; action: string }> = [
+  { pattern: /^(refund|reimburse)\b|^(issue|give|process)\b.*\brefund/, action: __('Refunds') },
+  { pattern: /^(cancel|void)\b/, action: __('Cancellations') },
+  {
+    pattern:
+      /^(restock|adjust|increase|decrease|reduce)\b|^(set|change|update)\b.*\b(stock|inventory)\b/,
+    action: __('Stock changes'),
+  },
+  { pattern: /^(mark|set|change|update|move)\b/, action: __('Status changes') },
+  { pattern: /^(send|reply|respond|compose|write|draft|email)\b/, action: __('Email drafts') },
+  { pattern: /^(delete|remove|create|add|edit|apply)\b/, action: __('Store changes') },
+];
+
+// Politeness and request phrasing in front of the verb: "please", "can you", "I'd like to"
+const REQUEST_LEAD_IN =
+  /^(?:(?:please|kindly|now|ok(?:ay)?|also|then|and|go ahead and|let'?s)\b|(?:can|could|would|will) you\b|i(?:'d| would)? (?:like|want|need) (?:you )?to\b)[\s,]*/;
+
+/**
+ * The kind of store change a prompt asks for, or null for read-only prompts.
+ */
+export function getMutatingAction(prompt: string): string | null {
+  let command = prompt.trim().toLowerCase();
+  let previous = '';
+  while (command !== previous) {
+    previous = command;
+    command = command.replace(REQUEST_LEAD_IN, '');
+  }
+  return MUTATING_PATTERNS.find(({ pattern }) => pattern.test(command))?.action ?? null;
+}
+
+export function getOfflineBlockedMessage(action: string): string {
+  return sprintf(
+    /* translators: %s: kind of store change, e.g. "Refunds" */
+    __(
+      "%s can't be queued while offline because they need the live store. Send this again once you're reconnected.",
+    ),
+    action,
+  );
+}
+
+/**
+ * Delay before the next health check. Repeated results in the same state
+ * double the wait up to the cap; any change starts over at the base
+ * interval, so a dropped connection is noticed (and a recovery retried) quickly.
+ *
+ * @param streak Consecutive checks with the same outcome, 1 for the first.
+ */
+export function getHealthCheckDelay(streak: number): number {
+  const exponent = Math.max(0, Math.floor(streak) - 1);
+  return Math.min(HEALTH_CHECK_INTERVAL_MS * 2 ** exponent, HEALTH_CHECK_MAX_INTERVAL_MS);
+}
@@ -0,0 +1,75 @@
+/**
+ * Typeahead scoping: type filters, "#"/"@"/"$" prefixes and result grouping.
+ */
+
+import type { SearchResult, SearchResults } from '../types';
+import { SEARCH_TYPES, getEmptySearchResults, type SearchType } from './constants';
+
+export type SearchFilter = 'all' | SearchType;
+
+/** Order the Tab key cycles through. */
+export const SEARCH_FILTERS: SearchFilter[] = ['all', ...SEARCH_TYPES];
+
+export const SEARCH_PREFIXES: Record<string, SearchType> = {
+  '#': 'orders',
+  '@': 'customers',
+  $: 'products',
+};
+
+export interface SearchScope {
+  /** Type the search is limited to, or null for all types. */
+  type: SearchType | null;
+  /** Query text without the scope prefix. */
+  query: string;
+  /** True when a prefix, not the filter, chose the type. */
+  prefixed: boolean;
+}
+
+/**
+ * Resolve the search type and query from the prompt and the active filter.
+ * A leading prefix wins over the filter, e.g. "#1001" searches orders for "1001".
+ */
+export const parseSearchScope = (text: string, filter: SearchFilter = 'all'): SearchScope => {
+  const trimmed = text.trim();
+  const prefixType = SEARCH_PREFIXES[trimmed.charAt(0)];
+  if (prefixType) {
+    return { type: prefixType, query: trimmed.slice(1).trim(), prefixed: true };
+  }
+  return { type: filter === 'all' ? null : filter, query: trimmed, prefixed: false };
+};
+
+export const cycleSearchFilter = (filter: SearchFilter, step: 1 | -1 = 1): SearchFilter => {
+  const index = SEARCH_FILTERS.indexOf(filter);
+  const next = (index + step + SEARCH_FILTERS.length) % SEARCH_FILTERS.length;
+  return SEARCH_FILTERS[next] ?? 'all';
+};
+
+/**
+ * Keep only the results of one type; null keeps everything.
+ */
+export const filterSearchResults = (
+  results: SearchResults,
+  type: SearchType | null,
+): SearchResults => {
+  if (!type) {
+    return results;
+  }
+  return { ...getEmptySearchResults(), [type]: results[type] };
+};
+
+/**
+ * Group a flat list of results by type, keeping their order within each type.
+ */
+export const groupSearchResults = (items: SearchResult[]): SearchResults => {
+  const grouped: SearchResults = getEmptySearchResults();
+  for (const item of items) {
+    grouped[item.type].push(item);
+  }
+  return grouped;
+};
+
+/**
+ * Results in display order (products, orders, customers); indexes match the dropdown.
+ */
+export const flattenSearchResults = (results: SearchResults): SearchResult[] =>
+  SEARCH_TYPES.flatMap((type) => results[type]);
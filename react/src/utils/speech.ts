@@ -2,14 +2,16 @@
  * Speech recognition error utilities.
  */
 
+import { __ } from './i18n';
+
 export const SPEECH_ERROR_MESSAGES: Record<string, string> = {
-  'not-allowed': 'Microphone access is blocked. Check browser permissions.',
-  'audio-capture': 'No microphone was found. Connect a mic and try again.',
-  'no-speech': 'No speech detected. Try again and speak a little louder.',
-  aborted: 'Voice capture stopped.',
-  network: 'Speech recognition network error. Try again.',
-  'service-not-allowed': 'Speech recognition is disabled by the browser.',
-  'language-not-supported': 'Speech recognition language not supported.',
+  'not-allowed': __('Microphone access is blocked. Check browser permissions.'),
+  'audio-capture': __('No microphone was found. Connect a mic and try again.'),
+  'no-speech': __('No speech detected. Try again and speak a little louder.'),
+  aborted: __('Voice capture stopped.'),
+  network: __('Speech recognition network error. Try again.'),
+  'service-not-allowed': __('Speech recognition is disabled by the browser.'),
+  'language-not-supported': __('Speech recognition language not supported.'),
 };
 
 interface SpeechError {
@@ -26,5 +28,63 @@ export const getSpeechErrorMessage = (error: string | SpeechError | null | undef
     return SPEECH_ERROR_MESSAGES[error] || error;
   }
   const code = `${error.error || error.name || ''}`.toLowerCase();
-  return SPEECH_ERROR_MESSAGES[code] || error.message || 'Speech recognition error.';
+  return SPEECH_ERROR_MESSAGES[code] || error.message || __('Speech recognition error.');
+};
+
+/**
+ * Speech language and voice utilities.
+ */
+
+export const DEFAULT_VOICE_LANG = 'en-US';
+
+export const VOICE_RATE_RANGE = { min: 0.5, max: 2, step: 0.1 } as const;
+export const VOICE_PITCH_RANGE = { min: 0, max: 2, step: 0.1 } as const;
+
+/** Languages offered for voice input and read-aloud, besides the site language. */
+export const VOICE_LANGUAGE_OPTIONS = [
+  { value: 'en-US', label: 'English (United States)' },
+  { value: 'en-GB', label: 'English (United Kingdom)' },
+  { value: 'es-ES', label: 'Español (España)' },
+  { value: 'es-MX', label: 'Español (México)' },
+  { value: 'fr-FR', label: 'Français (France)' },
+  { value: 'fr-CA', label: 'Français (Canada)' },
+  { value: 'de-DE', label: 'Deutsch' },
+  { value: 'it-IT', label: 'Italiano' },
+  { value: 'pt-BR', label: 'Português (Brasil)' },
+  { value: 'nl-NL', label: 'Nederlands' },
+] as const;
+
+/**
+ * Turn a WordPress locale ("fr_FR", "de_DE_formal") into a tag the speech
+ * APIs accept ("fr-FR", "de-DE").
+ */
+export const toSpeechLang = (locale: string | undefined): string => {
+  const [language, region] = `${locale ?? ''}`.trim().split(/[-_]/);
+  if (!language || !/^[a-z]{2,3}$/i.test(language)) {
+    return '';
+  }
+  return region ? `${language.toLowerCase()}-${region.toUpperCase()}` : language.toLowerCase();
+};
+
+/**
+ * Language for speech: the user's choice, else their admin locale.
+ */
+export const resolveVoiceLang = (preferred = ''): string =>
+  toSpeechLang(preferred) ||
+  toSpeechLang(typeof window === 'undefined' ? '' : window.agentwpSettings?.locale) ||
+  DEFAULT_VOICE_LANG;
+
+/**
+ * Voices that speak the language, matched on the primary subtag so an
+ * "es-MX" voice is offered for "es-ES".
+ */
+export const filterVoicesForLang = <T extends Pick<SpeechSynthesisVoice, 'lang'>>(
+  voices: T[],
+  lang: string,
+): T[] => {
+  const primary = toSpeechLang(lang).split('-')[0];
+  if (!primary) {
+    return voices;
+  }
+  return voices.filter((voice) => toSpeechLang(voice.lang).split('-')[0] === primary);
 };
@@ -1,7 +1,8 @@
-import { describe, expect, it } from 'vitest';
-import { http, HttpResponse } from 'msw';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { delay, http, HttpResponse } from 'msw';
 import agentwpClient from '../../src/api/AgentWPClient';
 import { server } from '../mocks/server';
+import { streamResponse } from '../mocks/handlers';
 
 const API_BASE = '/wp-json/agentwp/v1';
 
@@ -48,3 +49,427 @@ describe('AgentWPClient envelope handling', () => {
     }
   });
 });
+
+describe('AgentWPClient drafts', () => {
+  it('confirms and cancels drafts through the drafts endpoints', async () => {
+    const confirmed = await agentwpClient.confirmDraft('refund_abc123');
+    expect(confirmed.success).toBe(true);
+    if (confirmed.success) {
+      expect(confirmed.data).toMatchObject({ draft_id: 'refund_abc123', type: 'refund' });
+    }
+
+    const cancelled = await agentwpClient.cancelDraft('refund_abc123');
+    expect(cancelled.success).toBe(true);
+    if (cancelled.success) {
+      expect(cancelled.data.cancelled).toBe(true);
+    }
+  });
+
+  it('cancels the old draft before asking for a revised one', async () => {
+    const calls: string[] = [];
+    server.use(
+      http.delete(`${API_BASE}/drafts/:draftId`, ({ params }) => {
+        calls.push(`delete:${String(params.draftId)}`);
+        return HttpResponse.json({
+          success: true,
+          data: { draft_id: params.draftId, cancelled: true },
+        });
+      }),
+      http.post(`${API_BASE}/intent`, async ({ request }) => {
+        const body = (await request.json()) as { prompt: string; context: Record<string, unknown> };
+        calls.push(
+          `intent:${String(body.context.redraft_of)}:${String(body.context.conversation_id)}`,
+        );
+        return HttpResponse.json({ success: true, data: { message: 'Revised.' } });
+      }),
+    );
+
+    const response = await agentwpClient.redraft('status_xyz789', 'Revise: notify the customer', {
+      conversation_id: 'thread-1',
+    });
+
+    expect(response.success).toBe(true);
+    expect(calls).toEqual(['delete:status_xyz789', 'intent:status_xyz789:thread-1']);
+  });
+});
+
+describe('AgentWPClient usage queries', () => {
+  it('sends a custom range instead of a period', async () => {
+    const queries: string[] = [];
+    server.use(
+      http.get(`${API_BASE}/usage`, ({ request }) => {
+        queries.push(new URL(request.url).search);
+      }),
+    );
+
+    await agentwpClient.getUsage('week');
+    await agentwpClient.getUsage({ from: '2024-01-01', to: '2024-03-31', granularity: 'month' });
+
+    expect(queries).toEqual(['?period=week', '?from=2024-01-01&to=2024-03-31&granularity=month']);
+  });
+});
+
+describe('AgentWPClient intent streaming', () => {
+  it('delivers deltas and progress before resolving with the final payload', async () => {
+    const onDelta = vi.fn();
+    const onProgress = vi.fn();
+
+    const response = await agentwpClient.processIntentStream(
+      'Show pending orders',
+      {},
+      { onDelta, onProgress },
+    );
+
+    expect(onProgress).toHaveBeenCalledWith({ tool: 'search_orders', label: 'Searching orders…' });
+    expect(onDelta).toHaveBeenCalledTimes(1);
+    expect(response.success).toBe(true);
+    if (response.success) {
+      expect(response.data.message).toBe(onDelta.mock.calls[0]?.[0]);
+    }
+  });
+
+  it('reassembles events split across chunks', async () => {
+    server.use(
+      http.post(`${API_BASE}/intent/stream`, () => {
+        const encoder = new TextEncoder();
+        const chunks = [
+          'event: delta\ndata: {"text":"Hel',
+          'lo"}\n\nevent: done\r\ndata: {"message":"Hello"}\r\n\r\n',
+        ];
+        const body = new ReadableStream<Uint8Array>({
+          start(controller) {
+            chunks.forEach((chunk) => controller.enqueue(encoder.encode(chunk)));
+            controller.close();
+          },
+        });
+        return new HttpResponse(body, { headers: { 'Content-Type': 'text/event-stream' } });
+      }),
+    );
+    const onDelta = vi.fn();
+
+    const response = await agentwpClient.processIntentStream('Hi', {}, { onDelta });
+
+    expect(onDelta).toHaveBeenCalledWith('Hello');
+    expect(response.success && response.data.message).toBe('Hello');
+  });
+
+  it('maps error events onto error responses', async () => {
+    server.use(
+      http.post(`${API_BASE}/intent/stream`, () =>
+        streamResponse([
+          { event: 'start', data: { intent_id: 'intent-2' } },
+          {
+            event: 'error',
+            data: {
+              code: 'agentwp_intent_failed',
+              message: 'OpenAI API key is missing.',
+              status: 401,
+              meta: {},
+            },
+          },
+        ]),
+      ),
+    );
+
+    const response = await agentwpClient.processIntentStream('Hi');
+
+    expect(response.success).toBe(false);
+    if (!response.success) {
+      expect(response.error.code).toBe('agentwp_intent_failed');
+      expect(response.error.status).toBe(401);
+      expect(response.error.message).toBe('OpenAI API key is missing.');
+    }
+  });
+
+  it('falls back to JSON error envelopes sent before the stream opens', async () => {
+    server.use(
+      http.post(`${API_BASE}/intent/stream`, () =>
+        HttpResponse.json(
+          {
+            success: false,
+            data: [],
+            error: { code: 'agentwp_missing_prompt', message: 'Please provide a prompt.' },
+          },
+          { status: 400 },
+        ),
+      ),
+    );
+
+    const response = await agentwpClient.processIntentStream(' ');
+
+    expect(response.success).toBe(false);
+    if (!response.success) {
+      expect(response.error.type).toBe('validation_error');
+    }
+  });
+
+  it('reports streams that end without a final event', async () => {
+    server.use(
+      http.post(`${API_BASE}/intent/stream`, () =>
+        streamResponse([{ event: 'start', data: { intent_id: 'intent-3' } }]),
+      ),
+    );
+
+    const response = await agentwpClient.processIntentStream('Hi');
+
+    expect(response.success).toBe(false);
+    if (!response.success) {
+      expect(response.error.code).toBe('agentwp_network_error');
+    }
+  });
+
+  it('rethrows aborts while the stream is open', async () => {
+    server.use(
+      http.post(`${API_BASE}/intent/stream`, () => {
+        const encoder = new TextEncoder();
+        const body = new ReadableStream<Uint8Array>({
+          start(controller) {
+            controller.enqueue(
+              encoder.encode(
+                'event: progress\ndata: {"tool":"search_orders","label":"Searching orders…"}\n\n',
+              ),
+            );
+          },
+        });
+        return new HttpResponse(body, { headers: { 'Content-Type': 'text/event-stream' } });
+      }),
+    );
+    const controller = new AbortController();
+
+    const pending = agentwpClient.processIntentStream(
+      'Hi',
+      {},
+      { onProgress: () => controller.abort() },
+      { signal: controller.signal },
+    );
+
+    await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
+
+describe('AgentWPClient retries', () => {
+  const unavailable = () =>
+    HttpResponse.json(
+      { success: false, data: [], error: { code: 'agentwp_api_error', message: 'Try later.' } },
+      { status: 503 },
+    );
+
+  it('retries idempotent requests after retryable failures', async () => {
+    let calls = 0;
+    server.use(
+      http.get(`${API_BASE}/settings`, () => {
+        calls += 1;
+        return calls === 1 ? unavailable() : HttpResponse.json({ success: true, data: {} });
+      }),
+    );
+    const onRetry = vi.fn();
+
+    const response = await agentwpClient.getSettings({ retry: { baseDelayMs: 0 }, onRetry });
+
+    expect(response.success).toBe(true);
+    expect(calls).toBe(2);
+    expect(onRetry).toHaveBeenCalledWith(
+      expect.objectContaining({ attempt: 1, maxRetries: 2, delayMs: 0 }),
+    );
+  });
+
+  it('gives up after the retry limit', async () => {
+    let calls = 0;
+    server.use(
+      http.get(`${API_BASE}/settings`, () => {
+        calls += 1;
+        return unavailable();
+      }),
+    );
+
+    const response = await agentwpClient.getSettings({ retry: { baseDelayMs: 0, maxRetries: 1 } });
+
+    expect(response.success).toBe(false);
+    expect(calls).toBe(2);
+  });
+
+  it('does not repeat writes unless asked to', async () => {
+    let calls = 0;
+    server.use(
+      http.post(`${API_BASE}/intent`, () => {
+        calls += 1;
+        return unavailable();
+      }),
+    );
+
+    await agentwpClient.processIntent('Hi');
+    expect(calls).toBe(1);
+
+    await agentwpClient.processIntent('Hi', {}, { retry: { baseDelayMs: 0, maxRetries: 1 } });
+    expect(calls).toBe(3);
+  });
+
+  it('stops waiting when the request is aborted', async () => {
+    server.use(http.get(`${API_BASE}/settings`, unavailable));
+    const controller = new AbortController();
+
+    const pending = agentwpClient.getSettings({
+      signal: controller.signal,
+      onRetry: () => controller.abort(),
+    });
+
+    await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
+
+describe('AgentWPClient in-flight tracking', () => {
+  it('shares identical GETs already running', async () => {
+    let calls = 0;
+    server.use(
+      http.get(`${API_BASE}/settings`, async () => {
+        calls += 1;
+        await delay(20);
+        return HttpResponse.json({ success: true, data: { calls } });
+      }),
+    );
+
+    const [first, second] = await Promise.all([
+      agentwpClient.getSettings(),
+      agentwpClient.getSettings(),
+    ]);
+
+    expect(calls).toBe(1);
+    expect(first).toEqual(second);
+
+    await agentwpClient.getSettings();
+    expect(calls).toBe(2);
+  });
+
+  it('lets one caller give up on a shared GET without cancelling the others', async () => {
+    server.use(
+      http.get(`${API_BASE}/settings`, async () => {
+        await delay(20);
+        return HttpResponse.json({ success: true, data: {} });
+      }),
+    );
+    const controller = new AbortController();
+
+    const cancelled = agentwpClient.getSettings({ signal: controller.signal });
+    const kept = agentwpClient.getSettings();
+    controller.abort();
+
+    await expect(cancelled).rejects.toMatchObject({ name: 'AbortError' });
+    await expect(kept).resolves.toMatchObject({ success: true });
+  });
+
+  it('cancels the running request when another starts with the same key', async () => {
+    server.use(
+      http.post(`${API_BASE}/intent`, async () => {
+        await delay(20);
+        return HttpResponse.json({ success: true, data: { message: 'Done.' } });
+      }),
+    );
+
+    const stale = agentwpClient.processIntent('First', {}, { key: 'intent' });
+    const latest = agentwpClient.processIntent('Second', {}, { key: 'intent' });
+
+    await expect(stale).rejects.toMatchObject({ name: 'AbortError' });
+    await expect(latest).resolves.toMatchObject({ success: true });
+  });
+
+  it('counts pending requests and notifies subscribers', async () => {
+    const counts: number[] = [];
+    const unsubscribe = agentwpClient.subscribePending(() =>
+      counts.push(agentwpClient.getPendingCount()),
+    );
+
+    const pending = agentwpClient.getSettings();
+    expect(agentwpClient.getPendingCount()).toBe(1);
+    await pending;
+    unsubscribe();
+
+    expect(agentwpClient.getPendingCount()).toBe(0);
+    expect(counts).toEqual([1, 0]);
+  });
+});
+
+describe('AgentWPClient nonce refresh', () => {
+  const NONCE_URL = '/wp-admin/admin-ajax.php';
+  const originalSettings = window.agentwpSettings;
+
+  const nonceError = () =>
+    HttpResponse.json(
+      {
+        success: false,
+        data: [],
+        error: { code: 'agentwp_invalid_nonce', message: 'Invalid security nonce.' },
+      },
+      { status: 403 },
+    );
+
+  beforeEach(() => {
+    window.agentwpSettings = { ...originalSettings, nonceUrl: `${NONCE_URL}?action=rest-nonce` };
+  });
+
+  afterEach(() => {
+    window.agentwpSettings = originalSettings;
+  });
+
+  it('fetches a fresh nonce and replays the rejected request once', async () => {
+    const sentNonces: (string | null)[] = [];
+    let nonceFetches = 0;
+    server.use(
+      http.get(NONCE_URL, () => {
+        nonceFetches += 1;
+        return new HttpResponse('0123456789');
+      }),
+      http.post(`${API_BASE}/settings`, ({ request }) => {
+        const nonce = request.headers.get('X-WP-Nonce');
+        sentNonces.push(nonce);
+        return nonce === '0123456789'
+          ? HttpResponse.json({ success: true, data: { updated: true } })
+          : nonceError();
+      }),
+    );
+
+    const response = await agentwpClient.updateSettings({ model: 'gpt-4o-mini' });
+
+    expect(response.success).toBe(true);
+    expect(sentNonces).toEqual(['test-nonce', '0123456789']);
+    expect(nonceFetches).toBe(1);
+    expect(agentwpClient.getNonce()).toBe('0123456789');
+  });
+
+  it('returns the nonce error when the login session has expired', async () => {
+    let attempts = 0;
+    server.use(
+      http.get(NONCE_URL, () => new HttpResponse('0', { status: 400 })),
+      http.post(`${API_BASE}/settings`, () => {
+        attempts += 1;
+        return nonceError();
+      }),
+    );
+
+    const response = await agentwpClient.updateSettings({ model: 'gpt-4o-mini' });
+
+    expect(response.success).toBe(false);
+    if (!response.success) {
+      expect(response.error.code).toBe('agentwp_invalid_nonce');
+    }
+    expect(attempts).toBe(1);
+    expect(agentwpClient.getNonce()).toBe('test-nonce');
+  });
+
+  it('replays an intent stream that was refused for its nonce', async () => {
+    server.use(
+      http.get(NONCE_URL, () => new HttpResponse('abcdef0123')),
+      http.post(`${API_BASE}/intent/stream`, ({ request }) =>
+        request.headers.get('X-WP-Nonce') === 'abcdef0123'
+          ? streamResponse([{ event: 'done', data: { intent: 'general', message: 'Hello' } }])
+          : nonceError(),
+      ),
+    );
+
+    const response = await agentwpClient.processIntentStream('Hi');
+
+    expect(response.success).toBe(true);
+    if (response.success) {
+      expect(response.data.message).toBe('Hello');
+    }
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_RETRY_POLICY, getRetryDelay, isRetryableError } from '../../src/api/retry-policy';
+
+const serverError = { type: 'api_error' as const, status: 503, retryAfter: 0 };
+
+describe('retry policy', () => {
+  it('retries network failures, rate limits and transient server errors only', () => {
+    expect(isRetryableError({ type: 'network_error', status: 0, retryAfter: 0 })).toBe(true);
+    expect(isRetryableError({ type: 'rate_limit', status: 429, retryAfter: 0 })).toBe(true);
+    expect(isRetryableError(serverError)).toBe(true);
+    expect(isRetryableError({ type: 'auth_error', status: 401, retryAfter: 0 })).toBe(false);
+    expect(isRetryableError({ type: 'validation_error', status: 400, retryAfter: 0 })).toBe(false);
+  });
+
+  it('doubles the delay per attempt with jitter, up to the cap', () => {
+    const noJitter = () => 0.5;
+
+    expect(getRetryDelay(1, serverError, DEFAULT_RETRY_POLICY, noJitter)).toBe(1000);
+    expect(getRetryDelay(2, serverError, DEFAULT_RETRY_POLICY, noJitter)).toBe(2000);
+    expect(getRetryDelay(1, serverError, DEFAULT_RETRY_POLICY, () => 1)).toBe(1250);
+    expect(getRetryDelay(1, serverError, DEFAULT_RETRY_POLICY, () => 0)).toBe(750);
+    expect(
+      getRetryDelay(10, serverError, { ...DEFAULT_RETRY_POLICY, maxRetries: 10 }, noJitter),
+    ).toBe(30000);
+  });
+
+  it('waits exactly as long as the server asks', () => {
+    const rateLimited = { type: 'rate_limit' as const, status: 429, retryAfter: 60 };
+
+    expect(getRetryDelay(1, rateLimited)).toBe(60000);
+    expect(getRetryDelay(1, { ...rateLimited, retryAfter: 600 })).toBeNull();
+  });
+
+  it('stops after the retry limit', () => {
+    expect(getRetryDelay(3, serverError)).toBeNull();
+    expect(getRetryDelay(1, serverError, { ...DEFAULT_RETRY_POLICY, maxRetries: 0 })).toBeNull();
+  });
+});
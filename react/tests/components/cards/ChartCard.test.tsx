@@ -28,6 +28,9 @@ vi.mock('react-chartjs-2', async () => {
         role={props.role}
         aria-label={props['aria-label']}
         aria-describedby={props['aria-describedby']}
+        // Stands in for Chart.js reporting a click on the second label
+        onClick={() => props.options?.onClick?.({}, [{ index: 1, datasetIndex: 0 }])}
+        onKeyDown={() => undefined}
       />
     );
   });
@@ -63,4 +66,20 @@ describe('ChartCard', () => {
     unmount();
     anchorClick.mockRestore();
   });
+
+  it('reports the clicked label index', async () => {
+    const user = userEvent.setup();
+    const onSelect = vi.fn();
+    render(
+      <ChartCard
+        title="Sales"
+        type="bar"
+        data={{ labels: ['A', 'B'], datasets: [{ label: 'X', data: [1, 2] }] }}
+        onSelect={onSelect}
+      />,
+    );
+
+    await user.click(screen.getByRole('img', { name: 'Sales' }));
+    expect(onSelect).toHaveBeenCalledWith(1);
+  });
 });
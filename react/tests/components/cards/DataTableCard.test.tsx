@@ -38,6 +38,41 @@ describe('DataTableCard', () => {
     expect(screen.getByText('Showing 2-2 of 2')).toBeInTheDocument();
   });
 
+  it('exports every row in the current sort order', async () => {
+    const user = userEvent.setup();
+    const blobs: Blob[] = [];
+    const originalCreate = URL.createObjectURL;
+    const originalRevoke = URL.revokeObjectURL;
+    URL.createObjectURL = vi.fn((blob: Blob) => {
+      blobs.push(blob);
+      return 'blob:export';
+    });
+    URL.revokeObjectURL = vi.fn();
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+    try {
+      render(<DataTableCard title="Orders" columns={columns} rows={rows} pageSize={1} />);
+      await act(async () => {
+        await user.click(screen.getByRole('button', { name: 'Sort by Name' }));
+      });
+      await act(async () => {
+        await user.click(screen.getByRole('button', { name: 'Export Orders as CSV' }));
+      });
+
+      expect(click).toHaveBeenCalledTimes(1);
+      const csv = await new Promise<unknown>((resolve) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.readAsText(blobs[0]!);
+      });
+      expect(csv).toBe('Name,Count\r\nAlpha,1\r\nBravo,2');
+    } finally {
+      URL.createObjectURL = originalCreate;
+      URL.revokeObjectURL = originalRevoke;
+      click.mockRestore();
+    }
+  });
+
   it('renders empty state', () => {
     render(<DataTableCard columns={columns} rows={[]} />);
 
@@ -0,0 +1,138 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import { describe, expect, it, vi } from 'vitest';
+import { AnalyticsDashboard } from '../../../src/features/analytics';
+import {
+  buildAnalyticsReport,
+  buildMetricTiles,
+  formatDelta,
+} from '../../../src/features/analytics/dashboard-data';
+import type { AnalyticsData } from '../../../src/types';
+
+vi.mock('chart.js', () => ({
+  Chart: { register: vi.fn() },
+  CategoryScale: {},
+  LinearScale: {},
+  PointElement: {},
+  LineElement: {},
+  BarElement: {},
+  ArcElement: {},
+  Tooltip: {},
+  Legend: {},
+  Filler: {},
+}));
+
+vi.mock('react-chartjs-2', async () => {
+  const ReactLocal = await import('react');
+  const MockChart = ReactLocal.forwardRef<any, any>((props, _ref) => (
+    <div
+      role={props.role}
+      aria-label={props['aria-label']}
+      // Stands in for Chart.js reporting a click on the second label
+      onClick={() => props.options?.onClick?.({}, [{ index: 1, datasetIndex: 0 }])}
+      onKeyDown={() => undefined}
+    />
+  ));
+  return { Line: MockChart, Bar: MockChart, Doughnut: MockChart };
+});
+
+const data: AnalyticsData = {
+  label: 'Last 7 days',
+  labels: ['Mon', 'Tue', 'Wed'],
+  current: [4200, 4360, 4520],
+  previous: [3900, 4020, 4140],
+  metrics: {
+    labels: ['Revenue', 'Orders', 'Refunds'],
+    current: [13080, 52, 300],
+    previous: [12060, 52, 200],
+  },
+  categories: {
+    labels: ['Accessories', 'Home'],
+    values: [8000, 5080],
+  },
+};
+
+describe('buildMetricTiles', () => {
+  it('formats values and flags regressions, treating refunds as inverted', () => {
+    const [revenue, orders, refunds] = buildMetricTiles(data);
+
+    expect(revenue).toMatchObject({ value: '$13,080', positive: true });
+    expect(formatDelta(revenue?.delta ?? null)).toBe('+8.5%');
+    expect(orders).toMatchObject({ value: '52', delta: 0 });
+    expect(refunds).toMatchObject({ positive: false });
+    expect(
+      formatDelta(
+        buildMetricTiles({ ...data, metrics: { ...data.metrics, previous: [0, 0, 0] } })[0]
+          ?.delta ?? null,
+      ),
+    ).toBe('No prior data');
+  });
+});
+
+describe('buildAnalyticsReport', () => {
+  it('exports metrics, the trend and categories as separate tables', () => {
+    const report = buildAnalyticsReport(data);
+
+    expect(report.tables.map((table) => table.title)).toEqual([
+      'Key metrics',
+      'Revenue trend',
+      'Sales by category',
+    ]);
+    expect(report.tables[0]?.rows[1]).toEqual(['Orders', '52', '52']);
+    expect(report.tables[1]?.rows[0]).toEqual(['Mon', 4200, 3900]);
+  });
+});
+
+describe('AnalyticsDashboard', () => {
+  it('renders KPI tiles and both charts', async () => {
+    render(<AnalyticsDashboard data={data} theme="dark" />);
+
+    expect(await screen.findByRole('img', { name: 'Revenue trend' })).toBeInTheDocument();
+    expect(screen.getByRole('img', { name: 'Sales by category' })).toBeInTheDocument();
+    expect(screen.getByText('Revenue').nextElementSibling).toHaveTextContent('$13,080');
+    expect(screen.getByText('+50%')).toHaveClass('text-rose-400');
+  });
+
+  it('sends drill-down prompts for days and categories', async () => {
+    const onDrillDown = vi.fn();
+    render(<AnalyticsDashboard data={data} theme="dark" onDrillDown={onDrillDown} />);
+
+    fireEvent.click(await screen.findByRole('img', { name: 'Revenue trend' }));
+    expect(onDrillDown).toHaveBeenLastCalledWith(
+      expect.stringContaining('$4,360 in revenue on Tue'),
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: 'Accessories' }));
+    expect(onDrillDown).toHaveBeenLastCalledWith(
+      expect.stringContaining('the Accessories category'),
+    );
+  });
+
+  it('describes weekly buckets and year-over-year comparisons', async () => {
+    const onDrillDown = vi.fn();
+    render(
+      <AnalyticsDashboard
+        data={{
+          ...data,
+          label: 'Jan 1, 2024 – Mar 31, 2024',
+          labels: ['Jan 1', 'Jan 8', 'Jan 15'],
+          range: {
+            start: '2024-01-01',
+            end: '2024-03-31',
+            previous_start: '2023-01-01',
+            previous_end: '2023-03-31',
+            granularity: 'week',
+            compare: 'year',
+          },
+        }}
+        theme="dark"
+        onDrillDown={onDrillDown}
+      />,
+    );
+
+    fireEvent.click(await screen.findByRole('img', { name: 'Revenue trend' }));
+    expect(onDrillDown).toHaveBeenLastCalledWith(
+      expect.stringContaining('in the week of Jan 8 (Jan 1, 2024 – Mar 31, 2024)'),
+    );
+    expect(screen.getByText(/vs same period last year/)).toBeInTheDocument();
+  });
+});
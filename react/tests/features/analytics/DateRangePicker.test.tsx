@@ -0,0 +1,52 @@
+import { useState } from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import { describe, expect, it, vi } from 'vitest';
+import { DateRangePicker } from '../../../src/features/analytics';
+import type { AnalyticsRange } from '../../../src/types';
+import { createAnalyticsRange } from '../../../src/utils/date-range';
+
+function Harness({ onChange }: { onChange: (range: AnalyticsRange) => void }) {
+  const [range, setRange] = useState(() => createAnalyticsRange('30d'));
+  return (
+    <DateRangePicker
+      value={range}
+      onChange={(next) => {
+        setRange(next);
+        onChange(next);
+      }}
+    />
+  );
+}
+
+describe('DateRangePicker', () => {
+  it('only applies custom dates once they form a valid range', () => {
+    const onChange = vi.fn();
+    render(<Harness onChange={onChange} />);
+
+    fireEvent.change(screen.getByLabelText('Range'), { target: { value: 'custom' } });
+    onChange.mockClear();
+
+    fireEvent.change(screen.getByLabelText('From'), { target: { value: '2024-03-10' } });
+    fireEvent.change(screen.getByLabelText('To'), { target: { value: '2024-03-01' } });
+    expect(screen.getByRole('alert')).toHaveTextContent('on or before');
+
+    fireEvent.change(screen.getByLabelText('From'), { target: { value: '2024-02-01' } });
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+    expect(onChange).toHaveBeenLastCalledWith(
+      expect.objectContaining({ preset: 'custom', from: '2024-02-01', to: '2024-03-01' }),
+    );
+  });
+
+  it('switches granularity and comparison', () => {
+    const onChange = vi.fn();
+    render(<Harness onChange={onChange} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Week' }));
+    expect(screen.getByRole('button', { name: 'Week' })).toHaveAttribute('aria-pressed', 'true');
+
+    fireEvent.change(screen.getByLabelText('Compare with'), { target: { value: 'year' } });
+    expect(onChange).toHaveBeenLastCalledWith(
+      expect.objectContaining({ granularity: 'week', compare: 'year' }),
+    );
+  });
+});
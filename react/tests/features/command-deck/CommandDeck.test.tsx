@@ -0,0 +1,635 @@
+import type { ComponentProps } from 'react';
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+import { delay, http, HttpResponse } from 'msw';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import agentwpClient from '../../../src/api/AgentWPClient';
+import { DEFAULT_RETRY_POLICY } from '../../../src/api/retry-policy';
+import { CommandDeck } from '../../../src/features/command-deck';
+import { useModalStore } from '../../../src/stores/useModalStore';
+import { useOfflineQueueStore } from '../../../src/stores/useOfflineQueueStore';
+import { useSearchStore } from '../../../src/stores/useSearchStore';
+import { useThemeStore } from '../../../src/stores/useThemeStore';
+import { useThreadStore } from '../../../src/stores/useThreadStore';
+import { EMPTY_SESSION_METRICS } from '../../../src/utils/metrics';
+import { errorHandlers } from '../../mocks/handlers';
+import { server } from '../../mocks/server';
+
+const API_BASE = '/wp-json/agentwp/v1';
+
+vi.mock('../../../src/hooks/useVoice', () => ({
+  useVoice: () => ({
+    sttSupported: false,
+    ttsSupported: false,
+    isListening: false,
+    isSpeaking: false,
+    finalTranscript: '',
+    error: null,
+    startListening: vi.fn(),
+    stopListening: vi.fn(),
+    speakResponse: vi.fn(),
+    stopSpeaking: vi.fn(),
+    resetTranscripts: vi.fn(),
+    resetAll: vi.fn(),
+  }),
+}));
+
+const renderDeck = (props: ComponentProps<typeof CommandDeck> = {}) => {
+  const queryClient = new QueryClient({
+    defaultOptions: { queries: { retry: false, gcTime: 0 } },
+  });
+  render(
+    <QueryClientProvider client={queryClient}>
+      <CommandDeck {...props} />
+    </QueryClientProvider>,
+  );
+  return screen.getByLabelText('Enter your prompt');
+};
+
+const intent = vi.fn();
+
+beforeEach(() => {
+  useModalStore.getState().setPrompt('');
+  useModalStore.getState().setError(null);
+  useSearchStore.getState().clearRecent();
+  useThemeStore.getState().setPreference('light');
+  // Record intent requests, then fall through to the default handlers
+  server.use(
+    http.post(`${API_BASE}/intent`, async ({ request }) => {
+      intent(await request.json());
+    }),
+    http.post(`${API_BASE}/intent/stream`, async ({ request }) => {
+      intent(await request.json());
+    }),
+  );
+});
+
+describe('CommandDeck slash commands', () => {
+  it('suggests commands and completes the argument options', async () => {
+    const input = renderDeck();
+
+    fireEvent.change(input, { target: { value: '/th' } });
+    expect(screen.getByRole('listbox', { name: 'Commands' })).toBeInTheDocument();
+    expect(screen.getByRole('option', { name: /\/theme/ })).toBeInTheDocument();
+
+    fireEvent.keyDown(input, { key: 'Enter' });
+    expect(input).toHaveValue('/theme ');
+
+    fireEvent.change(input, { target: { value: '/theme d' } });
+    fireEvent.keyDown(input, { key: 'Tab' });
+    expect(input).toHaveValue('/theme dark');
+  });
+
+  it('runs commands locally without calling the intent endpoint', async () => {
+    const input = renderDeck();
+
+    fireEvent.change(input, { target: { value: '/theme dark' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    await waitFor(() => expect(useThemeStore.getState().preference).toBe('dark'));
+    expect(input).toHaveValue('');
+    expect(intent).not.toHaveBeenCalled();
+  });
+
+  it('adds command results to the conversation', async () => {
+    const input = renderDeck();
+
+    fireEvent.change(input, { target: { value: '/help' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(
+      await screen.findByText('These commands run instantly without asking the assistant.'),
+    ).toBeInTheDocument();
+    const turns = useThreadStore.getState().getActiveThread()?.turns ?? [];
+    expect(turns.at(-1)?.prompt).toBe('/help');
+    expect(intent).not.toHaveBeenCalled();
+  });
+
+  it('explains unknown commands', async () => {
+    const input = renderDeck();
+
+    fireEvent.change(input, { target: { value: '/refund 12' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(await screen.findByText(/Unknown command "\/refund"/)).toBeInTheDocument();
+    expect(intent).not.toHaveBeenCalled();
+  });
+});
+
+describe('CommandDeck entity chips', () => {
+  const originalSettings = window.agentwpSettings;
+
+  beforeEach(() => {
+    window.agentwpSettings = {
+      ...originalSettings,
+      editUrls: { product: '/wp-admin/post.php?post={id}&action=edit' },
+    };
+    server.use(
+      http.get(`${API_BASE}/search`, () =>
+        HttpResponse.json({
+          success: true,
+          data: {
+            query: 'hoodie',
+            results: {
+              products: [
+                {
+                  id: 42,
+                  type: 'products',
+                  primary: 'Blue Hoodie',
+                  secondary: 'HOOD-BLU',
+                  query: 'product:42 sku:"HOOD-BLU"',
+                },
+              ],
+            },
+          },
+        }),
+      ),
+    );
+  });
+
+  afterEach(() => {
+    window.agentwpSettings = originalSettings;
+  });
+
+  const pickHoodie = async (input: HTMLElement) => {
+    fireEvent.change(input, { target: { value: 'hoodie' } });
+    fireEvent.click(await screen.findByRole('option', { name: /Blue Hoodie/ }));
+  };
+
+  it('turns a picked result into a chip and sends it as context', async () => {
+    const input = renderDeck();
+    await pickHoodie(input);
+
+    expect(input).toHaveValue('');
+    expect(screen.getByRole('button', { name: 'Product Blue Hoodie' })).toBeInTheDocument();
+
+    fireEvent.change(input, { target: { value: 'How many are in stock?' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    await waitFor(() => expect(intent).toHaveBeenCalled());
+    expect(intent.mock.calls[0]?.[0]).toMatchObject({
+      prompt: 'How many are in stock?',
+      context: { entities: [{ type: 'product', id: 42, label: 'Blue Hoodie' }] },
+    });
+    // Chips belong to the prompt they were sent with
+    await waitFor(() =>
+      expect(screen.queryByRole('button', { name: 'Product Blue Hoodie' })).toBeNull(),
+    );
+  });
+
+  it('offers quick actions for a chip', async () => {
+    const input = renderDeck();
+    await pickHoodie(input);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Product Blue Hoodie' }));
+    expect(screen.getByRole('link', { name: 'Open in WooCommerce' })).toHaveAttribute(
+      'href',
+      '/wp-admin/post.php?post=42&action=edit',
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: 'Ask about this' }));
+    await waitFor(() => expect(intent).toHaveBeenCalled());
+    expect(intent.mock.calls[0]?.[0]).toMatchObject({
+      prompt: 'Tell me about Blue Hoodie',
+      context: { entities: [{ type: 'product', id: 42 }] },
+    });
+  });
+
+  it('removes the last chip with Backspace in an empty prompt', async () => {
+    const input = renderDeck();
+    await pickHoodie(input);
+
+    fireEvent.keyDown(input, { key: 'Backspace' });
+    expect(screen.queryByRole('list', { name: 'Selected records' })).toBeNull();
+  });
+});
+
+describe('CommandDeck typeahead', () => {
+  const searches = vi.fn();
+
+  beforeEach(() => {
+    searches.mockReset();
+    server.use(
+      http.get(`${API_BASE}/search`, ({ request }) => {
+        const url = new URL(request.url);
+        searches(url.searchParams.get('types'));
+        return HttpResponse.json({
+          success: true,
+          data: {
+            query: url.searchParams.get('q'),
+            results: {
+              products: [{ id: 42, type: 'products', primary: 'Blue Hoodie', secondary: '' }],
+              orders: [{ id: 1001, type: 'orders', primary: 'Order #1001', secondary: '' }],
+            },
+          },
+        });
+      }),
+    );
+  });
+
+  it('groups results under headers with counts and moves across groups', async () => {
+    const input = renderDeck();
+    fireEvent.change(input, { target: { value: 'hoodie' } });
+
+    expect(await screen.findByRole('group', { name: 'Products (1)' })).toBeInTheDocument();
+    expect(screen.getByRole('group', { name: 'Orders (1)' })).toBeInTheDocument();
+
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    expect(screen.getByRole('option', { name: /Order #1001/ })).toHaveAttribute(
+      'aria-selected',
+      'true',
+    );
+  });
+
+  it('scopes the search with a prefix', async () => {
+    const input = renderDeck();
+    fireEvent.change(input, { target: { value: '#1001' } });
+
+    await waitFor(() => expect(searches).toHaveBeenCalledWith('orders'));
+    expect(await screen.findByRole('option', { name: /1001/ })).toBeInTheDocument();
+    expect(screen.queryByRole('option', { name: /Blue Hoodie/ })).toBeNull();
+  });
+
+  it('cycles the type filter with Tab', async () => {
+    const input = renderDeck();
+    fireEvent.change(input, { target: { value: 'hoodie' } });
+    await screen.findByRole('group', { name: 'Products (1)' });
+
+    fireEvent.keyDown(input, { key: 'Tab' });
+    expect(screen.getByRole('button', { name: 'Products' })).toHaveAttribute(
+      'aria-pressed',
+      'true',
+    );
+    await waitFor(() => expect(searches).toHaveBeenCalledWith('products'));
+  });
+
+  it('lists recent selections when the query is empty', async () => {
+    const input = renderDeck();
+    fireEvent.change(input, { target: { value: 'hoodie' } });
+    fireEvent.click(await screen.findByRole('option', { name: /Blue Hoodie/ }));
+
+    fireEvent.keyDown(input, { key: 'Backspace' });
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    const recent = screen.getByRole('listbox', { name: 'Recent selections' });
+    expect(recent).toHaveTextContent('Blue Hoodie');
+  });
+});
+
+describe('CommandDeck metrics', () => {
+  it('shows latency, model, tokens and cost under each response and totals the session', async () => {
+    useModalStore.setState({ session: EMPTY_SESSION_METRICS });
+    useThreadStore.getState().startThread();
+    const input = renderDeck();
+
+    fireEvent.change(input, { target: { value: 'Show sales today' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    const metrics = await screen.findByLabelText('Response metrics');
+    expect(metrics).toHaveTextContent(/\d+ ms/);
+    expect(metrics).toHaveTextContent('gpt-4o-mini');
+    expect(metrics).toHaveTextContent('1,200 in / 150 out tokens');
+    expect(metrics).toHaveTextContent('$0.0003');
+    expect(screen.getByLabelText('Session usage')).toHaveTextContent(
+      /Session: 1 prompt · 1,350 tokens · \$0\.0003 · avg \d+ ms/,
+    );
+
+    fireEvent.change(input, { target: { value: 'And yesterday?' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    await waitFor(() =>
+      expect(screen.getByLabelText('Session usage')).toHaveTextContent('2 prompts · 2,700 tokens'),
+    );
+    expect(screen.getAllByLabelText('Response metrics')).toHaveLength(2);
+  });
+});
+
+describe('CommandDeck retries', () => {
+  afterEach(() => {
+    agentwpClient.setRetryPolicy(DEFAULT_RETRY_POLICY);
+  });
+
+  it('counts down to the rate limit reset and lets the retry be cancelled', async () => {
+    server.use(
+      http.post(`${API_BASE}/intent/stream`, () =>
+        HttpResponse.json(
+          {
+            success: false,
+            data: [],
+            error: { code: 'agentwp_rate_limited', message: 'Too many requests.' },
+          },
+          { status: 429, headers: { 'Retry-After': '60' } },
+        ),
+      ),
+    );
+    useThreadStore.getState().startThread();
+    const input = renderDeck();
+
+    fireEvent.change(input, { target: { value: 'Show sales today' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(await screen.findByText('Retrying in 60s')).toBeInTheDocument();
+    expect(useModalStore.getState().retryAttempt).toBe(1);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+    expect(screen.queryByText(/Retrying in/)).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Try Again' })).toBeInTheDocument();
+  });
+
+  it('sends the prompt again once the server is ready for it', async () => {
+    let calls = 0;
+    server.use(
+      http.post(`${API_BASE}/intent/stream`, () => {
+        calls += 1;
+        if (calls > 1) return undefined;
+        return HttpResponse.json(
+          { success: false, data: [], error: { code: 'agentwp_api_error', message: 'Down.' } },
+          { status: 503, headers: { 'Retry-After': '1' } },
+        );
+      }),
+    );
+    useThreadStore.getState().startThread();
+    const input = renderDeck();
+
+    fireEvent.change(input, { target: { value: 'Show sales today' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(
+      await screen.findByLabelText('Response metrics', {}, { timeout: 3000 }),
+    ).toBeInTheDocument();
+    expect(calls).toBe(2);
+    expect(useModalStore.getState().retryAttempt).toBe(0);
+  });
+
+  it('leaves failures that may have reached the server to a manual retry', async () => {
+    agentwpClient.setRetryPolicy({ baseDelayMs: 0 });
+    let calls = 0;
+    server.use(
+      http.post(`${API_BASE}/intent/stream`, () => {
+        calls += 1;
+        return calls === 1 ? HttpResponse.error() : undefined;
+      }),
+    );
+    useThreadStore.getState().startThread();
+    const input = renderDeck();
+
+    fireEvent.change(input, { target: { value: 'Show sales today' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    const retry = await screen.findByRole('button', { name: 'Try Again' });
+    expect(screen.queryByText(/Retrying in/)).not.toBeInTheDocument();
+    expect(useModalStore.getState().retryAttempt).toBe(0);
+    expect(calls).toBe(1);
+
+    fireEvent.click(retry);
+    expect(await screen.findByLabelText('Response metrics')).toBeInTheDocument();
+    expect(calls).toBe(2);
+  });
+});
+
+describe('CommandDeck error recovery', () => {
+  const failWith = (error: Record<string, unknown>, status: number) =>
+    HttpResponse.json({ success: false, data: [], error }, { status });
+
+  it('opens settings to update an invalid API key', async () => {
+    server.use(
+      http.post(`${API_BASE}/intent/stream`, () =>
+        failWith({ code: 'agentwp_invalid_key', message: 'Invalid key.' }, 401),
+      ),
+    );
+    const onOpenSettings = vi.fn();
+    useThreadStore.getState().startThread();
+    const input = renderDeck({ onOpenSettings });
+
+    fireEvent.change(input, { target: { value: 'Show sales today' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Update API key' }));
+    expect(onOpenSettings).toHaveBeenCalled();
+    expect(useModalStore.getState().isOpen).toBe(false);
+  });
+
+  it('sends the prompt again on the fallback model without changing the setting', async () => {
+    const settingsUpdates: unknown[] = [];
+    const contexts: unknown[] = [];
+    let calls = 0;
+    server.use(
+      http.get(`${API_BASE}/settings`, () =>
+        HttpResponse.json({ success: true, data: { settings: { model: 'gpt-4o' } } }),
+      ),
+      http.post(`${API_BASE}/settings`, async ({ request }) => {
+        settingsUpdates.push(await request.json());
+        return HttpResponse.json({ success: true, data: { updated: true } });
+      }),
+      http.post(`${API_BASE}/intent/stream`, async ({ request }) => {
+        contexts.push(((await request.clone().json()) as { context: unknown }).context);
+        calls += 1;
+        if (calls > 1) return undefined;
+        return failWith(
+          {
+            code: 'agentwp_api_error',
+            message: 'Quota exceeded.',
+            type: 'auth_error',
+            meta: { error_code: 'insufficient_quota' },
+          },
+          403,
+        );
+      }),
+    );
+    useThreadStore.getState().startThread();
+    const input = renderDeck();
+
+    fireEvent.change(input, { target: { value: 'Show sales today' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Retry with gpt-4o-mini' }));
+
+    expect(await screen.findByLabelText('Response metrics')).toBeInTheDocument();
+    expect(calls).toBe(2);
+    expect(contexts[0]).not.toHaveProperty('model');
+    expect(contexts[1]).toMatchObject({ model: 'gpt-4o-mini' });
+    expect(settingsUpdates).toEqual([]);
+  });
+});
+
+describe('CommandDeck in-flight requests', () => {
+  it('stops a running prompt and shows that a request is pending meanwhile', async () => {
+    server.use(
+      http.post(`${API_BASE}/intent/stream`, async () => {
+        await delay('infinite');
+        return HttpResponse.json({ success: true, data: {} });
+      }),
+    );
+    useThreadStore.getState().startThread();
+    const input = renderDeck();
+
+    fireEvent.change(input, { target: { value: 'Show sales today' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    const stop = await screen.findByRole('button', { name: 'Stop' });
+    expect(screen.getByText(/requests? in progress/)).toBeInTheDocument();
+    expect(input).toBeDisabled();
+
+    fireEvent.click(stop);
+
+    await waitFor(() => expect(input).not.toBeDisabled());
+    expect(input).toHaveValue('Show sales today');
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  });
+});
+
+describe('CommandDeck offline queue', () => {
+  beforeEach(() => {
+    useOfflineQueueStore.getState().clear();
+  });
+
+  afterEach(() => {
+    useOfflineQueueStore.getState().clear();
+  });
+
+  it('queues read-only prompts, refuses store changes and replays on reconnect', async () => {
+    server.use(errorHandlers.networkError);
+    const input = renderDeck();
+    await screen.findByText(/Agent offline/, {}, { timeout: 3000 });
+
+    fireEvent.change(input, { target: { value: 'Show sales today' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    const queue = screen.getByRole('region', { name: 'Queued prompts (1)' });
+    expect(queue).toHaveTextContent('Show sales today');
+    expect(input).toHaveValue('');
+
+    fireEvent.change(input, { target: { value: 'Refund order 1001' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(await screen.findByRole('alert')).toHaveTextContent(
+      "Refunds can't be queued while offline",
+    );
+    expect(useOfflineQueueStore.getState().queue).toHaveLength(1);
+    expect(intent).not.toHaveBeenCalled();
+
+    server.resetHandlers();
+    server.use(
+      http.post(`${API_BASE}/intent/stream`, async ({ request }) => {
+        intent(await request.json());
+      }),
+    );
+    fireEvent.click(screen.getByRole('button', { name: 'Check now' }));
+
+    await waitFor(() =>
+      expect(intent).toHaveBeenCalledWith(expect.objectContaining({ prompt: 'Show sales today' })),
+    );
+    await waitFor(() =>
+      expect(screen.queryByRole('region', { name: /Queued prompts/ })).toBeNull(),
+    );
+  });
+
+  it('keeps a queued prompt when its replay fails', async () => {
+    useOfflineQueueStore
+      .getState()
+      .enqueue({ prompt: 'Show sales today', entities: [], threadId: null });
+    server.use(
+      http.post(`${API_BASE}/intent/stream`, async ({ request }) => {
+        intent(await request.json());
+        return HttpResponse.json(
+          {
+            success: false,
+            data: [],
+            error: {
+              code: 'invalid_prompt',
+              message: 'Prompt rejected.',
+              type: 'validation_error',
+            },
+          },
+          { status: 400 },
+        );
+      }),
+    );
+    renderDeck();
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Prompt rejected.');
+    expect(intent).toHaveBeenCalledTimes(1);
+    expect(useOfflineQueueStore.getState().queue).toHaveLength(1);
+  });
+});
+
+describe('CommandDeck budget', () => {
+  const useBudget = (spent: number, limit: number) =>
+    server.use(
+      http.get(`${API_BASE}/settings`, () =>
+        HttpResponse.json({ success: true, data: { settings: { budget_limit: limit } } }),
+      ),
+      http.get(`${API_BASE}/usage`, () =>
+        HttpResponse.json({
+          success: true,
+          data: {
+            period: 'month',
+            total_tokens: 1000,
+            total_cost_usd: spent,
+            period_start: '2024-01-01 00:00:00',
+            period_end: '2024-01-31 23:59:59',
+          },
+        }),
+      ),
+    );
+
+  it('warns once spend reaches 80% of the budget', async () => {
+    useBudget(8.5, 10);
+    renderDeck();
+
+    expect(await screen.findByRole('status')).toHaveTextContent(
+      "You've used 85% of this month's $10.00 budget.",
+    );
+  });
+
+  it('asks for confirmation before running a prompt over budget', async () => {
+    useBudget(12, 10);
+    const input = renderDeck();
+    expect(await screen.findByRole('alert')).toHaveTextContent('budget is used up');
+
+    fireEvent.change(input, { target: { value: 'Show sales today' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+    const dialog = screen.getByRole('alertdialog', { name: 'Budget limit reached' });
+    expect(screen.getByRole('button', { name: 'Cancel' })).toHaveFocus();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+    expect(dialog).not.toBeInTheDocument();
+    expect(intent).not.toHaveBeenCalled();
+
+    fireEvent.keyDown(input, { key: 'Enter' });
+    fireEvent.click(screen.getByRole('button', { name: 'Run anyway' }));
+    await waitFor(() =>
+      expect(intent).toHaveBeenCalledWith(expect.objectContaining({ prompt: 'Show sales today' })),
+    );
+  });
+
+  it('keeps a queued prompt when its budget check is declined', async () => {
+    useBudget(12, 10);
+    renderDeck();
+    await screen.findByRole('alert');
+
+    act(() => {
+      useOfflineQueueStore
+        .getState()
+        .enqueue({ prompt: 'Show sales today', entities: [], threadId: null });
+    });
+    await screen.findByRole('alertdialog', { name: 'Budget limit reached' });
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+
+    expect(screen.queryByRole('alertdialog')).toBeNull();
+    expect(intent).not.toHaveBeenCalled();
+    expect(useOfflineQueueStore.getState().queue).toHaveLength(1);
+    useOfflineQueueStore.getState().clear();
+  });
+
+  it('lets slash commands run without confirmation', async () => {
+    useBudget(12, 10);
+    const input = renderDeck();
+    await screen.findByRole('alert');
+
+    fireEvent.change(input, { target: { value: '/help' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(screen.queryByRole('alertdialog')).toBeNull();
+  });
+});
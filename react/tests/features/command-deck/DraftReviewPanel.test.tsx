@@ -0,0 +1,215 @@
+import { act, render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { http, HttpResponse } from 'msw';
+import { vi } from 'vitest';
+import {
+  DraftReviewPanel,
+  formatCountdown,
+} from '../../../src/features/command-deck/DraftReviewPanel';
+import { useVoiceStore } from '../../../src/stores/useVoiceStore';
+import type { DraftResponse } from '../../../src/types';
+import { server } from '../../mocks/server';
+import { errorHandlers } from '../../mocks/handlers';
+
+const buildDraft = (overrides: Partial<DraftResponse> = {}): DraftResponse => ({
+  draft_id: 'refund_abc123',
+  type: 'refund',
+  preview: {
+    summary: 'Refund $20.00 on order #1042',
+    order_id: 1042,
+    amount: 20,
+    currency: 'USD',
+    reason: 'Damaged item',
+    restock_items: true,
+    customer_name: 'Ada Lovelace',
+  },
+  expires_at: Math.floor(Date.now() / 1000) + 300,
+  ttl: 300,
+  success: true,
+  message: 'Draft created.',
+  ...overrides,
+});
+
+describe('DraftReviewPanel', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('shows a refund preview and confirms through the API', async () => {
+    const user = userEvent.setup();
+    render(<DraftReviewPanel draft={buildDraft()} />);
+
+    expect(screen.getByText('Confirm refund')).toBeInTheDocument();
+    expect(screen.getByText('$20.00')).toBeInTheDocument();
+    expect(screen.getByText('Ada Lovelace')).toBeInTheDocument();
+
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: 'Confirm' }));
+    });
+
+    expect(await screen.findByText('Draft confirmed')).toBeInTheDocument();
+    expect(screen.getByText('Refund processed.')).toBeInTheDocument();
+  });
+
+  it('carries out a spoken decision and reports what happened', async () => {
+    render(<DraftReviewPanel draft={buildDraft()} />);
+
+    act(() => {
+      useVoiceStore.getState().awaitDraftDecision('refund_abc123');
+      useVoiceStore.getState().decideDraft('confirm');
+    });
+
+    expect(await screen.findByText('Draft confirmed')).toBeInTheDocument();
+    expect(useVoiceStore.getState().draftDecision).toEqual({
+      draftId: 'refund_abc123',
+      action: 'confirm',
+      outcome: 'Refund processed.',
+    });
+    useVoiceStore.getState().clearDraftDecision();
+  });
+
+  it('reports a spoken decision heard while a request is in flight once it finishes', async () => {
+    let release = () => {};
+    const gate = new Promise<void>((resolve) => {
+      release = resolve;
+    });
+    server.use(
+      http.post('/wp-json/agentwp/v1/drafts/:draftId/confirm', async ({ params }) => {
+        await gate;
+        return HttpResponse.json({
+          success: true,
+          data: { draft_id: params.draftId, type: 'refund', message: 'Refund processed.' },
+        });
+      }),
+    );
+    const user = userEvent.setup();
+    render(<DraftReviewPanel draft={buildDraft()} />);
+
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: 'Confirm' }));
+    });
+    act(() => {
+      useVoiceStore.getState().awaitDraftDecision('refund_abc123');
+      useVoiceStore.getState().decideDraft('confirm');
+    });
+    expect(useVoiceStore.getState().draftDecision?.outcome).toBeNull();
+
+    await act(async () => {
+      release();
+    });
+
+    expect(await screen.findByText('Draft confirmed')).toBeInTheDocument();
+    expect(useVoiceStore.getState().draftDecision?.outcome).toBe(
+      'This draft was already confirmed.',
+    );
+    useVoiceStore.getState().clearDraftDecision();
+  });
+
+  it('lists each order for bulk status drafts', () => {
+    render(
+      <DraftReviewPanel
+        draft={buildDraft({
+          draft_id: 'status_bulk01',
+          type: 'status',
+          preview: {
+            summary: 'Mark 2 orders as completed',
+            count: 2,
+            new_status: 'completed',
+            notify_customer: false,
+            warning: '',
+            orders: [
+              { id: 11, current: 'processing', new: 'completed' },
+              { id: 12, current: 'on-hold', new: 'completed' },
+            ],
+          },
+        })}
+      />,
+    );
+
+    const rows = within(screen.getByRole('table')).getAllByRole('row');
+    expect(rows).toHaveLength(3);
+    expect(within(rows[2]!).getByText('on-hold')).toBeInTheDocument();
+  });
+
+  it('counts down and disables confirmation once expired', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+    render(<DraftReviewPanel draft={buildDraft({ expires_at: Date.now() / 1000 + 2 })} />);
+
+    expect(screen.getByText('Expires in 0:02')).toBeInTheDocument();
+    act(() => {
+      vi.advanceTimersByTime(3000);
+    });
+    expect(screen.getByText('Draft expired')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Confirm' })).toBeDisabled();
+  });
+
+  it('surfaces confirmation errors', async () => {
+    server.use(errorHandlers.draftExpired);
+    const user = userEvent.setup();
+    render(<DraftReviewPanel draft={buildDraft()} />);
+
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: 'Confirm' }));
+    });
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Draft not found or expired.');
+  });
+
+  it('cancels through the API', async () => {
+    const user = userEvent.setup();
+    render(<DraftReviewPanel draft={buildDraft()} />);
+
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: 'Cancel' }));
+    });
+
+    expect(await screen.findByText('Draft cancelled.')).toBeInTheDocument();
+  });
+
+  it('says so when the draft was already gone', async () => {
+    server.use(
+      http.delete('/wp-json/agentwp/v1/drafts/:draftId', ({ params }) =>
+        HttpResponse.json({
+          success: true,
+          data: { draft_id: params.draftId, type: 'refund', cancelled: false },
+        }),
+      ),
+    );
+    const user = userEvent.setup();
+    render(<DraftReviewPanel draft={buildDraft()} />);
+
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: 'Cancel' }));
+    });
+
+    expect(
+      await screen.findByText('This draft was already cancelled or expired.'),
+    ).toBeInTheDocument();
+    expect(screen.queryByText('Draft cancelled.')).not.toBeInTheDocument();
+  });
+
+  it('sends requested changes for a new draft', async () => {
+    const user = userEvent.setup();
+    const onRedraft = vi.fn();
+    render(<DraftReviewPanel draft={buildDraft()} onRedraft={onRedraft} />);
+
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: 'Edit and re-draft' }));
+    });
+    await act(async () => {
+      await user.type(screen.getByLabelText('What should change?'), 'Refund $15 instead');
+      await user.click(screen.getByRole('button', { name: 'Re-draft' }));
+    });
+
+    expect(onRedraft).toHaveBeenCalledWith(
+      'refund_abc123',
+      'Revise this draft: Refund $20.00 on order #1042\nChanges: Refund $15 instead',
+    );
+  });
+
+  it('formats the countdown as minutes and seconds', () => {
+    expect(formatCountdown(125)).toBe('2:05');
+    expect(formatCountdown(-3)).toBe('0:00');
+  });
+});
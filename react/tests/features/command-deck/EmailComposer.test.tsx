@@ -0,0 +1,125 @@
+import { fireEvent, render, screen, within } from '@testing-library/react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { EmailComposer } from '../../../src/features/command-deck/EmailComposer';
+import {
+  buildRedraftPrompt,
+  parseEmailDraft,
+} from '../../../src/features/command-deck/email-draft';
+import { useDraftStore } from '../../../src/stores/useDraftStore';
+import type { EmailContext } from '../../../src/types';
+
+const context: EmailContext = {
+  summary: 'Email draft for Order #1042 (Sarah Kim)',
+  order_id: 1042,
+  customer: 'Sarah Kim',
+  total: 129.5,
+  currency: 'EUR',
+  status: 'processing',
+  items: ['Blue Hoodie x1', 'Red Cap x2'],
+  date: '2026-01-15',
+};
+
+// jsdom's Blob has no text()
+const readBlob = (blob: Blob | undefined) =>
+  new Promise<string>((resolve) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result));
+    reader.readAsText(blob ?? new Blob());
+  });
+
+const message = '**Subject:** Your order is on its way\n\nHi Sarah,\n\nYour order shipped today.';
+
+describe('parseEmailDraft', () => {
+  it('splits off a leading subject line', () => {
+    expect(parseEmailDraft(message)).toEqual({
+      subject: 'Your order is on its way',
+      body: 'Hi Sarah,\n\nYour order shipped today.',
+    });
+    expect(parseEmailDraft('Hi Sarah,\nThanks!')).toEqual({
+      subject: '',
+      body: 'Hi Sarah,\nThanks!',
+    });
+  });
+});
+
+describe('EmailComposer', () => {
+  const ClipboardItemMock = vi.fn((items: Record<string, Blob>) => ({ items }));
+  const write = vi.fn().mockResolvedValue(undefined);
+
+  beforeEach(() => {
+    vi.stubGlobal('ClipboardItem', ClipboardItemMock);
+    Object.defineProperty(navigator, 'clipboard', { value: { write }, configurable: true });
+    useDraftStore.setState({ history: [] });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    Reflect.deleteProperty(navigator, 'clipboard');
+    ClipboardItemMock.mockClear();
+    write.mockClear();
+  });
+
+  it('prefills the email and shows the order it is about', () => {
+    render(<EmailComposer message={message} context={context} />);
+
+    expect(screen.getByLabelText('Subject')).toHaveValue('Your order is on its way');
+    expect(screen.getByLabelText('Message')).toHaveValue('Hi Sarah,\n\nYour order shipped today.');
+    const sidebar = screen.getByRole('complementary', { name: 'Order context' });
+    expect(within(sidebar).getByText('Order #1042')).toBeInTheDocument();
+    expect(within(sidebar).getByText('Sarah Kim')).toBeInTheDocument();
+    expect(within(sidebar).getByText('€129.50')).toBeInTheDocument();
+    expect(within(sidebar).getByText('Red Cap x2')).toBeInTheDocument();
+  });
+
+  it('copies the body as HTML with a plain-text fallback', async () => {
+    render(<EmailComposer message={message} context={context} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Copy as HTML' }));
+
+    expect(await screen.findByText(/Copied as HTML/)).toBeInTheDocument();
+    expect(write).toHaveBeenCalledTimes(1);
+    const items = ClipboardItemMock.mock.calls[0]?.[0];
+    await expect(readBlob(items?.['text/html'])).resolves.toBe(
+      '<p>Hi Sarah,</p><p>Your order shipped today.</p>',
+    );
+    await expect(readBlob(items?.['text/plain'])).resolves.toBe(
+      'Subject: Your order is on its way\n\nHi Sarah,\n\nYour order shipped today.',
+    );
+  });
+
+  it('saves edits to the draft history and loads them back', () => {
+    render(<EmailComposer message={message} context={context} />);
+
+    fireEvent.change(screen.getByLabelText('Subject'), { target: { value: 'Shipped!' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save draft' }));
+
+    expect(screen.getByText('Saved to drafts.')).toBeInTheDocument();
+    expect(useDraftStore.getState().history[0]).toMatchObject({
+      subject: 'Shipped!',
+      body: 'Hi Sarah,\n\nYour order shipped today.',
+      orderId: 1042,
+    });
+
+    fireEvent.change(screen.getByLabelText('Subject'), { target: { value: 'Something else' } });
+    fireEvent.click(screen.getByText('Saved drafts for this order (1)'));
+    fireEvent.click(screen.getByRole('button', { name: 'Load' }));
+
+    expect(screen.getByLabelText('Subject')).toHaveValue('Shipped!');
+  });
+
+  it('asks for a friendlier or shorter version, including edits', () => {
+    const onSendPrompt = vi.fn();
+    render(<EmailComposer message={message} context={context} onSendPrompt={onSendPrompt} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Shorter' }));
+    expect(onSendPrompt).toHaveBeenLastCalledWith(buildRedraftPrompt('shorter', 1042, null));
+
+    fireEvent.change(screen.getByLabelText('Message'), { target: { value: 'Hi Sarah, shipped.' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Friendlier' }));
+    expect(onSendPrompt).toHaveBeenLastCalledWith(
+      expect.stringContaining(
+        'Redraft the email for order #1042 in a friendlier, warmer tone. Keep every fact.\n\nStart from my edited version:\nSubject: Your order is on its way\n\nHi Sarah, shipped.',
+      ),
+    );
+  });
+});
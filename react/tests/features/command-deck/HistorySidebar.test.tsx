@@ -0,0 +1,93 @@
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { http, HttpResponse } from 'msw';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { HistorySidebar } from '../../../src/features/command-deck/HistorySidebar';
+import { useHistorySync } from '../../../src/hooks/useHistorySync';
+import { useCommandStore } from '../../../src/stores/useCommandStore';
+import { server } from '../../mocks/server';
+
+const API_BASE = '/wp-json/agentwp/v1';
+
+function SyncedSidebar({ onRun }: { onRun: (prompt: string) => void }) {
+  useHistorySync();
+  return <HistorySidebar onRun={onRun} />;
+}
+
+describe('HistorySidebar', () => {
+  beforeEach(() => {
+    useCommandStore.setState({ history: [], favorites: [], usage: {}, lastEntry: null });
+  });
+
+  it('reruns a command from the recent list', () => {
+    useCommandStore.getState().addToHistory({
+      prompt: 'Show pending orders',
+      response: 'Found 3 orders.',
+      intent: 'order_search',
+      successful: true,
+    });
+    const onRun = vi.fn();
+
+    render(<HistorySidebar onRun={onRun} />);
+    fireEvent.click(screen.getByText('Show pending orders'));
+
+    expect(onRun).toHaveBeenCalledWith('Show pending orders');
+  });
+
+  it('moves a starred command into favorites', () => {
+    useCommandStore.getState().addToHistory({
+      prompt: 'Low stock report',
+      response: '',
+      successful: true,
+    });
+
+    render(<HistorySidebar onRun={vi.fn()} />);
+    fireEvent.click(screen.getByRole('button', { name: /favorite/i }));
+
+    expect(useCommandStore.getState().favorites.map((entry) => entry.prompt)).toEqual([
+      'Low stock report',
+    ]);
+  });
+
+  it('merges server history on mount and pushes local entries back', async () => {
+    const pushed = vi.fn();
+    server.use(
+      http.get(`${API_BASE}/history`, () =>
+        HttpResponse.json({
+          success: true,
+          data: {
+            history: [
+              {
+                raw_input: 'Refund order 42',
+                parsed_intent: 'refund',
+                timestamp: '2026-01-05T10:00:00.000Z',
+                was_successful: true,
+              },
+            ],
+            favorites: [],
+          },
+        }),
+      ),
+      http.post(`${API_BASE}/history`, async ({ request }) => {
+        pushed(await request.json());
+        return HttpResponse.json({ success: true, data: { updated: true } });
+      }),
+    );
+    act(() => {
+      useCommandStore.getState().addToHistory({
+        prompt: 'Show pending orders',
+        response: '',
+        successful: true,
+      });
+    });
+
+    render(<SyncedSidebar onRun={vi.fn()} />);
+
+    expect(await screen.findByText('Refund order 42')).toBeInTheDocument();
+    await waitFor(() => expect(pushed).toHaveBeenCalledTimes(1));
+    const body = pushed.mock.calls[0]?.[0] as { history: Array<{ raw_input: string }> };
+    expect(body.history.map((item) => item.raw_input)).toEqual([
+      'Show pending orders',
+      'Refund order 42',
+    ]);
+  });
+});
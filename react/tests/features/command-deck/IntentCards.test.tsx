@@ -0,0 +1,217 @@
+import { act, render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { vi } from 'vitest';
+import {
+  IntentCards,
+  buildResponseReport,
+  formatCardValue,
+} from '../../../src/features/command-deck/IntentCards';
+import type { IntentCard } from '../../../src/types';
+
+vi.mock('chart.js', () => ({
+  Chart: { register: vi.fn() },
+  CategoryScale: {},
+  LinearScale: {},
+  PointElement: {},
+  LineElement: {},
+  BarElement: {},
+  ArcElement: {},
+  Tooltip: {},
+  Legend: {},
+  Filler: {},
+}));
+
+vi.mock('react-chartjs-2', async () => {
+  const ReactLocal = await import('react');
+  const MockChart = ReactLocal.forwardRef<any, any>((props, _ref) => (
+    <div data-testid="chart" role={props.role} aria-label={props['aria-label']} />
+  ));
+
+  return {
+    Line: MockChart,
+    Bar: MockChart,
+    Doughnut: MockChart,
+  };
+});
+
+describe('IntentCards', () => {
+  it('maps table and chart payloads onto card components', async () => {
+    const cards: IntentCard[] = [
+      {
+        type: 'table',
+        title: 'Top products',
+        columns: [
+          { key: 'name', label: 'Product' },
+          { key: 'revenue', label: 'Revenue', format: 'currency' },
+        ],
+        rows: [
+          { id: 1, name: 'Hoodie', revenue: 1200 },
+          { id: 2, name: 'Mug', revenue: 340 },
+        ],
+      },
+      {
+        type: 'chart',
+        title: 'Revenue this week',
+        chart_type: 'bar',
+        labels: ['Hoodie', 'Mug'],
+        datasets: [{ label: 'Revenue', data: [1200, 340] }],
+        value_format: 'currency',
+      },
+    ];
+
+    render(<IntentCards cards={cards} />);
+
+    const table = screen.getByRole('table');
+    expect(within(table).getByText('Hoodie')).toBeInTheDocument();
+    expect(within(table).getByText('$1,200')).toBeInTheDocument();
+    expect(await screen.findByRole('img', { name: 'Revenue this week' })).toBeInTheDocument();
+  });
+
+  it('renders info, success and error cards', async () => {
+    const user = userEvent.setup();
+    const onRetry = vi.fn();
+    const cards: IntentCard[] = [
+      {
+        type: 'info',
+        title: 'Order #1042',
+        items: [{ label: 'Status', value: 'Processing' }],
+      },
+      { type: 'success', title: 'Stock updated', message: 'Hoodie now has 12 units.' },
+      { type: 'error', title: 'Lookup failed', message: 'Order not found.', retryable: true },
+    ];
+
+    render(<IntentCards cards={cards} onRetry={onRetry} />);
+
+    expect(screen.getByText('Processing')).toBeInTheDocument();
+    expect(screen.getByText('Hoodie now has 12 units.')).toBeInTheDocument();
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: 'Retry' }));
+    });
+    expect(onRetry).toHaveBeenCalledTimes(1);
+  });
+
+  it('hands pending drafts to the review panel instead of a duplicate card', () => {
+    render(
+      <IntentCards
+        cards={[{ type: 'dangerous_action', title: 'Legacy confirm', draft_id: 'stock_abc123' }]}
+        draft={{
+          draft_id: 'stock_abc123',
+          type: 'stock',
+          preview: {
+            summary: 'Set Hoodie stock to 12',
+            product_id: 5,
+            product_name: 'Hoodie',
+            product_sku: 'HD-1',
+            original_stock: 4,
+            new_stock: 12,
+          },
+          expires_at: Math.floor(Date.now() / 1000) + 600,
+        }}
+      />,
+    );
+
+    expect(screen.getByText('Confirm stock update')).toBeInTheDocument();
+    expect(screen.getByText('4 → 12 (+8)')).toBeInTheDocument();
+    expect(screen.queryByText('Legacy confirm')).not.toBeInTheDocument();
+  });
+
+  it('confirms dangerous action cards without a draft payload through the API', async () => {
+    const user = userEvent.setup();
+
+    render(
+      <IntentCards
+        cards={[
+          {
+            type: 'dangerous_action',
+            title: 'Refund order #1042',
+            message: 'Refund $20 on order #1042',
+            draft_id: 'refund_abc123',
+            execute_label: 'Confirm',
+          },
+        ]}
+      />,
+    );
+
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: 'Confirm' }));
+    });
+    expect(await screen.findByText('Draft confirmed')).toBeInTheDocument();
+    expect(screen.getByText('Refund processed.')).toBeInTheDocument();
+    expect(screen.queryByText('Refund $20 on order #1042')).not.toBeInTheDocument();
+  });
+
+  it('cancels dangerous action cards through the API', async () => {
+    const user = userEvent.setup();
+
+    render(
+      <IntentCards
+        cards={[
+          { type: 'dangerous_action', title: 'Refund order #1042', draft_id: 'refund_abc123' },
+        ]}
+      />,
+    );
+
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: 'Cancel' }));
+    });
+    expect(await screen.findByText('Draft cancelled.')).toBeInTheDocument();
+  });
+
+  it('offers function suggestions as prompt shortcuts', async () => {
+    const user = userEvent.setup();
+    const onSelectSuggestion = vi.fn();
+
+    render(
+      <IntentCards
+        cards={[]}
+        functionSuggestions={['prepare_refund']}
+        onSelectSuggestion={onSelectSuggestion}
+      />,
+    );
+
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: 'Prepare refund' }));
+    });
+    expect(onSelectSuggestion).toHaveBeenCalledWith('Prepare refund');
+  });
+
+  it('formats values by hint', () => {
+    expect(formatCardValue(1500, 'number')).toBe('1,500');
+    expect(formatCardValue(12.5, 'percent')).toBe('12.5%');
+    expect(formatCardValue(null, 'currency')).toBe('--');
+    expect(formatCardValue('abc', 'currency')).toBe('abc');
+    expect(formatCardValue(80, 'currency', 'EUR')).toBe('€80');
+  });
+
+  it('keeps each row currency in multi-currency tables', () => {
+    const cards: IntentCard[] = [
+      {
+        type: 'table',
+        title: 'Orders',
+        columns: [
+          { key: 'order', label: 'Order' },
+          { key: 'total', label: 'Total', format: 'currency', currency_key: 'order_currency' },
+        ],
+        rows: [
+          { order: '#1001', total: 120, order_currency: 'USD' },
+          { order: '#1002', total: 95, order_currency: 'EUR' },
+          { order: '#1003', total: 40 },
+        ],
+      },
+    ];
+
+    render(<IntentCards cards={cards} />);
+
+    const table = screen.getByRole('table');
+    expect(within(table).getByText('$120')).toBeInTheDocument();
+    expect(within(table).getByText('€95')).toBeInTheDocument();
+    expect(within(table).getByText('$40')).toBeInTheDocument();
+
+    // Store-currency amounts stay numeric for the XLSX number format
+    expect(buildResponseReport(cards).tables[0]?.rows).toEqual([
+      ['#1001', 120],
+      ['#1002', '€95'],
+      ['#1003', 40],
+    ]);
+  });
+});
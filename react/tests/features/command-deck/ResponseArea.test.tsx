@@ -0,0 +1,106 @@
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import { vi } from 'vitest';
+import { ResponseArea } from '../../../src/features/command-deck/ResponseArea';
+
+describe('ResponseArea', () => {
+  it('shows tool progress in place of the thinking indicator', () => {
+    render(<ResponseArea content="" loading progress="Searching orders…" />);
+
+    expect(screen.getByRole('status')).toHaveTextContent('Searching orders…');
+    expect(screen.queryByText('Thinking...')).not.toBeInTheDocument();
+  });
+
+  it('keeps streamed text visible while tools run', () => {
+    render(<ResponseArea content="Let me check." loading progress="Fetching order…" />);
+
+    expect(screen.getByText('Let me check.')).toBeInTheDocument();
+    expect(screen.getByRole('status')).toHaveTextContent('Fetching order…');
+  });
+
+  it('drops the progress line once the response is complete', () => {
+    render(<ResponseArea content="Done." progress="Fetching order…" />);
+
+    expect(screen.getByText('Done.')).toBeInTheDocument();
+    expect(screen.queryByRole('status')).not.toBeInTheDocument();
+  });
+
+  it('counts down to an automatic retry that can be cancelled', () => {
+    vi.useFakeTimers();
+    try {
+      const onCancelRetry = vi.fn();
+      const { rerender } = render(
+        <ResponseArea
+          content=""
+          error="Too many requests."
+          onRetry={vi.fn()}
+          retryAt={Date.now() + 12000}
+          onCancelRetry={onCancelRetry}
+        />,
+      );
+
+      expect(screen.getByRole('status')).toHaveTextContent('Retrying in 12s');
+      expect(screen.queryByRole('button', { name: 'Try Again' })).not.toBeInTheDocument();
+
+      act(() => {
+        vi.advanceTimersByTime(3000);
+      });
+      expect(screen.getByRole('status')).toHaveTextContent('Retrying in 9s');
+
+      fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+      expect(onCancelRetry).toHaveBeenCalled();
+
+      rerender(<ResponseArea content="" error="Too many requests." onRetry={vi.fn()} />);
+      expect(screen.getByRole('button', { name: 'Try Again' })).toBeInTheDocument();
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('offers recovery actions ahead of Try Again', () => {
+    const onAction = vi.fn();
+    render(
+      <ResponseArea
+        content=""
+        error="OpenAI billing quota has been exhausted."
+        onRetry={vi.fn()}
+        actions={['switch_model', 'update_api_key']}
+        onAction={onAction}
+      />,
+    );
+
+    expect(screen.getAllByRole('button').map((button) => button.textContent)).toEqual([
+      'Retry with gpt-4o-mini',
+      'Update API key',
+      'Try Again',
+    ]);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Update API key' }));
+    expect(onAction).toHaveBeenCalledWith('update_api_key');
+  });
+
+  it('opens a finished email draft in the composer', () => {
+    const result = {
+      cards: [],
+      draft: null,
+      functionSuggestions: [],
+      emailContext: {
+        summary: 'Email draft for Order #1042 (Sarah Kim)',
+        order_id: 1042,
+        customer: 'Sarah Kim',
+        total: 129.5,
+        currency: 'USD',
+        status: 'processing',
+        items: [],
+        date: '2026-01-15',
+      },
+    };
+    const content = 'Subject: Shipped\n\nHi Sarah,';
+    const { rerender } = render(<ResponseArea content={content} loading result={result} />);
+
+    expect(screen.queryByLabelText('Subject')).not.toBeInTheDocument();
+
+    rerender(<ResponseArea content={content} result={result} />);
+    expect(screen.getByLabelText('Subject')).toHaveValue('Shipped');
+    expect(screen.queryByText(/Subject: Shipped/)).not.toBeInTheDocument();
+  });
+});
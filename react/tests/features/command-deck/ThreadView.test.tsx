@@ -0,0 +1,61 @@
+import { act, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { vi } from 'vitest';
+import { ThreadView } from '../../../src/features/command-deck/ThreadView';
+import type { ThreadTurn } from '../../../src/types';
+
+const buildTurn = (overrides: Partial<ThreadTurn> = {}): ThreadTurn => ({
+  id: 'turn-1',
+  prompt: 'Show pending orders',
+  response: 'Found 3 pending orders.',
+  result: { cards: [], draft: null, functionSuggestions: [] },
+  timestamp: 0,
+  ...overrides,
+});
+
+describe('ThreadView', () => {
+  it('renders earlier exchanges followed by the pending prompt', () => {
+    render(
+      <ThreadView
+        turns={[
+          buildTurn(),
+          buildTurn({ id: 'turn-2', prompt: 'Which is oldest?', response: 'Order #1001.' }),
+        ]}
+        pendingPrompt="Now refund the second one"
+      >
+        <p>Streaming…</p>
+      </ThreadView>,
+    );
+
+    const log = screen.getByRole('log', { name: 'Conversation' });
+    expect(log).toHaveTextContent(
+      /Show pending orders.*Found 3 pending orders\..*Which is oldest\?.*Order #1001\..*Now refund the second one.*Streaming…/,
+    );
+  });
+
+  it('re-runs a turn with its own prompt', async () => {
+    const user = userEvent.setup();
+    const onRerun = vi.fn();
+
+    render(
+      <ThreadView
+        turns={[
+          buildTurn({
+            response: '',
+            result: {
+              cards: [{ type: 'error', title: 'Lookup failed', retryable: true }],
+              draft: null,
+              functionSuggestions: [],
+            },
+          }),
+        ]}
+        onRerun={onRerun}
+      />,
+    );
+
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: 'Retry' }));
+    });
+    expect(onRerun).toHaveBeenCalledWith('Show pending orders');
+  });
+});
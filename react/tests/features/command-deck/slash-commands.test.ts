@@ -0,0 +1,103 @@
+import { http, HttpResponse } from 'msw';
+import { afterEach, describe, expect, it } from 'vitest';
+import {
+  findSlashCommand,
+  getSlashCommands,
+  parseSlashInput,
+  registerSlashCommand,
+  resetSlashCommands,
+} from '../../../src/features/command-deck/slash-commands';
+import { useThemeStore } from '../../../src/stores/useThemeStore';
+import { server } from '../../mocks/server';
+
+const API_BASE = '/wp-json/agentwp/v1';
+
+const context = () => ({
+  signal: new AbortController().signal,
+  openHistory: () => {},
+  startNewThread: () => {},
+});
+
+describe('slash commands', () => {
+  afterEach(() => {
+    resetSlashCommands();
+    delete window.agentwpSlashCommands;
+  });
+
+  it('parses the command name and argument', () => {
+    expect(parseSlashInput('/order 1001')).toEqual({
+      name: 'order',
+      argument: '1001',
+      hasArgument: true,
+    });
+    expect(parseSlashInput('/The')).toEqual({ name: 'the', argument: '', hasArgument: false });
+    expect(parseSlashInput('show /order 1001')).toBeNull();
+  });
+
+  it('finds built-ins by name or alias', () => {
+    expect(findSlashCommand('order')?.name).toBe('order');
+    expect(findSlashCommand('P')?.name).toBe('product');
+    expect(findSlashCommand('missing')).toBeNull();
+    expect(getSlashCommands().map((command) => command.name)).toContain('help');
+  });
+
+  it('registers commands queued by other plugins before and after load', async () => {
+    window.agentwpSlashCommands = [
+      { name: 'ping', description: 'Queued early', run: () => ({ message: 'pong' }) },
+    ];
+    expect(findSlashCommand('ping')).not.toBeNull();
+
+    window.agentwpSlashCommands.push({
+      name: 'stock',
+      description: 'Pushed after load',
+      run: () => ({ message: 'In stock' }),
+    });
+    const result = await findSlashCommand('stock')?.run('', context());
+    expect(result).toEqual({ message: 'In stock' });
+  });
+
+  it('rejects commands without a valid name', () => {
+    expect(() =>
+      registerSlashCommand({ name: 'Bad Name', description: '', run: () => undefined }),
+    ).toThrow();
+    const unregister = registerSlashCommand({ name: 'temp', description: '', run: () => {} });
+    unregister();
+    expect(findSlashCommand('temp')).toBeNull();
+  });
+
+  it('looks up an order through the orders search index', async () => {
+    let types: string | null = null;
+    server.use(
+      http.get(`${API_BASE}/search`, ({ request }) => {
+        types = new URL(request.url).searchParams.get('types');
+        return HttpResponse.json({
+          success: true,
+          data: {
+            query: '1001',
+            results: {
+              orders: [
+                { id: 1001, type: 'orders', primary: 'Order #1001', secondary: 'Processing' },
+                { id: 10010, type: 'orders', primary: 'Order #10010', secondary: 'Completed' },
+              ],
+            },
+          },
+        });
+      }),
+    );
+
+    const result = await findSlashCommand('order')?.run('1001', context());
+
+    expect(types).toBe('orders');
+    expect(result).toMatchObject({
+      message: 'Found Order #1001.',
+      cards: [{ type: 'table', rows: [{ id: 1001, title: 'Order #1001' }] }],
+    });
+  });
+
+  it('switches the theme without a request', async () => {
+    await findSlashCommand('theme')?.run('dark', context());
+    expect(useThemeStore.getState().preference).toBe('dark');
+
+    expect(() => findSlashCommand('theme')?.run('sepia', context())).toThrow('Unknown theme');
+  });
+});
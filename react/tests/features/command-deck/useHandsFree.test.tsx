@@ -0,0 +1,135 @@
+import { act, renderHook } from '@testing-library/react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  parseVoiceDecision,
+  useHandsFree,
+  VOICE_DECISION_PROMPT,
+} from '../../../src/features/command-deck/useHandsFree';
+import type { useVoice } from '../../../src/hooks/useVoice';
+import { useModalStore } from '../../../src/stores/useModalStore';
+import { useVoiceStore } from '../../../src/stores/useVoiceStore';
+import { VOICE_AUTO_SUBMIT_DELAY_MS } from '../../../src/utils/constants';
+
+type Voice = ReturnType<typeof useVoice>;
+
+const buildVoice = (overrides: Partial<Voice> = {}): Voice =>
+  ({
+    isListening: true,
+    isSpeaking: false,
+    error: '',
+    finalTranscript: '',
+    interimTranscript: '',
+    startListening: vi.fn(),
+    abortListening: vi.fn(),
+    resetTranscripts: vi.fn(),
+    speakResponse: vi.fn(),
+    stopSpeaking: vi.fn(),
+    ...overrides,
+  }) as unknown as Voice;
+
+describe('parseVoiceDecision', () => {
+  it('accepts the decision word alone or with yes and please', () => {
+    expect(parseVoiceDecision('Confirm.')).toBe('confirm');
+    expect(parseVoiceDecision('Yes, confirm please')).toBe('confirm');
+    expect(parseVoiceDecision('cancel please')).toBe('cancel');
+    expect(parseVoiceDecision('confirm, no, cancel')).toBeNull();
+    expect(parseVoiceDecision('yes please')).toBeNull();
+    expect(parseVoiceDecision('cancel that order')).toBeNull();
+  });
+
+  it('treats negated or hedged replies as unclear', () => {
+    expect(parseVoiceDecision("don't confirm")).toBeNull();
+    expect(parseVoiceDecision("No, I can't confirm that")).toBeNull();
+    expect(parseVoiceDecision('wait, confirm the amount first')).toBeNull();
+    expect(parseVoiceDecision('ne pas confirmer')).toBeNull();
+  });
+
+  it('understands Spanish and French replies', () => {
+    expect(parseVoiceDecision('Confirmar')).toBe('confirm');
+    expect(parseVoiceDecision('annuler')).toBe('cancel');
+  });
+});
+
+describe('useHandsFree', () => {
+  beforeEach(() => {
+    useVoiceStore.getState().setHandsFree(true);
+    useModalStore.getState().setLoading(false);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    useVoiceStore.getState().setHandsFree(false);
+    useVoiceStore.getState().clearDraftDecision();
+    useModalStore.getState().setError(null);
+    useModalStore.getState().setResponse('');
+    useModalStore.getState().setIntentResult({});
+  });
+
+  it('sends the transcript once the speaker pauses', () => {
+    vi.useFakeTimers();
+    const onSubmit = vi.fn();
+    const voice = buildVoice({ finalTranscript: 'show sales', interimTranscript: 'for' });
+    const { rerender } = renderHook(({ current }) => useHandsFree(current, onSubmit), {
+      initialProps: { current: voice },
+    });
+
+    act(() => {
+      vi.advanceTimersByTime(VOICE_AUTO_SUBMIT_DELAY_MS);
+    });
+    expect(onSubmit).not.toHaveBeenCalled();
+
+    rerender({
+      current: buildVoice({ finalTranscript: 'show sales for today', interimTranscript: '' }),
+    });
+    act(() => {
+      vi.advanceTimersByTime(VOICE_AUTO_SUBMIT_DELAY_MS);
+    });
+    expect(onSubmit).toHaveBeenCalledWith('show sales for today');
+  });
+
+  it('reads finished answers aloud without markdown', () => {
+    const voice = buildVoice();
+    renderHook(() => useHandsFree(voice, vi.fn()));
+
+    act(() => useModalStore.getState().setLoading(true));
+    act(() => {
+      useModalStore.getState().setResponse('**Sales today:** $120');
+      useModalStore.getState().setLoading(false);
+    });
+
+    expect(voice.speakResponse).toHaveBeenCalledWith('Sales today: $120');
+  });
+
+  it('holds drafts for a spoken confirm and reads back the outcome', () => {
+    let voice = buildVoice();
+    const { rerender } = renderHook(({ current }) => useHandsFree(current, vi.fn()), {
+      initialProps: { current: voice },
+    });
+
+    act(() => useModalStore.getState().setLoading(true));
+    act(() => {
+      useModalStore.getState().setResponse('Refund $20.00 on order #1042?');
+      useModalStore.getState().setIntentResult({
+        draft: { draft_id: 'refund_abc123', preview: { summary: 'Refund $20.00' } },
+      });
+      useModalStore.getState().setLoading(false);
+    });
+
+    expect(voice.speakResponse).toHaveBeenCalledWith(
+      `Refund $20.00 on order #1042? ${VOICE_DECISION_PROMPT}`,
+    );
+    expect(useVoiceStore.getState().draftDecision?.action).toBeNull();
+
+    voice = buildVoice({ finalTranscript: 'maybe' });
+    rerender({ current: voice });
+    expect(voice.speakResponse).toHaveBeenCalledWith(VOICE_DECISION_PROMPT);
+
+    voice = buildVoice({ finalTranscript: 'confirm' });
+    rerender({ current: voice });
+    expect(useVoiceStore.getState().draftDecision?.action).toBe('confirm');
+
+    act(() => useVoiceStore.getState().settleDraftDecision('Refund processed.'));
+    expect(voice.speakResponse).toHaveBeenCalledWith('Refund processed.');
+    expect(useVoiceStore.getState().draftDecision).toBeNull();
+  });
+});
@@ -0,0 +1,69 @@
+import { fireEvent, render, screen, within } from '@testing-library/react';
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { DiagnosticsPanel } from '../../../src/features/diagnostics';
+import { useHealthHistoryStore } from '../../../src/stores/useHealthHistoryStore';
+
+const renderPanel = () => {
+  const queryClient = new QueryClient({
+    defaultOptions: { queries: { retry: false, gcTime: 0 } },
+  });
+  render(
+    <QueryClientProvider client={queryClient}>
+      <DiagnosticsPanel />
+    </QueryClientProvider>,
+  );
+};
+
+describe('DiagnosticsPanel', () => {
+  const writeText = vi.fn().mockResolvedValue(undefined);
+  const settings = window.agentwpSettings;
+
+  beforeEach(() => {
+    Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+    window.agentwpSettings = { ...window.agentwpSettings, supportEmail: 'help@example.com' };
+    useHealthHistoryStore.getState().clear();
+    useHealthHistoryStore.getState().record({ checkedAt: 1, healthy: true, code: null });
+    useHealthHistoryStore
+      .getState()
+      .record({ checkedAt: 2, healthy: false, code: 'agentwp_network_error' });
+  });
+
+  afterEach(() => {
+    Reflect.deleteProperty(navigator, 'clipboard');
+    window.agentwpSettings = settings;
+  });
+
+  it('lists environment checks, recent errors and health history', async () => {
+    renderPanel();
+
+    const checks = await screen.findByRole('list', { name: 'Environment checks' });
+    expect(within(checks).getByText('8.2.12')).toBeInTheDocument();
+    expect(within(checks).getByText('Stored •••• abcd')).toBeInTheDocument();
+    expect(
+      within(checks).getByText('Not persistent; caches fall back to transients'),
+    ).toBeInTheDocument();
+
+    const errors = screen.getByRole('table');
+    expect(within(errors).getByText('agentwp_rate_limited')).toBeInTheDocument();
+    expect(within(errors).getByText('2')).toBeInTheDocument();
+
+    expect(screen.getByText('1 of 2 recent checks passed.')).toBeInTheDocument();
+  });
+
+  it('copies a redacted support bundle and points to the support address', async () => {
+    renderPanel();
+    await screen.findByRole('list', { name: 'Environment checks' });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Copy support bundle' }));
+
+    expect(await screen.findByRole('link', { name: 'help@example.com' })).toHaveAttribute(
+      'href',
+      'mailto:help@example.com?subject=AgentWP%20support',
+    );
+    const bundle = JSON.parse(writeText.mock.calls[0]?.[0] as string);
+    expect(bundle.recent_errors[0]).toMatchObject({ code: 'agentwp_rate_limited', count: 2 });
+    expect(bundle.health_history).toHaveLength(2);
+    expect(JSON.stringify(bundle)).not.toContain('abcd');
+  });
+});
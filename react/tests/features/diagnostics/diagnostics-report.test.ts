@@ -0,0 +1,85 @@
+import { describe, expect, it } from 'vitest';
+import {
+  buildDiagnosticChecks,
+  buildSupportBundle,
+  meetsMinimum,
+  summarizeErrorCodes,
+  type DiagnosticsData,
+} from '../../../src/features/diagnostics/diagnostics-report';
+import { mockDiagnosticsResponse } from '../../mocks/handlers';
+
+const diagnostics = mockDiagnosticsResponse.data as DiagnosticsData;
+
+describe('diagnostics report', () => {
+  it('compares versions numerically', () => {
+    expect(meetsMinimum('8.10.1', '8.2')).toBe(true);
+    expect(meetsMinimum('7.4.33', '8.0')).toBe(false);
+    expect(meetsMinimum('6.4', '6.4')).toBe(true);
+    expect(meetsMinimum('6.5-RC1', '6.4')).toBe(true);
+  });
+
+  it('flags outdated versions, unreadable keys and missing encryption', () => {
+    const checks = buildDiagnosticChecks({
+      ...diagnostics,
+      environment: { ...diagnostics.environment, php_version: '7.4.33', wc_version: '' },
+      api_key: { configured: true, last4: 'abcd', readable: false },
+      encryption: { available: false, openssl: false },
+    });
+    const byId = Object.fromEntries(checks.map((check) => [check.id, check]));
+
+    expect(byId.php).toMatchObject({ status: 'fail', detail: '7.4.33 (requires 8.0 or newer)' });
+    expect(byId.wp).toMatchObject({ status: 'pass', detail: '6.5.2' });
+    expect(byId.wc).toMatchObject({ status: 'fail', detail: 'Not active' });
+    expect(byId.api_key?.status).toBe('fail');
+    expect(byId.encryption).toMatchObject({
+      status: 'fail',
+      detail: 'The OpenSSL extension is missing',
+    });
+    expect(byId.cache?.status).toBe('warn');
+    expect(byId.rate_limit).toMatchObject({
+      status: 'pass',
+      detail: '28 of 30 requests left per 60s',
+    });
+    expect(byId.search_index?.status).toBe('pass');
+  });
+
+  it('groups failed requests by error code', () => {
+    expect(summarizeErrorCodes(diagnostics.rest_logs?.entries ?? [])).toEqual([
+      {
+        code: 'agentwp_rate_limited',
+        count: 2,
+        lastStatus: 429,
+        lastSeen: '2024-01-15T11:59:30Z',
+      },
+    ]);
+  });
+
+  it('builds a support bundle without personal data or keys', () => {
+    const bundle = buildSupportBundle({
+      diagnostics: {
+        ...diagnostics,
+        environment: {
+          ...diagnostics.environment,
+          issues: ['Contact owner@example.com', 'Key sk-live1234567890abcdef leaked'],
+        },
+      },
+      healthHistory: [
+        { checkedAt: Date.UTC(2024, 0, 15, 12), healthy: false, code: 'agentwp_network_error' },
+      ],
+      generatedAt: new Date(Date.UTC(2024, 0, 15, 12, 5)),
+    });
+    const parsed = JSON.parse(bundle);
+
+    expect(parsed.generated_at).toBe('2024-01-15T12:05:00.000Z');
+    expect(parsed.recent_errors[0].code).toBe('agentwp_rate_limited');
+    expect(parsed.health_history).toEqual([
+      { checked_at: '2024-01-15T12:00:00.000Z', healthy: false, code: 'agentwp_network_error' },
+    ]);
+    expect(parsed.diagnostics.environment.issues).toEqual([
+      'Contact [redacted email]',
+      'Key [redacted key] leaked',
+    ]);
+    expect(bundle).not.toContain('abcd');
+    expect(bundle).not.toContain('user_id');
+  });
+});
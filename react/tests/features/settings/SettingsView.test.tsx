@@ -0,0 +1,139 @@
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+import { http, HttpResponse } from 'msw';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { SettingsView } from '../../../src/features/settings';
+import { server } from '../../mocks/server';
+
+const API_BASE = '/wp-json/agentwp/v1';
+
+const settingsPayload = {
+  success: true,
+  data: {
+    settings: {
+      model: 'gpt-4o-mini',
+      budget_limit: 50,
+      draft_ttl_minutes: 10,
+      hotkey: 'Cmd+K / Ctrl+K',
+      theme: 'dark',
+      demo_mode: false,
+    },
+    api_key_last4: 'ab12',
+    has_api_key: true,
+    api_key_status: 'stored',
+  },
+};
+
+const renderView = (onBack = vi.fn()) => {
+  const queryClient = new QueryClient({
+    defaultOptions: { queries: { retry: false, gcTime: 0 } },
+  });
+  render(
+    <QueryClientProvider client={queryClient}>
+      <SettingsView onBack={onBack} />
+    </QueryClientProvider>,
+  );
+  return onBack;
+};
+
+describe('SettingsView', () => {
+  beforeEach(() => {
+    server.use(http.get(`${API_BASE}/settings`, () => HttpResponse.json(settingsPayload)));
+  });
+
+  it('shows the masked API key status', async () => {
+    renderView();
+
+    expect(await screen.findByText('Stored •••• ab12')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Test key' })).toBeEnabled();
+  });
+
+  it('validates fields before sending', async () => {
+    const update = vi.fn();
+    server.use(
+      http.post(`${API_BASE}/settings`, () => {
+        update();
+        return HttpResponse.json({ success: true, data: {} });
+      }),
+    );
+    renderView();
+
+    const budget = await screen.findByLabelText('Monthly budget (USD)');
+    fireEvent.change(budget, { target: { value: '-5' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save settings' }));
+
+    expect(await screen.findByText('Enter an amount between 0 and 100000.')).toBeInTheDocument();
+    expect(budget).toHaveAttribute('aria-invalid', 'true');
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  it('maps agentwp_validation_error meta onto fields', async () => {
+    server.use(
+      http.post(`${API_BASE}/settings`, () =>
+        HttpResponse.json(
+          {
+            success: false,
+            data: {},
+            error: {
+              code: 'agentwp_validation_error',
+              message: 'request[hotkey] is invalid.',
+              type: 'validation_error',
+              meta: { fields: { hotkey: 'hotkey must be at most 50 characters long.' } },
+            },
+          },
+          { status: 400 },
+        ),
+      ),
+    );
+    renderView();
+
+    fireEvent.change(await screen.findByLabelText('Shortcut'), {
+      target: { value: 'Alt+Space' },
+    });
+    fireEvent.click(screen.getByRole('button', { name: 'Save settings' }));
+
+    expect(
+      await screen.findByText('hotkey must be at most 50 characters long.'),
+    ).toBeInTheDocument();
+    expect(screen.getByLabelText('Shortcut')).toHaveAttribute('aria-invalid', 'true');
+  });
+
+  it('records a shortcut and warns about conflicts', async () => {
+    renderView();
+
+    const input = await screen.findByLabelText('Shortcut');
+    fireEvent.click(screen.getByRole('button', { name: 'Record' }));
+    fireEvent.keyDown(input, { key: 'h', code: 'KeyH', altKey: true, shiftKey: true });
+
+    expect(input).toHaveValue('Alt+Shift+H');
+    expect(screen.getByText(/Keyboard shortcuts help/)).toBeInTheDocument();
+  });
+
+  it('asks before leaving with unsaved changes', async () => {
+    const onBack = renderView();
+
+    fireEvent.change(await screen.findByLabelText('Draft expiry (minutes)'), {
+      target: { value: '30' },
+    });
+    fireEvent.click(screen.getByRole('button', { name: 'Back to dashboard' }));
+
+    expect(onBack).not.toHaveBeenCalled();
+    fireEvent.click(screen.getByRole('button', { name: 'Discard and leave' }));
+    expect(onBack).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports the result of testing the stored key', async () => {
+    server.use(
+      http.post(`${API_BASE}/settings/api-key/test`, () =>
+        HttpResponse.json({ success: true, data: { valid: true, last4: 'ab12' } }),
+      ),
+    );
+    renderView();
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Test key' }));
+
+    await waitFor(() =>
+      expect(screen.getByText('OpenAI accepted the stored key.')).toBeInTheDocument(),
+    );
+  });
+});
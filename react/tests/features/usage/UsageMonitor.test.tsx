@@ -0,0 +1,62 @@
+import { render, screen, within } from '@testing-library/react';
+import { describe, expect, it, vi } from 'vitest';
+import { UsageMonitor } from '../../../src/features/usage';
+import { normalizeUsageSummary } from '../../../src/hooks/useUsage';
+
+vi.mock('chart.js', () => ({
+  Chart: { register: vi.fn() },
+  CategoryScale: {},
+  LinearScale: {},
+  PointElement: {},
+  LineElement: {},
+  BarElement: {},
+  ArcElement: {},
+  Tooltip: {},
+  Legend: {},
+  Filler: {},
+}));
+
+vi.mock('react-chartjs-2', async () => {
+  const ReactLocal = await import('react');
+  const MockChart = ReactLocal.forwardRef<any, any>((props, _ref) => (
+    <div role={props.role} aria-label={props['aria-label']} />
+  ));
+  return { Line: MockChart, Bar: MockChart, Doughnut: MockChart };
+});
+
+const usage = normalizeUsageSummary({
+  period: 'month',
+  total_tokens: 125000,
+  total_cost_usd: 0.37,
+  breakdown_by_intent: [
+    { intent_type: 'search', request_count: 50, total_tokens: 75000, total_cost_usd: 0.22 },
+    { intent_type: 'analytics', request_count: 0, total_tokens: 0, total_cost_usd: 0 },
+  ],
+  daily_trend: [
+    { date: '2024-01-01', total_tokens: 50000, total_cost_usd: 0.15 },
+    { date: '2024-01-02', total_tokens: 75000, total_cost_usd: 0.22 },
+  ],
+  period_start: '2024-01-01 00:00:00',
+  period_end: '2024-01-31 23:59:59',
+});
+
+describe('UsageMonitor', () => {
+  it('charts the daily trend and lists every intent with per-call averages', async () => {
+    render(<UsageMonitor usage={usage} budgetLimit={5} theme="dark" />);
+
+    expect(await screen.findByRole('img', { name: 'Daily spend' })).toBeInTheDocument();
+    expect(screen.getByText(/Projected \$[\d.]+ by period end/)).toBeInTheDocument();
+
+    const table = screen.getAllByRole('table').at(-1)!;
+    const [, search, analytics] = within(table).getAllByRole('row');
+    expect(search).toHaveTextContent('search5075,000$0.221,500$0.0044');
+    expect(analytics).toHaveTextContent('analytics00$0.00----');
+  });
+
+  it('labels weekly buckets and skips the projection', async () => {
+    render(<UsageMonitor usage={{ ...usage, granularity: 'week' }} budgetLimit={5} theme="dark" />);
+
+    expect(await screen.findByRole('img', { name: 'Weekly spend' })).toBeInTheDocument();
+    expect(screen.queryByText(/Projected/)).not.toBeInTheDocument();
+  });
+});
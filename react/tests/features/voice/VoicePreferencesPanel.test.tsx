@@ -0,0 +1,96 @@
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { http, HttpResponse } from 'msw';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { VoicePreferencesPanel } from '../../../src/features/voice';
+import {
+  DEFAULT_VOICE_PREFERENCES,
+  useVoicePreferencesStore,
+} from '../../../src/stores/useVoicePreferencesStore';
+import { server } from '../../mocks/server';
+
+const API_BASE = '/wp-json/agentwp/v1';
+
+const voices = [
+  { name: 'Monica', lang: 'es-ES' },
+  { name: 'Amelie', lang: 'fr-CA' },
+  { name: 'Thomas', lang: 'fr-FR' },
+] as SpeechSynthesisVoice[];
+
+describe('VoicePreferencesPanel', () => {
+  const settings = window.agentwpSettings;
+
+  beforeEach(() => {
+    window.agentwpSettings = { ...settings, locale: 'es-ES' };
+    useVoicePreferencesStore.setState({ preferences: DEFAULT_VOICE_PREFERENCES });
+    vi.mocked(window.speechSynthesis.getVoices).mockReturnValue(voices);
+  });
+
+  afterEach(() => {
+    window.agentwpSettings = settings;
+    vi.mocked(window.speechSynthesis.getVoices).mockReturnValue([]);
+  });
+
+  it('defaults to the admin locale and offers its voices', () => {
+    render(<VoicePreferencesPanel />);
+
+    expect(screen.getByLabelText('Language')).toHaveDisplayValue('Site language (es-ES)');
+    const voiceSelect = screen.getByLabelText('Read-aloud voice');
+    expect(voiceSelect).toHaveTextContent('Monica (es-ES)');
+    expect(voiceSelect).not.toHaveTextContent('Thomas');
+  });
+
+  it('saves the chosen language, voice and rate for the user', async () => {
+    let body: Record<string, unknown> | null = null;
+    server.use(
+      http.post(`${API_BASE}/voice`, async ({ request }) => {
+        body = (await request.json()) as Record<string, unknown>;
+        return HttpResponse.json({ success: true, data: { ...body, updated: true } });
+      }),
+    );
+    render(<VoicePreferencesPanel />);
+
+    fireEvent.change(screen.getByLabelText('Language'), { target: { value: 'fr-FR' } });
+    fireEvent.change(screen.getByLabelText('Read-aloud voice'), { target: { value: 'Thomas' } });
+    fireEvent.change(screen.getByLabelText(/Speed/), { target: { value: '1.5' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save voice settings' }));
+
+    expect(await screen.findByText('Voice settings saved.')).toBeInTheDocument();
+    expect(body).toEqual({
+      lang: 'fr-FR',
+      voice: 'Thomas',
+      rate: 1.5,
+      pitch: 1,
+      show_interim: true,
+    });
+    expect(useVoicePreferencesStore.getState().preferences).toMatchObject({
+      lang: 'fr-FR',
+      voice: 'Thomas',
+      rate: 1.5,
+    });
+  });
+
+  it('keeps the previous preferences when saving fails', async () => {
+    server.use(
+      http.post(`${API_BASE}/voice`, () =>
+        HttpResponse.json(
+          {
+            success: false,
+            data: [],
+            error: { code: 'agentwp_invalid_request', message: 'Invalid request.', meta: {} },
+          },
+          { status: 400 },
+        ),
+      ),
+    );
+    render(<VoicePreferencesPanel />);
+
+    fireEvent.click(screen.getByLabelText('Show words as they are heard'));
+    fireEvent.click(screen.getByRole('button', { name: 'Save voice settings' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent("couldn't be saved");
+    await waitFor(() =>
+      expect(useVoicePreferencesStore.getState().preferences.show_interim).toBe(true),
+    );
+    expect(screen.getByRole('button', { name: 'Save voice settings' })).toBeEnabled();
+  });
+});
@@ -17,14 +17,14 @@ const mockUsageResponse = {
     total_tokens: 150000,
     total_cost_usd: 0.45,
     breakdown_by_intent: [
-      { intent: 'analytics', count: 25, tokens: 50000, cost: 0.15 },
-      { intent: 'search', count: 50, tokens: 75000, cost: 0.22 },
-      { intent: 'other', count: 10, tokens: 25000, cost: 0.08 },
+      { intent_type: 'search', request_count: 50, total_tokens: 75000, total_cost_usd: 0.22 },
+      { intent_type: 'analytics', request_count: 25, total_tokens: 50000, total_cost_usd: 0.15 },
+      { intent_type: 'other', request_count: 10, total_tokens: 25000, total_cost_usd: 0.08 },
     ],
     daily_trend: [
-      { date: '2024-01-01', tokens: 10000, cost: 0.03 },
-      { date: '2024-01-02', tokens: 15000, cost: 0.045 },
-      { date: '2024-01-03', tokens: 12000, cost: 0.036 },
+      { date: '2024-01-01', total_tokens: 10000, total_cost_usd: 0.03 },
+      { date: '2024-01-02', total_tokens: 15000, total_cost_usd: 0.045 },
+      { date: '2024-01-03', total_tokens: 12000, total_cost_usd: 0.036 },
     ],
     period_start: '2024-01-01',
     period_end: '2024-01-31',
@@ -76,20 +76,114 @@ const mockIntentResponse = {
   data: {
     response: 'Here are the sales analytics for the last 7 days...',
     intent: 'analytics',
-    metrics: {
-      latency_ms: 1200,
-      token_cost: 0.002,
+    meta: {
+      model: 'gpt-4o-mini',
+      input_tokens: 1200,
+      output_tokens: 150,
+      total_tokens: 1350,
+      cost_usd: 0.00027,
+      ai_calls: 2,
+    },
+  },
+};
+
+export const mockDiagnosticsResponse = {
+  success: true,
+  data: {
+    health: {
+      status: 'ok',
+      time: '2024-01-15T12:00:00Z',
+      timestamp: 1705320000000,
+      version: '0.2.0',
+    },
+    environment: {
+      php_version: '8.2.12',
+      wp_version: '6.5.2',
+      wc_version: '8.7.0',
+      minimums: { php: '8.0', wp: '6.4', wc: '8.0' },
+      issues: [],
+    },
+    api_key: { configured: true, last4: 'abcd', readable: true },
+    encryption: { available: true, openssl: true },
+    cache: { persistent_object_cache: false },
+    rest_logs: {
+      limit: 50,
+      total: 3,
+      entries: [
+        {
+          time: '2024-01-15T11:58:00Z',
+          route: '/agentwp/v1/intent',
+          method: 'POST',
+          status: 429,
+          error: 'agentwp_rate_limited',
+          user_id: 7,
+          query_keys: [],
+          body_keys: ['prompt'],
+        },
+        {
+          time: '2024-01-15T11:59:00Z',
+          route: '/agentwp/v1/settings',
+          method: 'GET',
+          status: 200,
+          error: '',
+          user_id: 7,
+          query_keys: [],
+          body_keys: [],
+        },
+        {
+          time: '2024-01-15T11:59:30Z',
+          route: '/agentwp/v1/intent',
+          method: 'POST',
+          status: 429,
+          error: 'agentwp_rate_limited',
+          user_id: 7,
+          query_keys: [],
+          body_keys: ['prompt'],
+        },
+      ],
+    },
+    rate_limit: { enabled: true, limit: 30, window: 60, remaining: 28, retry_after: 0 },
+    config: { demo_mode: false, model: 'gpt-4o-mini' },
+    search_index: {
+      version: '1.0',
+      expected_version: '1.0',
+      state: { products: -1, orders: -1, customers: -1 },
+      complete: { products: true, orders: true, customers: true },
     },
   },
 };
 
 // Handlers
+/**
+ * Build a Server-Sent Events response from a list of events.
+ */
+export const streamResponse = (events: Array<{ event: string; data: unknown }>) => {
+  const encoder = new TextEncoder();
+  const body = new ReadableStream<Uint8Array>({
+    start(controller) {
+      for (const { event, data } of events) {
+        controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+      }
+      controller.close();
+    },
+  });
+
+  return new HttpResponse(body, {
+    headers: { 'Content-Type': 'text/event-stream' },
+  });
+};
+
 export const handlers = [
   // Health check
   http.get(`${API_BASE}/health`, () => {
     return HttpResponse.json(mockHealthResponse);
   }),
 
+  // Diagnostics
+  http.get(`${API_BASE}/diagnostics`, () => {
+    return HttpResponse.json(mockDiagnosticsResponse);
+  }),
+
   // Usage
   http.get(`${API_BASE}/usage`, () => {
     return HttpResponse.json(mockUsageResponse);
@@ -144,11 +238,62 @@ export const handlers = [
     });
   }),
 
+  // Voice preferences
+  http.get(`${API_BASE}/voice`, () => {
+    return HttpResponse.json({
+      success: true,
+      data: { lang: '', voice: '', rate: 1, pitch: 1, show_interim: true },
+    });
+  }),
+
+  http.post(`${API_BASE}/voice`, async ({ request }) => {
+    const body = (await request.json()) as Record<string, unknown>;
+    return HttpResponse.json({
+      success: true,
+      data: { lang: '', voice: '', rate: 1, pitch: 1, show_interim: true, ...body, updated: true },
+    });
+  }),
+
   // Intent processing
   http.post(`${API_BASE}/intent`, () => {
     return HttpResponse.json(mockIntentResponse);
   }),
 
+  http.post(`${API_BASE}/intent/stream`, () => {
+    return streamResponse([
+      { event: 'start', data: { intent_id: 'intent-1' } },
+      { event: 'progress', data: { tool: 'search_orders', label: 'Searching orders…' } },
+      { event: 'delta', data: { text: mockIntentResponse.data.response } },
+      {
+        event: 'done',
+        data: {
+          message: mockIntentResponse.data.response,
+          intent: mockIntentResponse.data.intent,
+          meta: mockIntentResponse.data.meta,
+        },
+      },
+    ]);
+  }),
+
+  // Drafts
+  http.post(`${API_BASE}/drafts/:draftId/confirm`, ({ params }) => {
+    return HttpResponse.json({
+      success: true,
+      data: {
+        draft_id: params.draftId,
+        type: String(params.draftId).split('_')[0],
+        message: 'Refund processed.',
+      },
+    });
+  }),
+
+  http.delete(`${API_BASE}/drafts/:draftId`, ({ params }) => {
+    return HttpResponse.json({
+      success: true,
+      data: { draft_id: params.draftId, type: 'refund', cancelled: true },
+    });
+  }),
+
   // History
   http.get(`${API_BASE}/history`, () => {
     return HttpResponse.json({
@@ -202,6 +347,22 @@ export const errorHandlers = {
     );
   }),
 
+  draftExpired: http.post(`${API_BASE}/drafts/:draftId/confirm`, () => {
+    return HttpResponse.json(
+      {
+        success: false,
+        data: [],
+        error: {
+          code: 'draft_expired',
+          message: 'Draft not found or expired.',
+          type: 'validation_error',
+          meta: {},
+        },
+      },
+      { status: 410 },
+    );
+  }),
+
   serverError: http.post(`${API_BASE}/intent`, () => {
     return HttpResponse.json(
       {
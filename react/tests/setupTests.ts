@@ -71,6 +71,8 @@ vi.stubGlobal('speechSynthesis', {
   pause: vi.fn(),
   resume: vi.fn(),
   getVoices: vi.fn().mockReturnValue([]),
+  addEventListener: vi.fn(),
+  removeEventListener: vi.fn(),
   speaking: false,
   pending: false,
   paused: false,
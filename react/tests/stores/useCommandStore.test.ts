@@ -0,0 +1,30 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { useCommandStore } from '../../src/stores/useCommandStore';
+import { EMPTY_SYNC_STATE, toHistoryEntry } from '../../src/utils/history-sync';
+
+describe('useCommandStore', () => {
+  beforeEach(() => {
+    useCommandStore.setState({
+      history: [],
+      favorites: [],
+      lastEntry: null,
+      historySync: EMPTY_SYNC_STATE,
+      favoritesSync: EMPTY_SYNC_STATE,
+    });
+  });
+
+  it('keeps one copy of a multi-line prompt after the server sends it back', () => {
+    const { addToHistory } = useCommandStore.getState();
+    addToHistory({ prompt: 'Show pending orders\n  from this week', response: 'Found 3.' });
+    const [local] = useCommandStore.getState().history;
+
+    // The server collapses whitespace before storing the prompt
+    const remote = { ...toHistoryEntry(local!), raw_input: 'Show pending orders from this week' };
+    useCommandStore.getState().mergeRemote({ history: [remote] });
+
+    const { history } = useCommandStore.getState();
+    expect(history).toHaveLength(1);
+    expect(history[0]?.prompt).toBe('Show pending orders from this week');
+    expect(history[0]?.response).toBe('Found 3.');
+  });
+});
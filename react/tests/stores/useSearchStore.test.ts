@@ -0,0 +1,50 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { useSearchStore } from '../../src/stores/useSearchStore';
+import { RECENT_SELECTIONS_LIMIT } from '../../src/utils/constants';
+import type { SearchResult } from '../../src/types';
+
+const product: SearchResult = { id: 42, type: 'products', title: 'Blue Hoodie' };
+const order: SearchResult = { id: 1001, type: 'orders', title: 'Order #1001' };
+
+describe('useSearchStore', () => {
+  beforeEach(() => {
+    useSearchStore.getState().reset();
+    useSearchStore.getState().clearRecent();
+  });
+
+  it('moves the active index across groups and wraps around', () => {
+    const store = useSearchStore.getState();
+    store.setResults({ products: [product], orders: [order], customers: [] });
+
+    store.incrementActiveIndex();
+    store.incrementActiveIndex();
+    expect(useSearchStore.getState().getActiveResult()).toEqual(order);
+
+    store.incrementActiveIndex();
+    expect(useSearchStore.getState().getActiveResult()).toEqual(product);
+
+    store.decrementActiveIndex();
+    expect(useSearchStore.getState().getActiveResult()).toEqual(order);
+  });
+
+  it('keeps recent picks newest first without duplicates', () => {
+    const { addRecent } = useSearchStore.getState();
+    addRecent(product);
+    addRecent(order);
+    addRecent({ ...product, title: 'Blue Hoodie (XL)' });
+
+    const { recent } = useSearchStore.getState();
+    expect(recent.map((item) => item.id)).toEqual([42, 1001]);
+    expect(recent[0]?.title).toBe('Blue Hoodie (XL)');
+  });
+
+  it('caps recent picks and keeps them on reset', () => {
+    const { addRecent, reset } = useSearchStore.getState();
+    for (let id = 1; id <= RECENT_SELECTIONS_LIMIT + 2; id += 1) {
+      addRecent({ ...order, id });
+    }
+    reset();
+
+    expect(useSearchStore.getState().recent).toHaveLength(RECENT_SELECTIONS_LIMIT);
+  });
+});
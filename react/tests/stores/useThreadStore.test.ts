@@ -0,0 +1,55 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { useThreadStore } from '../../src/stores/useThreadStore';
+import { MAX_THREAD_TURNS } from '../../src/utils/constants';
+
+const emptyResult = { cards: [], draft: null, functionSuggestions: [] };
+
+describe('useThreadStore', () => {
+  beforeEach(() => {
+    useThreadStore.setState({ threads: [], activeThreadId: null });
+  });
+
+  it('creates a thread on the first turn and titles it from the prompt', () => {
+    useThreadStore.getState().addTurn({
+      prompt: 'Show pending orders',
+      response: 'Found 3 orders.',
+      result: emptyResult,
+    });
+
+    const thread = useThreadStore.getState().getActiveThread();
+    expect(thread?.title).toBe('Show pending orders');
+    expect(thread?.turns).toHaveLength(1);
+  });
+
+  it('keeps follow-ups in the active thread until a new one starts', () => {
+    const { addTurn, startThread } = useThreadStore.getState();
+    addTurn({ prompt: 'Show pending orders', response: 'Found 3.', result: emptyResult });
+    addTurn({ prompt: 'Now refund the second one', response: 'Draft ready.', result: emptyResult });
+    const firstId = useThreadStore.getState().activeThreadId;
+
+    const nextId = startThread();
+
+    expect(nextId).not.toBe(firstId);
+    expect(useThreadStore.getState().threads.find((t) => t.id === firstId)?.turns).toHaveLength(2);
+    expect(useThreadStore.getState().getActiveThread()?.turns).toHaveLength(0);
+  });
+
+  it('reuses an empty active thread instead of stacking blank threads', () => {
+    const first = useThreadStore.getState().startThread();
+    const second = useThreadStore.getState().startThread();
+
+    expect(second).toBe(first);
+    expect(useThreadStore.getState().threads).toHaveLength(1);
+  });
+
+  it('caps the number of turns kept per thread', () => {
+    const { addTurn } = useThreadStore.getState();
+    for (let i = 0; i < MAX_THREAD_TURNS + 2; i += 1) {
+      addTurn({ prompt: `Prompt ${i}`, response: '', result: emptyResult });
+    }
+
+    const turns = useThreadStore.getState().getActiveThread()?.turns ?? [];
+    expect(turns).toHaveLength(MAX_THREAD_TURNS);
+    expect(turns[0]?.prompt).toBe('Prompt 2');
+  });
+});
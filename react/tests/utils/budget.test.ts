@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import { forecastPeriodSpend, getBudgetStatus } from '../../src/utils/budget';
+import type { UsageSummary } from '../../src/types';
+
+const usage: UsageSummary = {
+  totalTokens: 30000,
+  totalCostUsd: 3,
+  breakdownByIntent: [],
+  dailyTrend: [
+    { date: '2024-04-01', tokens: 10000, cost: 1 },
+    { date: '2024-04-02', tokens: 10000, cost: 0.5 },
+    { date: '2024-04-03', tokens: 10000, cost: 1.5 },
+    { date: '2024-04-04', tokens: 0, cost: 0 },
+  ],
+  granularity: 'day',
+  periodStart: '2024-04-01 00:00:00',
+  periodEnd: '2024-04-30 23:59:59',
+};
+
+describe('getBudgetStatus', () => {
+  it('warns from 80% and flags spend at or over the limit', () => {
+    expect(getBudgetStatus(5, 0).level).toBe('none');
+    expect(getBudgetStatus(7.99, 10).level).toBe('ok');
+    expect(getBudgetStatus(8, 10)).toMatchObject({ level: 'warning', percentage: 80 });
+    expect(getBudgetStatus(10, 10).level).toBe('exceeded');
+  });
+});
+
+describe('forecastPeriodSpend', () => {
+  it('projects month-end spend from the daily run rate so far', () => {
+    const forecast = forecastPeriodSpend(usage, new Date(Date.UTC(2024, 3, 3, 15)));
+
+    expect(forecast).toEqual({ projected: 30, dailyRate: 1, daysElapsed: 3, daysInPeriod: 30 });
+  });
+
+  it('falls back to the period average without a trend', () => {
+    const forecast = forecastPeriodSpend(
+      { ...usage, dailyTrend: [] },
+      new Date(Date.UTC(2024, 3, 10)),
+    );
+
+    expect(forecast?.dailyRate).toBeCloseTo(0.3);
+    expect(forecast?.projected).toBeCloseTo(9);
+  });
+
+  it('returns null without period bounds', () => {
+    expect(forecastPeriodSpend({ ...usage, periodStart: '' })).toBeNull();
+  });
+
+  it('returns null when the trend is not bucketed by day', () => {
+    const now = new Date(Date.UTC(2024, 3, 3, 15));
+
+    expect(forecastPeriodSpend({ ...usage, granularity: 'week' }, now)).toBeNull();
+    expect(forecastPeriodSpend({ ...usage, granularity: 'month' }, now)).toBeNull();
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, expect, it } from 'vitest';
+import {
+  buildAnalyticsQuery,
+  buildUsageQuery,
+  createAnalyticsRange,
+  getRangeDays,
+  resolvePresetRange,
+  toQueryParams,
+  validateDateRange,
+} from '../../src/utils/date-range';
+
+const today = new Date(2024, 4, 15);
+
+describe('resolvePresetRange', () => {
+  it('resolves rolling and calendar presets against today', () => {
+    expect(resolvePresetRange('7d', today)).toEqual({ from: '2024-05-09', to: '2024-05-15' });
+    expect(resolvePresetRange('mtd', today)).toEqual({ from: '2024-05-01', to: '2024-05-15' });
+    expect(resolvePresetRange('qtd', today)).toEqual({ from: '2024-04-01', to: '2024-05-15' });
+    expect(resolvePresetRange('last_quarter', today)).toEqual({
+      from: '2024-01-01',
+      to: '2024-03-31',
+    });
+    expect(resolvePresetRange('ytd', today)).toEqual({ from: '2024-01-01', to: '2024-05-15' });
+  });
+
+  it('rolls last quarter back into the previous year in Q1', () => {
+    expect(resolvePresetRange('last_quarter', new Date(2024, 1, 10))).toEqual({
+      from: '2023-10-01',
+      to: '2023-12-31',
+    });
+  });
+});
+
+describe('validateDateRange', () => {
+  it('accepts ordered ranges up to two years', () => {
+    expect(validateDateRange({ from: '2024-01-01', to: '2024-01-01' })).toBeNull();
+    expect(getRangeDays({ from: '2024-01-01', to: '2024-03-31' })).toBe(91);
+  });
+
+  it('explains missing, reversed and oversized ranges', () => {
+    expect(validateDateRange({ from: '2024-02-30', to: '2024-03-01' })).toMatch(/both/);
+    expect(validateDateRange({ from: '2024-03-02', to: '2024-03-01' })).toMatch(/on or before/);
+    expect(validateDateRange({ from: '2020-01-01', to: '2024-01-01' })).toMatch(/two years/);
+  });
+});
+
+describe('buildAnalyticsQuery', () => {
+  it('keeps plain presets on the period param', () => {
+    expect(buildAnalyticsQuery(createAnalyticsRange('30d', today))).toEqual({ period: '30d' });
+  });
+
+  it('sends dates once the range, bucketing or comparison changes', () => {
+    const range = { ...createAnalyticsRange('7d', today), compare: 'year' as const };
+
+    expect(toQueryParams(buildAnalyticsQuery(range))).toEqual({
+      from: '2024-05-09',
+      to: '2024-05-15',
+      granularity: 'day',
+      compare: 'year',
+    });
+    expect(buildAnalyticsQuery(createAnalyticsRange('qtd', today))).toMatchObject({
+      from: '2024-04-01',
+      granularity: 'day',
+    });
+  });
+});
+
+describe('buildUsageQuery', () => {
+  it('asks for the calendar month when showing month to date by day', () => {
+    expect(buildUsageQuery(createAnalyticsRange('mtd', today))).toEqual({ period: 'month' });
+  });
+
+  it('sends dates and bucketing for every other range', () => {
+    const range = { ...createAnalyticsRange('mtd', today), granularity: 'week' as const };
+
+    expect(buildUsageQuery(range)).toEqual({
+      from: '2024-05-01',
+      to: '2024-05-15',
+      granularity: 'week',
+    });
+    expect(buildUsageQuery(createAnalyticsRange('30d', today))).toEqual({
+      from: '2024-04-16',
+      to: '2024-05-15',
+      granularity: 'day',
+    });
+  });
+});
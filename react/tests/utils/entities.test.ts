@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import type { PromptEntity } from '../../src/types';
+import {
+  MAX_PROMPT_ENTITIES,
+  addPromptEntity,
+  getAskAboutPrompt,
+  getEntityEditUrl,
+  toContextEntities,
+  toPromptEntity,
+} from '../../src/utils/entities';
+
+describe('entities', () => {
+  it('maps search results to prompt entities', () => {
+    const entity = toPromptEntity({
+      id: '1001',
+      title: 'Order #1001',
+      subtitle: 'Processing',
+      type: 'orders',
+      query: 'order:1001',
+    });
+
+    expect(entity).toEqual({
+      type: 'order',
+      id: 1001,
+      label: 'Order #1001',
+      subtitle: 'Processing',
+      query: 'order:1001',
+    });
+    expect(toContextEntities([entity])).toEqual([
+      { type: 'order', id: 1001, label: 'Order #1001' },
+    ]);
+    expect(getAskAboutPrompt(entity)).toBe('Tell me about order #1001');
+  });
+
+  it('skips duplicates and keeps the newest entities', () => {
+    const product: PromptEntity = { type: 'product', id: 1, label: 'Hoodie' };
+    expect(addPromptEntity([product], { ...product })).toHaveLength(1);
+
+    let entities = [product];
+    for (let id = 2; id <= MAX_PROMPT_ENTITIES + 2; id++) {
+      entities = addPromptEntity(entities, { type: 'product', id, label: `Item ${id}` });
+    }
+    expect(entities).toHaveLength(MAX_PROMPT_ENTITIES);
+    expect(entities[0]?.id).toBe(3);
+  });
+
+  it('fills the edit URL template for the entity type', () => {
+    const settings = {
+      editUrls: { order: '/wp-admin/admin.php?page=wc-orders&action=edit&id={id}' },
+    };
+
+    expect(getEntityEditUrl({ type: 'order', id: 7 }, settings)).toBe(
+      '/wp-admin/admin.php?page=wc-orders&action=edit&id=7',
+    );
+    expect(getEntityEditUrl({ type: 'customer', id: 7 }, settings)).toBeNull();
+  });
+});
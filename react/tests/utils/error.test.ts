@@ -0,0 +1,40 @@
+import { describe, expect, it } from 'vitest';
+import { buildErrorState, resolveRecoveryActions } from '../../src/utils/error';
+
+describe('resolveRecoveryActions', () => {
+  it('maps AgentWP and WordPress codes to their fixes', () => {
+    expect(resolveRecoveryActions({ code: 'agentwp_invalid_key' })).toEqual(['update_api_key']);
+    expect(resolveRecoveryActions({ code: 'agentwp_invalid_nonce' })).toEqual(['refresh_nonce']);
+    expect(resolveRecoveryActions({ code: 'rest_cookie_invalid_nonce' })).toEqual([
+      'refresh_nonce',
+    ]);
+    expect(resolveRecoveryActions({ code: 'agentwp_rate_limited' })).toEqual([]);
+  });
+
+  it('prefers the OpenAI code carried in meta', () => {
+    expect(
+      resolveRecoveryActions({
+        code: 'agentwp_api_error',
+        meta: { error_code: 'context_length_exceeded' },
+      }),
+    ).toEqual(['shorten_prompt']);
+    expect(
+      resolveRecoveryActions({
+        code: 'agentwp_api_error',
+        meta: { error_code: 'insufficient_quota', error_type: 'insufficient_quota' },
+      }),
+    ).toEqual(['switch_model', 'update_api_key']);
+    expect(resolveRecoveryActions({ meta: { error_type: 'authentication_error' } })).toEqual([
+      'update_api_key',
+    ]);
+  });
+});
+
+describe('buildErrorState', () => {
+  it('attaches recovery actions alongside the retry flag', () => {
+    const error = buildErrorState({ code: 'agentwp_invalid_nonce', status: 403 });
+
+    expect(error.actions).toEqual(['refresh_nonce']);
+    expect(error.retryable).toBe(false);
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, expect, it } from 'vitest';
+import {
+  buildExportFilename,
+  getNumberFormatCode,
+  toCsv,
+  toPrintableHtml,
+  toXlsx,
+  type ExportTable,
+} from '../../src/utils/export';
+import { currencyFormatter, usageCurrencyFormatter } from '../../src/utils/formatters';
+
+const table: ExportTable = {
+  title: 'Top customers',
+  columns: [{ label: 'Name' }, { label: 'Spend', formatter: currencyFormatter }],
+  rows: [
+    ['Smith, Jane', 1250],
+    ['=HYPERLINK("x")', null],
+  ],
+};
+
+describe('toCsv', () => {
+  it('formats currency, quotes separators and neutralizes formulas', () => {
+    expect(toCsv([table])).toBe('Name,Spend\r\n"Smith, Jane","$1,250"\r\n"\'=HYPERLINK(""x"")",');
+  });
+
+  it('titles each table when exporting several', () => {
+    const csv = toCsv([table, { ...table, title: 'Again', rows: [] }]);
+
+    expect(csv.startsWith('Top customers\r\nName,Spend')).toBe(true);
+    expect(csv.endsWith('\r\n\r\nAgain\r\nName,Spend')).toBe(true);
+  });
+});
+
+describe('getNumberFormatCode', () => {
+  it('mirrors the symbol and decimals of currency formatters', () => {
+    expect(getNumberFormatCode(currencyFormatter)).toBe('"$"#,##0');
+    expect(getNumberFormatCode(usageCurrencyFormatter)).toBe('"$"#,##0.00');
+    expect(
+      getNumberFormatCode(new Intl.NumberFormat('de-DE', { style: 'currency', currency: 'EUR' })),
+    ).toBe('#,##0.00 "€"');
+  });
+});
+
+describe('toXlsx', () => {
+  it('writes a zip workbook with numeric cells and a currency style', () => {
+    const bytes = toXlsx([table]);
+    // Entries are stored uncompressed, so the XML is readable in the archive
+    const text = new TextDecoder().decode(bytes);
+
+    expect(Array.from(bytes.slice(0, 4))).toEqual([0x50, 0x4b, 0x03, 0x04]);
+    expect(text).toContain('<sheet name="Top customers" sheetId="1" r:id="rId1"/>');
+    expect(text).toContain('<c r="B2" s="2"><v>1250</v></c>');
+    expect(text).toContain('formatCode="&quot;$&quot;#,##0"');
+    expect(text).toContain('Smith, Jane');
+  });
+});
+
+describe('toPrintableHtml', () => {
+  it('escapes content and formats numbers', () => {
+    const html = toPrintableHtml({
+      title: 'Report <draft>',
+      tables: [table],
+    });
+
+    expect(html).toContain('<h1>Report &lt;draft&gt;</h1>');
+    expect(html).toContain('<td class="num">$1,250</td>');
+    expect(html).toContain('=HYPERLINK(&quot;x&quot;)');
+  });
+});
+
+describe('buildExportFilename', () => {
+  it('slugifies the title and stamps the date', () => {
+    expect(buildExportFilename('Sales by category', 'xlsx', new Date('2024-05-15T12:00:00Z'))).toBe(
+      'agentwp-sales-by-category-2024-05-15.xlsx',
+    );
+  });
+});
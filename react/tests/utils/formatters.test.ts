@@ -0,0 +1,76 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import {
+  createCurrencyFormatter,
+  formatCurrencyValue,
+  formatDate,
+  getStoreFormat,
+} from '../../src/utils/formatters';
+
+describe('getStoreFormat', () => {
+  it('reads the store locale, currency and decimals', () => {
+    expect(getStoreFormat({ store: { locale: 'de_DE', currency: 'eur', decimals: 3 } })).toEqual({
+      locale: 'de-DE',
+      currency: 'EUR',
+      decimals: 3,
+    });
+  });
+
+  it('falls back to en-US and USD for missing or invalid settings', () => {
+    expect(getStoreFormat({})).toEqual({ locale: 'en-US', currency: 'USD', decimals: 2 });
+    expect(
+      getStoreFormat({ store: { locale: 'not a locale!', currency: 'Euro', decimals: -1 } }),
+    ).toEqual({ locale: 'en-US', currency: 'USD', decimals: 2 });
+  });
+});
+
+describe('createCurrencyFormatter', () => {
+  it('uses the store locale, currency and price decimals', () => {
+    const euro = createCurrencyFormatter({ locale: 'de-DE', currency: 'EUR', decimals: 2 });
+    const yen = createCurrencyFormatter({ locale: 'ja-JP', currency: 'JPY', decimals: 0 });
+
+    expect(euro.format(1234.5)).toBe('1.234,50 €');
+    expect(yen.format(1234)).toBe('￥1,234');
+  });
+});
+
+describe('formatCurrencyValue', () => {
+  it('keeps a given currency code and ignores invalid ones', () => {
+    expect(formatCurrencyValue(1200)).toBe('$1,200');
+    expect(formatCurrencyValue(1200, 'GBP')).toBe('£1,200');
+    expect(formatCurrencyValue(1200, 'pounds')).toBe('$1,200');
+    expect(formatCurrencyValue('n/a')).toBe('n/a');
+  });
+});
+
+describe('store settings', () => {
+  const settings = window.agentwpSettings;
+
+  afterEach(() => {
+    window.agentwpSettings = settings;
+    vi.resetModules();
+  });
+
+  it('drive the shared formatters', async () => {
+    window.agentwpSettings = {
+      ...settings,
+      store: { locale: 'fr-FR', currency: 'EUR', decimals: 2 },
+    };
+    vi.resetModules();
+    const formatters = await import('../../src/utils/formatters');
+
+    expect(formatters.formatCurrencyValue(1500)).toBe('1 500 €');
+    expect(formatters.formatCurrencyAmount(19.9)).toBe('19,90 €');
+    expect(formatters.formatCurrencyAmount(19.9, 'USD')).toBe('19,90 $US');
+    // AI usage is billed in dollars whatever the store sells in
+    expect(formatters.formatUsageCost(3.5)).toBe('3,50 $US');
+    expect(formatters.formatDate(new Date(2026, 4, 3), { month: 'long', day: 'numeric' })).toBe(
+      '3 mai',
+    );
+  });
+});
+
+describe('formatDate', () => {
+  it('returns an empty string for invalid dates', () => {
+    expect(formatDate('not a date')).toBe('');
+  });
+});
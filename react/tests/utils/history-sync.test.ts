@@ -0,0 +1,160 @@
+import { describe, expect, it } from 'vitest';
+import {
+  commandKey,
+  entryKey,
+  fromHistoryEntry,
+  markSynced,
+  mergeFavorites,
+  mergeHistory,
+  normalizePrompt,
+  toHistoryEntry,
+} from '../../src/utils/history-sync';
+import type { CommandEntry } from '../../src/types';
+
+const entry = (prompt: string, timestamp: number, extra: Partial<CommandEntry> = {}) => ({
+  id: `${timestamp}-${prompt}`,
+  prompt,
+  response: 'local response',
+  timestamp,
+  ...extra,
+});
+
+describe('history sync helpers', () => {
+  it('round-trips entries through the server shape', () => {
+    const local = entry('Show pending orders', Date.UTC(2026, 0, 5, 9), {
+      intent: 'order_search',
+      successful: true,
+    });
+
+    const remote = toHistoryEntry(local);
+    expect(remote).toEqual({
+      raw_input: 'Show pending orders',
+      parsed_intent: 'order_search',
+      timestamp: '2026-01-05T09:00:00.000Z',
+      was_successful: true,
+    });
+
+    expect(fromHistoryEntry(remote)).toMatchObject({
+      prompt: 'Show pending orders',
+      timestamp: local.timestamp,
+      intent: 'order_search',
+      successful: true,
+    });
+  });
+
+  it('drops server entries without a prompt or a valid timestamp', () => {
+    expect(fromHistoryEntry({ raw_input: '  ', timestamp: '2026-01-05T09:00:00Z' })).toBeNull();
+    expect(fromHistoryEntry({ raw_input: 'Show orders', timestamp: 'yesterday' })).toBeNull();
+  });
+
+  it('merges history newest first and keeps the local copy of shared submissions', () => {
+    const shared = entry('Refund order 42', Date.UTC(2026, 0, 5, 10));
+    const localOnly = entry('Show pending orders', Date.UTC(2026, 0, 5, 12));
+
+    const merged = mergeHistory(
+      [localOnly, shared],
+      [
+        toHistoryEntry({ ...shared, response: '' }),
+        { raw_input: 'Low stock report', timestamp: '2026-01-05T11:00:00.000Z' },
+      ],
+    );
+
+    expect(merged.map((item) => item.prompt)).toEqual([
+      'Show pending orders',
+      'Low stock report',
+      'Refund order 42',
+    ]);
+    expect(merged[2]?.response).toBe('local response');
+  });
+
+  it('applies the limit after merging', () => {
+    const merged = mergeHistory(
+      [entry('Newest', 3000)],
+      [
+        { raw_input: 'Middle', timestamp: new Date(2000).toISOString() },
+        { raw_input: 'Oldest', timestamp: new Date(1000).toISOString() },
+      ],
+      2,
+    );
+
+    expect(merged.map((item) => item.prompt)).toEqual(['Newest', 'Middle']);
+  });
+
+  it('dedupes favorites by command and keeps the most recent copy', () => {
+    const local = entry('Show pending orders', 1000, { intent: 'order_search' });
+
+    const merged = mergeFavorites(
+      [local],
+      [
+        {
+          raw_input: 'Show pending orders',
+          parsed_intent: 'order_search',
+          timestamp: new Date(5000).toISOString(),
+        },
+      ],
+    );
+
+    expect(merged).toHaveLength(1);
+    expect(merged[0]?.timestamp).toBe(5000);
+    expect(commandKey(merged[0]!)).toBe(commandKey(local));
+  });
+
+  it('keeps an entry deleted here deleted when the server still has it', () => {
+    const deleted = entry('Refund order 42', 1000);
+    const kept = entry('Show pending orders', 2000);
+
+    const merged = mergeHistory([kept], [toHistoryEntry(deleted), toHistoryEntry(kept)], null, {
+      synced: [entryKey(deleted), entryKey(kept)],
+      deleted: [entryKey(deleted)],
+    });
+
+    expect(merged.map((item) => item.prompt)).toEqual(['Show pending orders']);
+  });
+
+  it('drops synced entries removed in another browser and keeps new local ones', () => {
+    const removed = entry('Refund order 42', 1000);
+    const kept = entry('Show pending orders', 2000);
+    const added = entry('Low stock report', 3000);
+
+    const merged = mergeHistory([added, kept, removed], [toHistoryEntry(kept)], 50, {
+      synced: [entryKey(removed), entryKey(kept)],
+      deleted: [],
+    });
+
+    expect(merged.map((item) => item.prompt)).toEqual(['Low stock report', 'Show pending orders']);
+  });
+
+  it('keeps unfavorited commands out until the server drops them', () => {
+    const local = entry('Show pending orders', 1000, { intent: 'order_search' });
+    const sync = { synced: [commandKey(local)], deleted: [commandKey(local)] };
+
+    expect(mergeFavorites([], [toHistoryEntry(local)], null, sync)).toEqual([]);
+    expect(markSynced([local], commandKey, sync).deleted).toEqual([commandKey(local)]);
+    expect(markSynced([], commandKey, sync)).toEqual({ synced: [], deleted: [] });
+  });
+
+  it('normalizes prompts the way the server sanitizes them', () => {
+    expect(normalizePrompt('Show orders\n  from   today ')).toBe('Show orders from today');
+    expect(normalizePrompt("Email O\\'Brien")).toBe("Email O'Brien");
+    expect(normalizePrompt('Find <b>hoodie</b> sales')).toBe('Find hoodie sales');
+    expect(normalizePrompt('Orders < 5 items')).toBe('Orders &lt; 5 items');
+    expect(normalizePrompt('Search 100%25 cotton')).toBe('Search 100 cotton');
+  });
+
+  it('matches a multi-line prompt with its server copy', () => {
+    const local = entry(normalizePrompt('Show pending orders\nfrom this week'), 1000);
+
+    const merged = mergeHistory(
+      [local],
+      [
+        {
+          raw_input: 'Show pending orders from this week',
+          timestamp: new Date(1000).toISOString(),
+        },
+      ],
+    );
+
+    expect(merged).toHaveLength(1);
+    expect(merged[0]?.response).toBe('local response');
+  });
+});
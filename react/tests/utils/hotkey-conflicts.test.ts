@@ -0,0 +1,20 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_HOTKEY } from '../../src/utils/hotkey';
+import { findHotkeyConflicts } from '../../src/utils/hotkey-conflicts';
+
+describe('hotkey conflicts', () => {
+  it('flags browser and WordPress shortcuts', () => {
+    const conflicts = findHotkeyConflicts('Ctrl+K', false).map((c) => c.description);
+
+    expect(conflicts).toContain('WordPress command palette');
+    expect(conflicts).toContain('Browser address bar search');
+    expect(findHotkeyConflicts('Alt+Shift+H', false)[0]?.source).toBe('wordpress');
+    expect(findHotkeyConflicts('Ctrl+Alt+J', false)).toEqual([]);
+  });
+
+  it('checks the default against the current platform key only', () => {
+    const conflicts = findHotkeyConflicts(DEFAULT_HOTKEY, true).map((c) => c.description);
+
+    expect(conflicts).toEqual(['WordPress command palette']);
+  });
+});
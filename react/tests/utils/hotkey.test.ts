@@ -0,0 +1,74 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DEFAULT_HOTKEY,
+  formatHotkey,
+  getHotkeyLabel,
+  hotkeyFromEvent,
+  matchesHotkey,
+  parseHotkey,
+  resolveHotkey,
+} from '../../src/utils/hotkey';
+
+const keydown = (init: KeyboardEventInit) => new KeyboardEvent('keydown', init);
+
+describe('hotkey utils', () => {
+  it('parses combos and alternatives', () => {
+    expect(parseHotkey('Alt+Shift+A', false)).toEqual([
+      { key: 'a', ctrl: false, meta: false, alt: true, shift: true },
+    ]);
+    expect(formatHotkey(parseHotkey('cmd+k / ctrl+k', false))).toBe('Cmd+K / Ctrl+K');
+  });
+
+  it('maps Mod to the platform modifier', () => {
+    expect(formatHotkey(parseHotkey('Mod+J', true))).toBe('Cmd+J');
+    expect(formatHotkey(parseHotkey('Mod+J', false))).toBe('Ctrl+J');
+  });
+
+  it('rejects malformed or bare shortcuts', () => {
+    expect(parseHotkey('Hyper+K', false)).toEqual([]);
+    expect(parseHotkey('Shift+K', false)).toEqual([]);
+    expect(parseHotkey('Alt+', false)).toEqual([]);
+    expect(parseHotkey('F2', false)).toHaveLength(1);
+  });
+
+  it('falls back to the default shortcut', () => {
+    expect(formatHotkey(resolveHotkey('nonsense', false))).toBe('Ctrl+K');
+  });
+
+  it('applies only the current platform key for the default shortcut', () => {
+    expect(formatHotkey(resolveHotkey(DEFAULT_HOTKEY, true))).toBe('Cmd+K');
+    expect(formatHotkey(resolveHotkey(DEFAULT_HOTKEY, false))).toBe('Ctrl+K');
+    expect(formatHotkey(resolveHotkey('Cmd+J / Ctrl+J', false))).toBe('Cmd+J / Ctrl+J');
+  });
+
+  it('matches by physical key so Option combos work on macOS', () => {
+    const combos = parseHotkey('Alt+Shift+A', true);
+
+    expect(
+      matchesHotkey(keydown({ key: 'Å', code: 'KeyA', altKey: true, shiftKey: true }), combos),
+    ).toBe(true);
+    expect(matchesHotkey(keydown({ key: 'a', code: 'KeyA', altKey: true }), combos)).toBe(false);
+  });
+
+  it('requires the exact modifier set', () => {
+    const combos = parseHotkey('Ctrl+K', false);
+
+    expect(matchesHotkey(keydown({ key: 'k', code: 'KeyK', ctrlKey: true }), combos)).toBe(true);
+    expect(
+      matchesHotkey(keydown({ key: 'K', code: 'KeyK', ctrlKey: true, shiftKey: true }), combos),
+    ).toBe(false);
+  });
+
+  it('records shortcuts from key events', () => {
+    expect(hotkeyFromEvent(keydown({ key: 'Shift', shiftKey: true }))).toBeNull();
+    expect(hotkeyFromEvent(keydown({ key: 'j', code: 'KeyJ' }))).toBeNull();
+    expect(hotkeyFromEvent(keydown({ key: 'J', code: 'KeyJ', ctrlKey: true, altKey: true }))).toBe(
+      'Ctrl+Alt+J',
+    );
+  });
+
+  it('labels the combo for the current platform', () => {
+    expect(getHotkeyLabel('Cmd+K / Ctrl+K', true)).toBe('Cmd+K');
+    expect(getHotkeyLabel('Cmd+K / Ctrl+K', false)).toBe('Ctrl+K');
+  });
+});
@@ -0,0 +1,99 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import {
+  __,
+  _n,
+  _x,
+  compilePluralForms,
+  isRTL,
+  setLocaleData,
+  sprintf,
+} from '../../src/utils/i18n';
+
+// Shaped like the JSON files WordPress loads with wp_set_script_translations()
+const POLISH = {
+  'translation-revision-date': '2026-10-01 12:00+0000',
+  generator: 'WP-CLI/2.11.0',
+  domain: 'messages',
+  locale_data: {
+    messages: {
+      '': {
+        domain: 'messages',
+        lang: 'pl',
+        plural_forms:
+          'nplurals=3; plural=(n==1 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);',
+      },
+      Send: ['Wyślij'],
+      '%d prompt': ['%d polecenie', '%d polecenia', '%d poleceń'],
+      'verb\u0004Export': ['Eksportuj'],
+    },
+  },
+};
+
+afterEach(() => {
+  setLocaleData({});
+  delete window.wp;
+  document.documentElement.removeAttribute('dir');
+});
+
+describe('i18n', () => {
+  it('returns the English text when there are no translations', () => {
+    expect(__('Send')).toBe('Send');
+    expect(_n('%d prompt', '%d prompts', 1)).toBe('%d prompt');
+    expect(_n('%d prompt', '%d prompts', 3)).toBe('%d prompts');
+  });
+
+  it('loads WordPress JSON translations with context and plural forms', () => {
+    setLocaleData(POLISH);
+
+    expect(__('Send')).toBe('Wyślij');
+    expect(__('Cancel')).toBe('Cancel');
+    expect(_x('Export', 'verb')).toBe('Eksportuj');
+    expect(_x('Export', 'noun')).toBe('Export');
+    expect(sprintf(_n('%d prompt', '%d prompts', 1), 1)).toBe('1 polecenie');
+    expect(sprintf(_n('%d prompt', '%d prompts', 3), 3)).toBe('3 polecenia');
+    expect(sprintf(_n('%d prompt', '%d prompts', 12), 12)).toBe('12 poleceń');
+    expect(sprintf(_n('%d prompt', '%d prompts', 22), 22)).toBe('22 polecenia');
+  });
+
+  it('uses wp.i18n with the plugin text domain when WordPress provides it', () => {
+    const translate = vi.fn((text: string) => `[${text}]`);
+    window.wp = {
+      i18n: {
+        __: translate,
+        _x: vi.fn(),
+        _n: vi.fn((single: string) => single),
+        isRTL: () => true,
+      },
+    };
+
+    expect(__('Send')).toBe('[Send]');
+    expect(translate).toHaveBeenCalledWith('Send', 'agentwp');
+    expect(isRTL()).toBe(true);
+  });
+
+  it('reads the text direction from the admin page', () => {
+    expect(isRTL()).toBe(false);
+    document.documentElement.setAttribute('dir', 'rtl');
+    expect(isRTL()).toBe(true);
+  });
+});
+
+describe('compilePluralForms', () => {
+  it('evaluates gettext plural expressions', () => {
+    const arabic = compilePluralForms(
+      'nplurals=6; plural=(n==0 ? 0 : n==1 ? 1 : n==2 ? 2 : n%100>=3 && n%100<=10 ? 3 : n%100>=11 ? 4 : 5);',
+    );
+    expect([0, 1, 2, 5, 11, 100].map(arabic)).toEqual([0, 1, 2, 3, 4, 5]);
+
+    const french = compilePluralForms('nplurals=2; plural=(n > 1);');
+    expect([0, 1, 2].map(french)).toEqual([0, 0, 1]);
+  });
+});
+
+describe('sprintf', () => {
+  it('fills plain and numbered placeholders', () => {
+    expect(sprintf('%s of %d', 'Page 1', 4.6)).toBe('Page 1 of 4');
+    expect(sprintf('%2$s, %1$s', 'world', 'Hello')).toBe('Hello, world');
+    expect(sprintf('100%% done')).toBe('100% done');
+  });
+});
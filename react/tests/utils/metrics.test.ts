@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest';
+import {
+  EMPTY_SESSION_METRICS,
+  addSessionMetrics,
+  buildResponseMetrics,
+  formatLatency,
+  formatSessionMetrics,
+} from '../../src/utils/metrics';
+
+describe('metrics', () => {
+  it('builds response metrics from the intent meta', () => {
+    expect(
+      buildResponseMetrics(1234.6, {
+        model: 'gpt-4o',
+        input_tokens: 900,
+        output_tokens: 50,
+        cost_usd: 0.0052,
+      }),
+    ).toEqual({
+      latencyMs: 1235,
+      tokenCost: 0.0052,
+      model: 'gpt-4o',
+      promptTokens: 900,
+      completionTokens: 50,
+    });
+  });
+
+  it('keeps only latency when the server sent no usage', () => {
+    expect(buildResponseMetrics(80)).toEqual({
+      latencyMs: 80,
+      tokenCost: null,
+      model: null,
+      promptTokens: null,
+      completionTokens: null,
+    });
+  });
+
+  it('totals the session and averages latency', () => {
+    const session = [
+      buildResponseMetrics(800, { input_tokens: 1000, output_tokens: 100, cost_usd: 0.0002 }),
+      buildResponseMetrics(1600, { input_tokens: 2000, output_tokens: 200, cost_usd: 0.0004 }),
+    ].reduce(addSessionMetrics, EMPTY_SESSION_METRICS);
+
+    expect(session).toMatchObject({ requests: 2, tokens: 3300, latencyMs: 2400 });
+    expect(session.cost).toBeCloseTo(0.0006);
+    expect(formatSessionMetrics(session)).toBe('2 prompts · 3,300 tokens · $0.0006 · avg 1.2 s');
+  });
+
+  it('formats latency in ms below a second', () => {
+    expect(formatLatency(820)).toBe('820 ms');
+    expect(formatLatency(1450)).toBe('1.4 s');
+  });
+});
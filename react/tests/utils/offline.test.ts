@@ -0,0 +1,45 @@
+import { describe, expect, it } from 'vitest';
+import { getHealthCheckDelay, getMutatingAction } from '../../src/utils/offline';
+
+describe('getMutatingAction', () => {
+  it('lets read-only prompts through', () => {
+    for (const prompt of [
+      'Show sales today',
+      'Where is order 1001?',
+      'How many cancelled orders this week?',
+      'Find the customer with email jane@example.com',
+      'Which products are out of stock?',
+      'Show draft orders',
+      'Which products were added this week?',
+      'Orders to cancel?',
+      'What did customers write in reviews?',
+      'Can you show orders with a refund?',
+    ]) {
+      expect(getMutatingAction(prompt)).toBeNull();
+    }
+  });
+
+  it('names the store change a prompt asks for', () => {
+    expect(getMutatingAction('Refund order 1001')).toBe('Refunds');
+    expect(getMutatingAction('Cancel order 1001')).toBe('Cancellations');
+    expect(getMutatingAction('Mark order 1001 as completed')).toBe('Status changes');
+    expect(getMutatingAction('Restock the blue hoodie')).toBe('Stock changes');
+    expect(getMutatingAction('Draft a reply to Jane')).toBe('Email drafts');
+    expect(getMutatingAction('Add a note to order 1001')).toBe('Store changes');
+  });
+
+  it('looks past request phrasing to the verb', () => {
+    expect(getMutatingAction('Please refund order 1001')).toBe('Refunds');
+    expect(getMutatingAction('Could you please cancel order 1001?')).toBe('Cancellations');
+    expect(getMutatingAction("I'd like to set the hoodie stock to 5")).toBe('Stock changes');
+    expect(getMutatingAction('Issue a refund for order 1001')).toBe('Refunds');
+  });
+});
+
+describe('getHealthCheckDelay', () => {
+  it('doubles with each repeated result up to a minute', () => {
+    expect([1, 2, 3, 4, 5, 6, 10].map(getHealthCheckDelay)).toEqual([
+      5000, 10000, 20000, 40000, 60000, 60000, 60000,
+    ]);
+  });
+});
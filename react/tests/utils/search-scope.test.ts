@@ -0,0 +1,47 @@
+import { describe, expect, it } from 'vitest';
+import {
+  cycleSearchFilter,
+  filterSearchResults,
+  groupSearchResults,
+  parseSearchScope,
+} from '../../src/utils/search-scope';
+import type { SearchResult } from '../../src/types';
+
+describe('parseSearchScope', () => {
+  it('maps prefixes to types and strips them from the query', () => {
+    expect(parseSearchScope('#1001')).toEqual({ type: 'orders', query: '1001', prefixed: true });
+    expect(parseSearchScope('@ jane')).toEqual({
+      type: 'customers',
+      query: 'jane',
+      prefixed: true,
+    });
+    expect(parseSearchScope('$hoodie', 'orders').type).toBe('products');
+  });
+
+  it('falls back to the active filter', () => {
+    expect(parseSearchScope('hoodie')).toEqual({ type: null, query: 'hoodie', prefixed: false });
+    expect(parseSearchScope('hoodie', 'products').type).toBe('products');
+  });
+});
+
+describe('cycleSearchFilter', () => {
+  it('steps through the filters in both directions', () => {
+    expect(cycleSearchFilter('all')).toBe('products');
+    expect(cycleSearchFilter('customers')).toBe('all');
+    expect(cycleSearchFilter('all', -1)).toBe('customers');
+  });
+});
+
+describe('groupSearchResults', () => {
+  it('groups by type and filters to one type', () => {
+    const items: SearchResult[] = [
+      { id: 1, type: 'orders', title: 'Order #1' },
+      { id: 2, type: 'products', title: 'Hoodie' },
+      { id: 3, type: 'orders', title: 'Order #3' },
+    ];
+    const grouped = groupSearchResults(items);
+
+    expect(grouped.orders.map((item) => item.id)).toEqual([1, 3]);
+    expect(filterSearchResults(grouped, 'orders').products).toEqual([]);
+  });
+});
@@ -0,0 +1,55 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import {
+  DEFAULT_VOICE_LANG,
+  filterVoicesForLang,
+  resolveVoiceLang,
+  toSpeechLang,
+} from '../../src/utils/speech';
+
+describe('toSpeechLang', () => {
+  it('turns WordPress locales into speech language tags', () => {
+    expect(toSpeechLang('es_ES')).toBe('es-ES');
+    expect(toSpeechLang('fr_ca')).toBe('fr-CA');
+    expect(toSpeechLang('de_DE_formal')).toBe('de-DE');
+    expect(toSpeechLang('fr')).toBe('fr');
+    expect(toSpeechLang('')).toBe('');
+    expect(toSpeechLang(undefined)).toBe('');
+  });
+});
+
+describe('resolveVoiceLang', () => {
+  const settings = window.agentwpSettings;
+
+  afterEach(() => {
+    window.agentwpSettings = settings;
+  });
+
+  it('prefers the chosen language over the admin locale', () => {
+    window.agentwpSettings = { ...settings, locale: 'fr-FR' };
+
+    expect(resolveVoiceLang('es-MX')).toBe('es-MX');
+    expect(resolveVoiceLang('')).toBe('fr-FR');
+  });
+
+  it('falls back to US English without a locale', () => {
+    window.agentwpSettings = { ...settings, locale: undefined };
+
+    expect(resolveVoiceLang()).toBe(DEFAULT_VOICE_LANG);
+  });
+});
+
+describe('filterVoicesForLang', () => {
+  it('matches voices on the primary language', () => {
+    const voices = [
+      { name: 'Monica', lang: 'es-ES' },
+      { name: 'Paulina', lang: 'es_MX' },
+      { name: 'Thomas', lang: 'fr-FR' },
+    ];
+
+    expect(filterVoicesForLang(voices, 'es-ES').map((voice) => voice.name)).toEqual([
+      'Monica',
+      'Paulina',
+    ]);
+    expect(filterVoicesForLang(voices, 'de-DE')).toEqual([]);
+  });
+});
@@ -29,6 +29,13 @@ class OpenAIClient implements OpenAIClientInterface {
 	private bool $stream;
 	/** @var callable|null */
 	private $on_stream;
+	/**
+	 * Accumulated state of the stream being read, or null before the first chunk.
+	 *
+	 * @var array|null
+	 */
+	private ?array $stream_state = null;
+	private string $stream_buffer = '';
 	private TokenCounter $token_counter;
 	private RetryExecutor $retry_executor;
 	private string $base_url;
@@ -175,7 +182,11 @@ class OpenAIClient implements OpenAIClientInterface {
 		}
 
 		if ( $this->stream ) {
-			$parsed = $this->parse_stream_response( $result['body'] );
+			// Chunks read while the response arrived were parsed already; HTTP
+			// clients that cannot stream leave the whole body to parse here.
+			$parsed = null !== $this->stream_state
+				? $this->finish_stream()
+				: $this->parse_stream_response( $result['body'] );
 		} else {
 			$parsed = $this->parse_response_body( $result['body'] );
 		}
@@ -206,6 +217,7 @@ class OpenAIClient implements OpenAIClientInterface {
 			'input_tokens'  => isset( $usage['prompt_tokens'] ) ? (int) $usage['prompt_tokens'] : $input_tokens,
 			'output_tokens' => isset( $usage['completion_tokens'] ) ? (int) $usage['completion_tokens'] : 0,
 			'total_tokens'  => isset( $usage['total_tokens'] ) ? (int) $usage['total_tokens'] : 0,
+			'cost_usd'      => 0.0,
 			'usage'         => $usage,
 			'usage_source'  => $usage_fallback ? 'tiktoken' : 'openai',
 			'retries'       => $result['retries'],
@@ -213,6 +225,11 @@ class OpenAIClient implements OpenAIClientInterface {
 		);
 
 		if ( null !== $this->usage_tracker ) {
+			$meta['cost_usd'] = $this->usage_tracker->estimateCost(
+				$meta['model'],
+				$meta['input_tokens'],
+				$meta['output_tokens']
+			);
 			$this->usage_tracker->logUsage(
 				$meta['model'],
 				$meta['input_tokens'],
@@ -365,6 +382,15 @@ class OpenAIClient implements OpenAIClientInterface {
 			'body'        => $body,
 		);
 
+		if ( $this->stream ) {
+			// Parse SSE chunks as they arrive so deltas reach the caller while the model writes.
+			$this->stream_state  = null;
+			$this->stream_buffer = '';
+			$options['on_chunk'] = function ( $data ) {
+				$this->read_stream_chunk( (string) $data );
+			};
+		}
+
 		return $this->http_client->post( $this->base_url . '/chat/completions', $options );
 	}
 
@@ -571,118 +597,165 @@ class OpenAIClient implements OpenAIClientInterface {
 	 * @return array
 	 */
 	private function parse_stream_response( $body ) {
-		$lines      = preg_split( "/\r\n|\n|\r/", $body );
-		$content    = '';
-		$tool_calls = array();
-		$usage      = array();
-		$raw        = array();
-		$model      = '';
+		$this->stream_state  = null;
+		$this->stream_buffer = '';
+		$this->read_stream_chunk( (string) $body );
 
+		return $this->finish_stream();
+	}
+
+	/**
+	 * Read a piece of the streaming response, handling every complete line in it.
+	 *
+	 * A line split across chunks waits in the buffer for the rest of it.
+	 *
+	 * @param string $data Response body chunk.
+	 * @return void
+	 */
+	private function read_stream_chunk( string $data ): void {
+		if ( null === $this->stream_state ) {
+			$this->stream_state = array(
+				'content'           => '',
+				'content_length'    => 0,
+				'content_truncated' => false,
+				'tool_calls'        => array(),
+				'tools_truncated'   => false,
+				'usage'             => array(),
+				'raw'               => array(),
+				'model'             => '',
+			);
+		}
+
+		$lines               = preg_split( "/\r\n|\n|\r/", $this->stream_buffer . $data );
+		$lines               = is_array( $lines ) ? $lines : array();
+		$this->stream_buffer = (string) array_pop( $lines );
+
+		foreach ( $lines as $line ) {
+			$this->read_stream_line( $line );
+		}
+	}
+
+	/**
+	 * Parse one SSE line and add its chunk to the stream state.
+	 *
+	 * @param string $line Response line.
+	 * @return void
+	 */
+	private function read_stream_line( string $line ): void {
 		// Get stream limits from centralized config.
 		$max_content_length = AgentWPConfig::STREAM_MAX_CONTENT_LENGTH;
 		$max_tool_calls     = AgentWPConfig::STREAM_MAX_TOOL_CALLS;
 		$max_raw_chunks     = AgentWPConfig::STREAM_MAX_RAW_CHUNKS;
 
-		// Track limits to prevent memory exhaustion.
-		$content_length    = 0;
-		$content_truncated = false;
-		$tools_truncated   = false;
-
-		if ( ! is_array( $lines ) ) {
-			$lines = array();
+		$line = trim( $line );
+		if ( '' === $line || 'data: [DONE]' === $line ) {
+			return;
 		}
 
-		foreach ( $lines as $line ) {
-			$line = trim( $line );
-			if ( '' === $line || 'data: [DONE]' === $line ) {
-				continue;
-			}
+		if ( 0 !== strpos( $line, 'data:' ) ) {
+			return;
+		}
 
-			if ( 0 !== strpos( $line, 'data:' ) ) {
-				continue;
-			}
+		$payload = trim( substr( $line, 5 ) );
+		$chunk   = json_decode( $payload, true, 32 );
 
-			$payload = trim( substr( $line, 5 ) );
-			$chunk   = json_decode( $payload, true, 32 );
+		if ( ! is_array( $chunk ) ) {
+			return;
+		}
 
-			if ( ! is_array( $chunk ) ) {
-				continue;
-			}
+		$state = &$this->stream_state;
 
-			// Limit raw chunks to prevent unbounded memory growth.
-			if ( count( $raw ) < $max_raw_chunks ) {
-				$raw[] = $chunk;
-			}
-			if ( is_callable( $this->on_stream ) ) {
-				call_user_func( $this->on_stream, $chunk );
-			}
+		// Limit raw chunks to prevent unbounded memory growth.
+		if ( count( $state['raw'] ) < $max_raw_chunks ) {
+			$state['raw'][] = $chunk;
+		}
+		if ( is_callable( $this->on_stream ) ) {
+			call_user_func( $this->on_stream, $chunk );
+		}
 
-			if ( isset( $chunk['model'] ) ) {
-				$model = $chunk['model'];
-			}
+		if ( isset( $chunk['model'] ) ) {
+			$state['model'] = $chunk['model'];
+		}
 
-			if ( isset( $chunk['usage'] ) && is_array( $chunk['usage'] ) ) {
-				$usage = $chunk['usage'];
-			}
+		if ( isset( $chunk['usage'] ) && is_array( $chunk['usage'] ) ) {
+			$state['usage'] = $chunk['usage'];
+		}
 
-			$choice = ( isset( $chunk['choices'] ) && is_array( $chunk['choices'] ) && isset( $chunk['choices'][0] ) )
-				? $chunk['choices'][0]
-				: array();
-			$delta  = isset( $choice['delta'] ) && is_array( $choice['delta'] ) ? $choice['delta'] : array();
-
-			// Accumulate content with length limit to prevent memory exhaustion.
-			if ( isset( $delta['content'] ) && ! $content_truncated ) {
-				$delta_content = $delta['content'];
-				$delta_length  = strlen( $delta_content );
-
-				if ( $content_length + $delta_length > $max_content_length ) {
-					// Truncate to stay within limit.
-					$remaining         = $max_content_length - $content_length;
-					$content          .= substr( $delta_content, 0, $remaining );
-					$content_length    = $max_content_length;
-					$content_truncated = true;
-				} else {
-					$content        .= $delta_content;
-					$content_length += $delta_length;
-				}
+		$choice = ( isset( $chunk['choices'] ) && is_array( $chunk['choices'] ) && isset( $chunk['choices'][0] ) )
+			? $chunk['choices'][0]
+			: array();
+		$delta  = isset( $choice['delta'] ) && is_array( $choice['delta'] ) ? $choice['delta'] : array();
+
+		// Accumulate content with length limit to prevent memory exhaustion.
+		if ( isset( $delta['content'] ) && ! $state['content_truncated'] ) {
+			$delta_content = $delta['content'];
+			$delta_length  = strlen( $delta_content );
+
+			if ( $state['content_length'] + $delta_length > $max_content_length ) {
+				// Truncate to stay within limit.
+				$remaining                  = $max_content_length - $state['content_length'];
+				$state['content']          .= substr( $delta_content, 0, $remaining );
+				$state['content_length']    = $max_content_length;
+				$state['content_truncated'] = true;
+			} else {
+				$state['content']        .= $delta_content;
+				$state['content_length'] += $delta_length;
 			}
+		}
 
-			// Accumulate tool calls with count limit.
-			if ( isset( $delta['tool_calls'] ) && is_array( $delta['tool_calls'] ) && ! $tools_truncated ) {
-				$tool_calls = $this->merge_tool_call_deltas( $tool_calls, $delta['tool_calls'] );
-				if ( count( $tool_calls ) > $max_tool_calls ) {
-					// Truncate to limit.
-					$tool_calls      = array_slice( $tool_calls, 0, $max_tool_calls, true );
-					$tools_truncated = true;
-				}
+		// Accumulate tool calls with count limit.
+		if ( isset( $delta['tool_calls'] ) && is_array( $delta['tool_calls'] ) && ! $state['tools_truncated'] ) {
+			$state['tool_calls'] = $this->merge_tool_call_deltas( $state['tool_calls'], $delta['tool_calls'] );
+			if ( count( $state['tool_calls'] ) > $max_tool_calls ) {
+				// Truncate to limit.
+				$state['tool_calls']      = array_slice( $state['tool_calls'], 0, $max_tool_calls, true );
+				$state['tools_truncated'] = true;
 			}
+		}
 
-			if ( isset( $delta['function_call'] ) && is_array( $delta['function_call'] ) && ! $tools_truncated ) {
-				$tool_calls = $this->merge_tool_call_deltas(
-					$tool_calls,
+		if ( isset( $delta['function_call'] ) && is_array( $delta['function_call'] ) && ! $state['tools_truncated'] ) {
+			$state['tool_calls'] = $this->merge_tool_call_deltas(
+				$state['tool_calls'],
+				array(
 					array(
-						array(
-							'index'    => 0,
-							'type'     => 'function',
-							'function' => $delta['function_call'],
-						),
-					)
-				);
-				if ( count( $tool_calls ) > $max_tool_calls ) {
-					$tool_calls      = array_slice( $tool_calls, 0, $max_tool_calls, true );
-					$tools_truncated = true;
-				}
+						'index'    => 0,
+						'type'     => 'function',
+						'function' => $delta['function_call'],
+					),
+				)
+			);
+			if ( count( $state['tool_calls'] ) > $max_tool_calls ) {
+				$state['tool_calls']      = array_slice( $state['tool_calls'], 0, $max_tool_calls, true );
+				$state['tools_truncated'] = true;
 			}
 		}
+	}
+
+	/**
+	 * Parse whatever is left in the buffer and return the accumulated stream.
+	 *
+	 * @return array
+	 */
+	private function finish_stream(): array {
+		if ( null === $this->stream_state ) {
+			$this->read_stream_chunk( '' );
+		}
+		if ( '' !== $this->stream_buffer ) {
+			$this->read_stream_line( $this->stream_buffer );
+			$this->stream_buffer = '';
+		}
+
+		$state              = $this->stream_state;
+		$this->stream_state = null;
 
 		return array(
 			'success'    => true,
 			'error'      => '',
-			'content'    => $content,
-			'tool_calls' => array_values( $tool_calls ),
-			'usage'      => $usage,
-			'raw'        => $raw,
-			'model'      => $model,
+			'content'    => $state['content'],
+			'tool_calls' => array_values( $state['tool_calls'] ),
+			'usage'      => $state['usage'],
+			'raw'        => $state['raw'],
+			'model'      => $state['model'],
 		);
 	}
 
@@ -9,6 +9,7 @@ namespace AgentWP\Billing;
 
 use AgentWP\AI\Model;
 use AgentWP\Config\AgentWPConfig;
+use AgentWP\DTO\DateRange;
 use DateInterval;
 use DateTimeImmutable;
 use DateTimeZone;
@@ -199,35 +200,67 @@ class UsageTracker {
 	 * @param string $period day|week|month.
 	 * @return array
 	 */
-		public static function get_usage_summary( $period ) {
-			global $wpdb;
+	public static function get_usage_summary( $period ) {
+		list( $start, $end ) = self::get_period_range( $period );
+
+		return self::build_summary( $period, $start, $end, 'day' );
+	}
+
+	/**
+	 * Get usage stats for a custom range of UTC dates.
+	 *
+	 * @param string $from        Start date (Y-m-d).
+	 * @param string $to          End date (Y-m-d), inclusive.
+	 * @param string $granularity day|week|month bucket size for the trend.
+	 * @return array
+	 */
+	public static function get_range_summary( $from, $to, $granularity = 'day' ) {
+		$range = DateRange::fromDates( (string) $from, (string) $to, new DateTimeZone( 'UTC' ) );
+		if ( null === $range ) {
+			list( $start, $end ) = self::get_period_range( 'day' );
+			return self::build_summary( 'custom', $start, $end, $granularity );
+		}
 
-			list( $start, $end ) = self::get_period_range( $period );
+		return self::build_summary( 'custom', $range->start, $range->end, $granularity );
+	}
 
-			$summary = array(
-				'period'              => $period,
+	/**
+	 * Aggregate usage rows between two instants.
+	 *
+	 * @param string            $period      Period identifier echoed in the summary.
+	 * @param DateTimeImmutable $start       Range start.
+	 * @param DateTimeImmutable $end         Range end.
+	 * @param string            $granularity day|week|month bucket size for the trend.
+	 * @return array
+	 */
+	private static function build_summary( $period, DateTimeImmutable $start, DateTimeImmutable $end, $granularity ) {
+		global $wpdb;
+
+		$summary = array(
+			'period'              => $period,
 			'period_start'        => $start->format( 'Y-m-d H:i:s' ),
 			'period_end'          => $end->format( 'Y-m-d H:i:s' ),
+			'granularity'         => $granularity,
 			'total_tokens'        => 0,
 			'total_cost_usd'      => 0,
 			'breakdown_by_intent' => array(),
 			'daily_trend'         => array(),
 		);
 
-			if ( ! $wpdb ) {
-				return $summary;
-			}
+		if ( ! $wpdb ) {
+			return $summary;
+		}
 
-			if ( ! self::ensure_table() ) {
-				return $summary;
-			}
+		if ( ! self::ensure_table() ) {
+			return $summary;
+		}
 
-			$table = self::get_table_name();
+		$table = self::get_table_name();
 		// Limit results to prevent memory exhaustion from large datasets.
 		// Configurable via 'agentwp_config_usage_query_max_rows' filter.
 		$max_rows = self::getMaxQueryRows();
 		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- On-demand reporting query with a hard row limit.
-			$rows     = $wpdb->get_results(
+		$rows = $wpdb->get_results(
 			$wpdb->prepare(
 				// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Table name is from $wpdb->prefix and a plugin constant.
 				"SELECT intent_type, model, input_tokens, output_tokens, created_at FROM {$table} WHERE created_at >= %s AND created_at <= %s ORDER BY created_at ASC LIMIT %d",
@@ -235,20 +268,18 @@ class UsageTracker {
 				$summary['period_end'],
 				$max_rows
 			),
-				ARRAY_A
-			);
-			$rows = is_array( $rows ) ? $rows : array();
+			ARRAY_A
+		);
+		$rows = is_array( $rows ) ? $rows : array();
 
+		// Trend buckets are keyed by the day, week (Monday) or month they start on.
 		$daily = array();
-		$cursor = $start;
-		while ( $cursor <= $end ) {
-			$key           = $cursor->format( 'Y-m-d' );
+		foreach ( ( new DateRange( $start, $end ) )->buckets( $granularity ) as $key ) {
 			$daily[ $key ] = array(
 				'date'           => $key,
 				'total_tokens'   => 0,
 				'total_cost_usd' => 0,
 			);
-			$cursor = $cursor->modify( '+1 day' );
 		}
 
 		$breakdown = array();
@@ -276,14 +307,17 @@ class UsageTracker {
 					'intent_type'    => $intent,
 					'total_tokens'   => 0,
 					'total_cost_usd' => 0,
+					'request_count'  => 0,
 				);
 			}
 			$breakdown[ $intent ]['total_tokens'] += $total_tokens;
 			$breakdown[ $intent ]['total_cost_usd'] += $cost;
+			$breakdown[ $intent ]['request_count']++;
 
 			$date_key = '';
 			if ( isset( $row['created_at'] ) && is_string( $row['created_at'] ) ) {
-				$date_key = substr( $row['created_at'], 0, 10 );
+				$created  = DateTimeImmutable::createFromFormat( '!Y-m-d', substr( $row['created_at'], 0, 10 ), new DateTimeZone( 'UTC' ) );
+				$date_key = false === $created ? '' : DateRange::bucketKey( $created, $granularity );
 			}
 			if ( isset( $daily[ $date_key ] ) ) {
 				$daily[ $date_key ]['total_tokens'] += $total_tokens;
@@ -441,6 +475,18 @@ class UsageTracker {
 		return '' !== $intent ? $intent : 'UNKNOWN';
 	}
 
+	/**
+	 * Price a single model call with the same rates used for logged usage.
+	 *
+	 * @param string $model Model identifier.
+	 * @param int    $input_tokens Input tokens.
+	 * @param int    $output_tokens Output tokens.
+	 * @return float Cost in USD.
+	 */
+	public static function estimate_cost( $model, $input_tokens, $output_tokens ) {
+		return round( self::calculate_cost( $model, (int) $input_tokens, (int) $output_tokens ), 6 );
+	}
+
 	/**
 	 * @param string $model Model identifier.
 	 * @param int    $input_tokens Input tokens.
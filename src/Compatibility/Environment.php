@@ -72,7 +72,7 @@ class Environment {
 	 *
 	 * @return string[]
 	 */
-	private static function get_issues() {
+	public static function get_issues() {
 		global $wp_version;
 
 		$issues = array();
@@ -105,6 +105,7 @@ final class AgentWPConfig {
 	 */
 	public const OPENAI_API_BASE_URL       = 'https://api.openai.com/v1';
 	public const OPENAI_DEFAULT_MODEL      = 'gpt-4o-mini';
+	public const OPENAI_MODELS             = array( 'gpt-4o', 'gpt-4o-mini' );
 	public const OPENAI_TIMEOUT_DEFAULT    = 60;
 	public const OPENAI_TIMEOUT_MIN        = 1;
 	public const OPENAI_TIMEOUT_MAX        = 300;
@@ -227,6 +228,7 @@ final class AgentWPConfig {
 	public const META_KEY_THEME        = 'agentwp_theme_preference';
 	public const META_KEY_HISTORY      = 'agentwp_command_history';
 	public const META_KEY_FAVORITES    = 'agentwp_command_favorites';
+	public const META_KEY_VOICE        = 'agentwp_voice_preferences';
 
 	/**
 	 * Prevent instantiation.
@@ -22,6 +22,17 @@ interface AnalyticsServiceInterface {
 	 */
 	public function get_stats( string $period = '7d' ): ServiceResult;
 
+	/**
+	 * Get analytics data for a custom date range.
+	 *
+	 * @param string $start       Start date (Y-m-d).
+	 * @param string $end         End date (Y-m-d), inclusive.
+	 * @param string $granularity Bucket size: 'day', 'week' or 'month'.
+	 * @param string $compare     'previous' for the preceding range, 'year' for the same dates last year.
+	 * @return ServiceResult Result with the same shape as get_stats() plus a 'range' summary.
+	 */
+	public function get_range_stats( string $start, string $end, string $granularity = 'day', string $compare = 'previous' ): ServiceResult;
+
 	/**
 	 * Get raw report data for a date range.
 	 *
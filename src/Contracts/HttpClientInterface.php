@@ -17,8 +17,12 @@ interface HttpClientInterface {
 	/**
 	 * Send a POST request.
 	 *
+	 * An `on_chunk` callable in the options receives the response body piece by
+	 * piece while it downloads. Clients that cannot stream never call it; the
+	 * full body is in the returned response either way.
+	 *
 	 * @param string $url     The URL to request.
-	 * @param array  $options Request options (headers, body, timeout, etc.).
+	 * @param array  $options Request options (headers, body, timeout, on_chunk, etc.).
 	 * @return HttpResponse The response.
 	 */
 	public function post( string $url, array $options = array() ): HttpResponse;
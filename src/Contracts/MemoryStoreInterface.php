@@ -15,22 +15,25 @@ interface MemoryStoreInterface {
 	/**
 	 * Get all stored memory entries.
 	 *
+	 * @param string $conversation_id Optional conversation ID to scope memory to a thread.
 	 * @return array<array{time: string, input: string, intent: string, message: string}>
 	 */
-	public function get(): array;
+	public function get( string $conversation_id = '' ): array;
 
 	/**
 	 * Add an exchange to memory.
 	 *
 	 * @param array{time: string, input: string, intent: string, message: string} $entry The exchange entry.
+	 * @param string $conversation_id Optional conversation ID to scope memory to a thread.
 	 * @return void
 	 */
-	public function addExchange( array $entry ): void;
+	public function addExchange( array $entry, string $conversation_id = '' ): void;
 
 	/**
 	 * Clear all memory entries.
 	 *
+	 * @param string $conversation_id Optional conversation ID to scope memory to a thread.
 	 * @return void
 	 */
-	public function clear(): void;
+	public function clear( string $conversation_id = '' ): void;
 }
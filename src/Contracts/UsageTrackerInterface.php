@@ -38,6 +38,16 @@ interface UsageTrackerInterface {
 	 */
 	public function getUsageSummary( string $period ): array;
 
+	/**
+	 * Get usage summary for a custom date range.
+	 *
+	 * @param string $from        Start date (Y-m-d, UTC).
+	 * @param string $to          End date (Y-m-d, UTC), inclusive.
+	 * @param string $granularity Trend bucket size: 'day', 'week' or 'month'.
+	 * @return array Usage summary data.
+	 */
+	public function getUsageSummaryForRange( string $from, string $to, string $granularity = 'day' ): array;
+
 	/**
 	 * Get total cost for a period.
 	 *
@@ -45,4 +55,14 @@ interface UsageTrackerInterface {
 	 * @return float Total cost in dollars.
 	 */
 	public function getTotalCost( string $period ): float;
+
+	/**
+	 * Estimate the cost of a single model call.
+	 *
+	 * @param string $model        The model used.
+	 * @param int    $inputTokens  Input token count.
+	 * @param int    $outputTokens Output token count.
+	 * @return float Cost in dollars, or 0 for unpriced models.
+	 */
+	public function estimateCost( string $model, int $inputTokens, int $outputTokens ): float;
 }
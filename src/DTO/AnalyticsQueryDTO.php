@@ -10,7 +10,7 @@ namespace AgentWP\DTO;
 /**
  * DTO for analytics query requests.
  */
-final class AnalyticsQueryDTO extends RequestDTO {
+final class AnalyticsQueryDTO extends RangeQueryDTO {
 
 	/**
 	 * Valid period options.
@@ -23,24 +23,23 @@ final class AnalyticsQueryDTO extends RequestDTO {
 	private const DEFAULT_PERIOD = '7d';
 
 	/**
-	 * {@inheritDoc}
+	 * Valid comparison options.
 	 */
-	protected function getSource(): string {
-		return 'query';
-	}
+	private const VALID_COMPARISONS = array( 'previous', 'year' );
 
 	/**
 	 * {@inheritDoc}
 	 */
-	protected function getSchema(): array {
+	protected function getPeriodProperties(): array {
 		return array(
-			'type'       => 'object',
-			'properties' => array(
-				'period' => array(
-					'type'    => 'string',
-					'enum'    => self::VALID_PERIODS,
-					'default' => self::DEFAULT_PERIOD,
-				),
+			'period'  => array(
+				'type'    => 'string',
+				'enum'    => self::VALID_PERIODS,
+				'default' => self::DEFAULT_PERIOD,
+			),
+			'compare' => array(
+				'type' => 'string',
+				'enum' => self::VALID_COMPARISONS,
 			),
 		);
 	}
@@ -59,4 +58,15 @@ final class AnalyticsQueryDTO extends RequestDTO {
 
 		return $period;
 	}
+
+	/**
+	 * Get the comparison series to return as `previous`.
+	 *
+	 * @return string 'previous' for the preceding range of the same length, 'year' for the same dates last year.
+	 */
+	public function getCompare(): string {
+		$compare = sanitize_text_field( $this->getString( 'compare', 'previous' ) );
+
+		return in_array( $compare, self::VALID_COMPARISONS, true ) ? $compare : 'previous';
+	}
 }
@@ -174,6 +174,92 @@ final class DateRange {
 		return $result;
 	}
 
+	/**
+	 * Create a whole-day range from Y-m-d dates.
+	 *
+	 * @param string            $from     Start date (Y-m-d).
+	 * @param string            $to       End date (Y-m-d), inclusive.
+	 * @param DateTimeZone|null $timezone Timezone.
+	 * @return self|null Null if a date is malformed or the range is reversed.
+	 */
+	public static function fromDates( string $from, string $to, ?DateTimeZone $timezone = null ): ?self {
+		$start = DateTimeImmutable::createFromFormat( '!Y-m-d', $from, $timezone );
+		$end   = DateTimeImmutable::createFromFormat( '!Y-m-d', $to, $timezone );
+
+		// createFromFormat() rolls invalid dates like 2024-02-30 over instead of failing.
+		if ( false === $start || false === $end || $start->format( 'Y-m-d' ) !== $from || $end->format( 'Y-m-d' ) !== $to || $start > $end ) {
+			return null;
+		}
+
+		return new self( $start, $end->setTime( 23, 59, 59 ) );
+	}
+
+	/**
+	 * Get the range of the same length that ends just before this one.
+	 *
+	 * @return self
+	 */
+	public function previous(): self {
+		$days = $this->getDays();
+
+		return new self(
+			self::safeModify( $this->start, "-{$days} days", 'Unable to compute previous range.' ),
+			self::safeModify( $this->end, "-{$days} days", 'Unable to compute previous range.' )
+		);
+	}
+
+	/**
+	 * Get the same calendar dates one year earlier.
+	 *
+	 * @return self
+	 */
+	public function previousYear(): self {
+		return new self(
+			self::safeModify( $this->start, '-1 year', 'Unable to compute previous year range.' ),
+			self::safeModify( $this->end, '-1 year', 'Unable to compute previous year range.' )
+		);
+	}
+
+	/**
+	 * Get the bucket key a date falls into.
+	 *
+	 * Weeks start on Monday and months on the first; keys are Y-m-d dates.
+	 *
+	 * @param DateTimeImmutable $date        Date.
+	 * @param string            $granularity One of 'day', 'week' or 'month'.
+	 * @return string
+	 */
+	public static function bucketKey( DateTimeImmutable $date, string $granularity ): string {
+		switch ( $granularity ) {
+			case 'week':
+				$weekday = (int) $date->format( 'N' );
+				return self::safeModify( $date, '-' . ( $weekday - 1 ) . ' days', 'Unable to compute week start.' )->format( 'Y-m-d' );
+			case 'month':
+				return $date->format( 'Y-m-01' );
+			case 'day':
+			default:
+				return $date->format( 'Y-m-d' );
+		}
+	}
+
+	/**
+	 * List the bucket keys covering this range, in order.
+	 *
+	 * @param string $granularity One of 'day', 'week' or 'month'.
+	 * @return array<string>
+	 */
+	public function buckets( string $granularity ): array {
+		$keys   = array();
+		$cursor = $this->start;
+
+		while ( $cursor <= $this->end ) {
+			$keys[ self::bucketKey( $cursor, $granularity ) ] = true;
+			$cursor = self::safeModify( $cursor, '+1 day', 'Unable to step through range.' );
+		}
+
+		return array_keys( $keys );
+	}
+
 	/**
 	 * Check if a date is within this range.
 	 *
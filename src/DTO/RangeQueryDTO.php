@@ -0,0 +1,115 @@
+<?php
+/**
+ * Date Range Query Request DTO.
+ *
+ * @package AgentWP\DTO
+ */
+
+namespace AgentWP\DTO;
+
+/**
+ * Base DTO for reporting queries that accept a custom date range.
+ *
+ * Adds optional `from`/`to` dates (Y-m-d, inclusive) that take the place of
+ * the subclass's period presets, and a `granularity` for bucketing series.
+ */
+abstract class RangeQueryDTO extends RequestDTO {
+
+	/**
+	 * Valid granularity options.
+	 */
+	public const GRANULARITIES = array( 'day', 'week', 'month' );
+
+	/**
+	 * Longest custom range, in days.
+	 */
+	public const MAX_RANGE_DAYS = 731;
+
+	/**
+	 * Get the period-specific schema properties.
+	 *
+	 * @return array
+	 */
+	abstract protected function getPeriodProperties(): array;
+
+	/**
+	 * {@inheritDoc}
+	 */
+	protected function getSource(): string {
+		return 'query';
+	}
+
+	/**
+	 * {@inheritDoc}
+	 */
+	protected function getSchema(): array {
+		$date = array(
+			'type'    => 'string',
+			'pattern' => '^\d{4}-\d{2}-\d{2}$',
+		);
+
+		return array(
+			'type'       => 'object',
+			'properties' => array_merge(
+				$this->getPeriodProperties(),
+				array(
+					'from'        => $date,
+					'to'          => $date,
+					'granularity' => array(
+						'type' => 'string',
+						'enum' => self::GRANULARITIES,
+					),
+				)
+			),
+		);
+	}
+
+	/**
+	 * Check if the request asks for a custom range.
+	 *
+	 * @return bool True when either `from` or `to` is present.
+	 */
+	public function hasCustomRange(): bool {
+		return $this->has( 'from' ) || $this->has( 'to' );
+	}
+
+	/**
+	 * Check if the custom range is complete, ordered and not too long.
+	 *
+	 * @return bool
+	 */
+	public function hasValidRange(): bool {
+		$range = DateRange::fromDates( $this->getFrom(), $this->getTo() );
+
+		return null !== $range && $range->getDays() <= self::MAX_RANGE_DAYS;
+	}
+
+	/**
+	 * Get the range start date.
+	 *
+	 * @return string Y-m-d date, or an empty string.
+	 */
+	public function getFrom(): string {
+		return sanitize_text_field( $this->getString( 'from' ) );
+	}
+
+	/**
+	 * Get the range end date.
+	 *
+	 * @return string Y-m-d date, or an empty string.
+	 */
+	public function getTo(): string {
+		return sanitize_text_field( $this->getString( 'to' ) );
+	}
+
+	/**
+	 * Get the bucket size for series data.
+	 *
+	 * @return string One of 'day', 'week', or 'month'.
+	 */
+	public function getGranularity(): string {
+		$granularity = sanitize_text_field( $this->getString( 'granularity', 'day' ) );
+
+		return in_array( $granularity, self::GRANULARITIES, true ) ? $granularity : 'day';
+	}
+}
@@ -7,6 +7,8 @@
 
 namespace AgentWP\DTO;
 
+use AgentWP\Config\AgentWPConfig;
+
 /**
  * DTO for settings update requests.
  */
@@ -15,7 +17,7 @@ final class SettingsUpdateDTO extends RequestDTO {
 	/**
 	 * Valid model options.
 	 */
-	private const VALID_MODELS = array( 'gpt-4o', 'gpt-4o-mini' );
+	private const VALID_MODELS = AgentWPConfig::OPENAI_MODELS;
 
 	/**
 	 * Valid theme options.
@@ -62,6 +64,35 @@ final class SettingsUpdateDTO extends RequestDTO {
 		);
 	}
 
+	/**
+	 * Validate each provided field on its own.
+	 *
+	 * Unlike getError(), which stops at the first failure, this reports every
+	 * invalid field so clients can flag them all at once.
+	 *
+	 * @return array<string, string> Error messages keyed by field name.
+	 */
+	public function getFieldErrors(): array {
+		$properties = $this->getSchema()['properties'];
+		$errors     = array();
+
+		foreach ( $this->data as $field => $value ) {
+			$field = (string) $field;
+			if ( ! isset( $properties[ $field ] ) ) {
+				/* translators: %s: setting name */
+				$errors[ $field ] = sprintf( __( '%s is not a valid setting.', 'agentwp' ), $field );
+				continue;
+			}
+
+			$result = rest_validate_value_from_schema( $value, $properties[ $field ], $field );
+			if ( is_wp_error( $result ) ) {
+				$errors[ $field ] = $result->get_error_message();
+			}
+		}
+
+		return $errors;
+	}
+
 	/**
 	 * Apply updates to existing settings array.
 	 *
@@ -20,11 +20,13 @@ final class UsageBreakdownItemDTO {
 	 * @param string $intentType   Intent type identifier.
 	 * @param int    $totalTokens  Total tokens for this intent.
 	 * @param float  $totalCostUsd Total cost in USD.
+	 * @param int    $requestCount Number of requests for this intent.
 	 */
 	public function __construct(
 		public readonly string $intentType,
 		public readonly int $totalTokens,
 		public readonly float $totalCostUsd,
+		public readonly int $requestCount = 0,
 	) {
 	}
 
@@ -39,6 +41,7 @@ final class UsageBreakdownItemDTO {
 			intentType: isset( $data['intent_type'] ) ? (string) $data['intent_type'] : 'UNKNOWN',
 			totalTokens: isset( $data['total_tokens'] ) ? (int) $data['total_tokens'] : 0,
 			totalCostUsd: isset( $data['total_cost_usd'] ) ? (float) $data['total_cost_usd'] : 0.0,
+			requestCount: isset( $data['request_count'] ) ? (int) $data['request_count'] : 0,
 		);
 	}
 
@@ -52,6 +55,7 @@ final class UsageBreakdownItemDTO {
 			'intent_type'    => $this->intentType,
 			'total_tokens'   => $this->totalTokens,
 			'total_cost_usd' => $this->totalCostUsd,
+			'request_count'  => $this->requestCount,
 		);
 	}
 
@@ -68,6 +72,19 @@ final class UsageBreakdownItemDTO {
 		return $this->totalCostUsd / $this->totalTokens;
 	}
 
+	/**
+	 * Get average cost per request (in USD).
+	 *
+	 * @return float
+	 */
+	public function getCostPerRequest(): float {
+		if ( $this->requestCount <= 0 ) {
+			return 0.0;
+		}
+
+		return $this->totalCostUsd / $this->requestCount;
+	}
+
 	/**
 	 * Get formatted display name.
 	 *
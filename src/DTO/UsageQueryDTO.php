@@ -10,7 +10,7 @@ namespace AgentWP\DTO;
 /**
  * DTO for usage query requests.
  */
-final class UsageQueryDTO extends RequestDTO {
+final class UsageQueryDTO extends RangeQueryDTO {
 
 	/**
 	 * Valid period options.
@@ -25,21 +25,11 @@ final class UsageQueryDTO extends RequestDTO {
 	/**
 	 * {@inheritDoc}
 	 */
-	protected function getSource(): string {
-		return 'query';
-	}
-
-	/**
-	 * {@inheritDoc}
-	 */
-	protected function getSchema(): array {
+	protected function getPeriodProperties(): array {
 		return array(
-			'type'       => 'object',
-			'properties' => array(
-				'period' => array(
-					'type' => 'string',
-					'enum' => self::VALID_PERIODS,
-				),
+			'period' => array(
+				'type' => 'string',
+				'enum' => self::VALID_PERIODS,
 			),
 		);
 	}
@@ -0,0 +1,90 @@
+<?php
+/**
+ * Voice Preferences Request DTO.
+ *
+ * @package AgentWP\DTO
+ */
+
+namespace AgentWP\DTO;
+
+/**
+ * DTO for voice preference requests.
+ *
+ * Every field is optional; omitted fields keep their stored value.
+ */
+final class VoiceRequestDTO extends RequestDTO {
+
+	/**
+	 * BCP 47 language tag such as "en-US" or "es", or empty for the site default.
+	 */
+	public const LANG_PATTERN = '^([A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*)?$';
+
+	/**
+	 * Speech rate and pitch bounds.
+	 */
+	public const MIN_RATE  = 0.5;
+	public const MAX_RATE  = 2.0;
+	public const MIN_PITCH = 0.0;
+	public const MAX_PITCH = 2.0;
+
+	/**
+	 * {@inheritDoc}
+	 */
+	protected function getSchema(): array {
+		return array(
+			'type'                 => 'object',
+			'additionalProperties' => false,
+			'properties'           => array(
+				'lang'         => array(
+					'type'      => 'string',
+					'maxLength' => 35,
+					'pattern'   => self::LANG_PATTERN,
+				),
+				'voice'        => array(
+					'type'      => 'string',
+					'maxLength' => 200,
+				),
+				'rate'         => array(
+					'type'    => 'number',
+					'minimum' => self::MIN_RATE,
+					'maximum' => self::MAX_RATE,
+				),
+				'pitch'        => array(
+					'type'    => 'number',
+					'minimum' => self::MIN_PITCH,
+					'maximum' => self::MAX_PITCH,
+				),
+				'show_interim' => array(
+					'type' => 'boolean',
+				),
+			),
+		);
+	}
+
+	/**
+	 * Get the submitted preferences.
+	 *
+	 * @return array<string, string|float|bool> Only the fields present in the request.
+	 */
+	public function getPreferences(): array {
+		$preferences = array();
+
+		if ( $this->has( 'lang' ) ) {
+			$preferences['lang'] = $this->getString( 'lang' );
+		}
+		if ( $this->has( 'voice' ) ) {
+			$preferences['voice'] = sanitize_text_field( $this->getString( 'voice' ) );
+		}
+		if ( $this->has( 'rate' ) ) {
+			$preferences['rate'] = $this->getFloat( 'rate' );
+		}
+		if ( $this->has( 'pitch' ) ) {
+			$preferences['pitch'] = $this->getFloat( 'pitch' );
+		}
+		if ( $this->has( 'show_interim' ) ) {
+			$preferences['show_interim'] = $this->getBool( 'show_interim' );
+		}
+
+		return $preferences;
+	}
+}
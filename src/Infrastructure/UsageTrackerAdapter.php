@@ -37,6 +37,13 @@ final class UsageTrackerAdapter implements UsageTrackerInterface {
 		return UsageTracker::get_usage_summary( $period );
 	}
 
+	/**
+	 * {@inheritDoc}
+	 */
+	public function getUsageSummaryForRange( string $from, string $to, string $granularity = 'day' ): array {
+		return UsageTracker::get_range_summary( $from, $to, $granularity );
+	}
+
 	/**
 	 * {@inheritDoc}
 	 */
@@ -45,4 +52,11 @@ final class UsageTrackerAdapter implements UsageTrackerInterface {
 
 		return isset( $summary['total_cost_usd'] ) ? (float) $summary['total_cost_usd'] : 0.0;
 	}
+
+	/**
+	 * {@inheritDoc}
+	 */
+	public function estimateCost( string $model, int $inputTokens, int $outputTokens ): float {
+		return UsageTracker::estimate_cost( $model, $inputTokens, $outputTokens );
+	}
 }
@@ -38,7 +38,22 @@ final class WordPressHttpClient implements HttpClientInterface {
 	public function post( string $url, array $options = array() ): HttpResponse {
 		$args = $this->buildArgs( $options );
 
-		$response = wp_remote_post( $url, $args );
+		$on_chunk = isset( $options['on_chunk'] ) && is_callable( $options['on_chunk'] ) ? $options['on_chunk'] : null;
+		if ( null === $on_chunk ) {
+			return $this->parseResponse( wp_remote_post( $url, $args ) );
+		}
+
+		// Requests reports each piece of the body it reads through this hook.
+		$listener = function ( $data ) use ( $on_chunk ) {
+			call_user_func( $on_chunk, (string) $data );
+		};
+		add_action( 'requests-request.progress', $listener, 10, 1 );
+
+		try {
+			$response = wp_remote_post( $url, $args );
+		} finally {
+			remove_action( 'requests-request.progress', $listener, 10 );
+		}
 
 		return $this->parseResponse( $response );
 	}
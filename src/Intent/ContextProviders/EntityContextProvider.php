@@ -0,0 +1,77 @@
+<?php
+/**
+ * Entity context provider.
+ *
+ * @package AgentWP
+ */
+
+namespace AgentWP\Intent\ContextProviders;
+
+/**
+ * Provides the store records the user picked in the Command Deck.
+ *
+ * The UI sends `context.entities` as `{ type, id, label }` items so handlers
+ * can use exact IDs instead of re-resolving names from the prompt text.
+ */
+class EntityContextProvider implements ContextProviderInterface {
+	/**
+	 * Maximum number of entities passed on to handlers.
+	 */
+	private const MAX_ENTITIES = 10;
+
+	/**
+	 * Accepted entity types, including the plural search index names.
+	 */
+	private const TYPES = [
+		'order'     => 'order',
+		'orders'    => 'order',
+		'product'   => 'product',
+		'products'  => 'product',
+		'customer'  => 'customer',
+		'customers' => 'customer',
+	];
+
+	/**
+	 * Provide the selected entities.
+	 *
+	 * @param array $context Request context.
+	 * @param array $metadata Request metadata.
+	 * @return array List of entities with 'type', 'id' and 'label' keys.
+	 */
+	public function provide( array $context, array $metadata ): array {
+		$raw = isset( $context['entities'] ) && is_array( $context['entities'] ) ? $context['entities'] : [];
+
+		$entities = [];
+		foreach ( $raw as $entity ) {
+			if ( ! is_array( $entity ) ) {
+				continue;
+			}
+
+			$type = isset( $entity['type'] ) && is_string( $entity['type'] ) ? strtolower( $entity['type'] ) : '';
+			$id   = isset( $entity['id'] ) ? absint( $entity['id'] ) : 0;
+			if ( ! isset( self::TYPES[ $type ] ) || 0 === $id ) {
+				continue;
+			}
+
+			$type = self::TYPES[ $type ];
+			$key  = $type . ':' . $id;
+			if ( isset( $entities[ $key ] ) ) {
+				continue;
+			}
+
+			$entities[ $key ] = [
+				'type'  => $type,
+				'id'    => $id,
+				'label' => isset( $entity['label'] ) && is_string( $entity['label'] )
+					? sanitize_text_field( $entity['label'] )
+					: '',
+			];
+
+			if ( count( $entities ) >= self::MAX_ENTITIES ) {
+				break;
+			}
+		}
+
+		return array_values( $entities );
+	}
+}
@@ -178,6 +178,10 @@ class Engine {
 	/**
 	 * Handle a natural language input.
 	 *
+	 * Memory is scoped to `$context['conversation_id']` when provided, so
+	 * follow-up prompts only see earlier turns from the same thread. Requests
+	 * without one are one-shot: they get no earlier turns and are not recorded.
+	 *
 	 * @param string $input User input.
 	 * @param array  $context Request context.
 	 * @param array  $metadata Request metadata.
@@ -189,9 +193,13 @@ class Engine {
 			return Response::error( 'Missing intent input.', 400 );
 		}
 
+		$conversation_id = isset( $context['conversation_id'] ) && is_string( $context['conversation_id'] )
+			? $context['conversation_id']
+			: '';
+
 		$enriched = $this->context_builder->build( $context, $metadata );
 		$enriched['input']   = $input;
-		$enriched['memory']  = $this->memory->get();
+		$enriched['memory']  = '' !== $conversation_id ? $this->memory->get( $conversation_id ) : array();
 		$enriched['intent']  = $this->classifier->classify( $input, $enriched );
 		$enriched['intent']  = Intent::normalize( $enriched['intent'] );
 		$enriched['function_suggestions'] = $this->function_registry->get_functions_for_intent( $enriched['intent'] );
@@ -199,14 +207,17 @@ class Engine {
 		$handler  = $this->resolve_handler( $enriched['intent'] );
 		$response = $handler->handle( $enriched );
 
-		$this->memory->addExchange(
-			array(
-				'time'    => gmdate( 'c' ),
-				'input'   => $input,
-				'intent'  => $enriched['intent'],
-				'message' => $this->response_message( $response ),
-			)
-		);
+		if ( '' !== $conversation_id ) {
+			$this->memory->addExchange(
+				array(
+					'time'    => gmdate( 'c' ),
+					'input'   => $input,
+					'intent'  => $enriched['intent'],
+					'message' => $this->response_message( $response ),
+				),
+				$conversation_id
+			);
+		}
 
 		return $response;
 	}
@@ -54,6 +54,22 @@ abstract class AbstractAgenticHandler extends BaseHandler implements ToolSuggest
 	 */
 	protected ToolDispatcherInterface $toolDispatcher;
 
+	/**
+	 * Most recent draft produced by a prepare_* tool during the current loop.
+	 *
+	 * Surfaced as `draft` in the response so the UI can confirm it directly.
+	 *
+	 * @var array|null
+	 */
+	protected ?array $pendingDraft = null;
+
+	/**
+	 * Whether the current request is streamed to the client.
+	 *
+	 * @var bool
+	 */
+	protected bool $streaming = false;
+
 	/**
 	 * Initialize the handler.
 	 *
@@ -141,7 +157,19 @@ abstract class AbstractAgenticHandler extends BaseHandler implements ToolSuggest
 			return Response::error( 'OpenAI API key is missing. Please configure it in AgentWP settings.', 401 );
 		}
 
-		$client = $this->createClient();
+		$this->streaming = ! empty( $context['metadata']['stream'] );
+
+		$options = array();
+		$model   = $this->requestedModel( $context );
+		if ( null !== $model ) {
+			$options['model'] = $model;
+		}
+		if ( $this->streaming ) {
+			$options['stream']    = true;
+			$options['on_stream'] = array( $this, 'emitStreamDelta' );
+		}
+
+		$client = $this->createClient( $options );
 		$tools  = $this->getTools();
 
 		$messages = $this->buildInitialMessages( $context );
@@ -149,6 +177,22 @@ abstract class AbstractAgenticHandler extends BaseHandler implements ToolSuggest
 		return $this->runAgenticLoop( $client, $messages, $tools, $context );
 	}
 
+	/**
+	 * Model the request asked for in place of the configured one.
+	 *
+	 * The deck sends `model` in the request context to retry a single prompt on
+	 * the fallback model without changing the stored setting. Unknown models are
+	 * ignored.
+	 *
+	 * @param array $context Context data.
+	 * @return string|null
+	 */
+	protected function requestedModel( array $context ): ?string {
+		$model = $context['request']['model'] ?? null;
+
+		return is_string( $model ) && in_array( $model, AgentWPConfig::OPENAI_MODELS, true ) ? $model : null;
+	}
+
 	/**
 	 * Create an AI client for this handler.
 	 *
@@ -178,6 +222,31 @@ abstract class AbstractAgenticHandler extends BaseHandler implements ToolSuggest
 			'content' => $system_prompt,
 		);
 
+		$entities = isset( $context['entities'] ) && is_array( $context['entities'] ) ? $context['entities'] : array();
+		if ( ! empty( $entities ) ) {
+			$messages[] = array(
+				'role'    => 'system',
+				'content' => $this->buildEntityMessage( $entities ),
+			);
+		}
+
+		// Replay earlier turns of the conversation so follow-ups can refer to them.
+		$memory = isset( $context['memory'] ) && is_array( $context['memory'] ) ? $context['memory'] : array();
+		foreach ( $memory as $exchange ) {
+			if ( ! is_array( $exchange ) || empty( $exchange['input'] ) || empty( $exchange['message'] ) ) {
+				continue;
+			}
+
+			$messages[] = array(
+				'role'    => 'user',
+				'content' => (string) $exchange['input'],
+			);
+			$messages[] = array(
+				'role'    => 'assistant',
+				'content' => (string) $exchange['message'],
+			);
+		}
+
 		$input = ! empty( $context['input'] ) ? $context['input'] : $this->getDefaultInput();
 
 		$messages[] = array(
@@ -188,6 +257,29 @@ abstract class AbstractAgenticHandler extends BaseHandler implements ToolSuggest
 		return $messages;
 	}
 
+	/**
+	 * Describe the records the user picked so tools can use their IDs directly.
+	 *
+	 * @param array $entities Entities from EntityContextProvider.
+	 * @return string
+	 */
+	protected function buildEntityMessage( array $entities ): string {
+		$lines = array();
+		foreach ( $entities as $entity ) {
+			if ( ! is_array( $entity ) || empty( $entity['type'] ) || empty( $entity['id'] ) ) {
+				continue;
+			}
+			$line = sprintf( '- %s #%d', $entity['type'], (int) $entity['id'] );
+			if ( ! empty( $entity['label'] ) ) {
+				$line .= ': ' . $entity['label'];
+			}
+			$lines[] = $line;
+		}
+
+		return "The user selected these store records. Use their IDs directly instead of searching for them by name:\n"
+			. implode( "\n", $lines );
+	}
+
 	/**
 	 * Run the agentic interaction loop.
 	 *
@@ -203,7 +295,9 @@ abstract class AbstractAgenticHandler extends BaseHandler implements ToolSuggest
 		array $tools,
 		array $context
 	): Response {
-		$maxTurns = static::getMaxTurns();
+		$maxTurns           = static::getMaxTurns();
+		$this->pendingDraft = null;
+		$usage              = array();
 		for ( $turn = 0; $turn < $maxTurns; $turn++ ) {
 			$response = $client->chat( $messages, $tools );
 
@@ -211,6 +305,8 @@ abstract class AbstractAgenticHandler extends BaseHandler implements ToolSuggest
 				return $response;
 			}
 
+			$usage = $this->accumulateUsage( $usage, $response->get_meta() );
+
 			$data       = $response->get_data();
 			$content    = $data['content'] ?? '';
 			$tool_calls = $data['tool_calls'] ?? array();
@@ -229,7 +325,9 @@ abstract class AbstractAgenticHandler extends BaseHandler implements ToolSuggest
 
 			// If no tool calls, the assistant is done - return the response.
 			if ( empty( $tool_calls ) ) {
-				return $this->build_response( $context, $content );
+				$result = $this->build_response( $context, $content, $this->getResponseData() );
+
+				return Response::success( $result->get_data(), $usage );
 			}
 
 			// Execute each tool call via the dispatcher.
@@ -242,6 +340,42 @@ abstract class AbstractAgenticHandler extends BaseHandler implements ToolSuggest
 		);
 	}
 
+	/**
+	 * Structured data returned next to the assistant's message.
+	 *
+	 * Override in subclasses to surface tool results the UI renders itself.
+	 *
+	 * @return array
+	 */
+	protected function getResponseData(): array {
+		return null !== $this->pendingDraft ? array( 'draft' => $this->pendingDraft ) : array();
+	}
+
+	/**
+	 * Add one model call's token usage to the running totals for the request.
+	 *
+	 * The model is the last one that answered; tokens, cost and call count are summed.
+	 *
+	 * @param array $totals Totals so far.
+	 * @param array $meta   Meta from the AI client response.
+	 * @return array{model: string, input_tokens: int, output_tokens: int, total_tokens: int, cost_usd: float, ai_calls: int}
+	 */
+	protected function accumulateUsage( array $totals, array $meta ): array {
+		$input  = isset( $meta['input_tokens'] ) ? (int) $meta['input_tokens'] : 0;
+		$output = isset( $meta['output_tokens'] ) ? (int) $meta['output_tokens'] : 0;
+		$total  = isset( $meta['total_tokens'] ) ? (int) $meta['total_tokens'] : $input + $output;
+		$cost   = isset( $meta['cost_usd'] ) ? (float) $meta['cost_usd'] : 0.0;
+
+		return array(
+			'model'         => ! empty( $meta['model'] ) ? (string) $meta['model'] : ( $totals['model'] ?? '' ),
+			'input_tokens'  => ( $totals['input_tokens'] ?? 0 ) + $input,
+			'output_tokens' => ( $totals['output_tokens'] ?? 0 ) + $output,
+			'total_tokens'  => ( $totals['total_tokens'] ?? 0 ) + $total,
+			'cost_usd'      => round( ( $totals['cost_usd'] ?? 0.0 ) + $cost, 6 ),
+			'ai_calls'      => ( $totals['ai_calls'] ?? 0 ) + 1,
+		);
+	}
+
 	/**
 	 * Execute tool calls and add results to messages.
 	 *
@@ -263,8 +397,17 @@ abstract class AbstractAgenticHandler extends BaseHandler implements ToolSuggest
 				$args = array();
 			}
 
+			$this->emitStreamEvent(
+				'progress',
+				array(
+					'tool'  => $name,
+					'label' => $this->describeToolCall( $name ),
+				)
+			);
+
 			// Delegate to the tool dispatcher for validation and execution.
 			$result = $this->toolDispatcher->dispatch( $name, $args );
+			$this->trackDraft( $name, $result );
 
 			// Ensure JSON encoding succeeds.
 			$encoded_result = wp_json_encode( $result );
@@ -281,4 +424,83 @@ abstract class AbstractAgenticHandler extends BaseHandler implements ToolSuggest
 
 		return $messages;
 	}
+
+	/**
+	 * Remember drafts created by prepare tools and forget them once confirmed.
+	 *
+	 * @param string $name   Tool name.
+	 * @param mixed  $result Tool result.
+	 * @return void
+	 */
+	protected function trackDraft( string $name, $result ): void {
+		if ( ! is_array( $result ) || empty( $result['success'] ) ) {
+			return;
+		}
+
+		if ( 0 === strpos( $name, 'confirm_' ) ) {
+			$this->pendingDraft = null;
+			return;
+		}
+
+		if ( isset( $result['draft_id'], $result['preview'] ) ) {
+			$this->pendingDraft = $result;
+		}
+	}
+
+	/**
+	 * Forward a streamed completion chunk as a text delta.
+	 *
+	 * @param array $chunk Decoded chat completion chunk.
+	 * @return void
+	 */
+	public function emitStreamDelta( array $chunk ): void {
+		$text = $chunk['choices'][0]['delta']['content'] ?? '';
+		if ( is_string( $text ) && '' !== $text ) {
+			$this->emitStreamEvent( 'delta', array( 'text' => $text ) );
+		}
+	}
+
+	/**
+	 * Publish a stream event for the intent stream endpoint.
+	 *
+	 * @param string $event Event name.
+	 * @param array  $data  Event payload.
+	 * @return void
+	 */
+	protected function emitStreamEvent( string $event, array $data ): void {
+		if ( ! $this->streaming || ! function_exists( 'do_action' ) ) {
+			return;
+		}
+
+		do_action( 'agentwp_intent_stream_event', $event, $data );
+	}
+
+	/**
+	 * Describe a tool call for progress updates, e.g. "Searching orders…".
+	 *
+	 * @param string $name Tool name.
+	 * @return string
+	 */
+	protected function describeToolCall( string $name ): string {
+		$labels = array(
+			/* translators: %s: what the tool searches, e.g. "orders" */
+			'search_'  => __( 'Searching %s…', 'agentwp' ),
+			/* translators: %s: what the tool fetches, e.g. "order" */
+			'get_'     => __( 'Fetching %s…', 'agentwp' ),
+			/* translators: %s: what the tool prepares, e.g. "refund" */
+			'prepare_' => __( 'Preparing %s…', 'agentwp' ),
+			/* translators: %s: what the tool confirms, e.g. "refund" */
+			'confirm_' => __( 'Confirming %s…', 'agentwp' ),
+			/* translators: %s: what the tool drafts, e.g. "email" */
+			'draft_'   => __( 'Drafting %s…', 'agentwp' ),
+		);
+
+		foreach ( $labels as $prefix => $label ) {
+			if ( 0 === strpos( $name, $prefix ) ) {
+				return sprintf( $label, str_replace( '_', ' ', substr( $name, strlen( $prefix ) ) ) );
+			}
+		}
+
+		return __( 'Working…', 'agentwp' );
+	}
 }
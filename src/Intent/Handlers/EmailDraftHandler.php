@@ -7,6 +7,7 @@
 
 namespace AgentWP\Intent\Handlers;
 
+use AgentWP\AI\Response;
 use AgentWP\Contracts\AIClientFactoryInterface;
 use AgentWP\Contracts\ToolDispatcherInterface;
 use AgentWP\Contracts\ToolRegistryInterface;
@@ -21,6 +22,15 @@ use AgentWP\Intent\Intent;
 #[HandlesIntent( Intent::EMAIL_DRAFT )]
 class EmailDraftHandler extends AbstractAgenticHandler {
 
+	/**
+	 * Order context from the last successful draft_email call.
+	 *
+	 * Surfaced as `email_context` so the UI can show it next to the draft.
+	 *
+	 * @var array|null
+	 */
+	private ?array $emailContext = null;
+
 	/**
 	 * Initialize email draft intent handler.
 	 *
@@ -36,6 +46,18 @@ class EmailDraftHandler extends AbstractAgenticHandler {
 		parent::__construct( Intent::EMAIL_DRAFT, $clientFactory, $toolRegistry, $toolDispatcher );
 	}
 
+	/**
+	 * Handle the intent, starting without order context.
+	 *
+	 * @param array $context Context data including 'input' key.
+	 * @return Response
+	 */
+	public function handle( array $context ): Response {
+		$this->emailContext = null;
+
+		return parent::handle( $context );
+	}
+
 	/**
 	 * Register tool executors with the dispatcher.
 	 *
@@ -56,7 +78,39 @@ class EmailDraftHandler extends AbstractAgenticHandler {
 	 * @return string
 	 */
 	protected function getSystemPrompt(): string {
-		return 'You are an expert customer support agent. Use the draft_email tool to get order context, then write the email content for the user to review. Do not send it.';
+		return 'You are an expert customer support agent. Use the draft_email tool to get order context, then write the email content for the user to review. Do not send it. '
+			. 'Reply with the email only: a first line "Subject: <subject>", a blank line, then the plain-text body without Markdown.';
+	}
+
+	/**
+	 * Remember the order context returned by draft_email.
+	 *
+	 * @param string $name   Tool name.
+	 * @param mixed  $result Tool result.
+	 * @return void
+	 */
+	protected function trackDraft( string $name, $result ): void {
+		parent::trackDraft( $name, $result );
+
+		if ( 'draft_email' === $name && is_array( $result ) && ! empty( $result['success'] )
+			&& isset( $result['context'] ) && is_array( $result['context'] ) ) {
+			$this->emailContext = $result['context'];
+		}
+	}
+
+	/**
+	 * Add the order context to the response.
+	 *
+	 * @return array
+	 */
+	protected function getResponseData(): array {
+		$data = parent::getResponseData();
+
+		if ( null !== $this->emailContext ) {
+			$data['email_context'] = $this->emailContext;
+		}
+
+		return $data;
 	}
 
 	/**
@@ -34,8 +34,8 @@ final class MemoryStore implements MemoryStoreInterface {
 	/**
 	 * {@inheritDoc}
 	 */
-	public function get(): array {
-		$key = $this->get_transient_key();
+	public function get( string $conversation_id = '' ): array {
+		$key = $this->get_transient_key( $conversation_id );
 		if ( '' === $key || ! function_exists( 'get_transient' ) ) {
 			return array();
 		}
@@ -51,15 +51,15 @@ final class MemoryStore implements MemoryStoreInterface {
 	/**
 	 * {@inheritDoc}
 	 */
-	public function addExchange( array $entry ): void {
-		$memory   = $this->get();
+	public function addExchange( array $entry, string $conversation_id = '' ): void {
+		$memory   = $this->get( $conversation_id );
 		$memory[] = $entry;
 
 		if ( count( $memory ) > $this->limit ) {
 			$memory = array_slice( $memory, -$this->limit );
 		}
 
-		$key = $this->get_transient_key();
+		$key = $this->get_transient_key( $conversation_id );
 		if ( '' === $key || ! function_exists( 'set_transient' ) ) {
 			return;
 		}
@@ -80,8 +80,8 @@ final class MemoryStore implements MemoryStoreInterface {
 	/**
 	 * {@inheritDoc}
 	 */
-	public function clear(): void {
-		$key = $this->get_transient_key();
+	public function clear( string $conversation_id = '' ): void {
+		$key = $this->get_transient_key( $conversation_id );
 		if ( '' === $key || ! function_exists( 'delete_transient' ) ) {
 			return;
 		}
@@ -90,9 +90,10 @@ final class MemoryStore implements MemoryStoreInterface {
 	}
 
 	/**
+	 * @param string $conversation_id Conversation ID, or empty for the user's default memory.
 	 * @return string Transient key, or empty string when unavailable.
 	 */
-	private function get_transient_key(): string {
+	private function get_transient_key( string $conversation_id = '' ): string {
 		if ( ! function_exists( 'get_current_user_id' ) ) {
 			return '';
 		}
@@ -102,6 +103,14 @@ final class MemoryStore implements MemoryStoreInterface {
 			return '';
 		}
 
-		return self::TRANSIENT_KEY_PREFIX . $user_id;
+		$key = self::TRANSIENT_KEY_PREFIX . $user_id;
+
+		// Keep keys within the transient name limit and free of unsafe characters.
+		$conversation_id = substr( (string) preg_replace( '/[^A-Za-z0-9_-]/', '', $conversation_id ), 0, 64 );
+		if ( '' !== $conversation_id ) {
+			$key .= '_' . $conversation_id;
+		}
+
+		return $key;
 	}
 }
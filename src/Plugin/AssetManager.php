@@ -8,6 +8,7 @@
 namespace AgentWP\Plugin;
 
 use AgentWP\Config\AgentWPConfig;
+use AgentWP\Rest\VoiceController;
 
 /**
  * Manages script and style enqueuing.
@@ -189,6 +190,9 @@ final class AssetManager {
 
 		wp_enqueue_style( 'wp-components' );
 
+		// Loads languages/agentwp-{locale}-agentwp-admin.json into wp.i18n.
+		wp_set_script_translations( 'agentwp-admin', 'agentwp', $this->pluginDir . '/languages' );
+
 		$localization = $this->getScriptLocalization();
 
 		// Use JSON_HEX_TAG to prevent XSS via </script> in JSON strings.
@@ -380,16 +384,59 @@ final class AssetManager {
 		return array(
 			'root'          => esc_url_raw( rest_url() ),
 			'nonce'         => wp_create_nonce( 'wp_rest' ),
+			'nonceUrl'      => admin_url( 'admin-ajax.php?action=rest-nonce' ),
 			'restNamespace' => AgentWPConfig::REST_NAMESPACE,
 			'apiNamespace'  => AgentWPConfig::REST_NAMESPACE,
 			'theme'         => $this->themeManager->getUserTheme(),
+			'locale'        => str_replace( '_', '-', get_user_locale() ),
+			'voice'         => VoiceController::getUserPreferences( get_current_user_id() ),
+			'store'         => $this->getStoreFormat(),
 			'supportEmail'  => sanitize_email( get_option( 'admin_email' ) ),
 			'version'       => $this->version,
 			'demoMode'      => $this->settings->isDemoMode(),
+			'hotkey'        => $this->settings->getHotkey(),
 			'assetsUrl'       => $this->pluginUrl . '/assets/build/',
 			'historyLimit'    => (int) AgentWPConfig::get( 'history.limit', AgentWPConfig::HISTORY_LIMIT ),
 			'favoritesLimit'  => (int) AgentWPConfig::get( 'favorites.limit', AgentWPConfig::FAVORITES_LIMIT ),
 			'agenticMaxTurns' => (int) AgentWPConfig::get( 'agentic.max_turns', AgentWPConfig::AGENTIC_MAX_TURNS ),
+			'editUrls'        => $this->getEditUrls(),
+		);
+	}
+
+	/**
+	 * Get store formatting settings for amounts and dates.
+	 *
+	 * Uses the site locale rather than the user's admin language, so every
+	 * user sees store figures the same way.
+	 *
+	 * @return array{locale: string, currency: string, decimals: int}
+	 */
+	private function getStoreFormat(): array {
+		return array(
+			'locale'   => str_replace( '_', '-', get_locale() ),
+			'currency' => function_exists( 'get_woocommerce_currency' ) ? get_woocommerce_currency() : 'USD',
+			'decimals' => function_exists( 'wc_get_price_decimals' ) ? (int) wc_get_price_decimals() : 2,
+		);
+	}
+
+	/**
+	 * Get admin edit URL templates for search entities.
+	 *
+	 * The UI replaces `{id}` with the record ID. Orders use the HPOS screen
+	 * when custom order tables are enabled.
+	 *
+	 * @return array<string, string>
+	 */
+	private function getEditUrls(): array {
+		$hpos = class_exists( '\Automattic\WooCommerce\Utilities\OrderUtil' )
+			&& \Automattic\WooCommerce\Utilities\OrderUtil::custom_orders_table_usage_is_enabled();
+
+		return array(
+			'order'    => $hpos
+				? admin_url( 'admin.php?page=wc-orders&action=edit&id={id}' )
+				: admin_url( 'post.php?post={id}&action=edit' ),
+			'product'  => admin_url( 'post.php?post={id}&action=edit' ),
+			'customer' => admin_url( 'user-edit.php?user_id={id}' ),
 		);
 	}
 
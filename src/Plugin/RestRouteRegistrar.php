@@ -169,6 +169,8 @@ final class RestRouteRegistrar {
 			'AgentWP\\Rest\\AnalyticsController',
 			'AgentWP\\Rest\\HistoryController',
 			'AgentWP\\Rest\\ThemeController',
+			'AgentWP\\Rest\\VoiceController',
+			'AgentWP\\Rest\\DraftController',
 		);
 	}
 
@@ -35,6 +35,7 @@ class SettingsManager {
 	 */
 	public const DEFAULT_BUDGET_LIMIT       = 0;
 	public const DEFAULT_DRAFT_TTL          = 10;
+	public const DEFAULT_HOTKEY             = 'Cmd+K / Ctrl+K';
 	public const DEFAULT_MEMORY_LIMIT       = 5;
 	public const DEFAULT_MEMORY_TTL         = 1800;
 	public const DEFAULT_API_KEY            = '';
@@ -200,6 +201,19 @@ class SettingsManager {
 		return (int) $this->options->get( self::OPTION_DRAFT_TTL, self::DEFAULT_DRAFT_TTL );
 	}
 
+	/**
+	 * Get the Command Deck keyboard shortcut.
+	 *
+	 * Alternatives are separated by " / ", e.g. "Cmd+K / Ctrl+K".
+	 *
+	 * @return string
+	 */
+	public function getHotkey(): string {
+		$hotkey = $this->get( 'hotkey', self::DEFAULT_HOTKEY );
+
+		return is_string( $hotkey ) && '' !== trim( $hotkey ) ? $hotkey : self::DEFAULT_HOTKEY;
+	}
+
 	/**
 	 * Get memory store limit (max entries).
 	 *
@@ -322,7 +336,7 @@ class SettingsManager {
 			'model'             => AgentWPConfig::OPENAI_DEFAULT_MODEL,
 			'budget_limit'      => 0,
 			'draft_ttl_minutes' => 10,
-			'hotkey'            => 'Cmd+K / Ctrl+K',
+			'hotkey'            => self::DEFAULT_HOTKEY,
 			'theme'             => 'light',
 			'demo_mode'         => false,
 		);
@@ -174,6 +174,7 @@ final class Uninstall {
 			delete_metadata( 'user', 0, 'agentwp_command_history', '', true );
 			delete_metadata( 'user', 0, 'agentwp_command_favorites', '', true );
 			delete_metadata( 'user', 0, 'agentwp_theme_preference', '', true );
+			delete_metadata( 'user', 0, 'agentwp_voice_preferences', '', true );
 		}
 	}
 
@@ -17,6 +17,7 @@ use AgentWP\Intent\HandlerRegistry;
 use AgentWP\Intent\ContextProviders\UserContextProvider;
 use AgentWP\Intent\ContextProviders\OrderContextProvider;
 use AgentWP\Intent\ContextProviders\StoreContextProvider;
+use AgentWP\Intent\ContextProviders\EntityContextProvider;
 use AgentWP\Plugin\AdminMenuManager;
 use AgentWP\Plugin\AssetManager;
 use AgentWP\Plugin\SettingsManager;
@@ -160,5 +161,9 @@ final class CoreServiceProvider extends ServiceProvider {
 		// Register and tag store context provider.
 		$this->container->singleton( StoreContextProvider::class, fn() => new StoreContextProvider() );
 		$this->container->tag( StoreContextProvider::class, 'intent.context_provider', 'store' );
+
+		// Register and tag selected entity provider (records picked in the Command Deck).
+		$this->container->singleton( EntityContextProvider::class, fn() => new EntityContextProvider() );
+		$this->container->tag( EntityContextProvider::class, 'intent.context_provider', 'entities' );
 	}
 }
@@ -54,14 +54,22 @@ class AnalyticsController extends RestController {
 			);
 		}
 
-		$period = $dto->getPeriod();
+		if ( $dto->hasCustomRange() && ! $dto->hasValidRange() ) {
+			return $this->response_error(
+				AgentWPConfig::ERROR_CODE_INVALID_REQUEST,
+				__( 'Invalid date range. Send both from and to as YYYY-MM-DD, with from on or before to, spanning at most two years.', 'agentwp' ),
+				400
+			);
+		}
 
 		$service = $this->resolveRequired( AnalyticsServiceInterface::class, 'Analytics service' );
 		if ( $service instanceof WP_REST_Response ) {
 			return $service;
 		}
 
-		$result = $service->get_stats( $period );
+		$result = $dto->hasCustomRange()
+			? $service->get_range_stats( $dto->getFrom(), $dto->getTo(), $dto->getGranularity(), $dto->getCompare() )
+			: $service->get_stats( $dto->getPeriod() );
 
 		return $this->response_from_service_result( $result );
 	}
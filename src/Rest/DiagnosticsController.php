@@ -7,11 +7,14 @@
 
 namespace AgentWP\Rest;
 
+use AgentWP\Compatibility\Environment;
 use AgentWP\Config\AgentWPConfig;
 use AgentWP\Contracts\RateLimiterInterface;
 use AgentWP\Plugin;
 use AgentWP\Plugin\SettingsManager;
 use AgentWP\Search\Index;
+use AgentWP\Security\ApiKeyStorage;
+use AgentWP\Security\Encryption;
 use WP_REST_Request;
 use WP_REST_Server;
 
@@ -49,6 +52,10 @@ class DiagnosticsController extends RestController {
 		return $this->response_success(
 			array(
 				'health'       => $this->build_health_payload(),
+				'environment'  => $this->get_environment(),
+				'api_key'      => $this->get_api_key_status(),
+				'encryption'   => $this->get_encryption_status(),
+				'cache'        => $this->get_cache_status(),
 				'rest_logs'    => $this->get_rest_logs( $user_id ),
 				'rate_limit'   => $this->get_rate_limit_status( $user_id ),
 				'config'       => $this->get_config_flags(),
@@ -71,6 +78,90 @@ class DiagnosticsController extends RestController {
 		);
 	}
 
+	/**
+	 * Get runtime versions against the plugin's minimum requirements.
+	 *
+	 * @return array<string, mixed>
+	 */
+	private function get_environment(): array {
+		global $wp_version;
+
+		$php = phpversion();
+
+		return array(
+			'php_version' => is_string( $php ) ? $php : '',
+			'wp_version'  => is_string( $wp_version ) ? $wp_version : '',
+			'wc_version'  => defined( 'WC_VERSION' ) ? (string) WC_VERSION : '',
+			'minimums'    => array(
+				'php' => Environment::MIN_PHP,
+				'wp'  => Environment::MIN_WP,
+				'wc'  => Environment::MIN_WC,
+			),
+			'issues'      => Environment::get_issues(),
+		);
+	}
+
+	/**
+	 * Report whether an API key is stored and still decrypts.
+	 *
+	 * A key that no longer decrypts (for example after the site's salts
+	 * changed) is reported as unreadable; the key itself is never returned.
+	 *
+	 * @return array<string, mixed>
+	 */
+	private function get_api_key_status(): array {
+		$storage = $this->resolve( ApiKeyStorage::class );
+
+		if ( ! $storage instanceof ApiKeyStorage || ! $storage->hasPrimaryKey() ) {
+			return array(
+				'configured' => false,
+				'last4'      => '',
+				'readable'   => false,
+			);
+		}
+
+		return array(
+			'configured' => true,
+			'last4'      => $storage->getPrimaryLast4(),
+			'readable'   => '' !== $storage->retrievePrimary(),
+		);
+	}
+
+	/**
+	 * Check that values survive an encrypt/decrypt round trip.
+	 *
+	 * @return array<string, mixed>
+	 */
+	private function get_encryption_status(): array {
+		$encryption = $this->resolve( Encryption::class );
+		$probe      = 'agentwp-diagnostics';
+
+		if ( ! $encryption instanceof Encryption ) {
+			return array(
+				'available' => false,
+				'openssl'   => function_exists( 'openssl_encrypt' ),
+			);
+		}
+
+		$ciphertext = $encryption->encrypt( $probe );
+
+		return array(
+			'available' => '' !== $ciphertext && $probe === $encryption->decrypt( $ciphertext ),
+			'openssl'   => function_exists( 'openssl_encrypt' ),
+		);
+	}
+
+	/**
+	 * Get the cache backend in use.
+	 *
+	 * @return array<string, mixed>
+	 */
+	private function get_cache_status(): array {
+		return array(
+			'persistent_object_cache' => function_exists( 'wp_using_ext_object_cache' ) && (bool) wp_using_ext_object_cache(),
+		);
+	}
+
 	/**
 	 * Get recent REST logs for the current user/guest.
 	 *
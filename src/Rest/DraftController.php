@@ -0,0 +1,183 @@
+<?php
+/**
+ * Draft REST controller.
+ *
+ * @package AgentWP\Rest
+ */
+
+namespace AgentWP\Rest;
+
+use AgentWP\Config\AgentWPConfig;
+use AgentWP\Contracts\DraftManagerInterface;
+use AgentWP\Contracts\OrderRefundServiceInterface;
+use AgentWP\Contracts\OrderStatusServiceInterface;
+use AgentWP\Contracts\ProductStockServiceInterface;
+use AgentWP\DTO\ServiceResult;
+use AgentWP\Rest\RestController;
+use WP_REST_Response;
+use WP_REST_Server;
+
+/**
+ * Confirms or cancels drafts created by the prepare_* tools.
+ *
+ * Lets the UI finish the two-phase workflow without routing a
+ * "yes, confirm" prompt back through the model.
+ */
+class DraftController extends RestController {
+	/**
+	 * Draft ID pattern (type prefix + random suffix, e.g. "refund_AbC123xyZ789").
+	 */
+	const DRAFT_ID_PATTERN = '(?P<draft_id>[a-z]+_[A-Za-z0-9]+)';
+
+	/**
+	 * Draft types that can be confirmed through this controller.
+	 */
+	const CONFIRMABLE_TYPES = array( 'refund', 'status', 'stock' );
+
+	/**
+	 * Register REST routes.
+	 *
+	 * @return void
+	 */
+	public function register_routes() {
+		register_rest_route(
+			$this->namespace,
+			'/drafts/' . self::DRAFT_ID_PATTERN . '/confirm',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'confirm_draft' ),
+					'permission_callback' => array( $this, 'permissions_check' ),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/drafts/' . self::DRAFT_ID_PATTERN,
+			array(
+				array(
+					'methods'             => WP_REST_Server::DELETABLE,
+					'callback'            => array( $this, 'cancel_draft' ),
+					'permission_callback' => array( $this, 'permissions_check' ),
+				),
+			)
+		);
+	}
+
+	/**
+	 * Confirm and execute a pending draft.
+	 *
+	 * @openapi POST /agentwp/v1/drafts/{draft_id}/confirm
+	 *
+	 * @param \WP_REST_Request<array<string, mixed>> $request Request instance.
+	 * @return WP_REST_Response
+	 */
+	public function confirm_draft( $request ) {
+		$draft_id = (string) $request->get_param( 'draft_id' );
+		$type     = $this->get_draft_type( $draft_id );
+
+		if ( ! in_array( $type, self::CONFIRMABLE_TYPES, true ) ) {
+			return $this->response_error(
+				AgentWPConfig::ERROR_CODE_INVALID_REQUEST,
+				__( 'This draft cannot be confirmed.', 'agentwp' ),
+				400
+			);
+		}
+
+		switch ( $type ) {
+			case 'refund':
+				$service = $this->resolveRequired( OrderRefundServiceInterface::class, 'Refund service' );
+				if ( $service instanceof WP_REST_Response ) {
+					return $service;
+				}
+				$result = $service->confirm_refund( $draft_id );
+				break;
+			case 'status':
+				$service = $this->resolveRequired( OrderStatusServiceInterface::class, 'Order status service' );
+				if ( $service instanceof WP_REST_Response ) {
+					return $service;
+				}
+				$result = $service->confirm_update( $draft_id );
+				break;
+			default:
+				$service = $this->resolveRequired( ProductStockServiceInterface::class, 'Stock service' );
+				if ( $service instanceof WP_REST_Response ) {
+					return $service;
+				}
+				$result = $service->confirm_update( $draft_id );
+				break;
+		}
+
+		return $this->response_from_service_result( $result, $draft_id, $type );
+	}
+
+	/**
+	 * Cancel a pending draft.
+	 *
+	 * @openapi DELETE /agentwp/v1/drafts/{draft_id}
+	 *
+	 * @param \WP_REST_Request<array<string, mixed>> $request Request instance.
+	 * @return WP_REST_Response
+	 */
+	public function cancel_draft( $request ) {
+		$draft_id = (string) $request->get_param( 'draft_id' );
+		$type     = $this->get_draft_type( $draft_id );
+
+		$manager = $this->resolveRequired( DraftManagerInterface::class, 'Draft manager' );
+		if ( $manager instanceof WP_REST_Response ) {
+			return $manager;
+		}
+
+		return $this->response_success(
+			array(
+				'draft_id'  => $draft_id,
+				'type'      => $type,
+				'cancelled' => $manager->cancel( $type, $draft_id ),
+			)
+		);
+	}
+
+	/**
+	 * Extract the draft type from its prefixed ID.
+	 *
+	 * @param string $draft_id Draft ID.
+	 * @return string
+	 */
+	private function get_draft_type( string $draft_id ): string {
+		$separator = strpos( $draft_id, '_' );
+
+		return false === $separator ? '' : substr( $draft_id, 0, $separator );
+	}
+
+	/**
+	 * Convert a confirmation ServiceResult to a WP_REST_Response.
+	 *
+	 * @param ServiceResult $result   Service result.
+	 * @param string        $draft_id Draft ID.
+	 * @param string        $type     Draft type.
+	 * @return WP_REST_Response
+	 */
+	private function response_from_service_result( ServiceResult $result, string $draft_id, string $type ): WP_REST_Response {
+		if ( $result->isSuccess() ) {
+			return $this->response_success(
+				array_merge(
+					$result->data,
+					array(
+						'draft_id' => $draft_id,
+						'type'     => $type,
+						'message'  => $result->message,
+					)
+				),
+				$result->httpStatus
+			);
+		}
+
+		return $this->response_error(
+			$result->code,
+			$result->message,
+			$result->httpStatus,
+			$result->data
+		);
+	}
+}
@@ -11,10 +11,26 @@ use AgentWP\Rest\RestController;
 use AgentWP\Config\AgentWPConfig;
 use AgentWP\DTO\IntentRequestDTO;
 use AgentWP\Intent\Engine;
+use AgentWP\AI\Response;
 use WP_REST_Request;
 use WP_REST_Server;
 
 class IntentController extends RestController {
+	/**
+	 * Action fired by agentic handlers while a streamed intent is running.
+	 */
+	const STREAM_EVENT_ACTION = 'agentwp_intent_stream_event';
+
+	/**
+	 * Engine response meta keys returned to the client as `meta`.
+	 */
+	const USAGE_META_KEYS = array( 'model', 'input_tokens', 'output_tokens', 'total_tokens', 'cost_usd', 'ai_calls' );
+
+	/**
+	 * Engine error meta keys sent to the client in the stream `error` event.
+	 */
+	const ERROR_META_KEYS = array( 'retry_after' );
+
 	/**
 	 * Register REST routes.
 	 *
@@ -30,6 +46,16 @@ class IntentController extends RestController {
 				'permission_callback' => array( $this, 'permissions_check' ),
 			)
 		);
+
+		register_rest_route(
+			$this->namespace,
+			'/intent/stream',
+			array(
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => array( $this, 'stream_intent' ),
+				'permission_callback' => array( $this, 'permissions_check' ),
+			)
+		);
 	}
 
 	/**
@@ -41,22 +67,8 @@ class IntentController extends RestController {
 	 * @return \WP_REST_Response
 	 */
 	public function create_intent( $request ) {
-		$dto = new IntentRequestDTO( $request );
-
-		if ( ! $dto->isValid() ) {
-			$error = $dto->getError();
-			return $this->response_error(
-				AgentWPConfig::ERROR_CODE_INVALID_REQUEST,
-				$error ? $error->get_error_message() : __( 'Invalid request.', 'agentwp' ),
-				400
-			);
-		}
-
-		if ( ! $dto->hasPrompt() ) {
-			return $this->response_error( AgentWPConfig::ERROR_CODE_MISSING_PROMPT, __( 'Please provide a prompt.', 'agentwp' ), 400 );
-		}
-
-		$engine = $this->resolveRequired( Engine::class, 'Intent engine' );
+		$dto    = new IntentRequestDTO( $request );
+		$engine = $this->resolve_engine( $dto );
 		if ( $engine instanceof \WP_REST_Response ) {
 			return $engine;
 		}
@@ -76,10 +88,150 @@ class IntentController extends RestController {
 			);
 		}
 
+		return $this->response_success( $this->build_intent_data( $response, wp_generate_uuid4() ) );
+	}
+
+	/**
+	 * Handle intent requests as a Server-Sent Events stream.
+	 *
+	 * Emits `start`, `progress` (tool calls), `delta` (message text) and a final
+	 * `done` event carrying the same payload as POST /intent, or `error`.
+	 * Validation failures are returned as regular JSON error responses.
+	 *
+	 * @openapi POST /agentwp/v1/intent/stream
+	 *
+	 * @param WP_REST_Request<array<string, mixed>> $request Request instance.
+	 * @return \WP_REST_Response|void
+	 */
+	public function stream_intent( $request ) {
+		$dto    = new IntentRequestDTO( $request );
+		$engine = $this->resolve_engine( $dto );
+		if ( $engine instanceof \WP_REST_Response ) {
+			return $engine;
+		}
+
+		$intent_id = wp_generate_uuid4();
+		$this->open_stream();
+		$this->send_stream_event( 'start', array( 'intent_id' => $intent_id ) );
+
+		$listener = function ( $event, $data = array() ) {
+			$this->send_stream_event( (string) $event, is_array( $data ) ? $data : array() );
+		};
+		add_action( self::STREAM_EVENT_ACTION, $listener, 10, 2 );
+
+		$metadata           = $dto->getMetadata();
+		$metadata['stream'] = true;
+
+		try {
+			$response = $engine->handle( $dto->getPrompt(), $dto->getContext(), $metadata );
+		} finally {
+			remove_action( self::STREAM_EVENT_ACTION, $listener, 10 );
+		}
+
+		if ( $response->is_success() ) {
+			$this->send_stream_event( 'done', $this->build_intent_data( $response, $intent_id ) );
+			self::log_request( $request, 200 );
+		} else {
+			$this->send_stream_event(
+				'error',
+				array(
+					'code'    => AgentWPConfig::ERROR_CODE_INTENT_FAILED,
+					'message' => $response->get_message(),
+					'status'  => $response->get_status(),
+					'meta'    => array_intersect_key(
+						$response->get_meta(),
+						array_flip( array_merge( self::USAGE_META_KEYS, self::ERROR_META_KEYS ) )
+					),
+				)
+			);
+			self::log_request( $request, $response->get_status(), AgentWPConfig::ERROR_CODE_INTENT_FAILED );
+		}
+
+		$this->end_stream();
+	}
+
+	/**
+	 * Validate the request and resolve the intent engine.
+	 *
+	 * @param IntentRequestDTO $dto Request DTO.
+	 * @return Engine|\WP_REST_Response Engine instance or error response.
+	 */
+	protected function resolve_engine( IntentRequestDTO $dto ) {
+		if ( ! $dto->isValid() ) {
+			$error = $dto->getError();
+			return $this->response_error(
+				AgentWPConfig::ERROR_CODE_INVALID_REQUEST,
+				$error ? $error->get_error_message() : __( 'Invalid request.', 'agentwp' ),
+				400
+			);
+		}
+
+		if ( ! $dto->hasPrompt() ) {
+			return $this->response_error( AgentWPConfig::ERROR_CODE_MISSING_PROMPT, __( 'Please provide a prompt.', 'agentwp' ), 400 );
+		}
+
+		return $this->resolveRequired( Engine::class, 'Intent engine' );
+	}
+
+	/**
+	 * Build the response payload for a handled intent.
+	 *
+	 * @param Response $response  Engine response.
+	 * @param string   $intent_id Intent identifier.
+	 * @return array
+	 */
+	private function build_intent_data( Response $response, string $intent_id ): array {
 		$data              = $response->get_data();
-		$data['intent_id'] = wp_generate_uuid4();
+		$data['intent_id'] = $intent_id;
 		$data['status']    = 'handled';
 
-		return $this->response_success( $data );
+		$meta = array_intersect_key( $response->get_meta(), array_flip( self::USAGE_META_KEYS ) );
+		if ( ! empty( $meta ) ) {
+			$data['meta'] = $meta;
+		}
+
+		return $data;
+	}
+
+	/**
+	 * Send SSE headers and disable output buffering.
+	 *
+	 * @return void
+	 */
+	protected function open_stream(): void {
+		if ( ! headers_sent() ) {
+			status_header( 200 );
+			header( 'Content-Type: text/event-stream; charset=utf-8' );
+			header( 'Cache-Control: no-cache, no-transform' );
+			header( 'X-Accel-Buffering: no' );
+		}
+
+		while ( ob_get_level() > 0 ) {
+			ob_end_flush();
+		}
+	}
+
+	/**
+	 * End the request once the stream is done, so the REST server sends nothing after it.
+	 *
+	 * @return void
+	 */
+	protected function end_stream(): void {
+		exit;
+	}
+
+	/**
+	 * Write a single SSE frame and flush it to the client.
+	 *
+	 * @param string $event Event name.
+	 * @param array  $data  Event payload.
+	 * @return void
+	 */
+	private function send_stream_event( string $event, array $data ): void {
+		$encoded = wp_json_encode( $data );
+
+		echo 'event: ' . sanitize_key( $event ) . "\n";
+		echo 'data: ' . ( false === $encoded ? '{}' : $encoded ) . "\n\n"; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- JSON payload.
+		flush();
 	}
 }
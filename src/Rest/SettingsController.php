@@ -58,6 +58,16 @@ class SettingsController extends RestController {
 			)
 		);
 
+		register_rest_route(
+			$this->namespace,
+			'/settings/api-key/test',
+			array(
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => array( $this, 'test_api_key' ),
+				'permission_callback' => array( $this, 'permissions_check' ),
+			)
+		);
+
 		register_rest_route(
 			$this->namespace,
 			'/usage',
@@ -113,9 +123,10 @@ class SettingsController extends RestController {
 		if ( ! $dto->isValid() ) {
 			$error = $dto->getError();
 			return $this->response_error(
-				AgentWPConfig::ERROR_CODE_INVALID_REQUEST,
+				AgentWPConfig::ERROR_CODE_VALIDATION_ERROR,
 				$error ? $error->get_error_message() : __( 'Invalid request.', 'agentwp' ),
-				400
+				400,
+				array( 'fields' => $dto->getFieldErrors() )
 			);
 		}
 
@@ -203,6 +214,45 @@ class SettingsController extends RestController {
 		);
 	}
 
+	/**
+	 * Check the stored API key against OpenAI without changing it.
+	 *
+	 * @openapi POST /agentwp/v1/settings/api-key/test
+	 *
+	 * @param WP_REST_Request<array<string, mixed>> $request Request instance.
+	 * @return WP_REST_Response
+	 */
+	public function test_api_key( $request ) {
+		unset( $request );
+
+		$storage = $this->getApiKeyStorage();
+		if ( ! $storage ) {
+			return $this->response_error( AgentWPConfig::ERROR_CODE_SERVICE_UNAVAILABLE, __( 'API key storage service unavailable.', 'agentwp' ), 503 );
+		}
+
+		$api_key = $storage->retrievePrimary();
+		if ( '' === $api_key ) {
+			return $this->response_error( AgentWPConfig::ERROR_CODE_INVALID_KEY, __( 'No API key is stored.', 'agentwp' ), 400 );
+		}
+
+		$validator = $this->getOpenAIKeyValidator();
+		if ( ! $validator ) {
+			return $this->response_error( AgentWPConfig::ERROR_CODE_SERVICE_UNAVAILABLE, __( 'API key validator unavailable.', 'agentwp' ), 503 );
+		}
+
+		$result = $validator->validate( $api_key );
+		if ( is_wp_error( $result ) ) {
+			return $this->response_error( (string) $result->get_error_code(), $result->get_error_message(), 400 );
+		}
+
+		return $this->response_success(
+			array(
+				'valid' => true,
+				'last4' => $storage->getPrimaryLast4(),
+			)
+		);
+	}
+
 	/**
 	 * Get usage statistics.
 	 *
@@ -227,11 +277,19 @@ class SettingsController extends RestController {
 			return $this->response_error( AgentWPConfig::ERROR_CODE_INVALID_PERIOD, __( 'Invalid usage period.', 'agentwp' ), 400 );
 		}
 
-		$period       = $dto->getPeriod();
+		if ( $dto->hasCustomRange() && ! $dto->hasValidRange() ) {
+			return $this->response_error( AgentWPConfig::ERROR_CODE_INVALID_PERIOD, __( 'Invalid usage date range.', 'agentwp' ), 400 );
+		}
+
+		$period       = $dto->hasCustomRange() ? 'custom' : $dto->getPeriod();
 		$usageTracker = $this->getUsageTracker();
-		$usage        = $usageTracker
-			? $usageTracker->getUsageSummary( $period )
-			: SettingsManager::getDefaultUsageStats();
+		if ( ! $usageTracker ) {
+			$usage = SettingsManager::getDefaultUsageStats();
+		} elseif ( $dto->hasCustomRange() ) {
+			$usage = $usageTracker->getUsageSummaryForRange( $dto->getFrom(), $dto->getTo(), $dto->getGranularity() );
+		} else {
+			$usage = $usageTracker->getUsageSummary( $period );
+		}
 
 		return $this->response_success(
 			array(
@@ -242,6 +300,7 @@ class SettingsController extends RestController {
 				'daily_trend'         => isset( $usage['daily_trend'] ) ? $usage['daily_trend'] : array(),
 				'period_start'        => isset( $usage['period_start'] ) ? $usage['period_start'] : '',
 				'period_end'          => isset( $usage['period_end'] ) ? $usage['period_end'] : '',
+				'granularity'         => isset( $usage['granularity'] ) ? $usage['granularity'] : 'day',
 			)
 		);
 	}
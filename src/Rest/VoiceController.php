@@ -0,0 +1,123 @@
+<?php
+/**
+ * Voice preference REST controller.
+ *
+ * @package AgentWP
+ */
+
+namespace AgentWP\Rest;
+
+use AgentWP\Config\AgentWPConfig;
+use AgentWP\DTO\VoiceRequestDTO;
+use AgentWP\Rest\RestController;
+use WP_REST_Server;
+
+class VoiceController extends RestController {
+	const VOICE_META_KEY = AgentWPConfig::META_KEY_VOICE;
+
+	/**
+	 * Preferences used until the user saves their own.
+	 *
+	 * An empty language means the user's admin locale.
+	 */
+	public const DEFAULTS = array(
+		'lang'         => '',
+		'voice'        => '',
+		'rate'         => 1.0,
+		'pitch'        => 1.0,
+		'show_interim' => true,
+	);
+
+	/**
+	 * Register REST routes.
+	 *
+	 * @return void
+	 */
+	public function register_routes() {
+		register_rest_route(
+			$this->namespace,
+			'/voice',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_voice' ),
+					'permission_callback' => array( $this, 'permissions_check' ),
+				),
+				array(
+					'methods'             => WP_REST_Server::EDITABLE,
+					'callback'            => array( $this, 'update_voice' ),
+					'permission_callback' => array( $this, 'permissions_check' ),
+				),
+			)
+		);
+	}
+
+	/**
+	 * Return stored voice preferences.
+	 *
+	 * @openapi GET /agentwp/v1/voice
+	 *
+	 * @param \WP_REST_Request<array<string, mixed>> $request Request instance.
+	 * @return \WP_REST_Response
+	 */
+	public function get_voice( $request ) {
+		unset( $request );
+
+		return $this->response_success( self::getUserPreferences( get_current_user_id() ) );
+	}
+
+	/**
+	 * Update stored voice preferences.
+	 *
+	 * @openapi POST /agentwp/v1/voice
+	 *
+	 * @param \WP_REST_Request<array<string, mixed>> $request Request instance.
+	 * @return \WP_REST_Response
+	 */
+	public function update_voice( $request ) {
+		$dto = new VoiceRequestDTO( $request );
+
+		if ( ! $dto->isValid() ) {
+			$error = $dto->getError();
+			return $this->response_error(
+				AgentWPConfig::ERROR_CODE_INVALID_REQUEST,
+				$error ? $error->get_error_message() : __( 'Invalid request.', 'agentwp' ),
+				400
+			);
+		}
+
+		$user_id     = get_current_user_id();
+		$preferences = array_merge( self::getUserPreferences( $user_id ), $dto->getPreferences() );
+		update_user_meta( $user_id, self::VOICE_META_KEY, $preferences );
+
+		return $this->response_success(
+			array_merge(
+				array( 'updated' => true ),
+				$preferences
+			)
+		);
+	}
+
+	/**
+	 * Get a user's voice preferences, filling in defaults.
+	 *
+	 * @param int $user_id User ID.
+	 * @return array{lang: string, voice: string, rate: float, pitch: float, show_interim: bool}
+	 */
+	public static function getUserPreferences( int $user_id ): array {
+		$stored = $user_id > 0 ? get_user_meta( $user_id, self::VOICE_META_KEY, true ) : array();
+		$stored = is_array( $stored ) ? $stored : array();
+
+		return array(
+			'lang'         => isset( $stored['lang'] ) && is_string( $stored['lang'] ) ? $stored['lang'] : self::DEFAULTS['lang'],
+			'voice'        => isset( $stored['voice'] ) && is_string( $stored['voice'] ) ? $stored['voice'] : self::DEFAULTS['voice'],
+			'rate'         => isset( $stored['rate'] ) && is_numeric( $stored['rate'] )
+				? max( VoiceRequestDTO::MIN_RATE, min( VoiceRequestDTO::MAX_RATE, (float) $stored['rate'] ) )
+				: self::DEFAULTS['rate'],
+			'pitch'        => isset( $stored['pitch'] ) && is_numeric( $stored['pitch'] )
+				? max( VoiceRequestDTO::MIN_PITCH, min( VoiceRequestDTO::MAX_PITCH, (float) $stored['pitch'] ) )
+				: self::DEFAULTS['pitch'],
+			'show_interim' => isset( $stored['show_interim'] ) ? (bool) $stored['show_interim'] : self::DEFAULTS['show_interim'],
+		);
+	}
+}
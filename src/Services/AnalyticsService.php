@@ -65,29 +65,70 @@ class AnalyticsService implements AnalyticsServiceInterface {
 	 * @return ServiceResult Result with analytics data matching frontend expectation.
 	 */
 	public function get_stats( string $period = '7d' ): ServiceResult {
-		$days = $this->resolve_days( $period );
-		$now  = $this->clock->now();
+		$days  = $this->resolve_days( $period );
+		$today = $this->clock->now();
 
-		$current_end   = $now->format( 'Y-m-d' ) . ' 23:59:59';
-		$current_start = $now->modify( "-{$days} days" )->format( 'Y-m-d' ) . ' 00:00:00';
+		$range = new DateRange(
+			$today->modify( '-' . ( $days - 1 ) . ' days' )->setTime( 0, 0, 0 ),
+			$today->setTime( 23, 59, 59 )
+		);
+
+		return $this->build_stats( $range, "Last {$days} days", 'day', 'previous' );
+	}
+
+	/**
+	 * Get analytics data for a custom date range.
+	 *
+	 * @param string $start       Start date (Y-m-d).
+	 * @param string $end         End date (Y-m-d), inclusive.
+	 * @param string $granularity Bucket size: 'day', 'week' or 'month'.
+	 * @param string $compare     'previous' for the preceding range, 'year' for the same dates last year.
+	 * @return ServiceResult Result with analytics data matching frontend expectation.
+	 */
+	public function get_range_stats( string $start, string $end, string $granularity = 'day', string $compare = 'previous' ): ServiceResult {
+		$range = DateRange::fromDates( $start, $end, $this->get_timezone() );
+		if ( null === $range ) {
+			return ServiceResult::invalidInput( 'Invalid date range.' );
+		}
 
-		// Previous period (same length, immediately before).
-		$prev_end_dt = new DateTimeImmutable( $current_start, $this->get_timezone() );
-		$prev_end_dt = $prev_end_dt->modify( '-1 second' );
-		$prev_end    = $prev_end_dt->format( 'Y-m-d' ) . ' 23:59:59';
+		$label = $range->start->format( 'M j, Y' ) . ' – ' . $range->end->format( 'M j, Y' );
+
+		return $this->build_stats( $range, $label, $granularity, $compare );
+	}
+
+	/**
+	 * Build the chart payload for a range and its comparison range.
+	 *
+	 * @param DateRange $range       Current range.
+	 * @param string    $label       Human-readable range label.
+	 * @param string    $granularity Bucket size: 'day', 'week' or 'month'.
+	 * @param string    $compare     'previous' or 'year'.
+	 * @return ServiceResult
+	 */
+	private function build_stats( DateRange $range, string $label, string $granularity, string $compare ): ServiceResult {
+		$previous_range = 'year' === $compare ? $range->previousYear() : $range->previous();
+		$format         = 'Y-m-d H:i:s';
 
-		$prev_start_dt = $prev_end_dt->modify( "-{$days} days" )->modify( '+1 second' );
-		$prev_start    = $prev_start_dt->format( 'Y-m-d' ) . ' 00:00:00';
+		$current_data  = $this->query_period( $range->start->format( $format ), $range->end->format( $format ) );
+		$previous_data = $this->query_period( $previous_range->start->format( $format ), $previous_range->end->format( $format ) );
 
-		$current_data  = $this->query_period( $current_start, $current_end );
-		$previous_data = $this->query_period( $prev_start, $prev_end );
+		$buckets = $range->buckets( $granularity );
 
 		// Build response data array.
 		$responseData = array(
-			'label'    => "Last {$days} days",
-			'labels'   => $this->generate_date_labels( $days ),
-			'current'  => $this->map_daily_totals( $current_data['daily'], $days ),
-			'previous' => $this->map_daily_totals( $previous_data['daily'], $days ),
+			'label'    => $label,
+			'labels'   => $this->format_bucket_labels( $buckets, $granularity ),
+			'current'  => $this->map_bucket_totals( $current_data['daily'], $buckets, $granularity ),
+			// Previous buckets line up by position, so pad or trim them to the current length.
+			'previous' => array_slice(
+				array_pad(
+					$this->map_bucket_totals( $previous_data['daily'], $previous_range->buckets( $granularity ), $granularity ),
+					count( $buckets ),
+					0
+				),
+				0,
+				count( $buckets )
+			),
 			'metrics'  => array(
 				'labels'   => array( 'Revenue', 'Orders', 'Avg Order', 'Refunds' ),
 				'current'  => array(
@@ -115,8 +156,20 @@ class AnalyticsService implements AnalyticsServiceInterface {
 		$chartDTO = AnalyticsChartDTO::fromArray( $responseData );
 
 		return ServiceResult::success(
-			"Analytics retrieved for last {$days} days.",
-			$chartDTO->toArray()
+			"Analytics retrieved for {$label}.",
+			array_merge(
+				$chartDTO->toArray(),
+				array(
+					'range' => array(
+						'start'          => $range->start->format( 'Y-m-d' ),
+						'end'            => $range->end->format( 'Y-m-d' ),
+						'previous_start' => $previous_range->start->format( 'Y-m-d' ),
+						'previous_end'   => $previous_range->end->format( 'Y-m-d' ),
+						'granularity'    => $granularity,
+						'compare'        => $compare,
+					),
+				)
+			)
 		);
 	}
 
@@ -163,25 +216,25 @@ class AnalyticsService implements AnalyticsServiceInterface {
 	}
 
 	/**
-	 * Generate date labels (e.g., "Mon", "Tue" or "Jan 1").
+	 * Format bucket keys as chart labels (e.g., "Mon", "Jan 1" or "Jan 2024").
 	 *
-	 * @param int $days Number of days.
-	 * @return array
+	 * @param array<string> $buckets     Bucket keys (Y-m-d).
+	 * @param string        $granularity Bucket size.
+	 * @return array<string>
 	 */
-	private function generate_date_labels( $days ) {
-		$labels = array();
-		$now    = $this->clock->now();
-
-		// Go back $days and step forward
-		$start = $now->modify( '-' . ( $days - 1 ) . ' days' );
+	private function format_bucket_labels( array $buckets, string $granularity ): array {
+		if ( 'month' === $granularity ) {
+			$format = 'M Y';
+		} elseif ( 'day' === $granularity && count( $buckets ) <= 7 ) {
+			$format = 'D';
+		} else {
+			$format = 'M j';
+		}
 
-		for ( $i = 0; $i < $days; $i++ ) {
-			if ( $days <= 7 ) {
-				$labels[] = $start->format( 'D' ); // Mon, Tue
-			} else {
-				$labels[] = $start->format( 'M j' ); // Jan 1
-			}
-			$start = $start->modify( '+1 day' );
+		$labels = array();
+		foreach ( $buckets as $key ) {
+			$date     = DateTimeImmutable::createFromFormat( '!Y-m-d', $key, $this->get_timezone() );
+			$labels[] = false === $date ? $key : $date->format( $format );
 		}
 		return $labels;
 	}
@@ -282,24 +335,29 @@ class AnalyticsService implements AnalyticsServiceInterface {
 	}
 
 	/**
-	 * Map daily totals to the labels array.
+	 * Sum daily totals into buckets.
 	 *
-	 * @param array $daily_data Key-value date->total.
-	 * @param int   $days       Number of days.
+	 * @param array         $daily_data  Key-value date->total.
+	 * @param array<string> $buckets     Bucket keys (Y-m-d), in order.
+	 * @param string        $granularity Bucket size.
 	 * @return array
 	 */
-	private function map_daily_totals( $daily_data, $days ) {
-		$data = array();
-		$now  = $this->clock->now();
+	private function map_bucket_totals( $daily_data, array $buckets, string $granularity ) {
+		$totals = array_fill_keys( $buckets, 0 );
 
-		$start = $now->modify( '-' . ( $days - 1 ) . ' days' );
+		foreach ( $daily_data as $date => $total ) {
+			$day = DateTimeImmutable::createFromFormat( '!Y-m-d', (string) $date, $this->get_timezone() );
+			if ( false === $day ) {
+				continue;
+			}
 
-		for ( $i = 0; $i < $days; $i++ ) {
-			$date_key = $start->format( 'Y-m-d' );
-			$data[]   = isset( $daily_data[ $date_key ] ) ? $daily_data[ $date_key ] : 0;
-			$start    = $start->modify( '+1 day' );
+			$key = DateRange::bucketKey( $day, $granularity );
+			if ( isset( $totals[ $key ] ) ) {
+				$totals[ $key ] += $total;
+			}
 		}
-		return $data;
+
+		return array_values( $totals );
 	}
 
 	/**
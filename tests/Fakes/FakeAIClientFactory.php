@@ -12,6 +12,13 @@ final class FakeAIClientFactory implements AIClientFactoryInterface {
 	private OpenAIClientInterface $client;
 	private bool $hasApiKey;
 
+	/**
+	 * Options passed to the last create() call.
+	 *
+	 * @var array
+	 */
+	public array $lastOptions = array();
+
 	public function __construct( OpenAIClientInterface $client, bool $hasApiKey = true ) {
 		$this->client    = $client;
 		$this->hasApiKey = $hasApiKey;
@@ -21,7 +28,8 @@ final class FakeAIClientFactory implements AIClientFactoryInterface {
 	 * {@inheritDoc}
 	 */
 	public function create( string $intent, array $options = array() ): OpenAIClientInterface {
-		unset( $intent, $options );
+		unset( $intent );
+		$this->lastOptions = $options;
 		return $this->client;
 	}
 
@@ -23,6 +23,13 @@ final class FakeHttpClient implements HttpClientInterface {
 	 */
 	private array $responseQueue = array();
 
+	/**
+	 * Size of the pieces POST bodies are fed to `on_chunk` in; 0 never calls it.
+	 *
+	 * @var int
+	 */
+	private int $chunkSize = 0;
+
 	/**
 	 * Request log.
 	 *
@@ -100,6 +107,17 @@ final class FakeHttpClient implements HttpClientInterface {
 		);
 	}
 
+	/**
+	 * Feed POST bodies to `on_chunk` in pieces of the given size, like a streaming transport.
+	 *
+	 * @param int $size Piece size in bytes; 0 behaves like a client that cannot stream.
+	 * @return self
+	 */
+	public function streamChunks( int $size ): self {
+		$this->chunkSize = max( 0, $size );
+		return $this;
+	}
+
 	/**
 	 * {@inheritDoc}
 	 */
@@ -110,7 +128,15 @@ final class FakeHttpClient implements HttpClientInterface {
 			'options' => $options,
 		);
 
-		return $this->dequeueResponse();
+		$response = $this->dequeueResponse();
+
+		if ( $this->chunkSize > 0 && isset( $options['on_chunk'] ) && is_callable( $options['on_chunk'] ) && '' !== $response->body ) {
+			foreach ( str_split( $response->body, $this->chunkSize ) as $chunk ) {
+				call_user_func( $options['on_chunk'], $chunk );
+			}
+		}
+
+		return $response;
 	}
 
 	/**
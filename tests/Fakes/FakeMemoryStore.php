@@ -21,6 +21,13 @@ final class FakeMemoryStore implements MemoryStoreInterface {
 	 */
 	private array $memory = array();
 
+	/**
+	 * Memory entries scoped to conversation IDs.
+	 *
+	 * @var array<string, array<array{time: string, input: string, intent: string, message: string}>>
+	 */
+	private array $conversations = array();
+
 	/**
 	 * Maximum entries to keep.
 	 *
@@ -40,14 +47,26 @@ final class FakeMemoryStore implements MemoryStoreInterface {
 	/**
 	 * {@inheritDoc}
 	 */
-	public function get(): array {
+	public function get( string $conversation_id = '' ): array {
+		if ( '' !== $conversation_id ) {
+			return $this->conversations[ $conversation_id ] ?? array();
+		}
+
 		return $this->memory;
 	}
 
 	/**
 	 * {@inheritDoc}
 	 */
-	public function addExchange( array $entry ): void {
+	public function addExchange( array $entry, string $conversation_id = '' ): void {
+		if ( '' !== $conversation_id ) {
+			$entries   = $this->conversations[ $conversation_id ] ?? array();
+			$entries[] = $entry;
+
+			$this->conversations[ $conversation_id ] = array_slice( $entries, -$this->limit );
+			return;
+		}
+
 		$this->memory[] = $entry;
 
 		// Trim to limit.
@@ -69,7 +88,12 @@ final class FakeMemoryStore implements MemoryStoreInterface {
 	/**
 	 * {@inheritDoc}
 	 */
-	public function clear(): void {
+	public function clear( string $conversation_id = '' ): void {
+		if ( '' !== $conversation_id ) {
+			unset( $this->conversations[ $conversation_id ] );
+			return;
+		}
+
 		$this->memory = array();
 	}
 
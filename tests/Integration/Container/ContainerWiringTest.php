@@ -283,6 +283,7 @@ class ContainerWiringTest extends TestCase {
 		$this->assertArrayHasKey( 'user', $providers, 'Should have user context provider' );
 		$this->assertArrayHasKey( 'recent_orders', $providers, 'Should have recent_orders context provider' );
 		$this->assertArrayHasKey( 'store', $providers, 'Should have store context provider' );
+		$this->assertArrayHasKey( 'entities', $providers, 'Should have entities context provider' );
 	}
 
 	// -------------------------------------------------------------------------
@@ -988,6 +989,8 @@ class ContainerWiringTest extends TestCase {
 			'AgentWP\\Rest\\AnalyticsController',
 			'AgentWP\\Rest\\HistoryController',
 			'AgentWP\\Rest\\ThemeController',
+			'AgentWP\\Rest\\VoiceController',
+			'AgentWP\\Rest\\DraftController',
 		);
 
 		foreach ( $expected as $expectedController ) {
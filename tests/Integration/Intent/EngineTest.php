@@ -63,12 +63,19 @@ class EngineTest extends TestCase {
 			new FallbackHandler()
 		);
 
-		$response = $engine->handle( 'status check', array( 'store' => array( 'id' => 1 ) ) );
+		$response = $engine->handle(
+			'status check',
+			array(
+				'store'           => array( 'id' => 1 ),
+				'conversation_id' => 'thread-a',
+			)
+		);
 
 		$this->assertTrue( $response->is_success() );
 		$this->assertSame( 'Handled order status.', $response->get_data()['message'] );
-		$this->assertGreaterThan( 0, $memory->count() );
-		$this->assertTrue( $memory->hasIntent( Intent::ORDER_STATUS ) );
+		$thread = $memory->get( 'thread-a' );
+		$this->assertCount( 1, $thread );
+		$this->assertSame( Intent::ORDER_STATUS, $thread[0]['intent'] );
 	}
 
 	public function test_engine_uses_fallback_for_unknown_intent(): void {
@@ -137,6 +137,10 @@ class StubAnalyticsService implements AnalyticsServiceInterface {
 		return ServiceResult::success( 'ok', array( 'period' => $period ) );
 	}
 
+	public function get_range_stats( string $start, string $end, string $granularity = 'day', string $compare = 'previous' ): ServiceResult {
+		return ServiceResult::success( 'ok', array( 'start' => $start, 'end' => $end ) );
+	}
+
 	public function get_report( string $start, string $end ): ServiceResult {
 		return ServiceResult::success( 'ok', array( 'start' => $start, 'end' => $end ) );
 	}
@@ -16,6 +16,7 @@ if ( ! function_exists( 'rest_validate_value_from_schema' ) ) {
 	 * - Enum values
 	 * - Minimum values
 	 * - Additional properties (additionalProperties: false)
+	 * - String length and pattern
 	 *
 	 * @param mixed  $value   Value to validate.
 	 * @param array  $schema  JSON schema to validate against.
@@ -136,6 +137,28 @@ if ( ! function_exists( 'rest_validate_value_from_schema' ) ) {
 			}
 		}
 
+		// MaxLength for strings.
+		if ( isset( $schema['maxLength'] ) && is_string( $value ) ) {
+			if ( mb_strlen( $value ) > $schema['maxLength'] ) {
+				return new WP_Error(
+					'rest_too_long',
+					sprintf( '%s must be at most %d characters.', $context, $schema['maxLength'] ),
+					array( 'param' => $context )
+				);
+			}
+		}
+
+		// Pattern for strings, matched the way WordPress does.
+		if ( isset( $schema['pattern'] ) && is_string( $value ) ) {
+			if ( ! preg_match( '#' . str_replace( '#', '\\#', $schema['pattern'] ) . '#u', $value ) ) {
+				return new WP_Error(
+					'rest_invalid_pattern',
+					sprintf( '%s does not match pattern %s.', $context, $schema['pattern'] ),
+					array( 'param' => $context )
+				);
+			}
+		}
+
 		return true;
 	}
 }
@@ -1100,6 +1100,40 @@ class OpenAIClientTest extends TestCase {
 		$this->assertSame( 'Test', $response->get_data()['content'] );
 	}
 
+	public function test_stream_chunks_are_parsed_as_they_arrive(): void {
+		$stream = implode(
+			"\n",
+			array(
+				'data: {"model":"gpt-4o-mini","choices":[{"delta":{"content":"Hel"}}]}',
+				'data: {"choices":[{"delta":{"content":"lo"}}]}',
+				'data: {"choices":[],"usage":{"prompt_tokens":5,"completion_tokens":2,"total_tokens":7}}',
+				'data: [DONE]',
+			)
+		);
+		// Small pieces split lines across chunks.
+		$this->http->streamChunks( 7 )->queueSuccess( $stream, 200 );
+
+		$texts   = array();
+		$client  = $this->create_client(
+			array(
+				'stream'    => true,
+				'on_stream' => function ( $chunk ) use ( &$texts ) {
+					$texts[] = $chunk['choices'][0]['delta']['content'] ?? null;
+				},
+			)
+		);
+		$response = $client->chat(
+			array( array( 'role' => 'user', 'content' => 'test' ) ),
+			array()
+		);
+
+		$this->assertTrue( $response->is_success() );
+		$this->assertSame( array( 'Hel', 'lo', null ), $texts );
+		$this->assertSame( 'Hello', $response->get_data()['content'] );
+		$this->assertSame( 7, $response->get_meta()['total_tokens'] );
+		$this->assertArrayHasKey( 'on_chunk', $this->http->getLastRequest()['options'] );
+	}
+
 	public function test_parse_stream_response_calls_on_stream_callback(): void {
 		$stream = implode(
 			"\n",
@@ -0,0 +1,108 @@
+<?php
+/**
+ * Voice preference request DTO tests.
+ *
+ * @package AgentWP\Tests\Unit\DTO
+ */
+
+namespace AgentWP\Tests\Unit\DTO;
+
+use AgentWP\DTO\VoiceRequestDTO;
+use AgentWP\Tests\TestCase;
+use Mockery;
+
+class VoiceRequestDTOTest extends TestCase {
+
+	public function test_returns_only_the_submitted_fields(): void {
+		$dto = $this->createDto(
+			array(
+				'lang' => 'es-MX',
+				'rate' => 1.25,
+			)
+		);
+
+		$this->assertTrue( $dto->isValid() );
+		$this->assertSame(
+			array(
+				'lang' => 'es-MX',
+				'rate' => 1.25,
+			),
+			$dto->getPreferences()
+		);
+	}
+
+	public function test_accepts_an_empty_lang_for_the_site_default(): void {
+		$dto = $this->createDto( array( 'lang' => '' ) );
+
+		$this->assertTrue( $dto->isValid() );
+		$this->assertSame( array( 'lang' => '' ), $dto->getPreferences() );
+	}
+
+	/**
+	 * @dataProvider invalidLangProvider
+	 */
+	public function test_rejects_a_lang_that_is_not_a_language_tag( string $lang ): void {
+		$dto = $this->createDto( array( 'lang' => $lang ) );
+
+		$this->assertFalse( $dto->isValid() );
+		$this->assertNotNull( $dto->getError() );
+	}
+
+	/**
+	 * Values that are not BCP 47 language tags.
+	 *
+	 * @return array<string, array{0: string}>
+	 */
+	public static function invalidLangProvider(): array {
+		return array(
+			'underscore'    => array( 'en_US' ),
+			'spaces'        => array( 'en US' ),
+			'markup'        => array( '<script>' ),
+			'too long'      => array( 'en-' . str_repeat( 'abcdefgh-', 4 ) . 'x1' ),
+			'single char'   => array( 'e' ),
+			'trailing dash' => array( 'en-' ),
+		);
+	}
+
+	/**
+	 * @dataProvider outOfRangeProvider
+	 */
+	public function test_rejects_rate_and_pitch_outside_their_bounds( string $field, float $value ): void {
+		$dto = $this->createDto( array( $field => $value ) );
+
+		$this->assertFalse( $dto->isValid() );
+	}
+
+	/**
+	 * Rate and pitch values just outside the accepted range.
+	 *
+	 * @return array<string, array{0: string, 1: float}>
+	 */
+	public static function outOfRangeProvider(): array {
+		return array(
+			'rate too slow'  => array( 'rate', VoiceRequestDTO::MIN_RATE - 0.1 ),
+			'rate too fast'  => array( 'rate', VoiceRequestDTO::MAX_RATE + 0.1 ),
+			'pitch negative' => array( 'pitch', VoiceRequestDTO::MIN_PITCH - 0.1 ),
+			'pitch too high' => array( 'pitch', VoiceRequestDTO::MAX_PITCH + 0.1 ),
+		);
+	}
+
+	public function test_rejects_unknown_fields(): void {
+		$dto = $this->createDto( array( 'volume' => 0.5 ) );
+
+		$this->assertFalse( $dto->isValid() );
+	}
+
+	/**
+	 * Build a DTO from a JSON body.
+	 *
+	 * @param array $body JSON body.
+	 * @return VoiceRequestDTO
+	 */
+	private function createDto( array $body ): VoiceRequestDTO {
+		$request = Mockery::mock( 'WP_REST_Request' );
+		$request->shouldReceive( 'get_json_params' )->andReturn( $body );
+
+		return new VoiceRequestDTO( $request );
+	}
+}
@@ -0,0 +1,147 @@
+<?php
+/**
+ * Unit tests for Engine conversation memory.
+ *
+ * @package AgentWP\Tests\Unit\Intent
+ */
+
+namespace AgentWP\Tests\Unit\Intent;
+
+use AgentWP\AI\Response;
+use AgentWP\Intent\ContextBuilder;
+use AgentWP\Intent\Engine;
+use AgentWP\Intent\FunctionRegistry;
+use AgentWP\Intent\Handler;
+use AgentWP\Intent\HandlerRegistry;
+use AgentWP\Intent\Intent;
+use AgentWP\Contracts\IntentClassifierInterface;
+use AgentWP\Tests\Fakes\FakeMemoryStore;
+use AgentWP\Tests\Fakes\FakeWPFunctions;
+use AgentWP\Tests\TestCase;
+
+/**
+ * Tests that Engine scopes memory to the conversation in the request context.
+ */
+class EngineMemoryTest extends TestCase {
+
+	/**
+	 * Test that exchanges are recorded under the conversation ID.
+	 *
+	 * @return void
+	 */
+	public function test_exchanges_are_scoped_to_conversation(): void {
+		$memory = new FakeMemoryStore();
+		$engine = $this->createEngine( $memory, $this->createEchoHandler() );
+
+		$engine->handle( 'show pending orders', array( 'conversation_id' => 'thread-a' ) );
+		$engine->handle( 'unrelated question' );
+
+		$thread = $memory->get( 'thread-a' );
+		$this->assertCount( 1, $thread );
+		$this->assertSame( 'show pending orders', $thread[0]['input'] );
+		$this->assertSame( array(), $memory->get( 'thread-b' ) );
+	}
+
+	/**
+	 * Test that handlers receive earlier turns from the same conversation.
+	 *
+	 * @return void
+	 */
+	public function test_handler_receives_conversation_memory(): void {
+		$memory  = new FakeMemoryStore();
+		$handler = $this->createEchoHandler();
+		$engine  = $this->createEngine( $memory, $handler );
+
+		$engine->handle( 'show pending orders', array( 'conversation_id' => 'thread-a' ) );
+		$engine->handle( 'now refund the second one', array( 'conversation_id' => 'thread-a' ) );
+
+		$this->assertCount( 1, $handler->lastContext['memory'] );
+		$this->assertSame( 'show pending orders', $handler->lastContext['memory'][0]['input'] );
+		$this->assertSame( 'Handled: show pending orders', $handler->lastContext['memory'][0]['message'] );
+	}
+
+	/**
+	 * Test that requests without a conversation ID get no earlier turns.
+	 *
+	 * @return void
+	 */
+	public function test_one_shot_requests_receive_no_memory(): void {
+		$memory  = new FakeMemoryStore();
+		$handler = $this->createEchoHandler();
+		$engine  = $this->createEngine( $memory, $handler );
+
+		$engine->handle( 'show pending orders' );
+		$engine->handle( 'show pending orders', array( 'conversation_id' => 'thread-a' ) );
+		$engine->handle( 'how many refunds today' );
+
+		$this->assertSame( array(), $handler->lastContext['memory'] );
+	}
+
+	/**
+	 * Test that requests without a conversation ID are not recorded.
+	 *
+	 * @return void
+	 */
+	public function test_one_shot_requests_are_not_recorded(): void {
+		$memory = new FakeMemoryStore();
+		$engine = $this->createEngine( $memory, $this->createEchoHandler() );
+
+		$engine->handle( 'show pending orders' );
+		$engine->handle( 'how many refunds today', array( 'conversation_id' => '' ) );
+
+		$this->assertSame( 0, $memory->count() );
+		$this->assertSame( array(), $memory->get() );
+	}
+
+	/**
+	 * Create an engine that routes every intent to the given handler.
+	 *
+	 * @param FakeMemoryStore $memory  Memory store.
+	 * @param Handler         $handler Handler for all intents.
+	 * @return Engine
+	 */
+	private function createEngine( FakeMemoryStore $memory, Handler $handler ): Engine {
+		$classifier = new class() implements IntentClassifierInterface {
+			public function classify( string $input, array $context = array() ): string {
+				return Intent::UNKNOWN;
+			}
+		};
+
+		$builder = new class() extends ContextBuilder {
+			public function build( array $context = array(), array $metadata = array() ): array {
+				return array( 'request' => $context );
+			}
+		};
+
+		return new Engine(
+			array(),
+			new FunctionRegistry(),
+			$builder,
+			$classifier,
+			$memory,
+			new HandlerRegistry(),
+			$handler,
+			new FakeWPFunctions()
+		);
+	}
+
+	/**
+	 * Create a handler that records its context and echoes the input.
+	 *
+	 * @return Handler
+	 */
+	private function createEchoHandler(): Handler {
+		return new class() implements Handler {
+			public array $lastContext = array();
+
+			public function canHandle( string $intent ): bool {
+				return true;
+			}
+
+			public function handle( array $context ): Response {
+				$this->lastContext = $context;
+				return Response::success( array( 'message' => 'Handled: ' . $context['input'] ) );
+			}
+		};
+	}
+}
@@ -0,0 +1,57 @@
+<?php
+/**
+ * EntityContextProvider unit tests.
+ */
+
+namespace AgentWP\Tests\Unit\Intent;
+
+use AgentWP\Intent\ContextProviders\EntityContextProvider;
+use AgentWP\Tests\TestCase;
+
+class EntityContextProviderTest extends TestCase {
+
+	public function test_returns_empty_list_without_entities(): void {
+		$provider = new EntityContextProvider();
+
+		$this->assertSame( array(), $provider->provide( array(), array() ) );
+		$this->assertSame( array(), $provider->provide( array( 'entities' => 'order:1' ), array() ) );
+	}
+
+	public function test_normalizes_types_and_drops_invalid_entries(): void {
+		$provider = new EntityContextProvider();
+
+		$result = $provider->provide(
+			array(
+				'entities' => array(
+					array( 'type' => 'orders', 'id' => '1001', 'label' => 'Order #1001' ),
+					array( 'type' => 'product', 'id' => 42, 'label' => '<b>Blue Hoodie</b>' ),
+					array( 'type' => 'coupon', 'id' => 5 ),
+					array( 'type' => 'customers', 'id' => 0 ),
+					array( 'type' => 'order', 'id' => 1001 ),
+					'customer:7',
+				),
+			),
+			array()
+		);
+
+		$this->assertSame(
+			array(
+				array( 'type' => 'order', 'id' => 1001, 'label' => 'Order #1001' ),
+				array( 'type' => 'product', 'id' => 42, 'label' => 'Blue Hoodie' ),
+			),
+			$result
+		);
+	}
+
+	public function test_limits_the_number_of_entities(): void {
+		$provider = new EntityContextProvider();
+		$entities = array();
+		for ( $id = 1; $id <= 15; $id++ ) {
+			$entities[] = array( 'type' => 'product', 'id' => $id );
+		}
+
+		$result = $provider->provide( array( 'entities' => $entities ), array() );
+
+		$this->assertCount( 10, $result );
+	}
+}
@@ -10,6 +10,7 @@ use AgentWP\Contracts\AnalyticsServiceInterface;
 use AgentWP\Contracts\EmailDraftServiceInterface;
 use AgentWP\Contracts\OrderRefundServiceInterface;
 use AgentWP\Contracts\OrderStatusServiceInterface;
+use AgentWP\DTO\ServiceResult;
 use AgentWP\Intent\Handlers\AnalyticsQueryHandler;
 use AgentWP\Intent\Handlers\EmailDraftHandler;
 use AgentWP\Intent\Handlers\FallbackHandler;
@@ -18,6 +19,7 @@ use AgentWP\Intent\Handlers\OrderStatusHandler;
 use AgentWP\Intent\Intent;
 use AgentWP\Intent\Tools\ConfirmRefundTool;
 use AgentWP\Intent\Tools\ConfirmStatusUpdateTool;
+use AgentWP\Intent\Tools\DraftEmailTool;
 use AgentWP\Intent\Tools\PrepareBulkStatusUpdateTool;
 use AgentWP\Intent\Tools\PrepareRefundTool;
 use AgentWP\Intent\Tools\PrepareStatusUpdateTool;
@@ -124,6 +126,93 @@ class SimpleHandlersTest extends TestCase {
 		}
 	}
 
+	public function test_email_draft_handler_returns_order_context(): void {
+		$context = array(
+			'summary'  => 'Email draft for Order #123 (John Doe)',
+			'order_id' => 123,
+			'customer' => 'John Doe',
+			'total'    => 99.99,
+			'currency' => 'USD',
+			'status'   => 'completed',
+			'items'    => array( 'Blue Hoodie x1' ),
+			'date'     => '2026-01-15',
+		);
+
+		$emailService = Mockery::mock( EmailDraftServiceInterface::class );
+		$emailService->shouldReceive( 'get_order_context' )
+			->with( 123 )
+			->andReturn(
+				ServiceResult::success(
+					'Order context loaded for email draft.',
+					array(
+						'type'    => 'email',
+						'context' => $context,
+					)
+				)
+			);
+
+		$dispatcher = new FakeToolDispatcher();
+		$dispatcher->registerTool( new DraftEmailTool( $emailService ) );
+
+		$handler = new EmailDraftHandler(
+			new FakeAIClientFactory(
+				new FakeOpenAIClient(
+					array(
+						Response::success(
+							array(
+								'content'    => '',
+								'tool_calls' => array(
+									array(
+										'id'       => 'call_1',
+										'function' => array(
+											'name'      => 'draft_email',
+											'arguments' => '{"order_id":123}',
+										),
+									),
+								),
+							)
+						),
+						Response::success(
+							array(
+								'content'    => "Subject: Your order\n\nHi John,",
+								'tool_calls' => array(),
+							)
+						),
+					)
+				),
+				true
+			),
+			new FakeToolRegistry(),
+			$dispatcher
+		);
+
+		$response = $handler->handle( array( 'input' => 'Email John about order 123' ) );
+
+		$this->assertTrue( $response->is_success() );
+		$data = $response->get_data();
+		$this->assertSame( "Subject: Your order\n\nHi John,", $data['message'] );
+		$this->assertSame( $context, $data['email_context'] );
+	}
+
+	public function test_request_model_overrides_the_configured_model_for_that_request(): void {
+		$factory = new FakeAIClientFactory(
+			new FakeOpenAIClient(
+				array(
+					Response::success( array( 'content' => 'ok', 'tool_calls' => array() ) ),
+					Response::success( array( 'content' => 'ok', 'tool_calls' => array() ) ),
+				)
+			),
+			true
+		);
+		$handler = new AnalyticsQueryHandler( $factory, new FakeToolRegistry(), new FakeToolDispatcher() );
+
+		$handler->handle( array( 'request' => array( 'model' => 'gpt-4o-mini' ) ) );
+		$this->assertSame( array( 'model' => 'gpt-4o-mini' ), $factory->lastOptions );
+
+		$handler->handle( array( 'request' => array( 'model' => 'gpt-3.5-turbo-instruct' ) ) );
+		$this->assertSame( array(), $factory->lastOptions );
+	}
+
 	public function test_fallback_handler_includes_suggestions(): void {
 		$handler  = new FallbackHandler();
 		$response = $handler->handle( array() );
@@ -68,4 +68,72 @@ class OrderRefundHandlerTest extends TestCase {
 		$this->assertTrue( $response->is_success() );
 		$this->assertSame( 'Refund Prepared', $response->get_data()['message'] );
 	}
+
+	public function test_handle_sums_token_usage_across_turns() {
+		$service = Mockery::mock( OrderRefundServiceInterface::class );
+		$service->shouldReceive( 'prepare_refund' )
+			->andReturn( ServiceResult::success( 'Refund prepared.', array( 'draft_id' => 'draft_123' ) ) );
+
+		$client = new FakeOpenAIClient(
+			array(
+				Response::success(
+					array(
+						'content'    => '',
+						'tool_calls' => array(
+							array(
+								'id'       => 'call_1',
+								'function' => array(
+									'name'      => 'prepare_refund',
+									'arguments' => wp_json_encode( array( 'order_id' => 123 ) ),
+								),
+							),
+						),
+					),
+					array(
+						'model'         => 'gpt-4o-mini',
+						'input_tokens'  => 400,
+						'output_tokens' => 20,
+						'total_tokens'  => 420,
+						'cost_usd'      => 0.000072,
+					)
+				),
+				Response::success(
+					array(
+						'content'    => 'Refund Prepared',
+						'tool_calls' => array(),
+					),
+					array(
+						'model'         => 'gpt-4o-mini',
+						'input_tokens'  => 500,
+						'output_tokens' => 30,
+						'total_tokens'  => 530,
+						'cost_usd'      => 0.000093,
+					)
+				),
+			)
+		);
+
+		$toolDispatcher = new FakeToolDispatcher();
+		$toolDispatcher->registerTools( array( new PrepareRefundTool( $service ) ) );
+
+		$handler = new OrderRefundHandler(
+			new FakeAIClientFactory( $client, true ),
+			new FakeToolRegistry(),
+			$toolDispatcher
+		);
+
+		$response = $handler->handle( array( 'input' => 'Refund order 123' ) );
+
+		$this->assertSame(
+			array(
+				'model'         => 'gpt-4o-mini',
+				'input_tokens'  => 900,
+				'output_tokens' => 50,
+				'total_tokens'  => 950,
+				'cost_usd'      => 0.000165,
+				'ai_calls'      => 2,
+			),
+			$response->get_meta()
+		);
+	}
 }
@@ -14,6 +14,7 @@ namespace {
 }
 
 namespace AgentWP\Tests\Unit\Rest {
+	use AgentWP\Compatibility\Environment;
 	use AgentWP\Config\AgentWPConfig;
 	use AgentWP\Plugin;
 	use AgentWP\Rest\DiagnosticsController;
@@ -93,6 +94,22 @@ namespace AgentWP\Tests\Unit\Rest {
 			$data = $payload['data'];
 			$this->assertArrayHasKey( 'health', $data );
 			$this->assertSame( 'ok', $data['health']['status'] );
+			$this->assertSame( phpversion(), $data['environment']['php_version'] );
+			$this->assertSame( Environment::MIN_PHP, $data['environment']['minimums']['php'] );
+			$this->assertContains(
+				'WooCommerce is not active. Activate WooCommerce to use AgentWP.',
+				$data['environment']['issues']
+			);
+			$this->assertSame(
+				array(
+					'configured' => false,
+					'last4'      => '',
+					'readable'   => false,
+				),
+				$data['api_key']
+			);
+			$this->assertFalse( $data['encryption']['available'] );
+			$this->assertFalse( $data['cache']['persistent_object_cache'] );
 			$this->assertArrayHasKey( 'rest_logs', $data );
 			$this->assertSame( 1, $data['rest_logs']['total'] );
 			$this->assertSame( $logs, $data['rest_logs']['entries'] );
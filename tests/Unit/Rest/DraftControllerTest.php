@@ -0,0 +1,191 @@
+<?php
+/**
+ * Draft controller tests.
+ *
+ * @package AgentWP\Tests\Unit\Rest
+ */
+
+namespace {
+	if ( ! function_exists( 'rest_ensure_response' ) ) {
+		function rest_ensure_response( $data ) {
+			return new WP_REST_Response( $data );
+		}
+	}
+}
+
+namespace AgentWP\Tests\Unit\Rest {
+	use AgentWP\Config\AgentWPConfig;
+	use AgentWP\Container\Container;
+	use AgentWP\Container\ContainerInterface;
+	use AgentWP\Contracts\DraftManagerInterface;
+	use AgentWP\Contracts\OrderRefundServiceInterface;
+	use AgentWP\Contracts\OrderStatusServiceInterface;
+	use AgentWP\Contracts\ProductStockServiceInterface;
+	use AgentWP\DTO\ServiceResult;
+	use AgentWP\Rest\DraftController;
+	use AgentWP\Tests\TestCase;
+	use Mockery;
+	use WP_Mock;
+
+	class DraftControllerTest extends TestCase {
+
+		public function setUp(): void {
+			parent::setUp();
+			WP_Mock::setUp();
+		}
+
+		public function tearDown(): void {
+			WP_Mock::tearDown();
+			parent::tearDown();
+		}
+
+		/**
+		 * @dataProvider confirmableDraftProvider
+		 */
+		public function test_confirm_dispatches_on_the_draft_id_prefix( string $draft_id, string $service_id, string $method ): void {
+			$container = new Container();
+			foreach ( $this->confirmServices() as $id => $confirm_method ) {
+				$service = Mockery::mock( $id );
+				if ( $id === $service_id ) {
+					$service->shouldReceive( $method )
+						->once()
+						->with( $draft_id )
+						->andReturn( ServiceResult::success( 'Done.', array( 'order_id' => 42 ) ) );
+				} else {
+					$service->shouldNotReceive( $confirm_method );
+				}
+				$container->instance( $id, $service );
+			}
+
+			$response = $this->createController( $container )->confirm_draft( $this->request( $draft_id ) );
+			$body     = $response->get_data();
+
+			$this->assertSame( 200, $response->get_status() );
+			$this->assertTrue( $body['success'] );
+			$this->assertSame( 42, $body['data']['order_id'] );
+			$this->assertSame( $draft_id, $body['data']['draft_id'] );
+			$this->assertSame( strstr( $draft_id, '_', true ), $body['data']['type'] );
+			$this->assertSame( 'Done.', $body['data']['message'] );
+		}
+
+		/**
+		 * Draft IDs with the service and method that confirms them.
+		 *
+		 * @return array<string, array{0: string, 1: string, 2: string}>
+		 */
+		public static function confirmableDraftProvider(): array {
+			return array(
+				'refund' => array( 'refund_AbC123xyZ789', OrderRefundServiceInterface::class, 'confirm_refund' ),
+				'status' => array( 'status_AbC123xyZ789', OrderStatusServiceInterface::class, 'confirm_update' ),
+				'stock'  => array( 'stock_AbC123xyZ789', ProductStockServiceInterface::class, 'confirm_update' ),
+			);
+		}
+
+		public function test_confirm_rejects_draft_types_that_cannot_be_confirmed(): void {
+			$container = new Container();
+			foreach ( $this->confirmServices() as $id => $method ) {
+				$service = Mockery::mock( $id );
+				$service->shouldNotReceive( $method );
+				$container->instance( $id, $service );
+			}
+
+			$response = $this->createController( $container )->confirm_draft( $this->request( 'email_AbC123xyZ789' ) );
+			$body     = $response->get_data();
+
+			$this->assertSame( 400, $response->get_status() );
+			$this->assertFalse( $body['success'] );
+			$this->assertSame( AgentWPConfig::ERROR_CODE_INVALID_REQUEST, $body['error']['code'] );
+		}
+
+		public function test_confirm_maps_a_failed_service_result_to_an_error_response(): void {
+			$service = Mockery::mock( OrderRefundServiceInterface::class );
+			$service->shouldReceive( 'confirm_refund' )
+				->once()
+				->andReturn( ServiceResult::draftExpired() );
+
+			$container = new Container();
+			$container->instance( OrderRefundServiceInterface::class, $service );
+
+			$response = $this->createController( $container )->confirm_draft( $this->request( 'refund_AbC123xyZ789' ) );
+			$body     = $response->get_data();
+
+			$this->assertSame( 410, $response->get_status() );
+			$this->assertFalse( $body['success'] );
+			$this->assertSame( ServiceResult::CODE_DRAFT_EXPIRED, $body['error']['code'] );
+			$this->assertSame( 'Draft expired or invalid. Please request the operation again.', $body['error']['message'] );
+		}
+
+		public function test_cancel_reports_false_for_a_missing_draft(): void {
+			$manager = Mockery::mock( DraftManagerInterface::class );
+			$manager->shouldReceive( 'cancel' )
+				->once()
+				->with( 'stock', 'stock_AbC123xyZ789' )
+				->andReturn( false );
+
+			$container = new Container();
+			$container->instance( DraftManagerInterface::class, $manager );
+
+			$response = $this->createController( $container )->cancel_draft( $this->request( 'stock_AbC123xyZ789' ) );
+
+			$this->assertSame( 200, $response->get_status() );
+			$this->assertSame(
+				array(
+					'success' => true,
+					'data'    => array(
+						'draft_id'  => 'stock_AbC123xyZ789',
+						'type'      => 'stock',
+						'cancelled' => false,
+					),
+				),
+				$response->get_data()
+			);
+		}
+
+		/**
+		 * Confirmation services keyed by container ID, with their confirm method.
+		 *
+		 * @return array<string, string>
+		 */
+		private function confirmServices(): array {
+			return array(
+				OrderRefundServiceInterface::class  => 'confirm_refund',
+				OrderStatusServiceInterface::class  => 'confirm_update',
+				ProductStockServiceInterface::class => 'confirm_update',
+			);
+		}
+
+		/**
+		 * Controller that resolves services from the given container.
+		 *
+		 * @param ContainerInterface $container Service container.
+		 * @return DraftController
+		 */
+		private function createController( ContainerInterface $container ): DraftController {
+			return new class( $container ) extends DraftController {
+				private ContainerInterface $services;
+
+				public function __construct( ContainerInterface $services ) {
+					parent::__construct();
+					$this->services = $services;
+				}
+
+				protected function container(): ?ContainerInterface {
+					return $this->services;
+				}
+			};
+		}
+
+		/**
+		 * Request carrying a draft ID route param.
+		 *
+		 * @param string $draft_id Draft ID.
+		 * @return \WP_REST_Request
+		 */
+		private function request( string $draft_id ) {
+			$request = Mockery::mock( 'WP_REST_Request' );
+			$request->shouldReceive( 'get_param' )->with( 'draft_id' )->andReturn( $draft_id );
+
+			return $request;
+		}
+	}
+}
@@ -0,0 +1,180 @@
+<?php
+/**
+ * Intent stream endpoint tests.
+ *
+ * @package AgentWP\Tests\Unit\Rest
+ */
+
+namespace {
+	if ( ! defined( 'DAY_IN_SECONDS' ) ) {
+		define( 'DAY_IN_SECONDS', 86400 );
+	}
+}
+
+namespace AgentWP\Tests\Unit\Rest {
+	use AgentWP\AI\Response;
+	use AgentWP\Intent\Engine;
+	use AgentWP\Rest\IntentController;
+	use AgentWP\Tests\TestCase;
+	use Mockery;
+	use WP_Mock;
+
+	class IntentControllerStreamTest extends TestCase {
+
+		public function setUp(): void {
+			parent::setUp();
+			WP_Mock::setUp();
+
+			WP_Mock::userFunction( 'wp_generate_uuid4', array( 'return' => 'intent-1' ) );
+			WP_Mock::userFunction( 'sanitize_key', array( 'return_arg' => 0 ) );
+			WP_Mock::userFunction( 'get_current_user_id', array( 'return' => 7 ) );
+			WP_Mock::userFunction( 'get_transient', array( 'return' => array() ) );
+			WP_Mock::userFunction( 'set_transient', array( 'return' => true ) );
+		}
+
+		public function tearDown(): void {
+			WP_Mock::tearDown();
+			parent::tearDown();
+		}
+
+		public function test_stream_emits_start_and_done_frames(): void {
+			$engine = Mockery::mock( Engine::class );
+			$engine->shouldReceive( 'handle' )
+				->once()
+				->with( 'show sales today', array( 'conversation_id' => 'thread-a' ), array( 'stream' => true ) )
+				->andReturn(
+					Response::success(
+						array(
+							'message' => 'Sales are up.',
+							'intent'  => 'analytics_query',
+						),
+						array(
+							'model'        => 'gpt-4o-mini',
+							'total_tokens' => 42,
+							'retries'      => 0,
+						)
+					)
+				);
+
+			$controller = $this->createController( $engine );
+			$output     = $this->stream(
+				$controller,
+				array(
+					'prompt'  => 'show sales today',
+					'context' => array( 'conversation_id' => 'thread-a' ),
+				)
+			);
+
+			$this->assertSame(
+				array(
+					array( 'start', array( 'intent_id' => 'intent-1' ) ),
+					array(
+						'done',
+						array(
+							'message'   => 'Sales are up.',
+							'intent'    => 'analytics_query',
+							'intent_id' => 'intent-1',
+							'status'    => 'handled',
+							'meta'      => array(
+								'model'        => 'gpt-4o-mini',
+								'total_tokens' => 42,
+							),
+						),
+					),
+				),
+				$this->parseFrames( $output )
+			);
+			$this->assertTrue( $controller->ended );
+		}
+
+		public function test_stream_emits_error_frame_when_the_intent_fails(): void {
+			$engine = Mockery::mock( Engine::class );
+			$engine->shouldReceive( 'handle' )
+				->once()
+				->andReturn( Response::error(
+						'OpenAI API request failed.',
+						503,
+						array(
+							'retry_after' => 5,
+							'api_error'   => 'upstream response body',
+						)
+					) );
+
+			$controller = $this->createController( $engine );
+			$frames     = $this->parseFrames( $this->stream( $controller, array( 'prompt' => 'show sales today' ) ) );
+
+			$this->assertCount( 2, $frames );
+			$this->assertSame( 'error', $frames[1][0] );
+			$this->assertSame( 'OpenAI API request failed.', $frames[1][1]['message'] );
+			$this->assertSame( 503, $frames[1][1]['status'] );
+			$this->assertSame( array( 'retry_after' => 5 ), $frames[1][1]['meta'] );
+			$this->assertTrue( $controller->ended );
+		}
+
+		/**
+		 * Controller that uses the given engine and leaves headers, buffers and exit alone.
+		 *
+		 * @param Engine $engine Intent engine.
+		 * @return IntentController
+		 */
+		private function createController( Engine $engine ): IntentController {
+			return new class( $engine ) extends IntentController {
+				public bool $ended = false;
+
+				private Engine $engine;
+
+				public function __construct( Engine $engine ) {
+					parent::__construct();
+					$this->engine = $engine;
+				}
+
+				protected function resolve_engine( \AgentWP\DTO\IntentRequestDTO $dto ) {
+					return $this->engine;
+				}
+
+				protected function open_stream(): void {
+				}
+
+				protected function end_stream(): void {
+					$this->ended = true;
+				}
+			};
+		}
+
+		/**
+		 * Run the stream endpoint and capture what it writes.
+		 *
+		 * @param IntentController $controller Controller.
+		 * @param array            $body       JSON body.
+		 * @return string
+		 */
+		private function stream( IntentController $controller, array $body ): string {
+			$request = Mockery::mock( 'WP_REST_Request' );
+			$request->shouldReceive( 'get_json_params' )->andReturn( $body );
+			$request->shouldReceive( 'get_query_params' )->andReturn( array() );
+			$request->shouldReceive( 'get_route' )->andReturn( '/agentwp/v1/intent/stream' );
+			$request->shouldReceive( 'get_method' )->andReturn( 'POST' );
+
+			ob_start();
+			$controller->stream_intent( $request );
+
+			return (string) ob_get_clean();
+		}
+
+		/**
+		 * Split SSE output into [event, data] pairs.
+		 *
+		 * @param string $output Stream output.
+		 * @return array<int, array{0: string, 1: array}>
+		 */
+		private function parseFrames( string $output ): array {
+			$frames = array();
+			foreach ( array_filter( explode( "\n\n", $output ) ) as $frame ) {
+				$this->assertSame( 1, preg_match( '/^event: (\S+)\ndata: (.*)$/s', $frame, $matches ) );
+				$frames[] = array( $matches[1], json_decode( $matches[2], true ) );
+			}
+
+			return $frames;
+		}
+	}
+}
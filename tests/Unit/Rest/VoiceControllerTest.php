@@ -0,0 +1,141 @@
+<?php
+/**
+ * Voice preference controller tests.
+ *
+ * @package AgentWP\Tests\Unit\Rest
+ */
+
+namespace {
+	if ( ! function_exists( 'rest_ensure_response' ) ) {
+		function rest_ensure_response( $data ) {
+			return new WP_REST_Response( $data );
+		}
+	}
+}
+
+namespace AgentWP\Tests\Unit\Rest {
+	use AgentWP\Config\AgentWPConfig;
+	use AgentWP\Rest\VoiceController;
+	use AgentWP\Tests\TestCase;
+	use Mockery;
+	use WP_Mock;
+
+	class VoiceControllerTest extends TestCase {
+
+		public function setUp(): void {
+			parent::setUp();
+			WP_Mock::setUp();
+
+			WP_Mock::userFunction( 'get_current_user_id', array( 'return' => 7 ) );
+		}
+
+		public function tearDown(): void {
+			WP_Mock::tearDown();
+			parent::tearDown();
+		}
+
+		public function test_get_voice_clamps_stored_rate_and_pitch(): void {
+			$this->storePreferences(
+				array(
+					'lang'  => 'fr-FR',
+					'rate'  => 5,
+					'pitch' => -1,
+				)
+			);
+
+			$response = ( new VoiceController() )->get_voice( Mockery::mock( 'WP_REST_Request' ) );
+
+			$this->assertSame(
+				array(
+					'lang'         => 'fr-FR',
+					'voice'        => '',
+					'rate'         => 2.0,
+					'pitch'        => 0.0,
+					'show_interim' => true,
+				),
+				$response->get_data()['data']
+			);
+		}
+
+		public function test_update_voice_merges_a_partial_update_with_stored_preferences(): void {
+			$this->storePreferences(
+				array(
+					'lang'         => 'es-MX',
+					'voice'        => 'Paulina',
+					'rate'         => 1.2,
+					'pitch'        => 0.8,
+					'show_interim' => false,
+				)
+			);
+
+			$expected = array(
+				'lang'         => 'es-MX',
+				'voice'        => 'Paulina',
+				'rate'         => 1.5,
+				'pitch'        => 0.8,
+				'show_interim' => false,
+			);
+
+			WP_Mock::userFunction(
+				'update_user_meta',
+				array(
+					'times' => 1,
+					'args'  => array( 7, AgentWPConfig::META_KEY_VOICE, $expected ),
+				)
+			);
+
+			$response = ( new VoiceController() )->update_voice( $this->request( array( 'rate' => 1.5 ) ) );
+
+			$this->assertSame( 200, $response->get_status() );
+			$this->assertSame( array_merge( array( 'updated' => true ), $expected ), $response->get_data()['data'] );
+		}
+
+		public function test_update_voice_rejects_a_bad_lang_without_saving(): void {
+			WP_Mock::userFunction( 'update_user_meta', array( 'times' => 0 ) );
+
+			$response = ( new VoiceController() )->update_voice( $this->request( array( 'lang' => 'en_US' ) ) );
+			$body     = $response->get_data();
+
+			$this->assertSame( 400, $response->get_status() );
+			$this->assertFalse( $body['success'] );
+			$this->assertSame( AgentWPConfig::ERROR_CODE_INVALID_REQUEST, $body['error']['code'] );
+		}
+
+		public function test_update_voice_rejects_an_out_of_range_rate_without_saving(): void {
+			WP_Mock::userFunction( 'update_user_meta', array( 'times' => 0 ) );
+
+			$response = ( new VoiceController() )->update_voice( $this->request( array( 'rate' => 4 ) ) );
+
+			$this->assertSame( 400, $response->get_status() );
+		}
+
+		/**
+		 * Return the given preferences from user meta.
+		 *
+		 * @param array $preferences Stored preferences.
+		 * @return void
+		 */
+		private function storePreferences( array $preferences ): void {
+			WP_Mock::userFunction(
+				'get_user_meta',
+				array(
+					'args'   => array( 7, AgentWPConfig::META_KEY_VOICE, true ),
+					'return' => $preferences,
+				)
+			);
+		}
+
+		/**
+		 * Request carrying a JSON body.
+		 *
+		 * @param array $body JSON body.
+		 * @return \WP_REST_Request
+		 */
+		private function request( array $body ) {
+			$request = Mockery::mock( 'WP_REST_Request' );
+			$request->shouldReceive( 'get_json_params' )->andReturn( $body );
+
+			return $request;
+		}
+	}
+}
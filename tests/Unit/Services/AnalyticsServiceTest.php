@@ -53,4 +53,47 @@ class AnalyticsServiceTest extends TestCase {
 		$this->assertSame( '2024-01-15', $result->get( 'start' ) );
 		$this->assertSame( '2024-01-15', $result->get( 'end' ) );
 	}
+
+	public function test_get_range_stats_buckets_by_week_against_previous_range(): void {
+		$service = $this->createService();
+
+		$result = $service->get_range_stats( '2024-01-01', '2024-01-21', 'week' );
+
+		$this->assertTrue( $result->isSuccess() );
+		$this->assertSame( array( 'Jan 1', 'Jan 8', 'Jan 15' ), $result->get( 'labels' ) );
+		$this->assertCount( 3, $result->get( 'current' ) );
+		$this->assertCount( 3, $result->get( 'previous' ) );
+		$this->assertSame( 'Jan 1, 2024 – Jan 21, 2024', $result->get( 'label' ) );
+
+		$range = $result->get( 'range' );
+		$this->assertSame( '2023-12-11', $range['previous_start'] );
+		$this->assertSame( '2023-12-31', $range['previous_end'] );
+	}
+
+	public function test_get_range_stats_compares_with_same_dates_last_year(): void {
+		$service = $this->createService();
+
+		$result = $service->get_range_stats( '2024-01-01', '2024-03-31', 'month', 'year' );
+
+		$this->assertSame( array( 'Jan 2024', 'Feb 2024', 'Mar 2024' ), $result->get( 'labels' ) );
+		$range = $result->get( 'range' );
+		$this->assertSame( '2023-01-01', $range['previous_start'] );
+		$this->assertSame( '2023-03-31', $range['previous_end'] );
+	}
+
+	public function test_get_range_stats_rejects_reversed_range(): void {
+		$service = $this->createService();
+
+		$result = $service->get_range_stats( '2024-02-01', '2024-01-01' );
+
+		$this->assertFalse( $result->isSuccess() );
+	}
+
+	private function createService(): AnalyticsService {
+		return new AnalyticsService(
+			new FakeOrderRepository(),
+			new FakeWooCommerceOrderGateway(),
+			new FakeClock( new DateTimeImmutable( '2024-04-15 10:00:00', new DateTimeZone( 'UTC' ) ) )
+		);
+	}
 }